@@ -1,40 +1,9 @@
-const fs = require('fs');
 const path = require('path');
+const { DATA_DIR, loadStops } = require('./lib/gtfs_feed');
 
 const otpUrl = 'http://localhost:8080/otp/routers/default/index/graphql';
 const dubaiMallCoords = { lat: 25.1972295, lng: 55.279747 };
 
-// Simple CSV parser for the specific format of stops.txt
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim());
-
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        // Split by "," to handle quoted fields
-        const parts = line.split('","');
-
-        // Clean up leading/trailing quotes on the first and last elements
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
-
-        const row = {};
-        // Map relevant fields (we only need name, lat, lon)
-        // Indices based on: "stop_id","stop_name","stop_lat","stop_lon",...
-        // 0: id, 1: name, 2: lat, 3: lon
-        if (parts.length >= 4) {
-            row.name = parts[1];
-            row.lat = parseFloat(parts[2]);
-            row.lon = parseFloat(parts[3]);
-            data.push(row);
-        }
-    }
-    return data;
-}
-
 async function getRoute(from, to) {
     const query = `
     {
@@ -83,11 +52,9 @@ function formatDuration(seconds) {
 }
 
 async function main() {
-    const stopsPath = path.join(__dirname, 'data', 'stops.txt');
-    console.log(`📖 Reading stops from ${stopsPath}...`);
+    console.log(`📖 Reading stops from ${path.join(DATA_DIR, 'stops.txt')}...`);
 
-    const content = fs.readFileSync(stopsPath, 'utf8');
-    const stops = parseCSV(content);
+    const stops = loadStops().map(s => ({ name: s.stop_name, lat: s.stop_lat, lon: s.stop_lon }));
     console.log(`ℹ️  Total stops found: ${stops.length}`);
 
     // Pick 10 random stops
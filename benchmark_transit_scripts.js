@@ -8,6 +8,7 @@
  * - Parallel execution: Both scripts run simultaneously for each stop
  * - Concurrent workers: Multiple stops processed in parallel
  * - 120 second timeout per script execution
+ * - Journey metrics read from the scripts' --json output
  * - Detailed CSV output with journey metrics
  * - Summary statistics
  * 
@@ -21,63 +22,16 @@
  */
 
 const fs = require('fs');
-const path = require('path');
 const { exec } = require('child_process');
+const { loadStops } = require('./lib/gtfs_feed');
 
-const DATA_DIR = path.join(__dirname, 'data');
 const OUTPUT_CSV = 'benchmark_results.csv';
 
-// Helper to parse CSV lines
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-    
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        
-        const values = [];
-        let current = '';
-        let inQuote = false;
-        
-        for (let j = 0; j < line.length; j++) {
-            const char = line[j];
-            if (char === '"') {
-                inQuote = !inQuote;
-            } else if (char === ',' && !inQuote) {
-                values.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current);
-        
-        const entry = {};
-        headers.forEach((h, idx) => {
-            entry[h] = values[idx] ? values[idx].replace(/^"|"$/g, '') : '';
-        });
-        data.push(entry);
-    }
-    return data;
-}
-
-function loadFile(filename) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-        console.error(`File not found: ${filename}`);
-        return [];
-    }
-    return parseCSV(fs.readFileSync(filePath, 'utf8'));
-}
-
 /**
  * Randomly select N stops from stops.txt
  */
 function selectRandomStops(n = 10) {
-    const stops = loadFile('stops.txt');
-    const validStops = stops.filter(s => s.stop_id && s.stop_name);
+    const validStops = loadStops().filter(s => s.stop_id && s.stop_name);
     
     // Shuffle and pick N
     const shuffled = validStops.sort(() => 0.5 - Math.random());
@@ -90,7 +44,7 @@ function selectRandomStops(n = 10) {
 function runScript(scriptPath, stopId, destination, timeoutMs = 120000) {
     return new Promise((resolve) => {
         const startTime = Date.now();
-        const command = `node ${scriptPath} ${stopId} "${destination}"`;
+        const command = `node ${scriptPath} --json ${stopId} "${destination}"`;
         
         const child = exec(command, { maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
             const endTime = Date.now();
@@ -138,7 +92,7 @@ function runScript(scriptPath, stopId, destination, timeoutMs = 120000) {
 }
 
 /**
- * Parse script output to extract journey details
+ * Summarize the --json output of a finder (schema in lib/itinerary_json.js)
  */
 function parseOutput(output) {
     const result = {
@@ -151,46 +105,24 @@ function parseOutput(output) {
         isDirect: false
     };
     
-    // Check if route was found
-    if (output.includes('✓ Route found') || output.includes('✓ Best route found')) {
-        result.routeFound = true;
-    } else if (output.includes('✗ No route found') || output.includes('✗ No path found')) {
+    let itinerary;
+    try {
+        itinerary = JSON.parse(output).itineraries[0];
+    } catch (e) {
         return result;
     }
-    
-    // Extract journey time
-    const journeyTimeMatch = output.match(/Total journey time: (\d+) minutes/);
-    if (journeyTimeMatch) {
-        result.journeyTime = parseInt(journeyTimeMatch[1], 10);
-    }
-    
-    // Extract number of transfers
-    // Match patterns like "1 transfer(s)", "with 1 transfer:", "with walk + 1 transfer:"
-    const transferMatch = output.match(/(\d+) transfer\(s?\)|with (?:walk \+ )?(\d+) transfer/);
-    if (transferMatch) {
-        result.numTransfers = parseInt(transferMatch[1] || transferMatch[2], 10);
-    } else if (output.includes('DIRECT (no transfers)') || output.includes('no transfers')) {
-        result.numTransfers = 0;
-        result.isDirect = true;
-    }
-    
-    // Count legs (LEG 1, LEG 2, etc.)
-    const legMatches = output.match(/LEG \d+:/g);
-    if (legMatches) {
-        result.numLegs = legMatches.length;
-    } else if (result.isDirect && result.routeFound) {
-        // Direct routes have 1 leg but may not have "LEG 1:" prefix
-        result.numLegs = 1;
-    }
-    
-    // Extract distance to destination
-    const distanceMatch = output.match(/Final distance to [^:]+: ([\d.]+) km/);
-    if (distanceMatch) {
-        result.distance = parseFloat(distanceMatch[1]);
+    if (!itinerary) {
+        return result;
     }
     
-    // Check if walk is included
-    result.hasWalk = output.includes('WALK') || output.includes('walk');
+    const rides = itinerary.legs.filter(leg => leg.mode !== 'WALK');
+    result.routeFound = true;
+    result.journeyTime = itinerary.durationMinutes;
+    result.numTransfers = itinerary.transfers;
+    result.numLegs = rides.length;
+    result.distance = itinerary.finalWalkKm;
+    result.hasWalk = itinerary.legs.some(leg => leg.mode === 'WALK');
+    result.isDirect = rides.length > 0 && itinerary.transfers === 0;
     
     return result;
 }
@@ -0,0 +1,79 @@
+/**
+ * Footpaths Build
+ *
+ * Links every pair of stops within a walking radius and writes the walks to
+ * data/footpaths.txt (lib/footpaths.js). The planners then use them as
+ * transfers mid-journey: off the metro at one stop, across the road to a bus
+ * at another, even where transfers.txt does not pair the stops.
+ *
+ * Walks follow the pedestrian network when data/walk_graph.json was built
+ * (build_walk_graph.js; build it first) and are straight lines otherwise.
+ * Run it again after replacing the GTFS feed or the walking graph.
+ *
+ * Usage:
+ *   node build_footpaths.js [--radius-m METRES] [--walking-speed M_PER_MIN] [--output FILE]
+ *
+ * Examples:
+ *   node build_footpaths.js
+ *   node build_footpaths.js --radius-m 600 --walking-speed 70
+ */
+
+const fs = require('fs');
+const path = require('path');
+const minimist = require('minimist');
+const { DATA_DIR, TABLES } = require('./lib/gtfs_feed');
+const { DEFAULT_RADIUS_KM, buildFootpaths } = require('./lib/footpaths');
+const { DEFAULT_WALKING_SPEED_M_PER_MIN } = require('./lib/walk_router');
+
+const DEFAULT_OUTPUT = path.join(DATA_DIR, TABLES.footpaths);
+const COLUMNS = ['from_stop_id', 'to_stop_id', 'distance_m', 'walk_seconds'];
+
+function csvValue(value) {
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['radius-m', 'walking-speed', 'output'],
+        boolean: ['help'],
+        alias: { h: 'help' }
+    });
+
+    if (argv.help) {
+        console.log("Usage: node build_footpaths.js [--radius-m METRES] [--walking-speed M_PER_MIN] [--output FILE]");
+        console.log(`\n--radius-m: longest walk between two stops (default: ${DEFAULT_RADIUS_KM * 1000})`);
+        console.log(`--walking-speed: metres per minute (default: ${DEFAULT_WALKING_SPEED_M_PER_MIN})`);
+        console.log(`--output: footpaths file (default: ${DEFAULT_OUTPUT}, where the planners read it)`);
+        process.exit(0);
+    }
+
+    const radiusMeters = argv['radius-m'] !== undefined ? parseFloat(argv['radius-m']) : DEFAULT_RADIUS_KM * 1000;
+    const walkingSpeed = argv['walking-speed'] !== undefined ? parseFloat(argv['walking-speed']) : DEFAULT_WALKING_SPEED_M_PER_MIN;
+    if (Number.isNaN(radiusMeters) || radiusMeters <= 0 || Number.isNaN(walkingSpeed) || walkingSpeed <= 0) {
+        console.error('--radius-m and --walking-speed must be positive numbers');
+        process.exit(1);
+    }
+    const outputFile = argv.output || DEFAULT_OUTPUT;
+
+    try {
+        console.log(`\n[1/2] Linking stops within ${radiusMeters}m...`);
+        const { footpaths, network } = buildFootpaths({ radiusKm: radiusMeters / 1000, walkingSpeed });
+        const stopCount = new Set(footpaths.map(fp => fp.from_stop_id)).size;
+        console.log(`  ✓ ${footpaths.length} footpaths from ${stopCount} stops (${network ? 'walking graph' : 'straight lines, no walking graph'})`);
+
+        console.log(`\n[2/2] Writing ${outputFile}...`);
+        const lines = [COLUMNS.map(csvValue).join(',')];
+        for (const footpath of footpaths) {
+            lines.push(COLUMNS.map(column => csvValue(footpath[column])).join(','));
+        }
+        fs.writeFileSync(outputFile, lines.join('\n') + '\n');
+        console.log(`  ✓ Done`);
+    } catch (error) {
+        console.error(`\n✗ Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,222 @@
+/**
+ * Walking Graph Build
+ *
+ * Extracts the pedestrian network around the feed's stops from the OSM
+ * extract OTP builds its graph from (otp/united_arab_emirates.osm.pbf) into
+ * data/walk_graph.json, which lib/walk_router.js loads to give the finders
+ * network walking distances for access, egress and stop-to-stop walks.
+ *
+ * Only nodes inside the bounding box of the stops (plus --margin-km) are
+ * kept. Walkable ways are footways, paths, steps, platforms and the streets
+ * with a pavement; motorways and trunk roads only with foot=yes, and nothing
+ * tagged foot=no or access=no. Each stop is linked to its nearest node;
+ * build_footpaths.js then walks the graph between nearby stops.
+ *
+ * Run it again after replacing the OSM extract or the GTFS feed.
+ *
+ * Usage:
+ *   node build_walk_graph.js [--pbf FILE] [--output FILE] [--margin-km KM]
+ *
+ * Examples:
+ *   node build_walk_graph.js
+ *   node build_walk_graph.js --pbf otp/united_arab_emirates.osm.pbf --margin-km 1
+ */
+
+const fs = require('fs');
+const path = require('path');
+const minimist = require('minimist');
+const { loadStops } = require('./lib/gtfs_feed');
+const { readOsmPbf } = require('./lib/osm_pbf');
+const { calculateDistance } = require('./lib/stop_index');
+const { GRAPH_FILE, buildGrid, linkStops } = require('./lib/walk_router');
+
+const DEFAULT_PBF = path.join(__dirname, 'otp', 'united_arab_emirates.osm.pbf');
+const DEFAULT_MARGIN_KM = 2;
+
+const WALKABLE_HIGHWAYS = new Set([
+    'footway', 'path', 'pedestrian', 'steps', 'living_street', 'residential', 'service',
+    'unclassified', 'tertiary', 'tertiary_link', 'secondary', 'secondary_link',
+    'primary', 'primary_link', 'track', 'cycleway', 'corridor', 'platform', 'road'
+]);
+const FOOT_ONLY_HIGHWAYS = new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link']);
+
+/**
+ * Whether a way can be walked
+ */
+function isWalkable(tags) {
+    if (tags.foot === 'no' || (tags.access === 'no' && tags.foot !== 'yes')) return false;
+    if (tags.area === 'yes' && tags.highway !== 'pedestrian') return false;
+    if (WALKABLE_HIGHWAYS.has(tags.highway)) return true;
+    if (FOOT_ONLY_HIGHWAYS.has(tags.highway)) return tags.foot === 'yes' || tags.foot === 'designated';
+    return tags.railway === 'platform' || tags.public_transport === 'platform';
+}
+
+/**
+ * Bounding box of the feed's stops, widened by a margin
+ */
+function stopsBoundingBox(stops, marginKm) {
+    const located = stops.filter(s => s.stop_lat !== null && s.stop_lon !== null);
+    if (located.length === 0) {
+        throw new Error('No stops with coordinates in stops.txt');
+    }
+    const lats = located.map(s => s.stop_lat);
+    const lngs = located.map(s => s.stop_lon);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const marginLat = marginKm / 111;
+    const marginLng = marginKm / (111 * Math.cos(((minLat + maxLat) / 2) * Math.PI / 180));
+    return {
+        minLat: minLat - marginLat,
+        maxLat: maxLat + marginLat,
+        minLng: Math.min(...lngs) - marginLng,
+        maxLng: Math.max(...lngs) + marginLng
+    };
+}
+
+/**
+ * Read the walkable network inside a bounding box
+ * @returns {{lat: Array<number>, lng: Array<number>, edges: Array<Array<number>>, ways: number}}
+ */
+function readWalkNetwork(pbfFile, bbox) {
+    // OSM node id -> [lat, lng]; PBF extracts list every node before the ways
+    const nodes = new Map();
+    const ways = [];
+    const { blocks, skipped } = readOsmPbf(pbfFile, {
+        node(id, lat, lng) {
+            if (lat >= bbox.minLat && lat <= bbox.maxLat && lng >= bbox.minLng && lng <= bbox.maxLng) {
+                nodes.set(id, [lat, lng]);
+            }
+        },
+        way(way) {
+            if (isWalkable(way.tags) && way.refs.some(id => nodes.has(id))) ways.push(way.refs);
+        }
+    });
+    if (skipped > 0) {
+        console.log(`  ⚠️  Skipped ${skipped} of ${blocks + skipped} blocks compressed with something other than zlib`);
+    }
+
+    // Keep the nodes on walkable ways only, numbered from 0
+    const index = new Map();
+    const lat = [];
+    const lng = [];
+    const edges = [];
+    const nodeIndex = id => {
+        let i = index.get(id);
+        if (i === undefined) {
+            i = lat.length;
+            index.set(id, i);
+            const [nodeLat, nodeLng] = nodes.get(id);
+            lat.push(Number(nodeLat.toFixed(7)));
+            lng.push(Number(nodeLng.toFixed(7)));
+        }
+        return i;
+    };
+    let kept = 0;
+    for (const refs of ways) {
+        let used = false;
+        for (let i = 1; i < refs.length; i++) {
+            // Segments leaving the bounding box are dropped
+            if (!nodes.has(refs[i - 1]) || !nodes.has(refs[i])) continue;
+            edges.push([nodeIndex(refs[i - 1]), nodeIndex(refs[i])]);
+            used = true;
+        }
+        if (used) kept++;
+    }
+    return { lat, lng, edges, ways: kept };
+}
+
+/**
+ * Compressed adjacency (both directions) with edge lengths in metres
+ */
+function buildAdjacency(lat, lng, edges) {
+    const degree = new Uint32Array(lat.length + 1);
+    for (const [a, b] of edges) {
+        degree[a]++;
+        degree[b]++;
+    }
+    const offsets = new Array(lat.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < lat.length; i++) {
+        offsets[i + 1] = offsets[i] + degree[i];
+    }
+
+    const fill = offsets.slice(0, lat.length);
+    const targets = new Array(offsets[lat.length]);
+    const lengths = new Array(offsets[lat.length]);
+    for (const [a, b] of edges) {
+        const meters = Math.round(calculateDistance(lat[a], lng[a], lat[b], lng[b]) * 10000) / 10;
+        targets[fill[a]] = b;
+        lengths[fill[a]++] = meters;
+        targets[fill[b]] = a;
+        lengths[fill[b]++] = meters;
+    }
+    return { offsets, targets, lengths };
+}
+
+function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['pbf', 'output', 'margin-km'],
+        boolean: ['help'],
+        alias: { h: 'help' }
+    });
+
+    if (argv.help) {
+        console.log("Usage: node build_walk_graph.js [--pbf FILE] [--output FILE] [--margin-km KM]");
+        console.log(`\n--pbf: OSM extract (default: ${DEFAULT_PBF})`);
+        console.log(`--output: graph file (default: ${GRAPH_FILE})`);
+        console.log(`--margin-km: network kept around the stops (default: ${DEFAULT_MARGIN_KM})`);
+        process.exit(0);
+    }
+
+    const pbfFile = argv.pbf || DEFAULT_PBF;
+    const outputFile = argv.output || GRAPH_FILE;
+    const marginKm = argv['margin-km'] !== undefined ? parseFloat(argv['margin-km']) : DEFAULT_MARGIN_KM;
+    if (Number.isNaN(marginKm) || marginKm < 0) {
+        console.error('--margin-km must be a positive number of kilometres');
+        process.exit(1);
+    }
+
+    try {
+        if (!fs.existsSync(pbfFile)) {
+            throw new Error(`OSM extract not found: ${pbfFile} (the .osm.pbf in the otp/ folder, see Setup)`);
+        }
+
+        console.log(`\n[1/3] Reading walkable ways from ${pbfFile}...`);
+        const stops = loadStops();
+        const bbox = stopsBoundingBox(stops, marginKm);
+        const network = readWalkNetwork(pbfFile, bbox);
+        if (network.edges.length === 0) {
+            throw new Error(`No walkable ways around the stops in ${pbfFile}`);
+        }
+        console.log(`  ✓ ${network.ways} ways, ${network.lat.length} nodes, ${network.edges.length} segments`);
+
+        console.log(`\n[2/3] Linking ${stops.length} stops to the network...`);
+        const adjacency = buildAdjacency(network.lat, network.lng, network.edges);
+        const graph = { lat: network.lat, lng: network.lng, ...adjacency, grid: buildGrid(network.lat, network.lng) };
+        const linked = linkStops(graph, stops);
+        const linkedCount = Object.keys(linked).length;
+        console.log(`  ✓ ${linkedCount} stops on the network, ${stops.length - linkedCount} too far from a walkable way`);
+
+        console.log(`\n[3/3] Writing ${outputFile}...`);
+        fs.writeFileSync(outputFile, JSON.stringify({
+            version: 1,
+            source: path.basename(pbfFile),
+            built_at: new Date().toISOString(),
+            bbox,
+            lat: network.lat,
+            lng: network.lng,
+            offsets: adjacency.offsets,
+            targets: adjacency.targets,
+            lengths: adjacency.lengths,
+            stops: linked
+        }));
+        console.log(`  ✓ ${(fs.statSync(outputFile).size / 1048576).toFixed(1)} MB`);
+    } catch (error) {
+        console.error(`\n✗ Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
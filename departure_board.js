@@ -0,0 +1,114 @@
+/**
+ * Stop Departure Board
+ *
+ * Lists the next departures at a stop across all of its routes: scheduled
+ * time, minutes until departure (within the next hour), route_short_name
+ * and headsign. The stop may be given by stop_id or stop_code. For a
+ * station with platforms (parent_station in stops.txt), the departures are
+ * grouped by platform.
+ *
+ * The departures come from stopDepartures (lib/departures.js, also in index.js).
+ * --json prints them as JSON on stdout, logs on stderr.
+ *
+ * Usage:
+ *   node departure_board.js [--date YYYY-MM-DD] [--timezone ZONE] [--limit N] [--route ROUTE] [--route-type TYPE] [--json] <STOP_ID|STOP_CODE> [HH:MM:SS]
+ *
+ * Examples:
+ *   node departure_board.js 227102
+ *   node departure_board.js --date 2025-06-02 227102 08:00:00
+ *   node departure_board.js --limit 20 --route 13D 227102
+ *   node departure_board.js --route-type 1 UNMS1
+ *
+ * Route types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry
+ */
+
+const minimist = require('minimist');
+const { enableJsonMode, printJson } = require('./lib/itinerary_json');
+const { DEFAULT_DEPARTURES, stopDepartures } = require('./lib/departures');
+
+const DUE_WITHIN_MINUTES = 60; // Show minutes-until for departures within the next hour
+
+/**
+ * Print one group of departures as a table
+ */
+function printDepartures(departures) {
+    const routeWidth = Math.max(5, ...departures.map(d => String(d.route.short_name || d.route.route_id).length));
+    console.log(`  ${'Time'.padEnd(9)} ${'Due'.padEnd(7)} ${'Route'.padEnd(routeWidth)}  Headsign`);
+    for (const dep of departures) {
+        const due = dep.minutes < DUE_WITHIN_MINUTES ? (dep.minutes === 0 ? 'now' : `${dep.minutes} min`) : '';
+        const route = String(dep.route.short_name || dep.route.route_id);
+        console.log(`  ${dep.departure.padEnd(9)} ${due.padEnd(7)} ${route.padEnd(routeWidth)}  ${dep.headsign || ''}`);
+    }
+}
+
+async function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['_', 'date', 'timezone', 'limit', 'route', 'route-type'],
+        boolean: ['json']
+    });
+    const args = argv._;
+    if (argv.json) {
+        enableJsonMode();
+    }
+
+    if (args.length < 1) {
+        console.log("Usage: node departure_board.js [--date YYYY-MM-DD] [--timezone ZONE] [--limit N] [--route ROUTE] [--route-type TYPE] [--json] <STOP_ID|STOP_CODE> [HH:MM:SS]");
+        console.log("\nExamples:");
+        console.log("  node departure_board.js 227102");
+        console.log("  node departure_board.js --date 2025-06-02 227102 08:00:00");
+        console.log("  node departure_board.js --limit 20 --route 13D 227102");
+        console.log("  node departure_board.js --route-type 1 UNMS1");
+        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
+        console.log(`--limit N: number of departures (default: ${DEFAULT_DEPARTURES})`);
+        console.log("--route ROUTE: only this route (route_short_name or route_id)");
+        process.exit(1);
+    }
+
+    let board;
+    try {
+        board = await stopDepartures({
+            stop: args[0],
+            date: argv.date,
+            time: args[1],
+            timezone: argv.timezone,
+            limit: argv.limit,
+            route: argv.route,
+            routeType: argv['route-type'] || null,
+            log: console.log
+        });
+    } catch (error) {
+        console.error(`\n✗ Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (argv.json) {
+        printJson(board);
+        return;
+    }
+
+    const { stop, platforms, departures } = board;
+    console.log(`\n${'='.repeat(70)}`);
+    console.log(`DEPARTURES: ${stop.name} (${stop.stop_id})`);
+    console.log(`${'='.repeat(70)}`);
+
+    if (departures.length === 0) {
+        console.log(`\n✗ No departures after ${board.time} on ${board.date}${argv.route ? ` for route ${argv.route}` : ''}`);
+    } else if (platforms.length > 1) {
+        // Station: one table per platform, in stops.txt order
+        for (const platform of platforms) {
+            const platformDepartures = departures.filter(d => d.stop_id === platform.stop_id);
+            if (platformDepartures.length === 0) continue;
+            console.log(`\n${platform.name} (${platform.stop_id})`);
+            printDepartures(platformDepartures);
+        }
+    } else {
+        console.log();
+        printDepartures(departures);
+    }
+
+    console.log(`\n${'='.repeat(70)}\n`);
+}
+
+if (require.main === module) {
+    main();
+}
@@ -6,685 +6,543 @@
  * 2. The nearest stop to a given place (new --to-place mode)
  * 
  * Usage:
- *   Mode 1: node find_next_transit.js <STOP_A_ID> <STOP_B_ID> [HH:MM:SS] [route_type]
- *   Mode 2: node find_next_transit.js --to-place <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]
+ *   Mode 1: node find_next_transit.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json] <STOP_A_ID> <STOP_B_ID> [HH:MM:SS] [route_type]
+ *   Mode 2: node find_next_transit.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json] --to-place <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]
+ * 
+ * --limit K lists the K best distinct trips instead of one.
+ * --json prints them as JSON on stdout (see lib/itinerary_json.js), logs on stderr.
+ * 
+ * The search is exported as nextDeparture(options) (see index.js); the CLI
+ * parses its arguments, calls it and prints the trips.
  * 
  * Examples:
  *   node find_next_transit.js 12901 13402 08:00:00 1
  *   node find_next_transit.js --to-place 13402 "Dubai Mall" 08:00:00 1
+ *   node find_next_transit.js --date 2026-03-30 12901 13402 08:00:00
+ *   node find_next_transit.js --limit 3 12901 13402 08:00:00
+ *   node find_next_transit.js --json --to-place 13402 "Dubai Mall" 08:00:00 > plan.json
  * 
  * Route types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry
  */
 
-const fs = require('fs');
-const path = require('path');
-const https = require('https');
-
-const DATA_DIR = path.join(__dirname, 'data');
-
-// ===== CONFIGURATION =====
-// Add your Google Maps API key here
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-// =========================
-
-// Helper to parse CSV lines that are fully quoted like "val","val"
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const values = [];
-        let current = '';
-        let inQuote = false;
-
-        for (let j = 0; j < line.length; j++) {
-            const char = line[j];
-            if (char === '"') {
-                inQuote = !inQuote;
-            } else if (char === ',' && !inQuote) {
-                values.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current);
-
-        const entry = {};
-        headers.forEach((h, idx) => {
-            entry[h] = values[idx] ? values[idx].replace(/^"|"$/g, '') : '';
-        });
-        data.push(entry);
-    }
-    return data;
-}
-
-function loadFile(filename) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-        console.error(`File not found: ${filename}`);
-        return [];
-    }
-    return parseCSV(fs.readFileSync(filePath, 'utf8'));
-}
-
-function getDayName() {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    return days[new Date().getDay()];
-}
-
-function getCurrentTime() {
-    const now = new Date();
-    return now.toTimeString().split(' ')[0]; // HH:MM:SS
-}
-
-function getYYYYMMDD() {
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, '0');
-    const d = String(now.getDate()).padStart(2, '0');
-    return parseInt(`${y}${m}${d}`, 10);
-}
-
-/**
- * Get latitude and longitude of a place using Google Maps Geocoding API
- * @param {string} place - The place name or address to geocode
- * @returns {Promise<{lat: number, lng: number, formatted_address: string}>}
- */
-function getLatLngFromPlace(place) {
-    return new Promise((resolve, reject) => {
-        if (!GOOGLE_MAPS_API_KEY || GOOGLE_MAPS_API_KEY === 'YOUR_API_KEY_HERE') {
-            return reject(new Error('Google Maps API key not configured.'));
-        }
-
-        const encodedPlace = encodeURIComponent(place);
-        const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedPlace}&key=${GOOGLE_MAPS_API_KEY}`;
-
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                try {
-                    const response = JSON.parse(data);
-                    if (response.status === 'OK' && response.results.length > 0) {
-                        const location = response.results[0].geometry.location;
-                        resolve({
-                            lat: location.lat,
-                            lng: location.lng,
-                            formatted_address: response.results[0].formatted_address
-                        });
-                    } else {
-                        reject(new Error(`Geocoding failed: ${response.status}`));
-                    }
-                } catch (error) {
-                    reject(new Error(`Failed to parse response: ${error.message}`));
-                }
-            });
-        }).on('error', (error) => {
-            reject(new Error(`Network error: ${error.message}`));
-        });
-    });
-}
+const minimist = require('minimist');
+const { loadStops, preloadTransitData } = require('./lib/gtfs_feed');
+const {
+    timeToSeconds,
+    secondsToTime,
+    canBoard,
+    canAlight,
+    createSkipLog,
+    recordSkip,
+    logSkipped,
+    getDeparturesAfter,
+    getTripStopTimes,
+    getTripsBetween
+} = require('./lib/timetable');
+const { geocode } = require('./lib/geocoder');
+const { WEIGHT_OPTIONS, resolveWeights, pickTopItineraries, parseLimit, formatCriteria, formatWeights } = require('./lib/itinerary_score');
+const { enableJsonMode, printJson, transitLegJson, walkLegJson, itineraryJson, resultJson } = require('./lib/itinerary_json');
+const { addLegGeometry } = require('./lib/shapes');
+const { findNearestStops, findStopsWithin } = require('./lib/stop_index');
+const { DEFAULT_MAX_WALK_KM, DEFAULT_WALKING_SPEED_M_PER_MIN, walkingDistances, walkingDistancesFromStop } = require('./lib/walk_router');
+const { resolveQuery } = require('./lib/query');
+const { progress, withProgress } = require('./lib/progress');
+const { QueryError } = require('./lib/query_error');
 
 /**
- * Calculate distance between two coordinates using Haversine formula
- * @param {number} lat1 - Latitude of point 1
- * @param {number} lng1 - Longitude of point 1
- * @param {number} lat2 - Latitude of point 2
- * @param {number} lng2 - Longitude of point 2
- * @returns {number} - Distance in kilometers
+ * Itinerary of a direct trip for lib/itinerary_score.js
+ * @param {Object} trip - Trip found by findBestDirectTrips
+ * @param {Array} candidateStops - Destination stops with their distance to the place
+ * @param {number} [accessWalkMinutes=0] - Walk to the boarding stop
  */
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-/**
- * Find nearest stops to a given location
- * @param {number} targetLat - Target latitude
- * @param {number} targetLng - Target longitude
- * @param {number} maxResults - Maximum number of stops to return
- * @returns {Array} - Array of nearest stops with distance
- */
-function findNearestStops(targetLat, targetLng, maxResults = 10) {
-    const stops = loadFile('stops.txt');
-
-    const stopsWithDistance = stops
-        .filter(stop => stop.stop_lat && stop.stop_lon)
-        .map(stop => {
-            const distance = calculateDistance(
-                targetLat,
-                targetLng,
-                parseFloat(stop.stop_lat),
-                parseFloat(stop.stop_lon)
-            );
-            return {
-                ...stop,
-                distance: distance
-            };
-        })
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, maxResults);
-
-    return stopsWithDistance;
-}
-
-/**
- * Preload all transit data once for efficiency
- * @param {string} dayName - Day of week
- * @param {number} todayDate - Date in YYYYMMDD format
- * @param {string|null} routeType - Optional route type filter
- * @returns {Object} - Preloaded data object
- */
-function preloadTransitData(dayName, todayDate, routeType) {
-    console.log(`  Preloading transit data...`);
-
-    // 1. Load Routes
-    const routes = loadFile('routes.txt');
-    const targetRouteIds = new Set(
-        routes
-            .filter(r => !routeType || r.route_type === routeType)
-            .map(r => r.route_id)
-    );
-
-    // 2. Load Calendar (Active Services)
-    const calendar = loadFile('calendar.txt');
-    const activeServices = new Set(
-        calendar
-            .filter(c => {
-                const startDate = parseInt(c.start_date, 10);
-                const endDate = parseInt(c.end_date, 10);
-                const isActiveDay = c[dayName] === '1';
-                return isActiveDay && todayDate >= startDate && todayDate <= endDate;
-            })
-            .map(c => c.service_id)
-    );
-
-    // 3. Load Trips
-    const allTrips = loadFile('trips.txt');
-    const validTrips = allTrips.filter(t =>
-        targetRouteIds.has(t.route_id) && activeServices.has(t.service_id)
-    );
-    const validTripIds = new Set(validTrips.map(t => t.trip_id));
-
-    const tripRouteMap = {};
-    validTrips.forEach(t => {
-        tripRouteMap[t.trip_id] = t;
-    });
-
-    // 4. Load Stop Times (ONCE!)
-    const rawStopTimes = fs.readFileSync(path.join(DATA_DIR, 'stop_times.txt'), 'utf8');
-    const stopTimeLines = rawStopTimes.trim().split('\n');
-
-    const stHeaders = stopTimeLines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-    console.log(`  ✓ Loaded ${validTripIds.size} valid trips and ${stopTimeLines.length - 1} stop times`);
-
+function tripItinerary(trip, candidateStops, userTime, accessWalkMinutes = 0) {
     return {
-        validTripIds,
-        tripRouteMap,
-        stopTimeLines,
-        stHeaders
+        startTime: userTime,
+        accessWalkMinutes,
+        legs: [{
+            from: trip.stopA,
+            departure: trip.departure_time,
+            arrival: trip.arrival_at_B,
+            trip_id: trip.trip_id,
+            route_id: trip.route_id
+        }],
+        egressWalkKm: candidateStops.find(s => s.stop_id === trip.stopB).distance
     };
 }
 
 /**
- * Find best direct trip from stopA to any of the candidate stops (using preloaded data)
+ * Find the best direct trips from stopA to any of the candidate stops (using preloaded data)
  * @param {string} stopA - Source stop ID
  * @param {Array} candidateStops - Array of candidate destination stops
  * @param {string} userTime - Time in HH:MM:SS format
  * @param {Object} preloadedData - Preloaded transit data
- * @returns {Object|null} - Best trip or null if none found
+ * @param {Object} weights - Ranking weights (lib/itinerary_score.js)
+ * @param {number} [limit=1] - Number of distinct trips to return
+ * @returns {Array<Object>} - Best trips (with their score and criteria), best first; empty if none found
  */
-function findBestDirectTrip(stopA, candidateStops, userTime, preloadedData) {
-    const { validTripIds, tripRouteMap, stopTimeLines, stHeaders } = preloadedData;
+function findBestDirectTrips(stopA, candidateStops, userTime, preloadedData, weights, limit = 1) {
+    const { validTripIds, tripRouteMap, timetable } = preloadedData;
 
     if (validTripIds.size === 0) {
-        return null;
+        return [];
     }
 
-    const tripIdx = stHeaders.indexOf('trip_id');
-    const stopIdx = stHeaders.indexOf('stop_id');
-    const seqIdx = stHeaders.indexOf('stop_sequence');
-    const arrIdx = stHeaders.indexOf('arrival_time');
-    const depIdx = stHeaders.indexOf('departure_time');
-
     // Build a set of candidate stop IDs for quick lookup
     const candidateStopIds = new Set(candidateStops.map(s => s.stop_id));
 
-    const tripStops = {};
-
-    for (let i = 1; i < stopTimeLines.length; i++) {
-        const line = stopTimeLines[i];
-        const parts = line.split('","');
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
+    // 5. Find the next `limit` trips from A to each candidate stop (departures come in time order)
+    // (no boarding where pickup_type=1, no alighting where drop_off_type=1)
+    const nextTripsByDest = {};
+    const skipLog = createSkipLog();
 
-        const tId = parts[tripIdx];
-        if (!validTripIds.has(tId)) continue;
+    for (const dep of getDeparturesAfter(timetable, stopA, userTime)) {
+        const stops = getTripStopTimes(timetable, dep.key);
+        const stopInfo = stops[dep.index];
 
-        const sId = parts[stopIdx];
-
-        // Check if this stop is either our source or one of the candidates
-        if (sId === stopA || candidateStopIds.has(sId)) {
-            if (!tripStops[tId]) tripStops[tId] = {};
-            tripStops[tId][sId] = {
-                seq: parseInt(parts[seqIdx], 10),
-                dep: parts[depIdx],
-                arr: parts[arrIdx]
-            };
+        if (!canBoard(stopInfo)) {
+            recordSkip(skipLog, 'pickup', stopA, dep.trip_id);
+            continue;
         }
-    }
 
-    // 5. Find trips with A -> any candidate stop, organized by destination
-    const matchesByDest = {};
-
-    for (const [tId, stops] of Object.entries(tripStops)) {
-        if (stops[stopA]) {
-            // Check each candidate stop
-            for (const candidateStop of candidateStops) {
-                const stopB = candidateStop.stop_id;
-                if (stops[stopB] && stops[stopA].seq < stops[stopB].seq) {
-                    if (!matchesByDest[stopB]) {
-                        matchesByDest[stopB] = [];
-                    }
-                    matchesByDest[stopB].push({
-                        trip_id: tId,
-                        departure_time: stops[stopA].dep,
-                        arrival_at_B: stops[stopB].arr,
-                        route_id: tripRouteMap[tId].route_id,
-                        headsign: tripRouteMap[tId].trip_headsign,
-                        stopB: stopB
-                    });
+        for (let i = dep.index + 1; i < stops.length; i++) {
+            const stopB = stops[i].stop_id;
+            if (candidateStopIds.has(stopB) && (nextTripsByDest[stopB] || []).length < limit) {
+                if (!canAlight(stops[i])) {
+                    recordSkip(skipLog, 'drop_off', stopB, dep.trip_id);
+                    continue;
                 }
+                nextTripsByDest[stopB] = nextTripsByDest[stopB] || [];
+                nextTripsByDest[stopB].push({
+                    trip_id: dep.trip_id,
+                    stopA: stopA,
+                    departure_time: stopInfo.departure_time,
+                    arrival_at_B: stops[i].arrival_time,
+                    route_id: tripRouteMap[dep.trip_id].route_id,
+                    headsign: tripRouteMap[dep.trip_id].trip_headsign,
+                    stopB: stopB
+                });
             }
         }
     }
 
-    // 6. Find the earliest next trip to the nearest reachable stop
-    let bestTrip = null;
-    let bestStopDistance = Infinity;
+    // 6. Rank the next trips to each reachable stop, final walk to the place included
+    // (the same trip to several of the stops counts once)
+    const best = pickTopItineraries(
+        Object.values(nextTripsByDest).flat(),
+        nextTrip => tripItinerary(nextTrip, candidateStops, userTime),
+        weights,
+        limit
+    );
 
-    for (const [stopB, matches] of Object.entries(matchesByDest)) {
-        // Sort matches by departure time
-        matches.sort((a, b) => a.departure_time.localeCompare(b.departure_time));
+    progress(`  Checked ${Object.keys(nextTripsByDest).length} destination stops with direct connections.`);
+    logSkipped(skipLog);
 
-        // Find next available trip for this destination
-        const nextTrip = matches.find(m => m.departure_time > userTime);
+    return best.map(entry => ({ ...entry.candidate, score: entry.score, criteria: entry.criteria }));
+}
 
-        if (nextTrip) {
-            const stopDistance = candidateStops.find(s => s.stop_id === stopB).distance;
+/**
+ * One trip in the --json schema
+ * @param {Object} trip - Trip from findBestDirectTrips or the stop-to-stop search (plus the walk fields for a nearby stop)
+ * @param {string} stopB - Where the trip leaves transit
+ * @param {number} finalWalkKm - Distance from stopB to the destination
+ */
+function tripJson(trip, stopB, finalWalkKm) {
+    const legs = [];
+    if (trip.requiresWalk) {
+        legs.push(walkLegJson({ from: trip.walkFrom, to: trip.walkTo, distance: trip.walkDistance, time: trip.walkTime }));
+    }
+    legs.push(transitLegJson({
+        from: trip.walkTo || trip.stopA,
+        to: stopB,
+        departure: trip.departure_time,
+        arrival: trip.arrival_at_B,
+        trip_id: trip.trip_id,
+        route_id: trip.route_id,
+        headsign: trip.headsign
+    }));
+    return itineraryJson(legs, { finalWalkKm, ranking: { score: trip.score, criteria: trip.criteria } });
+}
 
-            // Prefer closer stops, but if distances are similar, prefer earlier departure
-            if (!bestTrip || stopDistance < bestStopDistance * 0.8 ||
-                (stopDistance < bestStopDistance * 1.2 && nextTrip.departure_time < bestTrip.departure_time)) {
-                bestTrip = nextTrip;
-                bestStopDistance = stopDistance;
-            }
-        }
+/**
+ * Next direct trips from a stop to the stops near a place (--to-place mode),
+ * walking first to a nearby stop when the stop itself has none
+ */
+async function searchToPlace(stopA, placeName, routeType, { todayDate, dayName, userTime, weights, limit }) {
+    progress(`Finding transit from stop ${stopA} to nearest stop to "${placeName}"...`);
+    progress(`Ranking weights: ${formatWeights(weights)}`);
+
+    // Get coordinates of the place
+    progress(`\n[1/4] Geocoding "${placeName}"...`);
+    const placeLocation = await geocode(placeName);
+    progress(`✓ Found: ${placeLocation.formatted_address}`);
+    progress(`  Coordinates: ${placeLocation.lat}, ${placeLocation.lng}`);
+
+    // Find nearest stops
+    progress(`\n[2/4] Finding nearest stops...`);
+    const nearestStops = walkingDistances(placeLocation.lat, placeLocation.lng,
+        findNearestStops(placeLocation.lat, placeLocation.lng, 100));
+    if (nearestStops.length === 0) {
+        throw new QueryError(`No stop within a ${DEFAULT_MAX_WALK_KM} km walk of ${placeLocation.formatted_address}`);
     }
+    progress(`✓ Found ${nearestStops.length} nearby stops:`);
+    nearestStops.slice(0, 5).forEach((stop, idx) => {
+        progress(`  ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${stop.distance.toFixed(2)} km`);
+    });
 
-    console.log(`  Checked ${Object.keys(matchesByDest).length} destination stops with direct connections.`);
+    // Preload all transit data once
+    progress(`\n[3/4] Searching for direct trips from ${stopA}...`);
+    const preloadedData = preloadTransitData(dayName, todayDate, routeType);
 
-    return bestTrip;
-}
+    // Find direct trips from stopA to any of these nearest stops
+    let results = findBestDirectTrips(stopA, nearestStops, userTime, preloadedData, weights, limit);
 
-async function main() {
-    const todayDate = getYYYYMMDD();
-    const dayName = getDayName();
-    const args = process.argv.slice(2);
+    // Load all stops for later use
+    const allStops = loadStops();
 
-    // Check for --to-place mode
-    const toPlaceMode = args[0] === '--to-place';
+    // If no direct trip found, check nearby walkable stops from source
+    if (results.length === 0) {
+        progress(`  No direct connection found. Checking nearby walkable stops...`);
 
-    if (toPlaceMode) {
-        if (args.length < 3) {
-            console.log("Usage: node find_next_transit.js --to-place <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]");
-            console.log("Example: node find_next_transit.js --to-place 12901 'Dubai Mall' 08:00:00 1");
-            console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
-            process.exit(1);
-        }
+        // Get source stop coordinates
+        const sourceStop = allStops.find(s => s.stop_id === stopA);
 
-        const stopA = args[1];
-        const placeName = args[2];
-        const userTime = args[3] || getCurrentTime();
-        const routeType = args[4] || null;
-
-        console.log(`Finding transit from stop ${stopA} to nearest stop to "${placeName}"...`);
-
-        try {
-            // Get coordinates of the place
-            console.log(`\n[1/4] Geocoding "${placeName}"...`);
-            const placeLocation = await getLatLngFromPlace(placeName);
-            console.log(`✓ Found: ${placeLocation.formatted_address}`);
-            console.log(`  Coordinates: ${placeLocation.lat}, ${placeLocation.lng}`);
-
-            // Find nearest stops
-            console.log(`\n[2/4] Finding nearest stops...`);
-            const nearestStops = findNearestStops(placeLocation.lat, placeLocation.lng, 100);
-            console.log(`✓ Found ${nearestStops.length} nearby stops:`);
-            nearestStops.slice(0, 5).forEach((stop, idx) => {
-                console.log(`  ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${stop.distance.toFixed(2)} km`);
-            });
+        if (sourceStop && sourceStop.stop_lat !== null && sourceStop.stop_lon !== null) {
+            // Find stops within walking distance of source (2km = ~20-25 min walk)
+            const nearbySourceStops = walkingDistancesFromStop(sourceStop, findStopsWithin(
+                sourceStop.stop_lat,
+                sourceStop.stop_lon,
+                2.0, // 2000m in km
+                { maxResults: 100 }
+            ).filter(s => s.stop_id !== stopA), { maxKm: 2.0 });
 
-            // Preload all transit data once
-            console.log(`\n[3/4] Searching for direct trips from ${stopA}...`);
-            const preloadedData = preloadTransitData(dayName, todayDate, routeType);
-
-            // Find direct trips from stopA to any of these nearest stops
-            let result = findBestDirectTrip(stopA, nearestStops, userTime, preloadedData);
-
-            // Load all stops for later use
-            const allStops = loadFile('stops.txt');
-
-            // If no direct trip found, check nearby walkable stops from source
-            if (!result) {
-                console.log(`  No direct connection found. Checking nearby walkable stops...`);
-
-                // Get source stop coordinates
-                const sourceStop = allStops.find(s => s.stop_id === stopA);
-
-                if (sourceStop && sourceStop.stop_lat && sourceStop.stop_lon) {
-                    // Find stops within walking distance of source (2km = ~20-25 min walk)
-                    const nearbySourceStops = findNearestStops(
-                        parseFloat(sourceStop.stop_lat),
-                        parseFloat(sourceStop.stop_lon),
-                        100
-                    ).filter(s => s.stop_id !== stopA && s.distance <= 2.0); // 2000m in km
-
-                    console.log(`  Found ${nearbySourceStops.length} walkable stops near ${stopA} (within 2km)`);
-
-                    if (nearbySourceStops.length > 0) {
-                        nearbySourceStops.slice(0, 3).forEach((stop, idx) => {
-                            const distDisplay = stop.distance < 1
-                                ? `${(stop.distance * 1000).toFixed(0)}m`
-                                : `${stop.distance.toFixed(2)}km`;
-                            console.log(`    ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${distDisplay}`);
-                        });
-
-                        // Try nearby source stops in parallel batches with progress indicator
-                        let bestTransferOption = null;
-                        let bestTransferStop = null;
-
-                        const BATCH_SIZE = 10; // Process 10 stops at a time in parallel
-                        let checked = 0;
-
-                        for (let i = 0; i < nearbySourceStops.length; i += BATCH_SIZE) {
-                            if (bestTransferOption) break; // Stop if we found one
-
-                            const batch = nearbySourceStops.slice(i, i + BATCH_SIZE);
-                            console.log(`  Checking stops ${i + 1}-${Math.min(i + BATCH_SIZE, nearbySourceStops.length)} of ${nearbySourceStops.length}...`);
-
-                            // Check all stops in batch in parallel
-                            const batchResults = await Promise.all(
-                                batch.map(async (nearbyStop) => {
-                                    const transferResult = findBestDirectTrip(
-                                        nearbyStop.stop_id,
-                                        nearestStops,
-                                        userTime,
-                                        preloadedData
-                                    );
-                                    return { nearbyStop, transferResult };
-                                })
-                            );
+            progress(`  Found ${nearbySourceStops.length} walkable stops near ${stopA} (within 2km)`);
+
+            if (nearbySourceStops.length > 0) {
+                nearbySourceStops.slice(0, 3).forEach((stop, idx) => {
+                    const distDisplay = stop.distance < 1
+                        ? `${(stop.distance * 1000).toFixed(0)}m`
+                        : `${stop.distance.toFixed(2)}km`;
+                    progress(`    ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${distDisplay}`);
+                });
 
-                            checked += batch.length;
-
-                            // Check if any succeeded
-                            for (const { nearbyStop, transferResult } of batchResults) {
-                                if (transferResult) {
-                                    bestTransferOption = transferResult;
-                                    bestTransferStop = nearbyStop;
-                                    console.log(`  ✓ Found connection via nearby stop: ${bestTransferStop.stop_name} (checked ${checked}/${nearbySourceStops.length} stops)`);
-                                    break;
-                                }
-                            }
-                        }
-
-                        if (!bestTransferOption && checked > 0) {
-                            console.log(`  ✗ No connections found after checking all ${checked} nearby stops`);
-                        }
-
-                        if (bestTransferOption) {
-                            result = {
-                                ...bestTransferOption,
-                                requiresWalk: true,
-                                walkFrom: stopA,
-                                walkTo: bestTransferStop.stop_id,
-                                walkDistance: bestTransferStop.distance,
-                                walkTime: Math.ceil(bestTransferStop.distance * 1000 / 80) // 80m/min walking speed
-                            };
-                        }
+                // Try nearby source stops in parallel batches with progress indicator
+                const BATCH_SIZE = 10; // Process 10 stops at a time in parallel
+                let checked = 0;
+
+                for (let i = 0; i < nearbySourceStops.length; i += BATCH_SIZE) {
+                    if (results.length > 0) break; // Stop if we found one
+
+                    const batch = nearbySourceStops.slice(i, i + BATCH_SIZE);
+                    progress(`  Checking stops ${i + 1}-${Math.min(i + BATCH_SIZE, nearbySourceStops.length)} of ${nearbySourceStops.length}...`);
+
+                    // Check all stops in batch in parallel
+                    const batchResults = await Promise.all(
+                        batch.map(async (nearbyStop) => {
+                            // Board once the walk there is done
+                            const walkTime = Math.ceil(nearbyStop.distance * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+                            const transferResults = findBestDirectTrips(
+                                nearbyStop.stop_id,
+                                nearestStops,
+                                secondsToTime(timeToSeconds(userTime) + walkTime * 60),
+                                preloadedData,
+                                weights,
+                                limit
+                            );
+                            return transferResults.map(transferResult => ({ nearbyStop, walkTime, transferResult }));
+                        })
+                    );
+
+                    checked += batch.length;
+
+                    // Keep the best-ranked connections of the batch, walk to the stop included
+                    const bestInBatch = pickTopItineraries(
+                        batchResults.flat(),
+                        ({ walkTime, transferResult }) => tripItinerary(transferResult, nearestStops, userTime, walkTime),
+                        weights,
+                        limit
+                    );
+                    results = bestInBatch.map(({ candidate, score, criteria }) => ({
+                        ...candidate.transferResult,
+                        score,
+                        criteria,
+                        requiresWalk: true,
+                        walkFrom: stopA,
+                        walkTo: candidate.nearbyStop.stop_id,
+                        walkDistance: candidate.nearbyStop.distance,
+                        walkTime: candidate.walkTime
+                    }));
+                    if (results.length > 0) {
+                        const walkToStop = allStops.find(s => s.stop_id === results[0].walkTo);
+                        progress(`  ✓ Found connection via nearby stop: ${walkToStop.stop_name} (checked ${checked}/${nearbySourceStops.length} stops)`);
                     }
                 }
-            }
 
-            console.log(`\n[4/4] Results:`);
-            if (result) {
-                const destStop = nearestStops.find(s => s.stop_id === result.stopB);
-
-                if (result.requiresWalk) {
-                    // Show walk + transit option
-                    const walkFromStop = allStops.find(s => s.stop_id === result.walkFrom);
-                    const walkToStop = allStops.find(s => s.stop_id === result.walkTo);
-
-                    const walkDistDisplay = result.walkDistance < 1
-                        ? `${(result.walkDistance * 1000).toFixed(0)} meters`
-                        : `${result.walkDistance.toFixed(2)} km`;
-
-                    console.log(`\n✓ Found transit with walk:`);
-                    console.log(`\n[WALK] ${walkFromStop.stop_name} → ${walkToStop.stop_name}`);
-                    console.log(`  Distance: ${walkDistDisplay}`);
-                    console.log(`  Walking time: ~${result.walkTime} minute(s)`);
-
-                    console.log(`\n[TRANSIT] ${walkToStop.stop_name} → ${destStop.stop_name}`);
-                    console.log(`  Route: ${result.route_id}`);
-                    console.log(`  Trip Headsign: ${result.headsign}`);
-                    console.log(`  Departure: ${result.departure_time}`);
-                    console.log(`  Arrival: ${result.arrival_at_B}`);
-
-                    const [depH, depM] = result.departure_time.split(':').map(Number);
-                    const [arrH, arrM] = result.arrival_at_B.split(':').map(Number);
-                    const transitMinutes = (arrH * 60 + arrM) - (depH * 60 + depM);
-                    const totalMinutes = result.walkTime + transitMinutes;
-
-                    console.log(`\n  Transit time: ${transitMinutes} minutes`);
-                    console.log(`  Total time (walk + transit): ${totalMinutes} minutes`);
-                    console.log(`  Final distance to ${placeName}: ${destStop.distance.toFixed(2)} km`);
-                } else {
-                    // Show direct option
-                    console.log(`\n✓ Found direct transit to: ${destStop.stop_name} (${destStop.stop_id})`);
-                    console.log(`  Distance from ${placeName}: ${destStop.distance.toFixed(2)} km`);
-                    console.log(`\nRoute: ${result.route_id}`);
-                    console.log(`Trip Headsign: ${result.headsign}`);
-                    console.log(`Departure from ${stopA}: ${result.departure_time}`);
-                    console.log(`Arrival at ${destStop.stop_id}: ${result.arrival_at_B}`);
-
-                    const [depH, depM] = result.departure_time.split(':').map(Number);
-                    const [arrH, arrM] = result.arrival_at_B.split(':').map(Number);
-                    const travelMinutes = (arrH * 60 + arrM) - (depH * 60 + depM);
-                    console.log(`Travel time: ${travelMinutes} minutes`);
+                if (results.length === 0 && checked > 0) {
+                    progress(`  ✗ No connections found after checking all ${checked} nearby stops`);
                 }
-            } else {
-                console.log(`\n✗ No transit found from stop ${stopA} (or nearby walkable stops) to ${placeName} after ${userTime}.`);
-                console.log(`\nTry these alternatives:`);
-                console.log(`  - Check earlier times today`);
-                console.log(`  - Use a different starting stop`);
-                console.log(`  - Consider multi-leg journeys with transfers`);
             }
-        } catch (error) {
-            console.error(`\nError: ${error.message}`);
-            process.exit(1);
         }
-
-        return;
     }
 
-    // Original mode: two stop IDs
-    if (args.length < 2) {
-        console.log("Usage:");
-        console.log("  Mode 1: node find_next_transit.js <STOP_A_ID> <STOP_B_ID> [HH:MM:SS] [route_type]");
-        console.log("  Mode 2: node find_next_transit.js --to-place <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]");
-        console.log("\nExamples:");
-        console.log("  node find_next_transit.js 12901 13402 08:00:00 1");
-        console.log("  node find_next_transit.js --to-place 12901 'Dubai Mall' 08:00:00");
-        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
-        process.exit(1);
-    }
 
-    const stopA = args[0];
-    const stopB = args[1];
-    const userTime = args[2] || getCurrentTime();
-    const routeType = args[3] || null;
+    return addLegGeometry(resultJson('find_next_transit', {
+        origin: stopA,
+        destination: { name: placeLocation.formatted_address, lat: placeLocation.lat, lng: placeLocation.lng },
+        date: todayDate,
+        time: userTime,
+        weights
+    }, results.map(result => tripJson(
+        result,
+        result.stopB,
+        nearestStops.find(s => s.stop_id === result.stopB).distance
+    ))), preloadedData.timetable);
+}
 
+/**
+ * Next direct trips from one stop to another
+ */
+function searchToStop(stopA, stopB, routeType, { todayDate, dayName, userTime, weights, limit }) {
     const routeTypeNames = {
         '0': 'Tram', '1': 'Metro', '2': 'Rail', '3': 'Bus',
         '4': 'Ferry', '5': 'Cable car', '6': 'Gondola', '7': 'Funicular'
     };
 
-    console.log(`Looking for transit from ${stopA} to ${stopB} after ${userTime} on ${dayName} (${todayDate})...`);
+    progress(`Looking for transit from ${stopA} to ${stopB} after ${userTime} on ${dayName} (${todayDate})...`);
     if (routeType) {
-        console.log(`Filtering for: ${routeTypeNames[routeType] || 'Unknown'} (type ${routeType})`);
+        progress(`Filtering for: ${routeTypeNames[routeType] || 'Unknown'} (type ${routeType})`);
     }
 
-    // 1. Load Routes
-    const routes = loadFile('routes.txt');
-    const targetRouteIds = new Set(
-        routes
-            .filter(r => !routeType || r.route_type === routeType)
-            .map(r => r.route_id)
-    );
-    console.log(`Found ${targetRouteIds.size} routes.`);
-
-    // 2. Load Calendar (Active Services)
-    const calendar = loadFile('calendar.txt');
-    const activeServices = new Set(
-        calendar
-            .filter(c => {
-                const startDate = parseInt(c.start_date, 10);
-                const endDate = parseInt(c.end_date, 10);
-                const isActiveDay = c[dayName] === '1';
-                return isActiveDay && todayDate >= startDate && todayDate <= endDate;
-            })
-            .map(c => c.service_id)
-    );
+    // 1-4. Load routes, today's services (plus yesterday's trips past midnight) and stop times
+    const preloadedData = preloadTransitData(dayName, todayDate, routeType);
+    const { timetable } = preloadedData;
 
-    console.log(`Found ${activeServices.size} active service IDs for today.`);
-
-    // 3. Load Trips
-    const allTrips = loadFile('trips.txt');
-    const validTrips = allTrips.filter(t =>
-        targetRouteIds.has(t.route_id) && activeServices.has(t.service_id)
-    );
-    const validTripIds = new Set(validTrips.map(t => t.trip_id));
+    const query = { origin: stopA, destination: stopB, date: todayDate, time: userTime, weights };
 
-    const tripRouteMap = {};
-    validTrips.forEach(t => {
-        tripRouteMap[t.trip_id] = t;
-    });
+    if (Object.keys(preloadedData.tripRouteMap).length === 0) {
+        progress("No trips running today found.");
+        return resultJson('find_next_transit', query, []);
+    }
 
-    console.log(`Found ${validTripIds.size} valid trips running today.`);
+    const tripsWithA = (timetable.tripsByStop.get(stopA) || []).length;
+    const tripsWithB = (timetable.tripsByStop.get(stopB) || []).length;
+    progress(`Debug: Trips with Stop A (${stopA}): ${tripsWithA}`);
+    progress(`Debug: Trips with Stop B (${stopB}): ${tripsWithB}`);
+
+    // 5. Find trips with A -> B (in departure order)
+    const skipLog = createSkipLog();
+    const matches = getTripsBetween(timetable, stopA, stopB, skipLog).map(trip => ({
+        trip_id: trip.trip_id,
+        departure_time: trip.departure_time,
+        arrival_at_B: trip.arrival_time,
+        route_id: trip.route_id,
+        headsign: trip.headsign
+    }));
+
+    // 6. Best-ranked trips after the query time (the next one unless a later trip arrives sooner)
+    const userSeconds = timeToSeconds(userTime);
+    const best = pickTopItineraries(
+        matches.filter(m => timeToSeconds(m.departure_time) > userSeconds),
+        m => ({
+            startTime: userTime,
+            legs: [{ from: stopA, departure: m.departure_time, arrival: m.arrival_at_B, trip_id: m.trip_id, route_id: m.route_id }]
+        }),
+        weights,
+        limit
+    );
+    logSkipped(skipLog);
 
-    if (validTripIds.size === 0) {
-        console.log("No trips running today found.");
-        return;
+    if (best.length === 0 && matches.length > 0) {
+        progress(`\nEarlier trips today were available at: ${matches.slice(0, 5).map(m => m.departure_time).join(', ')}${matches.length > 5 ? ` ... and ${matches.length - 5} more` : ''}`);
     }
 
-    // 4. Load Stop Times
-    const rawStopTimes = fs.readFileSync(path.join(DATA_DIR, 'stop_times.txt'), 'utf8');
-    const stopTimeLines = rawStopTimes.trim().split('\n');
+    return addLegGeometry(resultJson('find_next_transit', query, best.map(({ candidate, score, criteria }) =>
+        tripJson({ ...candidate, stopA, score, criteria }, stopB, 0))), timetable);
+}
 
-    const stHeaders = stopTimeLines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-    const tripIdx = stHeaders.indexOf('trip_id');
-    const stopIdx = stHeaders.indexOf('stop_id');
-    const seqIdx = stHeaders.indexOf('stop_sequence');
-    const arrIdx = stHeaders.indexOf('arrival_time');
-    const depIdx = stHeaders.indexOf('departure_time');
+/**
+ * Find the next direct trips from a stop to another stop, or to a place
+ * @param {Object} options - The shared options of lib/query.js, plus:
+ * @param {string} options.from - stop_id to board at
+ * @param {string} [options.to] - stop_id to ride to
+ * @param {string} [options.toPlace] - Place name: ride to one of its nearest stops instead
+ * @param {string|number} [options.routeType] - Only ride routes of this route_type
+ * @returns {Promise<Object>} - Itinerary document (lib/itinerary_json.js), best first
+ */
+function nextDeparture(options) {
+    return withProgress(options.log, async () => {
+        if (!options.from || !(options.to || options.toPlace)) {
+            throw new QueryError('A stop to leave from and a stop or place to go to are required');
+        }
+        const routeType = options.routeType !== undefined && options.routeType !== null ? String(options.routeType) : null;
+        const query = resolveQuery(options);
 
-    const tripStops = {};
+        return options.toPlace
+            ? searchToPlace(options.from, options.toPlace, routeType, query)
+            : searchToStop(options.from, options.to, routeType, query);
+    });
+}
 
-    for (let i = 1; i < stopTimeLines.length; i++) {
-        const line = stopTimeLines[i];
-        const parts = line.split('","');
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
+/**
+ * Print one trip found in --to-place mode, with the walk to its stop when it needs one
+ * @param {Object} itinerary - From nextDeparture
+ * @param {Object} context - { stopA, placeName }
+ */
+function printPlaceResult(itinerary, { stopA, placeName }) {
+    const walk = itinerary.legs[0].mode === 'WALK' ? itinerary.legs[0] : null;
+    const ride = itinerary.legs[itinerary.legs.length - 1];
+    const destStop = itinerary.finalStop;
+    const ranking = itinerary.ranking;
+
+    if (walk) {
+        // Show walk + transit option
+        const walkDistDisplay = walk.distanceKm < 1
+            ? `${(walk.distanceKm * 1000).toFixed(0)} meters`
+            : `${walk.distanceKm.toFixed(2)} km`;
+
+        console.log(`\n✓ Found transit with walk:`);
+        console.log(`\n[WALK] ${walk.from.name} → ${walk.to.name}`);
+        console.log(`  Distance: ${walkDistDisplay}`);
+        console.log(`  Walking time: ~${walk.durationMinutes} minute(s)`);
+
+        console.log(`\n[TRANSIT] ${walk.to.name} → ${destStop.name}`);
+        console.log(`  Route: ${ride.route.route_id}`);
+        console.log(`  Trip Headsign: ${ride.headsign}`);
+        console.log(`  Departure: ${ride.departure}`);
+        console.log(`  Arrival: ${ride.arrival}`);
+
+        console.log(`\n  Transit time: ${ride.durationMinutes} minutes`);
+        console.log(`  Total time (walk + transit): ${walk.durationMinutes + ride.durationMinutes} minutes`);
+        console.log(`  Final distance to ${placeName}: ${itinerary.finalWalkKm.toFixed(2)} km`);
+        console.log(`  Ranking: ${formatCriteria(ranking.criteria)} (score ${ranking.score})`);
+    } else {
+        // Show direct option
+        console.log(`\n✓ Found direct transit to: ${destStop.name} (${destStop.stop_id})`);
+        console.log(`  Distance from ${placeName}: ${itinerary.finalWalkKm.toFixed(2)} km`);
+        console.log(`\nRoute: ${ride.route.route_id}`);
+        console.log(`Trip Headsign: ${ride.headsign}`);
+        console.log(`Departure from ${stopA}: ${ride.departure}`);
+        console.log(`Arrival at ${destStop.stop_id}: ${ride.arrival}`);
+        console.log(`Travel time: ${ride.durationMinutes} minutes`);
+        console.log(`Ranking: ${formatCriteria(ranking.criteria)} (score ${ranking.score})`);
+    }
+}
 
-        const tId = parts[tripIdx];
+async function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['_', 'date', 'timezone', 'limit', ...WEIGHT_OPTIONS],
+        boolean: ['to-place', 'json']
+    });
+    const args = argv._;
+    if (argv.json) {
+        enableJsonMode();
+    }
 
-        if (!validTripIds.has(tId)) continue;
+    let weights;
+    let limit;
+    try {
+        weights = resolveWeights(argv);
+        limit = parseLimit(argv.limit);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
 
-        const sId = parts[stopIdx];
+    // Check for --to-place mode
+    const toPlaceMode = argv['to-place'];
 
-        if (sId === stopA || sId === stopB) {
-            if (!tripStops[tId]) tripStops[tId] = {};
-            tripStops[tId][sId] = {
-                seq: parseInt(parts[seqIdx], 10),
-                dep: parts[depIdx],
-                arr: parts[arrIdx]
-            };
+    if (toPlaceMode) {
+        if (args.length < 2) {
+            console.log("Usage: node find_next_transit.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json] --to-place <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]");
+            console.log("Example: node find_next_transit.js --to-place 12901 'Dubai Mall' 08:00:00 1");
+            console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
+            process.exit(1);
         }
+    } else if (args.length < 2) {
+        console.log("Usage:");
+        console.log("  Mode 1: node find_next_transit.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json] <STOP_A_ID> <STOP_B_ID> [HH:MM:SS] [route_type]");
+        console.log("  Mode 2: node find_next_transit.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json] --to-place <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]");
+        console.log("\nExamples:");
+        console.log("  node find_next_transit.js 12901 13402 08:00:00 1");
+        console.log("  node find_next_transit.js --to-place 12901 'Dubai Mall' 08:00:00");
+        console.log("  node find_next_transit.js --date 2026-03-30 12901 13402 08:00:00");
+        console.log("  node find_next_transit.js --limit 3 12901 13402 08:00:00");
+        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
+        process.exit(1);
     }
 
-    const tripsWithA = Object.values(tripStops).filter(s => s[stopA]).length;
-    const tripsWithB = Object.values(tripStops).filter(s => s[stopB]).length;
-    console.log(`Debug: Trips with Stop A (${stopA}): ${tripsWithA}`);
-    console.log(`Debug: Trips with Stop B (${stopB}): ${tripsWithB}`);
-
-    console.log(`Scanned stop_times, found relevant stops in ${Object.keys(tripStops).length} trips.`);
-
-    // 5. Find trips with A -> B
-    const matches = [];
-
-    for (const [tId, stops] of Object.entries(tripStops)) {
-        if (stops[stopA] && stops[stopB]) {
-            if (stops[stopA].seq < stops[stopB].seq) {
-                matches.push({
-                    trip_id: tId,
-                    departure_time: stops[stopA].dep,
-                    arrival_at_B: stops[stopB].arr,
-                    route_id: tripRouteMap[tId].route_id,
-                    headsign: tripRouteMap[tId].trip_headsign
-                });
+    const stopA = args[0];
+    let plan;
+    try {
+        plan = await nextDeparture({
+            from: stopA,
+            to: toPlaceMode ? undefined : args[1],
+            toPlace: toPlaceMode ? args[1] : undefined,
+            date: argv.date,
+            time: args[2],
+            timezone: argv.timezone,
+            routeType: args[3] || null,
+            weights,
+            limit,
+            log: console.log
+        });
+    } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (argv.json) {
+        printJson(plan);
+        return;
+    }
+
+    const results = plan.itineraries;
+    const userTime = plan.query.time;
+
+    if (toPlaceMode) {
+        const placeName = args[1];
+        console.log(`\n[4/4] Results:`);
+        if (results.length > 0) {
+            if (limit > 1) {
+                console.log(`\n${results.length} distinct trip(s) found (--limit ${limit}), best first`);
             }
+            results.forEach((itinerary, idx) => {
+                if (results.length > 1) {
+                    console.log(`\n--- Option ${idx + 1} of ${results.length} ---`);
+                }
+                printPlaceResult(itinerary, { stopA, placeName });
+            });
+        } else {
+            console.log(`\n✗ No transit found from stop ${stopA} (or nearby walkable stops) to ${placeName} after ${userTime}.`);
+            console.log(`\nTry these alternatives:`);
+            console.log(`  - Check earlier times today`);
+            console.log(`  - Use a different starting stop`);
+            console.log(`  - Consider multi-leg journeys with transfers`);
         }
+        return;
     }
 
-    // 6. Filter for next trip
-    matches.sort((a, b) => a.departure_time.localeCompare(b.departure_time));
-
-    const nextTrip = matches.find(m => m.departure_time > userTime);
-
-    if (nextTrip) {
-        console.log(`\n✓ Next transit from ${stopA} to ${stopB}:`);
-        console.log(`Route: ${nextTrip.route_id}`);
-        console.log(`Trip Headsign: ${nextTrip.headsign}`);
-        console.log(`Departure: ${nextTrip.departure_time}`);
-        console.log(`Arrival at Dest: ${nextTrip.arrival_at_B}`);
-
-        // Calculate travel time
-        const [depH, depM, depS] = nextTrip.departure_time.split(':').map(Number);
-        const [arrH, arrM, arrS] = nextTrip.arrival_at_B.split(':').map(Number);
-        const depMinutes = depH * 60 + depM;
-        const arrMinutes = arrH * 60 + arrM;
-        const travelMinutes = arrMinutes - depMinutes;
-        console.log(`Travel time: ${travelMinutes} minutes`);
+    const stopB = args[1];
+    if (results.length > 0) {
+        results.forEach((itinerary, idx) => {
+            const ride = itinerary.legs[0];
+            if (results.length > 1) {
+                console.log(`\n--- Option ${idx + 1} of ${results.length} ---`);
+            }
+            console.log(`\n✓ ${idx === 0 ? 'Next' : 'Alternative'} transit from ${stopA} to ${stopB}:`);
+            console.log(`Route: ${ride.route.route_id}`);
+            console.log(`Trip Headsign: ${ride.headsign}`);
+            console.log(`Departure: ${ride.departure}`);
+            console.log(`Arrival at Dest: ${ride.arrival}`);
+            console.log(`Travel time: ${ride.durationMinutes} minutes`);
+            console.log(`Ranking: ${formatCriteria(itinerary.ranking.criteria)} (score ${itinerary.ranking.score})`);
+        });
     } else {
         console.log(`\n✗ No direct transit found from ${stopA} to ${stopB} after ${userTime} today.`);
-        if (matches.length > 0) {
-            console.log(`\nEarlier trips today were available at: ${matches.slice(0, 5).map(m => m.departure_time).join(', ')}${matches.length > 5 ? ` ... and ${matches.length - 5} more` : ''}`);
-        }
     }
 }
 
-main();
+module.exports = { nextDeparture };
 
+if (require.main === module) {
+    main();
+}
@@ -6,96 +6,77 @@
  * This script finds routes from a stop to a place using BFS to find paths with fewest transfers.
  * Supports up to N transfers (default: 3).
  * 
+ * The origin may also be a place or a "lat,lng" pair: BFS then runs from each
+ * of its nearest stops, after the walk there, and the route with the shortest
+ * walk + ride time wins.
+ * 
+ * --limit K prints the K best distinct routes instead of one.
+ * --json prints them as JSON on stdout (see lib/itinerary_json.js), logs on stderr.
+ * --html FILE also writes an offline map of the search (lib/map_report.js).
+ * 
+ * The search is exported as bfsPlan(options) (see index.js); the CLI parses
+ * its arguments, calls it and prints the itineraries.
+ * 
  * Usage:
- *   node find_transit_bfs.js <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type] [max_transfers]
+ *   node find_transit_bfs.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json] [--html FILE] <ORIGIN> <PLACE_NAME> [HH:MM:SS] [route_type] [max_transfers]
  * 
  * Examples:
  *   node find_transit_bfs.js 227102 "Dubai Mall"
+ *   node find_transit_bfs.js 25.2655,55.3175 "Dubai Mall" 08:00:00
  *   node find_transit_bfs.js 227102 "Dubai Mall" 08:00:00
+ *   node find_transit_bfs.js --date 2026-03-30 227102 "Dubai Mall" 08:00:00
  *   node find_transit_bfs.js 227102 "Dubai Mall" 08:00:00 1 2
+ *   node find_transit_bfs.js --limit 3 227102 "Dubai Mall" 08:00:00
+ *   node find_transit_bfs.js --json 227102 "Dubai Mall" 08:00:00 > plan.json
+ *   node find_transit_bfs.js --html route.html 227102 "Dubai Mall" 08:00:00
  * 
  * Route types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry
- * max_transfers: Maximum number of transfers allowed (default: 3)
+ * max_transfers: Maximum number of transfers allowed, 0 to 2 (default: 2)
  */
 
 const fs = require('fs');
-const path = require('path');
-const https = require('https');
-
-const DATA_DIR = path.join(__dirname, 'data');
+const minimist = require('minimist');
+const { loadStops, preloadTransitData } = require('./lib/gtfs_feed');
+const {
+    timeToSeconds,
+    timeDifferenceMinutes,
+    secondsToTime,
+    getDirectConnections,
+    createSkipLog,
+    logSkipped
+} = require('./lib/timetable');
+const { geocode } = require('./lib/geocoder');
+const { resolveOrigin, describeLocation } = require('./lib/origin');
+const {
+    DEFAULT_WEIGHTS,
+    WEIGHT_OPTIONS,
+    resolveWeights,
+    scoreItinerary,
+    itinerarySignature,
+    pickTopItineraries,
+    parseLimit,
+    formatCriteria,
+    formatWeights
+} = require('./lib/itinerary_score');
+const { getTransferOptions } = require('./lib/transfers');
+const { findNearestStops, findStopsWithin } = require('./lib/stop_index');
+const { DEFAULT_MAX_WALK_KM, DEFAULT_WALKING_SPEED_M_PER_MIN, walkingDistances, walkingDistancesFromStop } = require('./lib/walk_router');
+const { enableJsonMode, printJson, transitLegJson, walkLegJson, itineraryJson, resultJson } = require('./lib/itinerary_json');
+const { addLegGeometry } = require('./lib/shapes');
+const { candidatesJson, mapReportHtml } = require('./lib/map_report');
+const { resolveQuery } = require('./lib/query');
+const { progress, withProgress } = require('./lib/progress');
+const { QueryError } = require('./lib/query_error');
 
 // ===== CONFIGURATION =====
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-const TRANSFER_TIME_MINUTES = 5; // Minimum transfer time in minutes
 const MAX_DESTINATIONS_NEAR_PLACE = 20; // How many stops near destination to check
 const DEFAULT_MAX_TRANSFERS = 2; // Default maximum transfers allowed
 const MAX_NEARBY_STOPS_TO_CHECK = 20; // Max nearby walkable stops to check
 const MAX_WALKING_DISTANCE_KM = 0.5; // Maximum walking distance (500m)
+const MAX_ACCESS_STOPS = 5; // Nearest stops to walk to when the origin is a place
+const MAX_ACCESS_WALK_KM = 1.0; // Maximum walk from a place origin to its first stop
 // =========================
 
-// Helper to parse CSV lines
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const values = [];
-        let current = '';
-        let inQuote = false;
-
-        for (let j = 0; j < line.length; j++) {
-            const char = line[j];
-            if (char === '"') {
-                inQuote = !inQuote;
-            } else if (char === ',' && !inQuote) {
-                values.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current);
-
-        const entry = {};
-        headers.forEach((h, idx) => {
-            entry[h] = values[idx] ? values[idx].replace(/^"|"$/g, '') : '';
-        });
-        data.push(entry);
-    }
-    return data;
-}
-
-function loadFile(filename) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-        console.error(`File not found: ${filename}`);
-        return [];
-    }
-    return parseCSV(fs.readFileSync(filePath, 'utf8'));
-}
-
-function getDayName() {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    return days[new Date().getDay()];
-}
-
-function getCurrentTime() {
-    const now = new Date();
-    return now.toTimeString().split(' ')[0]; // HH:MM:SS
-}
-
-function getYYYYMMDD() {
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, '0');
-    const d = String(now.getDate()).padStart(2, '0');
-    return parseInt(`${y}${m}${d}`, 10);
-}
-
 /**
  * Get transit type name from route type code
  */
@@ -114,238 +95,18 @@ function getTransitTypeName(routeType) {
 }
 
 /**
- * Get latitude and longitude of a place using Google Maps Geocoding API
+ * Parse a maximum number of transfers: the BFS searches at most 2
+ * @param {string|number|undefined} value - max_transfers argument or maxTransfers option
+ * @returns {number} - DEFAULT_MAX_TRANSFERS when not given
+ * @throws {QueryError} - When the value is not an integer from 0 to 2
  */
-function getLatLngFromPlace(place) {
-    return new Promise((resolve, reject) => {
-        if (!GOOGLE_MAPS_API_KEY || GOOGLE_MAPS_API_KEY === 'YOUR_API_KEY_HERE') {
-            return reject(new Error('Google Maps API key not configured.'));
-        }
-
-        const encodedPlace = encodeURIComponent(place);
-        const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedPlace}&key=${GOOGLE_MAPS_API_KEY}`;
-
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                try {
-                    const response = JSON.parse(data);
-                    if (response.status === 'OK' && response.results.length > 0) {
-                        const location = response.results[0].geometry.location;
-                        resolve({
-                            lat: location.lat,
-                            lng: location.lng,
-                            formatted_address: response.results[0].formatted_address
-                        });
-                    } else {
-                        reject(new Error(`Geocoding failed: ${response.status}`));
-                    }
-                } catch (error) {
-                    reject(new Error(`Failed to parse response: ${error.message}`));
-                }
-            });
-        }).on('error', (error) => {
-            reject(new Error(`Network error: ${error.message}`));
-        });
-    });
-}
-
-/**
- * Calculate distance between two coordinates using Haversine formula
- */
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-/**
- * Find nearest stops to a given location
- */
-function findNearestStops(targetLat, targetLng, maxResults = 10) {
-    const stops = loadFile('stops.txt');
-
-    const stopsWithDistance = stops
-        .filter(stop => stop.stop_lat && stop.stop_lon)
-        .map(stop => {
-            const distance = calculateDistance(
-                targetLat,
-                targetLng,
-                parseFloat(stop.stop_lat),
-                parseFloat(stop.stop_lon)
-            );
-            return {
-                ...stop,
-                distance: distance
-            };
-        })
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, maxResults);
-
-    return stopsWithDistance;
-}
-
-/**
- * Add minutes to a time string (HH:MM:SS)
- */
-function addMinutesToTime(timeStr, minutes) {
-    const [h, m, s] = timeStr.split(':').map(Number);
-    const totalMinutes = h * 60 + m + minutes;
-    const newH = Math.floor(totalMinutes / 60) % 24;
-    const newM = totalMinutes % 60;
-    return `${String(newH).padStart(2, '0')}:${String(newM).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
-}
-
-/**
- * Compare two time strings (HH:MM:SS)
- * Returns: -1 if time1 < time2, 0 if equal, 1 if time1 > time2
- */
-function compareTime(time1, time2) {
-    const [h1, m1, s1] = time1.split(':').map(Number);
-    const [h2, m2, s2] = time2.split(':').map(Number);
-    const total1 = h1 * 3600 + m1 * 60 + s1;
-    const total2 = h2 * 3600 + m2 * 60 + s2;
-    if (total1 < total2) return -1;
-    if (total1 > total2) return 1;
-    return 0;
-}
-
-/**
- * Calculate time difference in minutes
- */
-function timeDifferenceMinutes(time1, time2) {
-    const [h1, m1] = time1.split(':').map(Number);
-    const [h2, m2] = time2.split(':').map(Number);
-    return (h2 * 60 + m2) - (h1 * 60 + m1);
-}
-
-/**
- * Preload all transit data once for efficiency
- */
-function preloadTransitData(dayName, todayDate, routeType) {
-    console.log(`  Preloading transit data...`);
-
-    // 1. Load Routes
-    const routes = loadFile('routes.txt');
-    const targetRouteIds = new Set(
-        routes
-            .filter(r => !routeType || r.route_type === routeType)
-            .map(r => r.route_id)
-    );
-
-    // 2. Load Calendar (Active Services)
-    const calendar = loadFile('calendar.txt');
-    const activeServices = new Set(
-        calendar
-            .filter(c => {
-                const startDate = parseInt(c.start_date, 10);
-                const endDate = parseInt(c.end_date, 10);
-                const isActiveDay = c[dayName] === '1';
-                return isActiveDay && todayDate >= startDate && todayDate <= endDate;
-            })
-            .map(c => c.service_id)
-    );
-
-    // 3. Load Trips
-    const allTrips = loadFile('trips.txt');
-    const validTrips = allTrips.filter(t =>
-        targetRouteIds.has(t.route_id) && activeServices.has(t.service_id)
-    );
-    const validTripIds = new Set(validTrips.map(t => t.trip_id));
-
-    const tripRouteMap = {};
-    validTrips.forEach(t => {
-        tripRouteMap[t.trip_id] = t;
-    });
-
-    // 4. Load Stop Times (ONCE!)
-    const rawStopTimes = fs.readFileSync(path.join(DATA_DIR, 'stop_times.txt'), 'utf8');
-    const stopTimeLines = rawStopTimes.trim().split('\n');
-
-    const stHeaders = stopTimeLines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-    console.log(`  ✓ Loaded ${validTripIds.size} valid trips and ${stopTimeLines.length - 1} stop times`);
-
-    return {
-        validTripIds,
-        tripRouteMap,
-        stopTimeLines,
-        stHeaders,
-        routes
-    };
-}
-
-/**
- * Get all direct connections from a stop after a given time
- * Returns array of { stop_id, arrival_time, departure_time, trip_id, route_id, headsign }
- * Builds connections on-the-fly for BFS
- */
-function getDirectConnections(stopId, afterTime, preloadedData) {
-    const { validTripIds, tripRouteMap, stopTimeLines, stHeaders } = preloadedData;
-
-    const tripIdx = stHeaders.indexOf('trip_id');
-    const stopIdx = stHeaders.indexOf('stop_id');
-    const seqIdx = stHeaders.indexOf('stop_sequence');
-    const arrIdx = stHeaders.indexOf('arrival_time');
-    const depIdx = stHeaders.indexOf('departure_time');
-
-    // Build map of trip -> all stops with times
-    const tripStopMap = {}; // trip_id -> [{stop_id, seq, arr, dep}, ...]
-
-    for (let i = 1; i < stopTimeLines.length; i++) {
-        const line = stopTimeLines[i];
-        const parts = line.split('","');
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
-
-        const tId = parts[tripIdx];
-        if (!validTripIds.has(tId)) continue;
-
-        const sId = parts[stopIdx];
-        const seq = parseInt(parts[seqIdx], 10);
-        const arr = parts[arrIdx];
-        const dep = parts[depIdx];
-
-        if (!tripStopMap[tId]) tripStopMap[tId] = [];
-        tripStopMap[tId].push({ stop_id: sId, seq, arr, dep });
+function parseMaxTransfers(value) {
+    if (value === undefined) return DEFAULT_MAX_TRANSFERS;
+    const maxTransfers = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    if (!Number.isInteger(maxTransfers) || maxTransfers < 0 || maxTransfers > 2) {
+        throw new QueryError(`Invalid maxTransfers "${value}", expected 0, 1 or 2`);
     }
-
-    // Find all stops reachable from stopId after afterTime
-    const connections = [];
-
-    for (const [tripId, stops] of Object.entries(tripStopMap)) {
-        // Sort by sequence
-        stops.sort((a, b) => a.seq - b.seq);
-
-        // Find stopId in this trip
-        const stopIndex = stops.findIndex(s => s.stop_id === stopId);
-        if (stopIndex === -1) continue;
-
-        const stopInfo = stops[stopIndex];
-        // Only include trips that depart after the specified time
-        if (compareTime(stopInfo.dep, afterTime) <= 0) continue;
-
-        // All stops after stopId are reachable
-        for (let i = stopIndex + 1; i < stops.length; i++) {
-            const destStop = stops[i];
-            connections.push({
-                stop_id: destStop.stop_id,
-                arrival_time: destStop.arr,
-                departure_time: stopInfo.dep,
-                trip_id: tripId,
-                route_id: tripRouteMap[tripId].route_id,
-                headsign: tripRouteMap[tripId].trip_headsign
-            });
-        }
-    }
-
-    return connections;
+    return maxTransfers;
 }
 
 /**
@@ -356,9 +117,12 @@ function getDirectConnections(stopId, afterTime, preloadedData) {
  * @param {string} startTime - Starting time (HH:MM:SS)
  * @param {number} maxTransfers - Maximum number of transfers allowed
  * @param {Object} preloadedData - Preloaded transit data
- * @returns {Object|null} - Found path or null
+ * @param {Map} [skipLog] - Collects connections left out for pickup_type/drop_off_type
+ * @param {Object} [weights] - Ranking weights for routes reaching a target (lib/itinerary_score.js)
+ * @param {number} [limit=1] - Number of distinct routes to return
+ * @returns {Array<Object>} - Found paths, best first (empty if none)
  */
-function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransfers, preloadedData) {
+function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransfers, preloadedData, skipLog = null, weights = DEFAULT_WEIGHTS, limit = 1) {
     // Create distance map for quick lookup: stop_id -> distance
     const stopDistanceMap = new Map();
     targetStopsList.forEach(stop => {
@@ -377,13 +141,13 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
     }
     // Check if start stop is already a target (direct connection - no transit needed)
     if (targetStops.has(startStop)) {
-        return {
+        return [{
             path: [],
             finalStop: startStop,
             finalTime: startTime,
             numTransfers: 0,
             distanceToDestination: getMinDistanceToTarget(startStop)
-        };
+        }];
     }
 
     // Queue: [{ stop, time, path, numTransfers, distanceToTarget }]
@@ -401,10 +165,37 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
     // Using (stop, transfers) allows exploring same stop with fewer transfers
     const visited = new Set();
 
-    // Track best route found so far (closest to destination)
+    // Track best route found so far (lowest itinerary score) and its distance to the destination
     let bestRoute = null;
+    let bestScore = Infinity;
     let bestDistance = Infinity;
 
+    // Every route found, one per near-duplicate signature (lib/itinerary_score.js)
+    const found = new Map();
+
+    function recordRoute(route) {
+        const { score } = scoreItinerary({ startTime, legs: route.path, egressWalkKm: route.distanceToDestination }, weights);
+        const signature = itinerarySignature(route.path);
+        const known = found.get(signature);
+        if (!known || score < known.score) {
+            found.set(signature, { route, score });
+        }
+
+        // Update best route if it ranks better
+        if (score < bestScore) {
+            bestScore = score;
+            bestDistance = route.distanceToDestination;
+            bestRoute = route;
+        }
+    }
+
+    function topRoutes() {
+        return [...found.values()]
+            .sort((a, b) => a.score - b.score)
+            .slice(0, limit)
+            .map(entry => entry.route);
+    }
+
     let iterations = 0;
     const MAX_ITERATIONS = 20000; // Safety limit
 
@@ -416,23 +207,18 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
         // Check if we reached target
         if (targetStops.has(current.stop)) {
             const distance = getMinDistanceToTarget(current.stop);
+            recordRoute({
+                path: current.path,
+                finalStop: current.stop,
+                finalTime: current.time,
+                numTransfers: current.numTransfers,
+                distanceToDestination: distance
+            });
 
-            // Update best route if this is closer
-            if (distance < bestDistance) {
-                bestDistance = distance;
-                bestRoute = {
-                    path: current.path,
-                    finalStop: current.stop,
-                    finalTime: current.time,
-                    numTransfers: current.numTransfers,
-                    distanceToDestination: distance
-                };
-            }
-
-            // Continue searching for potentially closer stops
+            // Continue searching for potentially closer stops (or more alternatives)
             // Only stop early if we found a very close stop (< 0.35 km)
-            if (distance < 0.35) {
-                return bestRoute;
+            if (distance < 0.35 && found.size >= limit) {
+                return topRoutes();
             }
             continue;
         }
@@ -460,25 +246,28 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
         }
         visited.add(visitedKey);
 
-        // Get all direct connections from current stop
-        const connections = getDirectConnections(current.stop, current.time, preloadedData);
-
-        // Add transfer time for next connection (if not first leg)
-        const nextAvailableTime = current.path.length > 0
-            ? addMinutesToTime(current.time, TRANSFER_TIME_MINUTES)
-            : current.time;
-
-        for (const conn of connections) {
-            // Skip if connection departs before we can transfer
-            if (compareTime(conn.departure_time, nextAvailableTime) < 0) {
-                continue;
+        // Board here, or at a transfers.txt partner stop, once the minimum transfer
+        // time has passed (the first leg boards directly; forbidden transfers give no options)
+        const boardingOptions = current.path.length > 0
+            ? getTransferOptions(preloadedData.transferRules, current.stop)
+            : [{ stop_id: current.stop, seconds: 0 }];
+
+        const connections = [];
+        for (const option of boardingOptions) {
+            const readySeconds = timeToSeconds(current.time) + option.seconds;
+            for (const conn of getDirectConnections(preloadedData.timetable, option.stop_id, current.time, skipLog)) {
+                if (timeToSeconds(conn.departure_time) >= readySeconds) {
+                    connections.push(conn);
+                }
             }
+        }
 
+        for (const conn of connections) {
             // Check if this connection reaches a target stop directly
             if (targetStops.has(conn.stop_id)) {
                 // Found a path to a target stop!
                 const newLeg = {
-                    from: current.stop,
+                    from: conn.from_stop_id,
                     to: conn.stop_id,
                     departure: conn.departure_time,
                     arrival: conn.arrival_time,
@@ -495,22 +284,17 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
                 const finalNumTransfers = isTransfer ? current.numTransfers + 1 : current.numTransfers;
 
                 const distance = getMinDistanceToTarget(conn.stop_id);
-
-                // Update best route if this is closer
-                if (distance < bestDistance) {
-                    bestDistance = distance;
-                    bestRoute = {
-                        path: [...current.path, newLeg],
-                        finalStop: conn.stop_id,
-                        finalTime: conn.arrival_time,
-                        numTransfers: finalNumTransfers,
-                        distanceToDestination: distance
-                    };
-                }
+                recordRoute({
+                    path: [...current.path, newLeg],
+                    finalStop: conn.stop_id,
+                    finalTime: conn.arrival_time,
+                    numTransfers: finalNumTransfers,
+                    distanceToDestination: distance
+                });
 
                 // If very close (< 0.35 km), return immediately regardless of transfers
-                if (distance < 0.35) {
-                    return bestRoute;
+                if (distance < 0.35 && found.size >= limit) {
+                    return topRoutes();
                 }
 
                 // Continue to check for closer stops
@@ -536,7 +320,7 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
 
             // Create new path leg
             const newLeg = {
-                from: current.stop,
+                from: conn.from_stop_id,
                 to: conn.stop_id,
                 departure: conn.departure_time,
                 arrival: conn.arrival_time,
@@ -578,137 +362,205 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
     }
 
     if (iterations >= MAX_ITERATIONS) {
-        console.log(`  Warning: Reached max iterations (${MAX_ITERATIONS}), search may be incomplete`);
+        progress(`  Warning: Reached max iterations (${MAX_ITERATIONS}), search may be incomplete`);
     }
 
-    // Return best route found (closest to destination)
-    return bestRoute;
+    // Return the best routes found (lowest itinerary score first)
+    return topRoutes();
 }
 
 /**
- * Main function to find route using BFS
+ * Itinerary of a found route for lib/itinerary_score.js, leaving the origin at userTime
  */
-async function main() {
-    const args = process.argv.slice(2);
+function routeItinerary(route, userTime) {
+    return {
+        startTime: userTime,
+        accessWalkMinutes: route.walk ? route.walk.time : 0,
+        legs: route.path,
+        egressWalkKm: route.distanceToDestination
+    };
+}
 
-    if (args.length < 2) {
-        console.log("Usage: node find_transit_bfs.js <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type] [max_transfers]");
-        console.log("\nExamples:");
-        console.log("  node find_transit_bfs.js 227102 'Dubai Mall'");
-        console.log("  node find_transit_bfs.js 227102 'Dubai Mall' 08:00:00");
-        console.log("  node find_transit_bfs.js 227102 'Dubai Mall' 08:00:00 1");
-        console.log("  node find_transit_bfs.js 227102 'Dubai Mall' 08:00:00 1 2");
-        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
-        console.log("max_transfers: Maximum transfers allowed (default: 3)");
-        process.exit(1);
+/**
+ * Run BFS from each stop near a place origin, leaving once the walk there is done,
+ * and keep the best-ranked distinct routes, access walk included
+ * @returns {Array<Object>} - Up to `limit` routes with their `walk`, best first
+ */
+function searchFromAccessStops(origin, targetStops, targetStopsList, userTime, maxTransfers, preloadedData, skipLog, weights, limit = 1) {
+    const routes = [];
+
+    for (const accessStop of origin.accessStops) {
+        const startTime = secondsToTime(timeToSeconds(userTime) + accessStop.walkMinutes * 60);
+        progress(`  Trying ${accessStop.stop_name} (${accessStop.walkMinutes} min walk, departing after ${startTime})...`);
+
+        const found = bfsSearch(accessStop.stop_id, targetStops, targetStopsList, startTime, maxTransfers, preloadedData, skipLog, weights, limit);
+        for (const route of found) {
+            const withWalk = {
+                ...route,
+                walk: {
+                    from: origin.info,
+                    to: accessStop,
+                    distance: accessStop.distance,
+                    time: accessStop.walkMinutes
+                }
+            };
+            const { score, criteria } = scoreItinerary(routeItinerary(withWalk, userTime), weights);
+            progress(`    ✓ ${formatCriteria(criteria)} (score ${score})`);
+            routes.push(withWalk);
+        }
     }
 
-    const stopA = args[0];
-    const placeName = args[1];
-    const userTime = args[2] || getCurrentTime();
-
-    // Parse route type - allow empty string to mean null
-    let routeType = args[3] || null;
-    if (routeType === '' || routeType === 'null' || routeType === 'undefined') {
-        routeType = null;
+    return pickTopItineraries(routes, route => routeItinerary(route, userTime), weights, limit)
+        .map(entry => entry.candidate);
+}
+/**
+ * One found route in the --json schema
+ * @param {Object} result - Route from bfsSearch, with `walk` when it starts with one
+ * @param {Object} ranking - Its { score, criteria } from scoreItinerary
+ * @param {string|null} walkDeparture - When the walk starts (the query time from a place origin)
+ */
+function routeJson(result, ranking, walkDeparture) {
+    const legs = result.path.map(transitLegJson);
+    if (result.walk) {
+        legs.unshift(walkLegJson(result.walk, walkDeparture));
     }
+    return itineraryJson(legs, {
+        finalStop: result.finalStop,
+        finalWalkKm: result.distanceToDestination,
+        ranking
+    });
+}
 
-    // Parse max transfers - allow it to be in args[3] if route type not specified
-    // Limit to maximum of 2 transfers
-    let maxTransfers = DEFAULT_MAX_TRANSFERS;
-    if (args[4]) {
-        maxTransfers = Math.min(parseInt(args[4], 10), 2);
-    } else if (args[3] && !isNaN(parseInt(args[3], 10)) && parseInt(args[3], 10) < 10) {
-        // If args[3] is a small number, treat it as maxTransfers (not route type)
-        maxTransfers = Math.min(parseInt(args[3], 10), 2);
-        routeType = null;
-    }
-    // Cap at 2 transfers maximum
-    maxTransfers = Math.min(maxTransfers, 2);
-
-    const todayDate = getYYYYMMDD();
-    const dayName = getDayName();
-
-    console.log(`\nFinding route from stop ${stopA} to "${placeName}" using BFS...`);
-    console.log(`Date: ${dayName} (${todayDate}), Departure after: ${userTime}`);
-    console.log(`Max transfers: ${maxTransfers}`);
-    if (routeType) {
-        const types = { '0': 'Tram', '1': 'Metro', '2': 'Rail', '3': 'Bus', '4': 'Ferry' };
-        console.log(`Route type filter: ${types[routeType] || routeType}`);
-    }
+/**
+ * Plan a trip from an origin to a place with BFS, fewest transfers first
+ * @param {Object} options - The shared options of lib/query.js, plus:
+ * @param {string} options.origin - stop_id, "lat,lng" or place name
+ * @param {string} options.destination - Place name
+ * @param {string|number} [options.routeType] - Only ride routes of this route_type
+ * @param {number|string} [options.maxTransfers=2] - 0, 1 or 2
+ * @param {boolean} [options.candidates=false] - Add the stops searched near the origin and
+ *   destination as document.candidates (see lib/map_report.js)
+ * @returns {Promise<Object>} - Itinerary document (lib/itinerary_json.js), best first
+ */
+function bfsPlan(options) {
+    return withProgress(options.log, async () => {
+        const { origin: originArg, destination: placeName } = options;
+        const routeType = options.routeType !== undefined && options.routeType !== null ? String(options.routeType) : null;
+        if (!originArg || !placeName) {
+            throw new QueryError('An origin and a destination are required');
+        }
+        const maxTransfers = parseMaxTransfers(options.maxTransfers);
+        const { todayDate, dayName, userTime, weights, limit } = resolveQuery(options);
+
+        progress(`\nFinding route from ${originArg} to "${placeName}" using BFS...`);
+        progress(`Date: ${dayName} (${todayDate}), Departure after: ${userTime}`);
+        progress(`Max transfers: ${maxTransfers}`);
+        progress(`Ranking weights: ${formatWeights(weights)}`);
+        if (routeType) {
+            const types = { '0': 'Tram', '1': 'Metro', '2': 'Rail', '3': 'Bus', '4': 'Ferry' };
+            progress(`Route type filter: ${types[routeType] || routeType}`);
+        }
+
+        // Origin: a stop, or a place/coordinate reached by walking to one of its nearest stops
+        const origin = await resolveOrigin(originArg, { maxStops: MAX_ACCESS_STOPS, maxWalkKm: MAX_ACCESS_WALK_KM });
+        const stopA = origin.stop_id;
+        let originCandidates = origin.type === 'place' ? origin.accessStops : [];
+        if (origin.type === 'place') {
+            progress(`  ✓ Origin: ${origin.name}`);
+            if (origin.source !== 'coordinates') {
+                progress(`  ✓ Coordinates: ${origin.lat}, ${origin.lng}`);
+            }
+        }
 
-    try {
         // STEP 1: Geocode destination
-        console.log(`\n[1/4] Geocoding destination "${placeName}"...`);
-        const placeLocation = await getLatLngFromPlace(placeName);
-        console.log(`  ✓ ${placeLocation.formatted_address}`);
-        console.log(`  ✓ Coordinates: ${placeLocation.lat}, ${placeLocation.lng}`);
+        progress(`\n[1/4] Geocoding destination "${placeName}"...`);
+        const placeLocation = await geocode(placeName);
+        progress(`  ✓ ${placeLocation.formatted_address}`);
+        progress(`  ✓ Coordinates: ${placeLocation.lat}, ${placeLocation.lng}`);
 
         // STEP 2: Find nearest stops to destination
-        console.log(`\n[2/4] Finding stops near destination...`);
-        const targetStopsList = findNearestStops(placeLocation.lat, placeLocation.lng, MAX_DESTINATIONS_NEAR_PLACE);
+        progress(`\n[2/4] Finding stops near destination...`);
+        const targetStopsList = walkingDistances(placeLocation.lat, placeLocation.lng,
+            findNearestStops(placeLocation.lat, placeLocation.lng, MAX_DESTINATIONS_NEAR_PLACE));
+        if (targetStopsList.length === 0) {
+            throw new QueryError(`No stop within a ${DEFAULT_MAX_WALK_KM} km walk of ${placeLocation.formatted_address}`);
+        }
         const targetStops = new Set(targetStopsList.map(s => s.stop_id));
-        console.log(`  ✓ Found ${targetStopsList.length} stops near destination`);
+        progress(`  ✓ Found ${targetStopsList.length} stops near destination`);
         targetStopsList.slice(0, 5).forEach((stop, idx) => {
-            console.log(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${stop.distance.toFixed(2)} km`);
+            progress(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${stop.distance.toFixed(2)} km`);
         });
 
         // STEP 3: Preload transit data
-        console.log(`\n[3/4] Loading transit data...`);
+        progress(`\n[3/4] Loading transit data...`);
         const preloadedData = preloadTransitData(dayName, todayDate, routeType);
 
         // STEP 4: Run BFS search
-        console.log(`\n[4/4] Running BFS search (max ${maxTransfers} transfers)...`);
-        console.log(`  Exploring paths from stop ${stopA} (prioritizing ${targetStopsList.length} closest stops)...`);
-        let result = bfsSearch(stopA, targetStops, targetStopsList, userTime, maxTransfers, preloadedData);
+        progress(`\n[4/4] Running BFS search (max ${maxTransfers} transfers)...`);
+        const skipLog = createSkipLog();
+        let results;
+        if (stopA) {
+            progress(`  Exploring paths from stop ${stopA} (prioritizing ${targetStopsList.length} closest stops)...`);
+            results = bfsSearch(stopA, targetStops, targetStopsList, userTime, maxTransfers, preloadedData, skipLog, weights, limit);
+        } else {
+            progress(`  Exploring paths from ${origin.accessStops.length} stop(s) within ${MAX_ACCESS_WALK_KM * 1000}m of the origin...`);
+            results = searchFromAccessStops(origin, targetStops, targetStopsList, userTime, maxTransfers, preloadedData, skipLog, weights, limit);
+        }
 
-        if (!result) {
-            console.log(`  ✗ No path found within ${maxTransfers} transfers`);
+        if (results.length === 0 && !stopA) {
+            progress(`  ✗ No path found within ${maxTransfers} transfers from the stops near the origin`);
+        } else if (results.length === 0) {
+            progress(`  ✗ No path found within ${maxTransfers} transfers`);
 
             // Try nearby walkable stops if no route found
-            console.log(`\n  Checking nearby walkable stops...`);
+            progress(`\n  Checking nearby walkable stops...`);
 
-            const allStops = loadFile('stops.txt');
+            const allStops = loadStops();
             const stopAInfo = allStops.find(s => s.stop_id === stopA);
 
-            if (stopAInfo && stopAInfo.stop_lat && stopAInfo.stop_lon) {
+            if (stopAInfo && stopAInfo.stop_lat !== null && stopAInfo.stop_lon !== null) {
                 // Find stops within walking distance of source (500m)
-                const nearbyStops = findNearestStops(
-                    parseFloat(stopAInfo.stop_lat),
-                    parseFloat(stopAInfo.stop_lon),
-                    MAX_NEARBY_STOPS_TO_CHECK
-                ).filter(s => s.stop_id !== stopA && s.distance <= MAX_WALKING_DISTANCE_KM);
+                const nearbyStops = walkingDistancesFromStop(stopAInfo, findStopsWithin(
+                    stopAInfo.stop_lat,
+                    stopAInfo.stop_lon,
+                    MAX_WALKING_DISTANCE_KM,
+                    { maxResults: MAX_NEARBY_STOPS_TO_CHECK }
+                ).filter(s => s.stop_id !== stopA), { maxKm: MAX_WALKING_DISTANCE_KM });
+                originCandidates = nearbyStops;
 
                 if (nearbyStops.length > 0) {
-                    console.log(`  Found ${nearbyStops.length} walkable stops near ${stopA} (within ${MAX_WALKING_DISTANCE_KM * 1000}m)`);
+                    progress(`  Found ${nearbyStops.length} walkable stops near ${stopA} (within ${MAX_WALKING_DISTANCE_KM * 1000}m)`);
                     nearbyStops.slice(0, 3).forEach((stop, idx) => {
                         const distDisplay = stop.distance < 1
                             ? `${(stop.distance * 1000).toFixed(0)}m`
                             : `${stop.distance.toFixed(2)}km`;
-                        console.log(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${distDisplay}`);
+                        progress(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${distDisplay}`);
                     });
 
-                    console.log(`\n  Searching for routes from nearby stops...`);
+                    progress(`\n  Searching for routes from nearby stops...`);
 
                     // Try BFS from each nearby stop
                     for (const nearbyStop of nearbyStops) {
-                        console.log(`  Trying ${nearbyStop.stop_name}...`);
+                        // Board once the walk there is done
+                        const walkTime = Math.ceil(nearbyStop.distance * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+                        const startTime = secondsToTime(timeToSeconds(userTime) + walkTime * 60);
+                        progress(`  Trying ${nearbyStop.stop_name} (${walkTime} min walk, departing after ${startTime})...`);
 
-                        const nearbyResult = bfsSearch(
+                        const nearbyResults = bfsSearch(
                             nearbyStop.stop_id,
                             targetStops,
                             targetStopsList,
-                            userTime,
+                            startTime,
                             maxTransfers,
-                            preloadedData
+                            preloadedData,
+                            skipLog,
+                            weights,
+                            limit
                         );
 
-                        if (nearbyResult) {
-                            // Calculate walk time (80m/min walking speed)
-                            const walkTime = Math.ceil(nearbyStop.distance * 1000 / 80);
-
-                            // Add walk information to the result
-                            result = {
+                        if (nearbyResults.length > 0) {
+                            // Add walk information to the results
+                            results = nearbyResults.map(nearbyResult => ({
                                 ...nearbyResult,
                                 walk: {
                                     from: stopAInfo,
@@ -716,130 +568,238 @@ async function main() {
                                     distance: nearbyStop.distance,
                                     time: walkTime
                                 }
-                            };
+                            }));
 
-                            console.log(`    ✓ Found route via ${nearbyStop.stop_name} (includes ${walkTime} min walk)`);
+                            progress(`    ✓ Found route via ${nearbyStop.stop_name} (includes ${walkTime} min walk)`);
                             break; // Found a route, stop checking other nearby stops
                         }
                     }
 
-                    if (!result) {
-                        console.log(`  ✗ No routes found from nearby walkable stops either`);
+                    if (results.length === 0) {
+                        progress(`  ✗ No routes found from nearby walkable stops either`);
                     }
                 } else {
-                    console.log(`  No walkable stops found near ${stopA} (within ${MAX_WALKING_DISTANCE_KM * 1000}m)`);
+                    progress(`  No walkable stops found near ${stopA} (within ${MAX_WALKING_DISTANCE_KM * 1000}m)`);
                 }
             }
         } else {
-            console.log(`  ✓ Path found with ${result.numTransfers} transfer(s)`);
+            progress(`  ✓ Path found with ${results[0].numTransfers} transfer(s)`);
         }
+        logSkipped(skipLog);
+
+        const plan = addLegGeometry(resultJson('find_transit_bfs', {
+            origin: origin.info,
+            destination: { name: placeLocation.formatted_address, lat: placeLocation.lat, lng: placeLocation.lng },
+            date: todayDate,
+            time: userTime,
+            weights
+        }, results.map(result => routeJson(
+            result,
+            scoreItinerary(routeItinerary(result, userTime), weights),
+            origin.type === 'place' ? userTime : null
+        ))), preloadedData.timetable);
+        if (options.candidates) {
+            plan.candidates = candidatesJson(originCandidates, targetStopsList);
+        }
+        return plan;
+    });
+}
 
-        // Display results
-        console.log(`\n${'='.repeat(70)}`);
-        console.log(`RESULTS`);
-        console.log(`${'='.repeat(70)}`);
+/**
+ * Print one itinerary with its walk, legs, transfers and ranking
+ * @param {Object} itinerary - From bfsPlan
+ * @param {Object} context - { origin, placeName }
+ */
+function printItinerary(itinerary, { origin, placeName }) {
+    const walk = itinerary.legs.length > 0 && itinerary.legs[0].mode === 'WALK' ? itinerary.legs[0] : null;
+    const rides = itinerary.legs.filter(leg => leg.mode !== 'WALK');
+    const ranking = itinerary.ranking;
+
+    if (rides.length === 0) {
+        // Direct connection - start stop is already a target, walk on from it
+        const finalWalkMinutes = Math.ceil(itinerary.finalWalkKm * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+        if (walk) {
+            console.log(`\n✓ The destination is within walking distance: walk ${walk.durationMinutes} min to ${describeLocation(walk.to)}, ` +
+                `then ${finalWalkMinutes} min to ${placeName}`);
+        } else {
+            console.log(`\n✓ Direct connection: Start stop is already near destination: walk ${finalWalkMinutes} min to ${placeName}`);
+        }
+        console.log(`  Start: ${describeLocation(origin)}`);
+        console.log(`  Destination: ${describeLocation(itinerary.finalStop)}`);
+        console.log(`  Distance to ${placeName}: ${itinerary.finalWalkKm.toFixed(2)} km`);
+        console.log(`  Ranking: ${formatCriteria(ranking.criteria)} (score ${ranking.score})`);
+        return;
+    }
 
-        if (result) {
-            if (result.path.length === 0) {
-                // Direct connection - start stop is already a target
-                const allStops = loadFile('stops.txt');
-                const startStopInfo = allStops.find(s => s.stop_id === stopA);
-                const targetStopsList = findNearestStops(placeLocation.lat, placeLocation.lng, MAX_DESTINATIONS_NEAR_PLACE);
-                const finalStop = targetStopsList.find(s => s.stop_id === result.finalStop);
-
-                console.log(`\n✓ Direct connection: Start stop is already near destination!`);
-                console.log(`  Start: ${startStopInfo ? startStopInfo.stop_name : stopA} (${stopA})`);
-                console.log(`  Destination: ${finalStop ? finalStop.stop_name : result.finalStop} (${result.finalStop})`);
-                if (finalStop) {
-                    console.log(`  Distance to ${placeName}: ${finalStop.distance.toFixed(2)} km`);
-                }
-            } else {
-                const hasWalk = !!result.walk;
+    if (walk) {
+        console.log(`\n✓ Route found with walk + ${itinerary.transfers} transfer(s):`);
+    } else {
+        console.log(`\n✓ Route found with ${itinerary.transfers} transfer(s):`);
+    }
 
-                if (hasWalk) {
-                    console.log(`\n✓ Route found with walk + ${result.numTransfers} transfer(s):`);
-                } else {
-                    console.log(`\n✓ Route found with ${result.numTransfers} transfer(s):`);
-                }
+    // Display WALK if applicable
+    if (walk) {
+        const distDisplay = walk.distanceKm < 1
+            ? `${(walk.distanceKm * 1000).toFixed(0)} meters`
+            : `${walk.distanceKm.toFixed(2)} km`;
+        console.log(`\n┌─ WALK`);
+        console.log(`│  From: ${describeLocation(walk.from)}`);
+        console.log(`│  To: ${describeLocation(walk.to)}`);
+        console.log(`│  Distance: ${distDisplay}`);
+        console.log(`│  Walking time: ~${walk.durationMinutes} minutes`);
+        console.log(`│`);
+    }
 
-                const allStops = loadFile('stops.txt');
-                const routes = preloadedData.routes;
-
-                let totalMinutes = 0;
-                let startTime = null;
-
-                // Display WALK if applicable
-                if (hasWalk) {
-                    const distDisplay = result.walk.distance < 1
-                        ? `${(result.walk.distance * 1000).toFixed(0)} meters`
-                        : `${result.walk.distance.toFixed(2)} km`;
-                    console.log(`\n┌─ WALK`);
-                    console.log(`│  From: ${result.walk.from.stop_name} (${result.walk.from.stop_id})`);
-                    console.log(`│  To: ${result.walk.to.stop_name} (${result.walk.to.stop_id})`);
-                    console.log(`│  Distance: ${distDisplay}`);
-                    console.log(`│  Walking time: ~${result.walk.time} minutes`);
-                    console.log(`│`);
-                }
+    rides.forEach((leg, idx) => {
+        const legNum = idx + 1;
+        const routeTypeName = leg.route.type !== null ? getTransitTypeName(leg.route.type) : 'Unknown';
 
-                result.path.forEach((leg, idx) => {
-                    const legNum = idx + 1;
-                    const fromStop = allStops.find(s => s.stop_id === leg.from);
-                    const toStop = allStops.find(s => s.stop_id === leg.to);
-                    const route = routes.find(r => r.route_id === leg.route_id);
-                    const routeTypeName = route ? getTransitTypeName(route.route_type) : 'Unknown';
-
-                    if (legNum === 1) {
-                        startTime = leg.departure;
-                        if (hasWalk) {
-                            console.log(`├─ LEG ${legNum}: ${routeTypeName} ${leg.route_id}`);
-                        } else {
-                            console.log(`\n┌─ LEG ${legNum}: ${routeTypeName} ${leg.route_id}`);
-                        }
-                    } else {
-                        console.log(`├─ LEG ${legNum}: ${routeTypeName} ${leg.route_id}`);
-                    }
-                    console.log(`│  From: ${fromStop ? fromStop.stop_name : leg.from} (${leg.from})`);
-                    console.log(`│  To: ${toStop ? toStop.stop_name : leg.to} (${leg.to})`);
-                    console.log(`│  Headsign: ${leg.headsign}`);
-                    console.log(`│  Departure: ${leg.departure}`);
-                    console.log(`│  Arrival: ${leg.arrival}`);
-
-                    const legDuration = timeDifferenceMinutes(leg.departure, leg.arrival);
-                    console.log(`│  Duration: ${legDuration} minutes`);
-
-                    totalMinutes = timeDifferenceMinutes(startTime, leg.arrival);
-
-                    // Show transfer if not last leg
-                    if (idx < result.path.length - 1) {
-                        const nextLeg = result.path[idx + 1];
-                        const waitTime = timeDifferenceMinutes(leg.arrival, nextLeg.departure);
-                        console.log(`│`);
-                        const transferStop = toStop;
-                        console.log(`├─ TRANSFER at ${transferStop ? transferStop.stop_name : leg.to}`);
-                        console.log(`│  Wait time: ${waitTime} minutes`);
-                        console.log(`│  Next departure: ${nextLeg.departure}`);
-                    }
-                });
+        if (legNum === 1 && !walk) {
+            console.log(`\n┌─ LEG ${legNum}: ${routeTypeName} ${leg.route.route_id}`);
+        } else {
+            console.log(`├─ LEG ${legNum}: ${routeTypeName} ${leg.route.route_id}`);
+        }
+        console.log(`│  From: ${describeLocation(leg.from)}`);
+        console.log(`│  To: ${describeLocation(leg.to)}`);
+        console.log(`│  Headsign: ${leg.headsign}`);
+        console.log(`│  Departure: ${leg.departure}`);
+        console.log(`│  Arrival: ${leg.arrival}`);
+        console.log(`│  Duration: ${leg.durationMinutes} minutes`);
+
+        // Show transfer if not last leg
+        if (idx < rides.length - 1) {
+            const nextLeg = rides[idx + 1];
+            console.log(`│`);
+            console.log(`├─ TRANSFER at ${leg.to.name}`);
+            const transferWalk = itinerary.legs[itinerary.legs.indexOf(nextLeg) - 1];
+            if (transferWalk.mode === 'WALK') {
+                console.log(`│  Walk: ${(transferWalk.distanceKm * 1000).toFixed(0)}m to ${describeLocation(nextLeg.from)} (${transferWalk.durationMinutes} min)`);
+            }
+            console.log(`│  Wait time: ${timeDifferenceMinutes(leg.arrival, nextLeg.departure)} minutes`);
+            console.log(`│  Next departure: ${nextLeg.departure}`);
+        }
+    });
 
-                console.log(`│`);
-                const totalWithWalk = hasWalk ? totalMinutes + result.walk.time : totalMinutes;
-                console.log(`└─ Total journey time: ${totalWithWalk} minutes${hasWalk ? ` (includes ${result.walk.time} min walk)` : ''}`);
+    console.log(`│`);
+    console.log(`└─ Total journey time: ${itinerary.durationMinutes} minutes${walk ? ` (includes ${walk.durationMinutes} min walk)` : ''}`);
 
-                const finalStop = targetStopsList.find(s => s.stop_id === result.finalStop);
-                if (finalStop) {
-                    console.log(`\n   Final distance to ${placeName}: ${finalStop.distance.toFixed(2)} km`);
-                }
+    console.log(`\n   Final distance to ${placeName}: ${itinerary.finalWalkKm.toFixed(2)} km`);
+    console.log(`   Ranking: ${formatCriteria(ranking.criteria)} (score ${ranking.score})`);
 
-                if (hasWalk) {
-                    console.log(`\n   Note: Includes ${result.walk.time} min walk from ${result.walk.from.stop_name} to ${result.walk.to.stop_name}`);
-                }
-            }
+    if (walk) {
+        console.log(`\n   Note: Includes ${walk.durationMinutes} min walk from ${walk.from.name} to ${walk.to.name}`);
+    }
+}
+
+/**
+ * Main function to find route using BFS
+ */
+async function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['_', 'date', 'timezone', 'limit', 'html', ...WEIGHT_OPTIONS],
+        boolean: ['json']
+    });
+    const args = argv._;
+    if (argv.json) {
+        enableJsonMode();
+    }
+
+    let weights;
+    let limit;
+    try {
+        weights = resolveWeights(argv);
+        limit = parseLimit(argv.limit);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (args.length < 2) {
+        console.log("Usage: node find_transit_bfs.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json] [--html FILE] <ORIGIN> <PLACE_NAME> [HH:MM:SS] [route_type] [max_transfers]");
+        console.log("\nORIGIN is a stop ID, a \"lat,lng\" pair or a place name.");
+        console.log("\nExamples:");
+        console.log("  node find_transit_bfs.js 227102 'Dubai Mall'");
+        console.log("  node find_transit_bfs.js 25.2655,55.3175 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_bfs.js 227102 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_bfs.js --date 2026-03-30 227102 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_bfs.js 227102 'Dubai Mall' 08:00:00 1");
+        console.log("  node find_transit_bfs.js 227102 'Dubai Mall' 08:00:00 1 2");
+        console.log("  node find_transit_bfs.js --limit 3 227102 'Dubai Mall' 08:00:00");
+        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
+        console.log("max_transfers: Maximum transfers allowed, 0 to 2 (default: 2)");
+        console.log("Ranking criteria: time, walk, wait, transfers, final-walk (--weight-walk 3, ... or a JSON --profile)");
+        console.log("--limit K: show the K best distinct routes (default: 1)");
+        console.log("--json: print the routes as JSON on stdout, progress on stderr");
+        console.log("--html FILE: write a map of the route and the stops searched (opens offline)");
+        process.exit(1);
+    }
+
+    const originArg = args[0];
+    const placeName = args[1];
 
+    // Parse route type - allow empty string to mean null
+    let routeType = args[3] || null;
+    if (routeType === '' || routeType === 'null' || routeType === 'undefined') {
+        routeType = null;
+    }
+
+    // Parse max transfers - allow it to be in args[3] if route type not specified
+    let maxTransfers;
+    if (args[4]) {
+        maxTransfers = args[4];
+    } else if (args[3] && !isNaN(parseInt(args[3], 10)) && parseInt(args[3], 10) < 10) {
+        // If args[3] is a small number, treat it as maxTransfers (not route type)
+        maxTransfers = args[3];
+        routeType = null;
+    }
+
+    try {
+        const plan = await bfsPlan({
+            origin: originArg,
+            destination: placeName,
+            date: argv.date,
+            time: args[2],
+            timezone: argv.timezone,
+            routeType,
+            maxTransfers,
+            weights,
+            limit,
+            candidates: !!argv.html,
+            log: console.log
+        });
+
+        if (argv.html) {
+            fs.writeFileSync(argv.html, mapReportHtml(plan));
+            console.log(`\n  ✓ Map written to ${argv.html}`);
+        }
+        if (argv.json) {
+            printJson(plan);
+            return;
+        }
+
+        // Display results
+        const results = plan.itineraries;
+        console.log(`\n${'='.repeat(70)}`);
+        console.log(`RESULTS`);
+        console.log(`${'='.repeat(70)}`);
+
+        if (results.length > 0) {
+            if (limit > 1) {
+                console.log(`\n${results.length} distinct route(s) found (--limit ${limit}), best first`);
+            }
+            results.forEach((itinerary, idx) => {
+                if (results.length > 1) {
+                    console.log(`\n${'-'.repeat(70)}`);
+                    console.log(`OPTION ${idx + 1} of ${results.length}`);
+                }
+                printItinerary(itinerary, { origin: plan.query.origin, placeName });
+            });
         } else {
-            console.log(`\n✗ No route found from stop ${stopA} to ${placeName} with ${maxTransfers} or fewer transfers`);
+            const shownTransfers = parseMaxTransfers(maxTransfers);
+            console.log(`\n✗ No route found from ${describeLocation(plan.query.origin)} to ${placeName} with ${shownTransfers} or fewer transfers`);
             console.log(`\nThis could mean:`);
-            console.log(`  - No connecting routes exist within ${maxTransfers} transfers`);
-            console.log(`  - Try increasing max transfers (currently ${maxTransfers})`);
+            console.log(`  - No connecting routes exist within ${shownTransfers} transfers`);
+            console.log(`  - Try increasing max transfers (currently ${shownTransfers})`);
             console.log(`  - Try a different departure time`);
             console.log(`  - The destination may be unreachable by transit`);
         }
@@ -852,5 +812,8 @@ async function main() {
     }
 }
 
-main();
+module.exports = { bfsPlan };
 
+if (require.main === module) {
+    main();
+}
@@ -11,96 +11,94 @@
  * 5. In parallel, find routes from walkable stops near the given stop
  * 6. Return the fastest route overall
  * 
+ * With --engine raptor, steps 3-5 are replaced by one RAPTOR search (lib/raptor.js)
+ * from the stop and its walkable neighbours, which returns the Pareto set of
+ * (arrival time, transfers) journeys instead of the first route BFS finds.
+ * 
+ * The origin may also be a place or a "lat,lng" pair (lib/origin.js): the
+ * search then starts from its nearest stops, and the walk to the first stop
+ * counts toward the journey time.
+ * 
+ * With --arrive-by, HH:MM:SS is the latest arrival at the place instead of the
+ * earliest departure: a reverse RAPTOR search from the stops near the place
+ * finds the latest departure that still arrives in time (either engine).
+ * 
+ * --limit K prints the K best distinct routes instead of one; RAPTOR searches
+ * again after each departure it finds to offer later ones.
+ * 
+ * --json prints the routes as JSON on stdout (see lib/itinerary_json.js) and
+ * the progress logs on stderr. --geojson prints them as GeoJSON instead
+ * (lib/itinerary_geojson.js): each ride along its shapes.txt geometry.
+ * --html FILE also writes an offline map of the search (lib/map_report.js).
+ * 
+ * The search is exported as planToPlace(options) (see index.js); the CLI
+ * parses its arguments, calls it and prints the itineraries.
+ * 
  * Usage:
- *   node find_transit_combined.js <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]
+ *   node find_transit_combined.js [--engine bfs|raptor] [--arrive-by] [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json | --geojson] [--html FILE] <ORIGIN> <PLACE_NAME> [HH:MM:SS] [route_type]
  * 
  * Examples:
  *   node find_transit_combined.js 227102 "Dubai Mall"
+ *   node find_transit_combined.js 25.2285,55.2867 "Dubai Mall" 08:00:00
  *   node find_transit_combined.js 227102 "Dubai Mall" 08:00:00
  *   node find_transit_combined.js 227102 "Dubai Mall" 08:00:00 1
+ *   node find_transit_combined.js --engine raptor 227102 "Dubai Mall" 08:00:00
+ *   node find_transit_combined.js --arrive-by 227102 "Dubai Mall" 09:00:00
+ *   node find_transit_combined.js --limit 3 227102 "Dubai Mall" 08:00:00
+ *   node find_transit_combined.js --json 227102 "Dubai Mall" 08:00:00 > plan.json
+ *   node find_transit_combined.js --geojson --limit 3 227102 "Dubai Mall" 08:00:00 > plan.geojson
+ *   node find_transit_combined.js --html route.html --limit 3 227102 "Dubai Mall" 08:00:00
+ *   node find_transit_combined.js --date 2026-03-30 227102 "Dubai Mall" 08:00:00
  * 
  * Route types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry
  */
 
 const fs = require('fs');
-const path = require('path');
-const https = require('https');
-
-const DATA_DIR = path.join(__dirname, 'data');
+const minimist = require('minimist');
+const { preloadTransitData } = require('./lib/gtfs_feed');
+const {
+    timeToSeconds,
+    timeDifferenceMinutes,
+    secondsToTime,
+    getDirectConnections,
+    createSkipLog,
+    logSkipped
+} = require('./lib/timetable');
+const { geocode } = require('./lib/geocoder');
+const { getTransferOptions } = require('./lib/transfers');
+const { raptorSearch, raptorSearchArriveBy } = require('./lib/raptor');
+const { findNearestStops, findStopsWithin } = require('./lib/stop_index');
+const { DEFAULT_MAX_WALK_KM, DEFAULT_WALKING_SPEED_M_PER_MIN, walkingDistances, walkingDistancesFromStop } = require('./lib/walk_router');
+const { resolveOrigin, describeLocation } = require('./lib/origin');
+const { enableJsonMode, printJson, transitLegJson, walkLegJson, itineraryJson, resultJson } = require('./lib/itinerary_json');
+const { addLegGeometry } = require('./lib/shapes');
+const { itineraryGeoJson } = require('./lib/itinerary_geojson');
+const { candidatesJson, mapReportHtml } = require('./lib/map_report');
+const { resolveQuery } = require('./lib/query');
+const { progress, withProgress } = require('./lib/progress');
+const {
+    DEFAULT_WEIGHTS,
+    WEIGHT_OPTIONS,
+    resolveWeights,
+    scoreItinerary,
+    itinerarySignature,
+    pickTopItineraries,
+    parseLimit,
+    formatCriteria,
+    formatWeights
+} = require('./lib/itinerary_score');
+const { QueryError } = require('./lib/query_error');
 
 // ===== CONFIGURATION =====
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-const TRANSFER_TIME_MINUTES = 5; // Minimum transfer time in minutes
 const MAX_DESTINATIONS_NEAR_PLACE = 20; // How many stops near destination to check
 const MAX_TRANSFERS = 5; // Maximum number of transfers allowed
 const MAX_NEARBY_STOPS_TO_CHECK = 20; // Max nearby walkable stops to check
 const MAX_WALKING_DISTANCE_KM = 0.5; // Maximum walking distance (500m)
-const WALKING_SPEED_M_PER_MIN = 80; // Walking speed in meters per minute
+const MAX_ACCESS_STOPS = 5; // Nearest stops to walk to when the origin is a place
+const MAX_ACCESS_WALK_KM = 1.0; // Maximum walk from a place origin to its first stop
+const ENGINES = ['bfs', 'raptor'];
 // =========================
 
-// Helper to parse CSV lines
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const values = [];
-        let current = '';
-        let inQuote = false;
-
-        for (let j = 0; j < line.length; j++) {
-            const char = line[j];
-            if (char === '"') {
-                inQuote = !inQuote;
-            } else if (char === ',' && !inQuote) {
-                values.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current);
-
-        const entry = {};
-        headers.forEach((h, idx) => {
-            entry[h] = values[idx] ? values[idx].replace(/^"|"$/g, '') : '';
-        });
-        data.push(entry);
-    }
-    return data;
-}
-
-function loadFile(filename) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-        console.error(`File not found: ${filename}`);
-        return [];
-    }
-    return parseCSV(fs.readFileSync(filePath, 'utf8'));
-}
-
-function getDayName() {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    return days[new Date().getDay()];
-}
-
-function getCurrentTime() {
-    const now = new Date();
-    return now.toTimeString().split(' ')[0]; // HH:MM:SS
-}
-
-function getYYYYMMDD() {
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, '0');
-    const d = String(now.getDate()).padStart(2, '0');
-    return parseInt(`${y}${m}${d}`, 10);
-}
-
 /**
  * Get transit type name from route type code
  */
@@ -118,240 +116,6 @@ function getTransitTypeName(routeType) {
     return types[routeType] || 'Transit';
 }
 
-/**
- * Get latitude and longitude of a place using Google Maps Geocoding API
- */
-function getLatLngFromPlace(place) {
-    return new Promise((resolve, reject) => {
-        if (!GOOGLE_MAPS_API_KEY || GOOGLE_MAPS_API_KEY === 'YOUR_API_KEY_HERE') {
-            return reject(new Error('Google Maps API key not configured.'));
-        }
-
-        const encodedPlace = encodeURIComponent(place);
-        const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedPlace}&key=${GOOGLE_MAPS_API_KEY}`;
-
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                try {
-                    const response = JSON.parse(data);
-                    if (response.status === 'OK' && response.results.length > 0) {
-                        const location = response.results[0].geometry.location;
-                        resolve({
-                            lat: location.lat,
-                            lng: location.lng,
-                            formatted_address: response.results[0].formatted_address
-                        });
-                    } else {
-                        reject(new Error(`Geocoding failed: ${response.status}`));
-                    }
-                } catch (error) {
-                    reject(new Error(`Failed to parse response: ${error.message}`));
-                }
-            });
-        }).on('error', (error) => {
-            reject(new Error(`Network error: ${error.message}`));
-        });
-    });
-}
-
-/**
- * Calculate distance between two coordinates using Haversine formula
- */
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-/**
- * Find nearest stops to a given location
- */
-function findNearestStops(targetLat, targetLng, maxResults = 10) {
-    const stops = loadFile('stops.txt');
-
-    const stopsWithDistance = stops
-        .filter(stop => stop.stop_lat && stop.stop_lon)
-        .map(stop => {
-            const distance = calculateDistance(
-                targetLat,
-                targetLng,
-                parseFloat(stop.stop_lat),
-                parseFloat(stop.stop_lon)
-            );
-            return {
-                ...stop,
-                distance: distance
-            };
-        })
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, maxResults);
-
-    return stopsWithDistance;
-}
-
-/**
- * Add minutes to a time string (HH:MM:SS)
- */
-function addMinutesToTime(timeStr, minutes) {
-    const [h, m, s] = timeStr.split(':').map(Number);
-    const totalMinutes = h * 60 + m + minutes;
-    const newH = Math.floor(totalMinutes / 60) % 24;
-    const newM = totalMinutes % 60;
-    return `${String(newH).padStart(2, '0')}:${String(newM).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
-}
-
-/**
- * Compare two time strings (HH:MM:SS)
- * Returns: -1 if time1 < time2, 0 if equal, 1 if time1 > time2
- */
-function compareTime(time1, time2) {
-    const [h1, m1, s1] = time1.split(':').map(Number);
-    const [h2, m2, s2] = time2.split(':').map(Number);
-    const total1 = h1 * 3600 + m1 * 60 + s1;
-    const total2 = h2 * 3600 + m2 * 60 + s2;
-    if (total1 < total2) return -1;
-    if (total1 > total2) return 1;
-    return 0;
-}
-
-/**
- * Calculate time difference in minutes
- */
-function timeDifferenceMinutes(time1, time2) {
-    const [h1, m1] = time1.split(':').map(Number);
-    const [h2, m2] = time2.split(':').map(Number);
-    return (h2 * 60 + m2) - (h1 * 60 + m1);
-}
-
-/**
- * Preload all transit data once for efficiency
- */
-function preloadTransitData(dayName, todayDate, routeType) {
-    console.log(`  Preloading transit data...`);
-
-    // 1. Load Routes
-    const routes = loadFile('routes.txt');
-    const targetRouteIds = new Set(
-        routes
-            .filter(r => !routeType || r.route_type === routeType)
-            .map(r => r.route_id)
-    );
-
-    // 2. Load Calendar (Active Services)
-    const calendar = loadFile('calendar.txt');
-    const activeServices = new Set(
-        calendar
-            .filter(c => {
-                const startDate = parseInt(c.start_date, 10);
-                const endDate = parseInt(c.end_date, 10);
-                const isActiveDay = c[dayName] === '1';
-                return isActiveDay && todayDate >= startDate && todayDate <= endDate;
-            })
-            .map(c => c.service_id)
-    );
-
-    // 3. Load Trips
-    const allTrips = loadFile('trips.txt');
-    const validTrips = allTrips.filter(t =>
-        targetRouteIds.has(t.route_id) && activeServices.has(t.service_id)
-    );
-    const validTripIds = new Set(validTrips.map(t => t.trip_id));
-
-    const tripRouteMap = {};
-    validTrips.forEach(t => {
-        tripRouteMap[t.trip_id] = t;
-    });
-
-    // 4. Load Stop Times (ONCE!)
-    const rawStopTimes = fs.readFileSync(path.join(DATA_DIR, 'stop_times.txt'), 'utf8');
-    const stopTimeLines = rawStopTimes.trim().split('\n');
-
-    const stHeaders = stopTimeLines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-    console.log(`  ✓ Loaded ${validTripIds.size} valid trips and ${stopTimeLines.length - 1} stop times`);
-
-    return {
-        validTripIds,
-        tripRouteMap,
-        stopTimeLines,
-        stHeaders,
-        routes
-    };
-}
-
-/**
- * Get all direct connections from a stop after a given time
- * Returns array of { stop_id, arrival_time, departure_time, trip_id, route_id, headsign }
- */
-function getDirectConnections(stopId, afterTime, preloadedData) {
-    const { validTripIds, tripRouteMap, stopTimeLines, stHeaders } = preloadedData;
-
-    const tripIdx = stHeaders.indexOf('trip_id');
-    const stopIdx = stHeaders.indexOf('stop_id');
-    const seqIdx = stHeaders.indexOf('stop_sequence');
-    const arrIdx = stHeaders.indexOf('arrival_time');
-    const depIdx = stHeaders.indexOf('departure_time');
-
-    // Build map of trip -> all stops with times
-    const tripStopMap = {}; // trip_id -> [{stop_id, seq, arr, dep}, ...]
-
-    for (let i = 1; i < stopTimeLines.length; i++) {
-        const line = stopTimeLines[i];
-        const parts = line.split('","');
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
-
-        const tId = parts[tripIdx];
-        if (!validTripIds.has(tId)) continue;
-
-        const sId = parts[stopIdx];
-        const seq = parseInt(parts[seqIdx], 10);
-        const arr = parts[arrIdx];
-        const dep = parts[depIdx];
-
-        if (!tripStopMap[tId]) tripStopMap[tId] = [];
-        tripStopMap[tId].push({ stop_id: sId, seq, arr, dep });
-    }
-
-    // Find all stops reachable from stopId after afterTime
-    const connections = [];
-
-    for (const [tripId, stops] of Object.entries(tripStopMap)) {
-        // Sort by sequence
-        stops.sort((a, b) => a.seq - b.seq);
-
-        // Find stopId in this trip
-        const stopIndex = stops.findIndex(s => s.stop_id === stopId);
-        if (stopIndex === -1) continue;
-
-        const stopInfo = stops[stopIndex];
-        // Only include trips that depart after the specified time
-        if (compareTime(stopInfo.dep, afterTime) <= 0) continue;
-
-        // All stops after stopId are reachable
-        for (let i = stopIndex + 1; i < stops.length; i++) {
-            const destStop = stops[i];
-            connections.push({
-                stop_id: destStop.stop_id,
-                arrival_time: destStop.arr,
-                departure_time: stopInfo.dep,
-                trip_id: tripId,
-                route_id: tripRouteMap[tripId].route_id,
-                headsign: tripRouteMap[tripId].trip_headsign
-            });
-        }
-    }
-
-    return connections;
-}
-
 /**
  * BFS Search to find route with fewest transfers
  * @param {string} startStop - Starting stop ID
@@ -361,9 +125,12 @@ function getDirectConnections(stopId, afterTime, preloadedData) {
  * @param {number} maxTransfers - Maximum number of transfers allowed
  * @param {Object} preloadedData - Preloaded transit data
  * @param {string} searchLabel - Label for logging
- * @returns {Object|null} - Found path or null
+ * @param {Map} [skipLog] - Collects connections left out for pickup_type/drop_off_type
+ * @param {Object} [weights] - Ranking weights for routes reaching a target (lib/itinerary_score.js)
+ * @param {number} [limit=1] - Number of distinct routes to return
+ * @returns {Array<Object>} - Found paths, best first (empty if none)
  */
-function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransfers, preloadedData, searchLabel = '') {
+function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransfers, preloadedData, searchLabel = '', skipLog = null, weights = DEFAULT_WEIGHTS, limit = 1) {
     // Create distance map for quick lookup
     const stopDistanceMap = new Map();
     targetStopsList.forEach(stop => {
@@ -379,13 +146,13 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
 
     // Check if start stop is already a target
     if (targetStops.has(startStop)) {
-        return {
+        return [{
             path: [],
             finalStop: startStop,
             finalTime: startTime,
             numTransfers: 0,
             distanceToDestination: getMinDistanceToTarget(startStop)
-        };
+        }];
     }
 
     // Priority: Direct routes first (0 transfers), then fewest transfers, then closest to destination
@@ -400,7 +167,43 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
     const visited = new Set();
 
     let bestRoute = null;
-    let bestScore = Infinity; // Score = transfers * 1000 + distance
+    let bestScore = Infinity; // Itinerary score (lib/itinerary_score.js), final walk included
+
+    // Every route found, one per near-duplicate signature
+    const found = new Map();
+
+    function recordRoute(route) {
+        const { score } = scoreItinerary({ startTime, legs: route.path, egressWalkKm: route.distanceToDestination }, weights);
+        const signature = itinerarySignature(route.path);
+        const known = found.get(signature);
+        if (!known || score < known.score) {
+            found.set(signature, { route, score });
+        }
+        if (score < bestScore) {
+            bestScore = score;
+            bestRoute = route;
+        }
+    }
+
+    function topRoutes() {
+        return [...found.values()]
+            .sort((a, b) => a.score - b.score)
+            .slice(0, limit)
+            .map(entry => entry.route);
+    }
+
+    // Once the best route has 0 or 1 transfers (and there are enough alternatives), stop searching
+    function searchDone() {
+        if (found.size < limit || bestRoute.numTransfers > 1) {
+            return false;
+        }
+        if (bestRoute.numTransfers === 0) {
+            progress(`      ${searchLabel}✓ Found direct route (0 transfers) to destination!`);
+        } else {
+            progress(`      ${searchLabel}✓ Found route with 1 transfer to destination!`);
+        }
+        return true;
+    }
 
     let iterations = 0;
     const MAX_ITERATIONS = 50000; // Increased for more transfers
@@ -409,7 +212,7 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
     let lastLogTime = Date.now();
     const LOG_INTERVAL = 2000; // Log every 2 seconds
 
-    console.log(`      ${searchLabel}Starting BFS from stop ${startStop} at ${startTime}`);
+    progress(`      ${searchLabel}Starting BFS from stop ${startStop} at ${startTime}`);
 
     while (queue.length > 0 && iterations < MAX_ITERATIONS) {
         iterations++;
@@ -417,7 +220,7 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
         // Progress logging
         const now = Date.now();
         if (now - lastLogTime > LOG_INTERVAL) {
-            console.log(`      ${searchLabel}Progress: ${iterations} iterations, queue size: ${queue.length}, visited: ${visited.size}, best: ${bestRoute ? bestRoute.numTransfers + ' transfers' : 'none'}`);
+            progress(`      ${searchLabel}Progress: ${iterations} iterations, queue size: ${queue.length}, visited: ${visited.size}, best: ${bestRoute ? bestRoute.numTransfers + ' transfers' : 'none'}`);
             lastLogTime = now;
         }
 
@@ -425,27 +228,16 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
 
         // Check if we reached target
         if (targetStops.has(current.stop)) {
-            const distance = getMinDistanceToTarget(current.stop);
-            const score = current.numTransfers * 1000 + distance * 10;
-
-            if (score < bestScore) {
-                bestScore = score;
-                bestRoute = {
-                    path: current.path,
-                    finalStop: current.stop,
-                    finalTime: current.time,
-                    numTransfers: current.numTransfers,
-                    distanceToDestination: distance
-                };
-
-                // If found direct route (0 transfers) or route with 1 transfer, return immediately
-                if (current.numTransfers === 0) {
-                    console.log(`      ${searchLabel}✓ Found direct route (0 transfers) to destination!`);
-                    return bestRoute;
-                } else if (current.numTransfers === 1) {
-                    console.log(`      ${searchLabel}✓ Found route with 1 transfer to destination!`);
-                    return bestRoute;
-                }
+            recordRoute({
+                path: current.path,
+                finalStop: current.stop,
+                finalTime: current.time,
+                numTransfers: current.numTransfers,
+                distanceToDestination: getMinDistanceToTarget(current.stop)
+            });
+
+            if (searchDone()) {
+                return topRoutes();
             }
 
             continue;
@@ -473,20 +265,23 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
         }
         visited.add(visitedKey);
 
-        // Get all direct connections
-        const connections = getDirectConnections(current.stop, current.time, preloadedData);
-
-        // Add transfer time if not first leg
-        const nextAvailableTime = current.path.length > 0
-            ? addMinutesToTime(current.time, TRANSFER_TIME_MINUTES)
-            : current.time;
-
-        for (const conn of connections) {
-            // Skip if connection departs before we can transfer
-            if (compareTime(conn.departure_time, nextAvailableTime) < 0) {
-                continue;
+        // Board here, or at a transfers.txt partner stop, once the minimum transfer
+        // time has passed (the first leg boards directly; forbidden transfers give no options)
+        const boardingOptions = current.path.length > 0
+            ? getTransferOptions(preloadedData.transferRules, current.stop)
+            : [{ stop_id: current.stop, seconds: 0 }];
+
+        const connections = [];
+        for (const option of boardingOptions) {
+            const readySeconds = timeToSeconds(current.time) + option.seconds;
+            for (const conn of getDirectConnections(preloadedData.timetable, option.stop_id, current.time, skipLog)) {
+                if (timeToSeconds(conn.departure_time) >= readySeconds) {
+                    connections.push(conn);
+                }
             }
+        }
 
+        for (const conn of connections) {
             // Check if this is a transfer
             const isTransfer = current.path.length > 0 &&
                 (current.path[current.path.length - 1].route_id !== conn.route_id ||
@@ -510,7 +305,7 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
 
             // Create new path leg
             const newLeg = {
-                from: current.stop,
+                from: conn.from_stop_id,
                 to: conn.stop_id,
                 departure: conn.departure_time,
                 arrival: conn.arrival_time,
@@ -521,27 +316,16 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
 
             // If this reaches a target stop
             if (targetStops.has(conn.stop_id)) {
-                const distance = getMinDistanceToTarget(conn.stop_id);
-                const score = newNumTransfers * 1000 + distance * 10;
-
-                if (score < bestScore) {
-                    bestScore = score;
-                    bestRoute = {
-                        path: [...current.path, newLeg],
-                        finalStop: conn.stop_id,
-                        finalTime: conn.arrival_time,
-                        numTransfers: newNumTransfers,
-                        distanceToDestination: distance
-                    };
-
-                    // If found direct route (0 transfers) or route with 1 transfer, return immediately
-                    if (newNumTransfers === 0) {
-                        console.log(`      ${searchLabel}✓ Found direct route (0 transfers) to destination!`);
-                        return bestRoute;
-                    } else if (newNumTransfers === 1) {
-                        console.log(`      ${searchLabel}✓ Found route with 1 transfer to destination!`);
-                        return bestRoute;
-                    }
+                recordRoute({
+                    path: [...current.path, newLeg],
+                    finalStop: conn.stop_id,
+                    finalTime: conn.arrival_time,
+                    numTransfers: newNumTransfers,
+                    distanceToDestination: getMinDistanceToTarget(conn.stop_id)
+                });
+
+                if (searchDone()) {
+                    return topRoutes();
                 }
 
                 continue;
@@ -586,163 +370,203 @@ function bfsSearch(startStop, targetStops, targetStopsList, startTime, maxTransf
     }
 
     if (iterations >= MAX_ITERATIONS) {
-        console.log(`      ${searchLabel}⚠️  Warning: Reached max iterations (${MAX_ITERATIONS}), search may be incomplete`);
+        progress(`      ${searchLabel}⚠️  Warning: Reached max iterations (${MAX_ITERATIONS}), search may be incomplete`);
     }
 
-    console.log(`      ${searchLabel}Completed: ${iterations} iterations, visited ${visited.size} stops`);
+    progress(`      ${searchLabel}Completed: ${iterations} iterations, visited ${visited.size} stops`);
 
-    return bestRoute;
+    return topRoutes();
 }
 
 /**
- * Calculate total journey time including walking time
+ * Search with RAPTOR from the starting stop and its walkable neighbours at once
+ * (stopA is null when the origin is a place: only its access stops are sources).
+ * For more than one itinerary, search again leaving after the earliest journey
+ * found, so each search adds later departures.
+ * @param {number} [limit=1] - Number of searches (itineraries wanted)
+ * @returns {Array<Object>} - Pareto-optimal journeys of each search as { label, result, walkInfo } candidates
  */
-function calculateTotalTime(result, walkTime = 0) {
-    if (!result || !result.path || result.path.length === 0) {
-        return Infinity;
-    }
+function raptorCandidates(stopA, stopAInfo, nearbyStops, targetStopsList, userTime, preloadedData, limit = 1) {
+    const walkMinutes = distanceKm => Math.ceil(distanceKm * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
 
-    const firstLeg = result.path[0];
-    const lastLeg = result.path[result.path.length - 1];
+    const sources = stopA ? [{ stop_id: stopA, walkSeconds: 0 }] : [];
+    nearbyStops.forEach(stop => {
+        sources.push({ stop_id: stop.stop_id, walkSeconds: walkMinutes(stop.distance) * 60 });
+    });
 
-    const transitTime = timeDifferenceMinutes(firstLeg.departure, lastLeg.arrival);
-    return transitTime + walkTime;
-}
+    // Arrival at the destination includes the walk from the final stop
+    const targets = new Map(targetStopsList.map(stop => [stop.stop_id, walkMinutes(stop.distance) * 60]));
 
-/**
- * Main function
- */
-async function main() {
-    const args = process.argv.slice(2);
+    const skipLog = createSkipLog();
+    const candidates = [];
+    let departureTime = userTime;
 
-    if (args.length < 2) {
-        console.log("Usage: node find_transit_combined.js <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]");
-        console.log("\nExamples:");
-        console.log("  node find_transit_combined.js 227102 'Dubai Mall'");
-        console.log("  node find_transit_combined.js 227102 'Dubai Mall' 08:00:00");
-        console.log("  node find_transit_combined.js 227102 'Dubai Mall' 08:00:00 1");
-        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
-        process.exit(1);
-    }
+    for (let search = 0; search < limit; search++) {
+        progress(`      Starting RAPTOR from ${sources.length} stop(s) at ${departureTime}`);
+        const journeys = raptorSearch(preloadedData.timetable, sources, targets, departureTime, {
+            maxTransfers: MAX_TRANSFERS,
+            transferRules: preloadedData.transferRules,
+            skipLog
+        });
+        candidates.push(...journeys.map(journey => journeyCandidate(journey, stopA, stopAInfo, nearbyStops, targetStopsList)));
 
-    const stopA = args[0];
-    const placeName = args[1];
-    const userTime = args[2] || getCurrentTime();
-    const routeType = args[3] || null;
-
-    const todayDate = getYYYYMMDD();
-    const dayName = getDayName();
-
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`COMBINED TRANSIT FINDER - Finding fastest route`);
-    console.log(`${'='.repeat(70)}`);
-    console.log(`\nFrom stop: ${stopA}`);
-    console.log(`To place: "${placeName}"`);
-    console.log(`Date: ${dayName} (${todayDate})`);
-    console.log(`Departure after: ${userTime}`);
-    console.log(`Max transfers: ${MAX_TRANSFERS}`);
-    if (routeType) {
-        const types = { '0': 'Tram', '1': 'Metro', '2': 'Rail', '3': 'Bus', '4': 'Ferry' };
-        console.log(`Route type filter: ${types[routeType] || routeType}`);
+        // Next search: leave when the earliest of these journeys leaves (its vehicle is then missed)
+        const riding = journeys.filter(journey => journey.path.length > 0);
+        if (riding.length === 0) break;
+        departureTime = secondsToTime(Math.min(...riding.map(journey =>
+            timeToSeconds(journey.path[0].departure) - journey.accessSeconds)));
     }
+    logSkipped(skipLog, '      ');
 
-    try {
-        // STEP 1: Geocode destination
-        console.log(`\n[1/5] Geocoding destination "${placeName}"...`);
-        const placeLocation = await getLatLngFromPlace(placeName);
-        console.log(`  ✓ ${placeLocation.formatted_address}`);
-        console.log(`  ✓ Coordinates: ${placeLocation.lat}, ${placeLocation.lng}`);
+    return candidates;
+}
 
-        // STEP 2: Find nearest stops to destination
-        console.log(`\n[2/5] Finding stops near destination...`);
-        const targetStopsList = findNearestStops(placeLocation.lat, placeLocation.lng, MAX_DESTINATIONS_NEAR_PLACE);
-        const targetStops = new Set(targetStopsList.map(s => s.stop_id));
-        console.log(`  ✓ Found ${targetStopsList.length} stops near destination`);
-        targetStopsList.slice(0, 5).forEach((stop, idx) => {
-            console.log(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${stop.distance.toFixed(2)} km`);
+/**
+ * Search backwards with RAPTOR for the latest departure from the starting stop
+ * or its walkable neighbours that reaches the destination by arriveBy.
+ * For more than one itinerary, search again for arrivals before the latest one found.
+ * @param {number} [limit=1] - Number of searches (itineraries wanted)
+ * @returns {Array<Object>} - Pareto-optimal journeys (latest departure per number of transfers) as candidates
+ */
+function raptorArriveByCandidates(stopA, stopAInfo, nearbyStops, targetStopsList, arriveBy, preloadedData, limit = 1) {
+    const walkMinutes = distanceKm => Math.ceil(distanceKm * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+
+    const sources = stopA ? [{ stop_id: stopA, walkSeconds: 0 }] : [];
+    nearbyStops.forEach(stop => {
+        sources.push({ stop_id: stop.stop_id, walkSeconds: walkMinutes(stop.distance) * 60 });
+    });
+    const targets = new Map(targetStopsList.map(stop => [stop.stop_id, walkMinutes(stop.distance) * 60]));
+
+    const skipLog = createSkipLog();
+    const candidates = [];
+    let deadline = arriveBy;
+
+    for (let search = 0; search < limit; search++) {
+        progress(`      Starting reverse RAPTOR from ${targets.size} stop(s) near the destination, arriving by ${deadline}`);
+        const journeys = raptorSearchArriveBy(preloadedData.timetable, sources, targets, deadline, {
+            maxTransfers: MAX_TRANSFERS,
+            transferRules: preloadedData.transferRules,
+            skipLog
         });
+        candidates.push(...journeys.map(journey => journeyCandidate(journey, stopA, stopAInfo, nearbyStops, targetStopsList)));
 
-        // STEP 3: Preload transit data
-        console.log(`\n[3/5] Loading transit data...`);
-        const preloadedData = preloadTransitData(dayName, todayDate, routeType);
+        // Next search: arrive before the latest of these journeys
+        const riding = journeys.filter(journey => journey.path.length > 0);
+        if (riding.length === 0) break;
+        deadline = secondsToTime(Math.max(...riding.map(journey => timeToSeconds(journey.arrival))) - 1);
+    }
+    logSkipped(skipLog, '      ');
 
-        // STEP 4: Find nearby walkable stops
-        console.log(`\n[4/5] Finding walkable stops near starting stop...`);
-        const allStops = loadFile('stops.txt');
-        const stopAInfo = allStops.find(s => s.stop_id === stopA);
+    return candidates;
+}
 
-        let nearbyStops = [];
-        if (stopAInfo && stopAInfo.stop_lat && stopAInfo.stop_lon) {
-            nearbyStops = findNearestStops(
-                parseFloat(stopAInfo.stop_lat),
-                parseFloat(stopAInfo.stop_lon),
-                MAX_NEARBY_STOPS_TO_CHECK
-            ).filter(s => s.stop_id !== stopA && s.distance <= MAX_WALKING_DISTANCE_KM);
-
-            console.log(`  ✓ Found ${nearbyStops.length} walkable stops (within ${MAX_WALKING_DISTANCE_KM * 1000}m)`);
-            nearbyStops.slice(0, 3).forEach((stop, idx) => {
-                const distDisplay = stop.distance < 1
-                    ? `${(stop.distance * 1000).toFixed(0)}m`
-                    : `${stop.distance.toFixed(2)}km`;
-                console.log(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${distDisplay}`);
-            });
-        } else {
-            console.log(`  ✗ Could not find coordinates for stop ${stopA}`);
-        }
+/**
+ * Wrap a RAPTOR journey as a { label, result, walkInfo } candidate
+ */
+function journeyCandidate(journey, stopA, stopAInfo, nearbyStops, targetStopsList) {
+    const finalStop = targetStopsList.find(s => s.stop_id === journey.finalStop);
+    const result = {
+        path: journey.path,
+        finalStop: journey.finalStop,
+        finalTime: journey.finalTime,
+        numTransfers: journey.numTransfers,
+        distanceToDestination: finalStop.distance,
+        arrival: journey.arrival,
+        departure: journey.departure
+    };
 
-        // STEP 5: Search for routes (prioritize direct routes)
-        console.log(`\n[5/5] Searching for routes...`);
-        console.log(`  Strategy: Check for direct routes first, then search with transfers if needed`);
+    if (journey.startStop === stopA) {
+        return { label: 'Original stop', result, walkInfo: null };
+    }
 
-        let originalResult = null;
-        let nearbyResults = [];
-        let foundDirectRoute = false;
+    const walkStop = nearbyStops.find(s => s.stop_id === journey.startStop);
+    return {
+        label: walkStop.stop_name,
+        result,
+        walkInfo: {
+            from: stopAInfo,
+            to: walkStop,
+            distance: walkStop.distance,
+            time: Math.ceil(walkStop.distance * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN)
+        }
+    };
+}
 
-        // PHASE 1: Check for direct route from original stop
-        console.log(`\n  [A] Searching from original stop ${stopA}...`);
-        originalResult = bfsSearch(
+/**
+ * Search with BFS from the starting stop, then from walkable stops if no direct route was found
+ * (stopA is null when the origin is a place: only its access stops are searched)
+ * @param {number} [limit=1] - Distinct routes to keep from each stop
+ * @returns {Array<Object>} - Routes found as { label, result, walkInfo } candidates
+ */
+function bfsCandidates(stopA, stopAInfo, nearbyStops, targetStops, targetStopsList, userTime, preloadedData, weights, limit = 1) {
+    let originalResults = [];
+    let nearbyResults = [];
+    let foundDirectRoute = false;
+
+    // PHASE 1: Check for direct route from original stop
+    if (stopA) {
+        progress(`\n  [A] Searching from original stop ${stopA}...`);
+        const originalSkipLog = createSkipLog();
+        originalResults = bfsSearch(
             stopA,
             targetStops,
             targetStopsList,
             userTime,
             MAX_TRANSFERS,
             preloadedData,
-            '[Original] '
+            '[Original] ',
+            originalSkipLog,
+            weights,
+            limit
         );
+        logSkipped(originalSkipLog, '      ');
 
-        if (originalResult) {
-            console.log(`      ✓ Found route with ${originalResult.numTransfers} transfer(s)`);
+        if (originalResults.length > 0) {
+            progress(`      ✓ Found route with ${originalResults[0].numTransfers} transfer(s)`);
 
             // If direct route found, stop immediately
-            if (originalResult.numTransfers === 0) {
-                console.log(`      🎯 DIRECT ROUTE FOUND! Stopping search.`);
+            if (originalResults[0].numTransfers === 0) {
+                progress(`      🎯 DIRECT ROUTE FOUND! Stopping search.`);
                 foundDirectRoute = true;
             }
         } else {
-            console.log(`      ✗ No route found`);
+            progress(`      ✗ No route found`);
         }
+    }
 
-        // PHASE 2: Only check walkable stops if no direct route found
-        if (!foundDirectRoute && nearbyStops.length > 0) {
-            console.log(`\n  No direct route from original stop. Checking ${nearbyStops.length} walkable stops...`);
-
-            for (let i = 0; i < nearbyStops.length; i++) {
-                const nearbyStop = nearbyStops[i];
-                console.log(`\n  [${String.fromCharCode(66 + i)}] Searching from ${nearbyStop.stop_name} (${nearbyStop.stop_id})...`);
+    // PHASE 2: Only check walkable stops if no direct route found
+    if (!foundDirectRoute && nearbyStops.length > 0) {
+        if (stopA) {
+            progress(`\n  No direct route from original stop. Checking ${nearbyStops.length} walkable stops...`);
+        } else {
+            progress(`\n  Checking ${nearbyStops.length} stops within walking distance of the origin...`);
+        }
 
-                const nearbyResult = bfsSearch(
-                    nearbyStop.stop_id,
-                    targetStops,
-                    targetStopsList,
-                    userTime,
-                    MAX_TRANSFERS,
-                    preloadedData,
-                    `[${nearbyStop.stop_name}] `
-                );
+        for (let i = 0; i < nearbyStops.length; i++) {
+            const nearbyStop = nearbyStops[i];
+            progress(`\n  [${String.fromCharCode(66 + i)}] Searching from ${nearbyStop.stop_name} (${nearbyStop.stop_id})...`);
+
+            // Board only what leaves after the walk to this stop
+            const walkTime = Math.ceil(nearbyStop.distance * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+            const nearbySkipLog = createSkipLog();
+            const found = bfsSearch(
+                nearbyStop.stop_id,
+                targetStops,
+                targetStopsList,
+                secondsToTime(timeToSeconds(userTime) + walkTime * 60),
+                MAX_TRANSFERS,
+                preloadedData,
+                `[${nearbyStop.stop_name}] `,
+                nearbySkipLog,
+                weights,
+                limit
+            );
+            logSkipped(nearbySkipLog, '      ');
 
-                if (nearbyResult) {
-                    const walkTime = Math.ceil(nearbyStop.distance * 1000 / WALKING_SPEED_M_PER_MIN);
+            if (found.length > 0) {
+                found.forEach(nearbyResult => {
                     nearbyResults.push({
+                        label: nearbyStop.stop_name,
                         result: nearbyResult,
                         walkInfo: {
                             from: stopAInfo,
@@ -751,152 +575,423 @@ async function main() {
                             time: walkTime
                         }
                     });
-                    console.log(`      ✓ Found route with ${nearbyResult.numTransfers} transfer(s) + ${walkTime} min walk`);
-
-                    // If direct route found from walkable stop, stop immediately
-                    if (nearbyResult.numTransfers === 0) {
-                        console.log(`      🎯 DIRECT ROUTE FOUND from walkable stop! Stopping search.`);
-                        foundDirectRoute = true;
-                        break;
-                    }
-                } else {
-                    console.log(`      ✗ No route found`);
+                });
+                progress(`      ✓ Found route with ${found[0].numTransfers} transfer(s) + ${walkTime} min walk`);
+
+                // If direct route found from walkable stop, stop immediately
+                if (found[0].numTransfers === 0) {
+                    progress(`      🎯 DIRECT ROUTE FOUND from walkable stop! Stopping search.`);
+                    foundDirectRoute = true;
+                    break;
                 }
-            }
-        } else if (foundDirectRoute) {
-            console.log(`\n  ⏩ Skipping walkable stops check (direct route already found)`);
-        }
-
-        // STEP 6: Compare all results and pick the fastest
-        console.log(`\n\nComparing all routes...`);
-
-        let bestOverallRoute = null;
-        let bestOverallTime = Infinity;
-        let bestOverallScore = Infinity; // Score = time + transfers * 30 (prefer fewer transfers)
-
-        // Check original route
-        if (originalResult) {
-            const totalTime = calculateTotalTime(originalResult);
-            const score = totalTime + originalResult.numTransfers * 30;
-            console.log(`  - Original stop: ${totalTime} min, ${originalResult.numTransfers} transfers (score: ${score.toFixed(1)})`);
-
-            if (score < bestOverallScore) {
-                bestOverallScore = score;
-                bestOverallTime = totalTime;
-                bestOverallRoute = {
-                    result: originalResult,
-                    walkInfo: null
-                };
+            } else {
+                progress(`      ✗ No route found`);
             }
         }
+    } else if (foundDirectRoute) {
+        progress(`\n  ⏩ Skipping walkable stops check (direct route already found)`);
+    }
 
-        // Check nearby routes
-        for (const nearbyRouteInfo of nearbyResults) {
-            const totalTime = calculateTotalTime(nearbyRouteInfo.result, nearbyRouteInfo.walkInfo.time);
-            const score = totalTime + nearbyRouteInfo.result.numTransfers * 30;
-            console.log(`  - ${nearbyRouteInfo.walkInfo.to.stop_name}: ${totalTime} min (${nearbyRouteInfo.walkInfo.time} walk + transit), ${nearbyRouteInfo.result.numTransfers} transfers (score: ${score.toFixed(1)})`);
 
-            if (score < bestOverallScore) {
-                bestOverallScore = score;
-                bestOverallTime = totalTime;
-                bestOverallRoute = nearbyRouteInfo;
+    return [
+        ...originalResults.map(result => ({ label: 'Original stop', result, walkInfo: null })),
+        ...nearbyResults
+    ];
+}
+
+/**
+ * One route in the --json schema
+ * @param {Object} candidate - { label, result, walkInfo }
+ * @param {Object} ranking - Its { score, criteria } from scoreItinerary
+ * @param {Object} context - { arriveBy, userTime }
+ */
+function candidateJson(candidate, ranking, { arriveBy, userTime }) {
+    const result = candidate.result;
+    const legs = result.path.map(transitLegJson);
+    if (candidate.walkInfo) {
+        // Arrive-by journeys leave at their departure, others at the query time
+        legs.unshift(walkLegJson(candidate.walkInfo, arriveBy ? result.departure : userTime));
+    }
+    return itineraryJson(legs, {
+        finalStop: result.finalStop,
+        finalWalkKm: result.distanceToDestination,
+        ranking
+    });
+}
+
+/**
+ * Plan a trip from an origin to a place: BFS (or RAPTOR) from the origin and
+ * the stops within walking distance of it, ranked with the shared scoring model
+ * @param {Object} options - The shared options of lib/query.js, plus:
+ * @param {string} options.origin - stop_id, "lat,lng" or place name
+ * @param {string} options.destination - Place name
+ * @param {boolean} [options.arriveBy=false] - options.time is the latest arrival (reverse RAPTOR)
+ * @param {string} [options.engine='bfs'] - 'bfs' or 'raptor'
+ * @param {string|number} [options.routeType] - Only ride routes of this route_type
+ * @param {boolean} [options.candidates=false] - Add the stops searched near the origin and
+ *   destination as document.candidates (see lib/map_report.js)
+ * @returns {Promise<Object>} - Itinerary document (lib/itinerary_json.js), best first
+ */
+function planToPlace(options) {
+    return withProgress(options.log, async () => {
+        const { origin: originArg, destination: placeName, arriveBy = false, engine = 'bfs' } = options;
+        const routeType = options.routeType !== undefined && options.routeType !== null ? String(options.routeType) : null;
+        if (!originArg || !placeName) {
+            throw new QueryError('An origin and a destination are required');
+        }
+        if (!ENGINES.includes(engine)) {
+            throw new QueryError(`Unknown engine "${engine}", expected one of: ${ENGINES.join(', ')}`);
+        }
+        if (arriveBy && !options.time) {
+            throw new QueryError('--arrive-by needs the arrival time');
+        }
+        const { todayDate, dayName, userTime, weights, limit } = resolveQuery(options);
+
+        progress(`\n${'='.repeat(70)}`);
+        progress(`COMBINED TRANSIT FINDER - Finding fastest route`);
+        progress(`${'='.repeat(70)}`);
+        progress(`\nFrom: ${originArg}`);
+        progress(`To place: "${placeName}"`);
+        progress(`Date: ${dayName} (${todayDate})`);
+        if (arriveBy) {
+            progress(`Arrive by: ${userTime}`);
+        } else {
+            progress(`Departure after: ${userTime}`);
+        }
+        progress(`Max transfers: ${MAX_TRANSFERS}`);
+        progress(`Engine: ${arriveBy ? 'raptor (reverse search for --arrive-by)' : engine}`);
+        progress(`Ranking weights: ${formatWeights(weights)}`);
+        if (routeType) {
+            const types = { '0': 'Tram', '1': 'Metro', '2': 'Rail', '3': 'Bus', '4': 'Ferry' };
+            progress(`Route type filter: ${types[routeType] || routeType}`);
+        }
+
+        // Origin: a stop, or a place/coordinate reached by walking to one of its nearest stops
+        const origin = await resolveOrigin(originArg, {
+            maxStops: MAX_ACCESS_STOPS,
+            maxWalkKm: MAX_ACCESS_WALK_KM,
+            walkingSpeed: DEFAULT_WALKING_SPEED_M_PER_MIN
+        });
+        const stopA = origin.stop_id;
+        const stopAInfo = origin.info;
+        if (origin.type === 'place') {
+            progress(`  ✓ Origin: ${origin.name}`);
+            if (origin.source !== 'coordinates') {
+                progress(`  ✓ Coordinates: ${origin.lat}, ${origin.lng}`);
             }
         }
 
-        // Display results
-        console.log(`\n${'='.repeat(70)}`);
-        console.log(`FINAL RESULT - FASTEST ROUTE`);
-        console.log(`${'='.repeat(70)}`);
+        // STEP 1: Geocode destination
+        progress(`\n[1/5] Geocoding destination "${placeName}"...`);
+        const placeLocation = await geocode(placeName);
+        progress(`  ✓ ${placeLocation.formatted_address}`);
+        progress(`  ✓ Coordinates: ${placeLocation.lat}, ${placeLocation.lng}`);
 
-        if (bestOverallRoute) {
-            const result = bestOverallRoute.result;
-            const hasWalk = !!bestOverallRoute.walkInfo;
-
-            if (result.path.length === 0) {
-                // Direct connection - start stop is already a target
-                console.log(`\n✓ You are already at a stop near the destination!`);
-                console.log(`  Start: ${stopAInfo ? stopAInfo.stop_name : stopA} (${stopA})`);
-                const finalStop = targetStopsList.find(s => s.stop_id === result.finalStop);
-                if (finalStop) {
-                    console.log(`  Distance to ${placeName}: ${finalStop.distance.toFixed(2)} km`);
-                }
-            } else {
-                if (hasWalk) {
-                    console.log(`\n✓ FASTEST ROUTE: Walk + ${result.numTransfers} transfer(s)`);
-                } else {
-                    console.log(`\n✓ FASTEST ROUTE: ${result.numTransfers} transfer(s) from original stop`);
-                }
-                console.log(`  Total journey time: ${bestOverallTime} minutes`);
-
-                const routes = preloadedData.routes;
-
-                // Display WALK if applicable
-                if (hasWalk) {
-                    const distDisplay = bestOverallRoute.walkInfo.distance < 1
-                        ? `${(bestOverallRoute.walkInfo.distance * 1000).toFixed(0)} meters`
-                        : `${bestOverallRoute.walkInfo.distance.toFixed(2)} km`;
-                    console.log(`\n┌─ WALK`);
-                    console.log(`│  From: ${bestOverallRoute.walkInfo.from.stop_name} (${bestOverallRoute.walkInfo.from.stop_id})`);
-                    console.log(`│  To: ${bestOverallRoute.walkInfo.to.stop_name} (${bestOverallRoute.walkInfo.to.stop_id})`);
-                    console.log(`│  Distance: ${distDisplay}`);
-                    console.log(`│  Walking time: ~${bestOverallRoute.walkInfo.time} minutes`);
-                    console.log(`│`);
-                }
+        // STEP 2: Find nearest stops to destination
+        progress(`\n[2/5] Finding stops near destination...`);
+        const targetStopsList = walkingDistances(placeLocation.lat, placeLocation.lng,
+            findNearestStops(placeLocation.lat, placeLocation.lng, MAX_DESTINATIONS_NEAR_PLACE));
+        if (targetStopsList.length === 0) {
+            throw new QueryError(`No stop within a ${DEFAULT_MAX_WALK_KM} km walk of ${placeLocation.formatted_address}`);
+        }
+        const targetStops = new Set(targetStopsList.map(s => s.stop_id));
+        progress(`  ✓ Found ${targetStopsList.length} stops near destination`);
+        targetStopsList.slice(0, 5).forEach((stop, idx) => {
+            progress(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${stop.distance.toFixed(2)} km`);
+        });
 
-                // Display each leg
-                let startTime = null;
-                result.path.forEach((leg, idx) => {
-                    const legNum = idx + 1;
-                    const fromStop = allStops.find(s => s.stop_id === leg.from);
-                    const toStop = allStops.find(s => s.stop_id === leg.to);
-                    const route = routes.find(r => r.route_id === leg.route_id);
-                    const routeTypeName = route ? getTransitTypeName(route.route_type) : 'Unknown';
-
-                    if (legNum === 1) {
-                        startTime = leg.departure;
-                        if (hasWalk) {
-                            console.log(`├─ LEG ${legNum}: ${routeTypeName} ${leg.route_id}`);
-                        } else {
-                            console.log(`\n┌─ LEG ${legNum}: ${routeTypeName} ${leg.route_id}`);
-                        }
-                    } else {
-                        console.log(`├─ LEG ${legNum}: ${routeTypeName} ${leg.route_id}`);
-                    }
-                    console.log(`│  From: ${fromStop ? fromStop.stop_name : leg.from} (${leg.from})`);
-                    console.log(`│  To: ${toStop ? toStop.stop_name : leg.to} (${leg.to})`);
-                    console.log(`│  Headsign: ${leg.headsign}`);
-                    console.log(`│  Departure: ${leg.departure}`);
-                    console.log(`│  Arrival: ${leg.arrival}`);
-
-                    const legDuration = timeDifferenceMinutes(leg.departure, leg.arrival);
-                    console.log(`│  Duration: ${legDuration} minutes`);
-
-                    // Show transfer if not last leg
-                    if (idx < result.path.length - 1) {
-                        const nextLeg = result.path[idx + 1];
-                        const waitTime = timeDifferenceMinutes(leg.arrival, nextLeg.departure);
-                        console.log(`│`);
-                        console.log(`├─ TRANSFER at ${toStop ? toStop.stop_name : leg.to}`);
-                        console.log(`│  Wait time: ${waitTime} minutes`);
-                        console.log(`│  Next departure: ${nextLeg.departure}`);
-                    }
-                });
+        // STEP 3: Preload transit data
+        progress(`\n[3/5] Loading transit data...`);
+        const preloadedData = preloadTransitData(dayName, todayDate, routeType);
 
-                console.log(`│`);
-                console.log(`└─ Total journey time: ${bestOverallTime} minutes${hasWalk ? ` (includes ${bestOverallRoute.walkInfo.time} min walk)` : ''}`);
+        // STEP 4: Find nearby walkable stops
+        let nearbyStops = [];
+        if (origin.type === 'place') {
+            progress(`\n[4/5] Finding stops near origin...`);
+            nearbyStops = origin.accessStops;
+            progress(`  ✓ Found ${nearbyStops.length} stops within ${MAX_ACCESS_WALK_KM * 1000}m`);
+            nearbyStops.slice(0, 3).forEach((stop, idx) => {
+                progress(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${(stop.distance * 1000).toFixed(0)}m, ${stop.walkMinutes} min walk`);
+            });
+        } else if (stopAInfo.stop_lat !== null && stopAInfo.stop_lon !== null) {
+            progress(`\n[4/5] Finding walkable stops near starting stop...`);
+            nearbyStops = walkingDistancesFromStop(stopAInfo, findStopsWithin(
+                stopAInfo.stop_lat,
+                stopAInfo.stop_lon,
+                MAX_WALKING_DISTANCE_KM,
+                { maxResults: MAX_NEARBY_STOPS_TO_CHECK }
+            ).filter(s => s.stop_id !== stopA), { maxKm: MAX_WALKING_DISTANCE_KM });
+
+            progress(`  ✓ Found ${nearbyStops.length} walkable stops (within ${MAX_WALKING_DISTANCE_KM * 1000}m)`);
+            nearbyStops.slice(0, 3).forEach((stop, idx) => {
+                const distDisplay = stop.distance < 1
+                    ? `${(stop.distance * 1000).toFixed(0)}m`
+                    : `${stop.distance.toFixed(2)}km`;
+                progress(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${distDisplay}`);
+            });
+        } else {
+            progress(`\n[4/5] Finding walkable stops near starting stop...`);
+            progress(`  ✗ Could not find coordinates for stop ${stopA}`);
+        }
 
-                const finalStop = targetStopsList.find(s => s.stop_id === result.finalStop);
-                if (finalStop) {
-                    console.log(`\n   Final distance to ${placeName}: ${finalStop.distance.toFixed(2)} km`);
-                }
+        // STEP 5: Search for routes
+        progress(`\n[5/5] Searching for routes...`);
 
-                if (hasWalk) {
-                    console.log(`\n   Note: Route starts with ${bestOverallRoute.walkInfo.time} min walk from ${bestOverallRoute.walkInfo.from.stop_name} to ${bestOverallRoute.walkInfo.to.stop_name}`);
-                }
+        let candidates;
+        if (arriveBy) {
+            progress(`  Strategy: One reverse RAPTOR search from the stops near the destination (latest departure per number of transfers)`);
+            candidates = raptorArriveByCandidates(stopA, stopAInfo, nearbyStops, targetStopsList, userTime, preloadedData, limit);
+
+            progress(`      ✓ Found ${candidates.length} Pareto-optimal journey(s)`);
+            candidates.forEach(candidate => {
+                progress(`        - ${candidate.result.numTransfers} transfer(s), leave ${candidate.result.departure}, arrive ${candidate.result.arrival} (from ${candidate.label})`);
+            });
+        } else if (engine === 'raptor') {
+            progress(`  Strategy: One RAPTOR search from the original and walkable stops (earliest arrival per number of transfers)`);
+            candidates = raptorCandidates(stopA, stopAInfo, nearbyStops, targetStopsList, userTime, preloadedData, limit);
+
+            progress(`      ✓ Found ${candidates.length} Pareto-optimal journey(s)`);
+            candidates.forEach(candidate => {
+                progress(`        - ${candidate.result.numTransfers} transfer(s), arrive ${candidate.result.arrival} (from ${candidate.label})`);
+            });
+        } else {
+            progress(`  Strategy: Check for direct routes first, then search with transfers if needed`);
+            candidates = bfsCandidates(stopA, stopAInfo, nearbyStops, targetStops, targetStopsList, userTime, preloadedData, weights, limit);
+        }
+
+        // STEP 6: Compare all results and pick the best ones
+        progress(`\n\nComparing all routes...`);
+
+        // Arrive-by journeys are measured from when the rider leaves up to the deadline
+        const toItinerary = candidate => ({
+            startTime: arriveBy ? candidate.result.departure : userTime,
+            arriveBy: arriveBy ? userTime : undefined,
+            accessWalkMinutes: candidate.walkInfo ? candidate.walkInfo.time : 0,
+            legs: candidate.result.path,
+            egressWalkKm: candidate.result.distanceToDestination
+        });
+        candidates.forEach(candidate => {
+            const ranking = scoreItinerary(toItinerary(candidate), weights);
+            const leaveDisplay = arriveBy ? `, leave ${candidate.result.departure}` : '';
+            progress(`  - ${candidate.label}: ${formatCriteria(ranking.criteria)}${leaveDisplay} (score ${ranking.score})`);
+        });
+
+        // Candidates come with fewer transfers first, so they keep ties
+        const best = pickTopItineraries(candidates, toItinerary, weights, limit);
+
+        const plan = addLegGeometry(resultJson('find_transit_combined', {
+            origin: stopAInfo,
+            destination: { name: placeLocation.formatted_address, lat: placeLocation.lat, lng: placeLocation.lng },
+            date: todayDate,
+            time: userTime,
+            arriveBy,
+            engine: arriveBy ? 'raptor' : engine,
+            weights
+        }, best.map(({ candidate, score, criteria }) => candidateJson(candidate, { score, criteria }, { arriveBy, userTime }))), preloadedData.timetable);
+        if (options.candidates) {
+            plan.candidates = candidatesJson(nearbyStops, targetStopsList);
+        }
+        return plan;
+    });
+}
+
+/**
+ * Print one itinerary with its walk, legs, transfers and ranking
+ * @param {Object} itinerary - From planToPlace
+ * @param {Object} context - { arriveBy, userTime, origin, placeName }
+ */
+function printItinerary(itinerary, { arriveBy, userTime, origin, placeName }) {
+    const walk = itinerary.legs.length > 0 && itinerary.legs[0].mode === 'WALK' ? itinerary.legs[0] : null;
+    const rides = itinerary.legs.filter(leg => leg.mode !== 'WALK');
+    const ranking = itinerary.ranking;
+
+    if (rides.length === 0) {
+        // Direct connection - start stop is already a target, walk on from it
+        const finalWalkMinutes = Math.ceil(itinerary.finalWalkKm * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+        if (walk) {
+            console.log(`\n✓ The destination is within walking distance: walk ${walk.durationMinutes} min to ${describeLocation(walk.to)}, ` +
+                `then ${finalWalkMinutes} min to ${placeName}`);
+        } else {
+            console.log(`\n✓ You are already at a stop near the destination: walk ${finalWalkMinutes} min to ${placeName}`);
+        }
+        console.log(`  Start: ${describeLocation(origin)}`);
+        console.log(`  Distance to ${placeName}: ${itinerary.finalWalkKm.toFixed(2)} km`);
+        console.log(`  Ranking: ${formatCriteria(ranking.criteria)} (score ${ranking.score})`);
+        return;
+    }
+
+    if (walk) {
+        console.log(`\n✓ ${arriveBy ? 'LATEST DEPARTURE' : 'FASTEST ROUTE'}: Walk + ${itinerary.transfers} transfer(s)`);
+    } else {
+        console.log(`\n✓ ${arriveBy ? 'LATEST DEPARTURE' : 'FASTEST ROUTE'}: ${itinerary.transfers} transfer(s) from original stop`);
+    }
+    console.log(`  Total journey time: ${ranking.criteria.time} minutes`);
+    if (arriveBy) {
+        // Arrival at the place: the last vehicle, then the walk from its stop
+        const finalWalkMinutes = Math.ceil(itinerary.finalWalkKm * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+        const arrival = secondsToTime(timeToSeconds(itinerary.arrival) + finalWalkMinutes * 60);
+        console.log(`  Leave by ${walk ? walk.departure : itinerary.departure} to arrive at ${arrival} (needed by ${userTime})`);
+    }
+
+    // Display WALK if applicable
+    if (walk) {
+        const distDisplay = walk.distanceKm < 1
+            ? `${(walk.distanceKm * 1000).toFixed(0)} meters`
+            : `${walk.distanceKm.toFixed(2)} km`;
+        console.log(`\n┌─ WALK`);
+        console.log(`│  From: ${describeLocation(walk.from)}`);
+        console.log(`│  To: ${describeLocation(walk.to)}`);
+        console.log(`│  Distance: ${distDisplay}`);
+        console.log(`│  Walking time: ~${walk.durationMinutes} minutes`);
+        console.log(`│`);
+    }
+
+    // Display each leg
+    rides.forEach((leg, idx) => {
+        const legNum = idx + 1;
+        const routeTypeName = leg.route.type !== null ? getTransitTypeName(leg.route.type) : 'Unknown';
+
+        if (legNum === 1 && !walk) {
+            console.log(`\n┌─ LEG ${legNum}: ${routeTypeName} ${leg.route.route_id}`);
+        } else {
+            console.log(`├─ LEG ${legNum}: ${routeTypeName} ${leg.route.route_id}`);
+        }
+        console.log(`│  From: ${describeLocation(leg.from)}`);
+        console.log(`│  To: ${describeLocation(leg.to)}`);
+        console.log(`│  Headsign: ${leg.headsign}`);
+        console.log(`│  Departure: ${leg.departure}`);
+        console.log(`│  Arrival: ${leg.arrival}`);
+        console.log(`│  Duration: ${leg.durationMinutes} minutes`);
+
+        // Show transfer if not last leg
+        if (idx < rides.length - 1) {
+            const nextLeg = rides[idx + 1];
+            console.log(`│`);
+            console.log(`├─ TRANSFER at ${leg.to.name}`);
+            const transferWalk = itinerary.legs[itinerary.legs.indexOf(nextLeg) - 1];
+            if (transferWalk.mode === 'WALK') {
+                console.log(`│  Walk: ${(transferWalk.distanceKm * 1000).toFixed(0)}m to ${describeLocation(nextLeg.from)} (${transferWalk.durationMinutes} min)`);
             }
+            console.log(`│  Wait time: ${timeDifferenceMinutes(leg.arrival, nextLeg.departure)} minutes`);
+            console.log(`│  Next departure: ${nextLeg.departure}`);
+        }
+    });
+
+    console.log(`│`);
+    console.log(`└─ Total journey time: ${ranking.criteria.time} minutes (includes ${ranking.criteria.walk} min walking)`);
+    console.log(`\n   Final distance to ${placeName}: ${itinerary.finalWalkKm.toFixed(2)} km`);
+    console.log(`   Ranking: ${formatCriteria(ranking.criteria)} (score ${ranking.score})`);
 
+    if (walk) {
+        console.log(`\n   Note: Route starts with ${walk.durationMinutes} min walk from ${walk.from.name} to ${walk.to.name}`);
+    }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['_', 'engine', 'date', 'timezone', 'limit', 'html', ...WEIGHT_OPTIONS],
+        boolean: ['arrive-by', 'json', 'geojson'],
+        default: { engine: 'bfs' }
+    });
+    const args = argv._;
+    if (argv.json || argv.geojson) {
+        enableJsonMode();
+    }
+
+    let weights;
+    let limit;
+    try {
+        weights = resolveWeights(argv);
+        limit = parseLimit(argv.limit);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (argv['arrive-by'] && args.length >= 2 && !args[2]) {
+        console.error('--arrive-by needs the arrival time: <ORIGIN> <PLACE_NAME> HH:MM:SS');
+        process.exit(1);
+    }
+
+    if (args.length < 2 || !ENGINES.includes(argv.engine)) {
+        console.log("Usage: node find_transit_combined.js [--engine bfs|raptor] [--arrive-by] [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--limit K] [--json | --geojson] [--html FILE] <ORIGIN> <PLACE_NAME> [HH:MM:SS] [route_type]");
+        console.log("\nORIGIN is a stop ID, a \"lat,lng\" pair or a place name.");
+        console.log("\nExamples:");
+        console.log("  node find_transit_combined.js 227102 'Dubai Mall'");
+        console.log("  node find_transit_combined.js 25.2285,55.2867 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_combined.js 'Al Rigga' 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_combined.js 227102 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_combined.js 227102 'Dubai Mall' 08:00:00 1");
+        console.log("  node find_transit_combined.js --engine raptor 227102 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_combined.js --arrive-by 227102 'Dubai Mall' 09:00:00");
+        console.log("  node find_transit_combined.js --limit 3 227102 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_combined.js --date 2026-03-30 227102 'Dubai Mall' 08:00:00");
+        console.log("\nEngines: bfs (default), raptor (earliest arrival per number of transfers)");
+        console.log("--arrive-by: HH:MM:SS is the latest arrival; finds the latest departure (reverse RAPTOR)");
+        console.log("Ranking criteria: time, walk, wait, transfers, final-walk (--weight-walk 3, ... or a JSON --profile)");
+        console.log("--limit K: show the K best distinct routes (default: 1)");
+        console.log("--json: print the routes as JSON on stdout, progress on stderr");
+        console.log("--geojson: print the routes as GeoJSON on stdout (for QGIS or geojson.io)");
+        console.log("--html FILE: write a map of the route and the stops searched (opens offline)");
+        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
+        process.exit(1);
+    }
+
+    const placeName = args[1];
+    const arriveBy = argv['arrive-by'];
+
+    try {
+        const plan = await planToPlace({
+            origin: args[0],
+            destination: placeName,
+            time: args[2],
+            date: argv.date,
+            timezone: argv.timezone,
+            arriveBy,
+            engine: argv.engine,
+            routeType: args[3] || null,
+            weights,
+            limit,
+            candidates: !!argv.html,
+            log: console.log
+        });
+
+        if (argv.html) {
+            fs.writeFileSync(argv.html, mapReportHtml(plan));
+            console.log(`\n  ✓ Map written to ${argv.html}`);
+        }
+        if (argv.geojson) {
+            printJson(itineraryGeoJson(plan));
+            return;
+        }
+        if (argv.json) {
+            printJson(plan);
+            return;
+        }
+
+        const best = plan.itineraries;
+
+        // Display results
+        console.log(`\n${'='.repeat(70)}`);
+        console.log(`FINAL RESULT - ${arriveBy ? 'LATEST DEPARTURE' : 'FASTEST ROUTE'}`);
+        console.log(`${'='.repeat(70)}`);
+
+        if (best.length > 0) {
+            if (limit > 1) {
+                console.log(`\n${best.length} distinct route(s) found (--limit ${limit}), best first`);
+            }
+            best.forEach((itinerary, idx) => {
+                if (best.length > 1) {
+                    console.log(`\n${'-'.repeat(70)}`);
+                    console.log(`OPTION ${idx + 1} of ${best.length}`);
+                }
+                printItinerary(itinerary, { arriveBy, userTime: plan.query.time, origin: plan.query.origin, placeName });
+            });
         } else {
-            console.log(`\n✗ No route found from stop ${stopA} to ${placeName}`);
+            console.log(`\n✗ No route found from ${describeLocation(plan.query.origin)} to ${placeName}`);
             console.log(`\nThis could mean:`);
             console.log(`  - No connecting routes exist within ${MAX_TRANSFERS} transfers`);
             console.log(`  - Try a different departure time`);
@@ -913,5 +1008,11 @@ async function main() {
     }
 }
 
-main();
+module.exports = {
+    planToPlace
+};
 
+// Run main only if this file is executed directly
+if (require.main === module) {
+    main();
+}
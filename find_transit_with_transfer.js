@@ -4,94 +4,75 @@
  * Implements Approach 1: Single Transfer (2-Leg Journey) from multi-leg-journey-strategies.md
  * 
  * This script finds routes from a stop to a place that may require one transfer.
+ * The origin may also be a place or a "lat,lng" pair: the search then runs from
+ * each of its nearest stops, and the walk to the first stop counts toward the
+ * journey time.
+ * 
+ * Direct trips and transfer routes are ranked with the shared scoring model
+ * (lib/itinerary_score.js); a transfer is only searched for when no direct
+ * trip reaches the destination.
+ * 
+ * --json prints the route as JSON on stdout (see lib/itinerary_json.js) and
+ * the progress logs on stderr.
+ * 
+ * The search is exported as findWithTransfer(options) (see index.js); the CLI
+ * parses its arguments, calls it and prints the route.
  * 
  * Usage:
- *   node find_transit_with_transfer.js <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]
+ *   node find_transit_with_transfer.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--json] <ORIGIN> <PLACE_NAME> [HH:MM:SS] [route_type]
  * 
  * Examples:
  *   node find_transit_with_transfer.js 227102 "Dubai Mall"
+ *   node find_transit_with_transfer.js "Al Rigga" "Dubai Mall" 08:00:00
  *   node find_transit_with_transfer.js 227102 "Dubai Mall" 08:00:00
+ *   node find_transit_with_transfer.js --date 2026-03-30 227102 "Dubai Mall" 08:00:00
  *   node find_transit_with_transfer.js 227102 "Dubai Mall" 08:00:00 1
+ *   node find_transit_with_transfer.js --json 227102 "Dubai Mall" 08:00:00 > plan.json
  * 
  * Route types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry
  */
 
-const fs = require('fs');
-const path = require('path');
-const https = require('https');
-
-const DATA_DIR = path.join(__dirname, 'data');
+const minimist = require('minimist');
+const { loadStops, preloadTransitData } = require('./lib/gtfs_feed');
+const {
+    timeToSeconds,
+    timeDifferenceMinutes,
+    secondsToTime,
+    canBoard,
+    canAlight,
+    createSkipLog,
+    recordSkip,
+    logSkipped,
+    getDeparturesAfter,
+    getTripStopTimes
+} = require('./lib/timetable');
+const { geocode } = require('./lib/geocoder');
+const { getTransferOptions } = require('./lib/transfers');
+const { findNearestStops, findStopsWithin } = require('./lib/stop_index');
+const { DEFAULT_MAX_WALK_KM, DEFAULT_WALKING_SPEED_M_PER_MIN, walkingDistances, walkingDistancesFromStop } = require('./lib/walk_router');
+const { resolveOrigin, describeLocation } = require('./lib/origin');
+const { enableJsonMode, printJson, transitLegJson, walkLegJson, itineraryJson, resultJson } = require('./lib/itinerary_json');
+const { addLegGeometry } = require('./lib/shapes');
+const {
+    DEFAULT_WEIGHTS,
+    WEIGHT_OPTIONS,
+    resolveWeights,
+    scoreItinerary,
+    pickBestItinerary,
+    formatCriteria,
+    formatWeights
+} = require('./lib/itinerary_score');
+const { resolveQuery } = require('./lib/query');
+const { progress, withProgress } = require('./lib/progress');
+const { QueryError } = require('./lib/query_error');
 
 // ===== CONFIGURATION =====
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-const TRANSFER_TIME_MINUTES = 5; // Minimum transfer time in minutes
 const MAX_DESTINATIONS_NEAR_PLACE = 20; // How many stops near destination to check
 const MAX_INTERMEDIATE_STOPS = 50; // Max intermediate stops to check for transfers
+const MAX_ACCESS_STOPS = 5; // Nearest stops to walk to when the origin is a place
+const MAX_ACCESS_WALK_KM = 1.0; // Maximum walk from a place origin to its first stop
 // =========================
 
-// Helper to parse CSV lines
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const values = [];
-        let current = '';
-        let inQuote = false;
-
-        for (let j = 0; j < line.length; j++) {
-            const char = line[j];
-            if (char === '"') {
-                inQuote = !inQuote;
-            } else if (char === ',' && !inQuote) {
-                values.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current);
-
-        const entry = {};
-        headers.forEach((h, idx) => {
-            entry[h] = values[idx] ? values[idx].replace(/^"|"$/g, '') : '';
-        });
-        data.push(entry);
-    }
-    return data;
-}
-
-function loadFile(filename) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) {
-        console.error(`File not found: ${filename}`);
-        return [];
-    }
-    return parseCSV(fs.readFileSync(filePath, 'utf8'));
-}
-
-function getDayName() {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    return days[new Date().getDay()];
-}
-
-function getCurrentTime() {
-    const now = new Date();
-    return now.toTimeString().split(' ')[0]; // HH:MM:SS
-}
-
-function getYYYYMMDD() {
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, '0');
-    const d = String(now.getDate()).padStart(2, '0');
-    return parseInt(`${y}${m}${d}`, 10);
-}
-
 /**
  * Get transit type name from route type code
  */
@@ -110,221 +91,76 @@ function getTransitTypeName(routeType) {
 }
 
 /**
- * Get latitude and longitude of a place using Google Maps Geocoding API
- */
-function getLatLngFromPlace(place) {
-    return new Promise((resolve, reject) => {
-        if (!GOOGLE_MAPS_API_KEY || GOOGLE_MAPS_API_KEY === 'YOUR_API_KEY_HERE') {
-            return reject(new Error('Google Maps API key not configured.'));
-        }
-
-        const encodedPlace = encodeURIComponent(place);
-        const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedPlace}&key=${GOOGLE_MAPS_API_KEY}`;
-
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                try {
-                    const response = JSON.parse(data);
-                    if (response.status === 'OK' && response.results.length > 0) {
-                        const location = response.results[0].geometry.location;
-                        resolve({
-                            lat: location.lat,
-                            lng: location.lng,
-                            formatted_address: response.results[0].formatted_address
-                        });
-                    } else {
-                        reject(new Error(`Geocoding failed: ${response.status}`));
-                    }
-                } catch (error) {
-                    reject(new Error(`Failed to parse response: ${error.message}`));
-                }
-            });
-        }).on('error', (error) => {
-            reject(new Error(`Network error: ${error.message}`));
-        });
-    });
-}
-
-/**
- * Calculate distance between two coordinates using Haversine formula
- */
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-/**
- * Find nearest stops to a given location
- */
-function findNearestStops(targetLat, targetLng, maxResults = 10) {
-    const stops = loadFile('stops.txt');
-
-    const stopsWithDistance = stops
-        .filter(stop => stop.stop_lat && stop.stop_lon)
-        .map(stop => {
-            const distance = calculateDistance(
-                targetLat,
-                targetLng,
-                parseFloat(stop.stop_lat),
-                parseFloat(stop.stop_lon)
-            );
-            return {
-                ...stop,
-                distance: distance
-            };
-        })
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, maxResults);
-
-    return stopsWithDistance;
-}
-
-/**
- * Add minutes to a time string (HH:MM:SS)
+ * Print the walk to the first stop as the opening block of a route
+ * @param {Object} walk - WALK leg of the itinerary
  */
-function addMinutesToTime(timeStr, minutes) {
-    const [h, m, s] = timeStr.split(':').map(Number);
-    const totalMinutes = h * 60 + m + minutes;
-    const newH = Math.floor(totalMinutes / 60) % 24;
-    const newM = totalMinutes % 60;
-    return `${String(newH).padStart(2, '0')}:${String(newM).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+function printWalk(walk) {
+    const distDisplay = walk.distanceKm < 1
+        ? `${(walk.distanceKm * 1000).toFixed(0)} meters`
+        : `${walk.distanceKm.toFixed(2)} km`;
+    console.log(`\n┌─ WALK`);
+    console.log(`│  From: ${describeLocation(walk.from)}`);
+    console.log(`│  To: ${describeLocation(walk.to)}`);
+    console.log(`│  Distance: ${distDisplay}`);
+    console.log(`│  Walking time: ~${walk.durationMinutes} minutes`);
+    console.log(`│`);
 }
 
 /**
- * Calculate time difference in minutes
+ * Score a route built by this script (leg1, optional leg2)
+ * @param {string} startTime - When the rider leaves the origin
+ * @param {number} accessWalkMinutes - Walk to the first stop
+ * @returns {{score: number, criteria: Object}}
  */
-function timeDifferenceMinutes(time1, time2) {
-    const [h1, m1] = time1.split(':').map(Number);
-    const [h2, m2] = time2.split(':').map(Number);
-    return (h2 * 60 + m2) - (h1 * 60 + m1);
-}
-
-/**
- * Preload all transit data once for efficiency
- */
-function preloadTransitData(dayName, todayDate, routeType) {
-    console.log(`  Preloading transit data...`);
-
-    // 1. Load Routes
-    const routes = loadFile('routes.txt');
-    const targetRouteIds = new Set(
-        routes
-            .filter(r => !routeType || r.route_type === routeType)
-            .map(r => r.route_id)
-    );
-
-    // 2. Load Calendar (Active Services)
-    const calendar = loadFile('calendar.txt');
-    const activeServices = new Set(
-        calendar
-            .filter(c => {
-                const startDate = parseInt(c.start_date, 10);
-                const endDate = parseInt(c.end_date, 10);
-                const isActiveDay = c[dayName] === '1';
-                return isActiveDay && todayDate >= startDate && todayDate <= endDate;
-            })
-            .map(c => c.service_id)
-    );
-
-    // 3. Load Trips
-    const allTrips = loadFile('trips.txt');
-    const validTrips = allTrips.filter(t =>
-        targetRouteIds.has(t.route_id) && activeServices.has(t.service_id)
-    );
-    const validTripIds = new Set(validTrips.map(t => t.trip_id));
-
-    const tripRouteMap = {};
-    validTrips.forEach(t => {
-        tripRouteMap[t.trip_id] = t;
-    });
-
-    // 4. Load Stop Times (ONCE!)
-    const rawStopTimes = fs.readFileSync(path.join(DATA_DIR, 'stop_times.txt'), 'utf8');
-    const stopTimeLines = rawStopTimes.trim().split('\n');
-
-    const stHeaders = stopTimeLines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-    console.log(`  ✓ Loaded ${validTripIds.size} valid trips and ${stopTimeLines.length - 1} stop times`);
-
-    return {
-        validTripIds,
-        tripRouteMap,
-        stopTimeLines,
-        stHeaders,
-        routes
-    };
+function scoreRoute(route, startTime, accessWalkMinutes, weights) {
+    const legs = route.leg2 ? [route.leg1, route.leg2] : [route.leg1];
+    return scoreItinerary({
+        startTime,
+        accessWalkMinutes,
+        legs,
+        egressWalkKm: legs[legs.length - 1].to.distance
+    }, weights);
 }
 
 /**
  * Find all stops reachable from stopA after userTime (LEG 1)
  * Returns array of intermediate stops with arrival times
+ * (no boarding where pickup_type=1, no alighting where drop_off_type=1)
  */
-function getReachableStops(stopA, userTime, preloadedData) {
-    const { validTripIds, tripRouteMap, stopTimeLines, stHeaders } = preloadedData;
-
-    const tripIdx = stHeaders.indexOf('trip_id');
-    const stopIdx = stHeaders.indexOf('stop_id');
-    const seqIdx = stHeaders.indexOf('stop_sequence');
-    const arrIdx = stHeaders.indexOf('arrival_time');
-    const depIdx = stHeaders.indexOf('departure_time');
-
-    // Build map of trip -> all stops with times
-    const tripStopMap = {}; // trip_id -> [{stop_id, seq, arr, dep}, ...]
-
-    for (let i = 1; i < stopTimeLines.length; i++) {
-        const line = stopTimeLines[i];
-        const parts = line.split('","');
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
-
-        const tId = parts[tripIdx];
-        if (!validTripIds.has(tId)) continue;
-
-        const sId = parts[stopIdx];
-        const seq = parseInt(parts[seqIdx], 10);
-        const arr = parts[arrIdx];
-        const dep = parts[depIdx];
-
-        if (!tripStopMap[tId]) tripStopMap[tId] = [];
-        tripStopMap[tId].push({ stop_id: sId, seq, arr, dep });
-    }
+function getReachableStops(stopA, userTime, preloadedData, skipLog = null) {
+    const { tripRouteMap, timetable } = preloadedData;
 
-    // Find trips that pass through stopA and depart after userTime
     const reachableStops = {}; // stop_id -> {earliest arrival, trip info}
 
-    for (const [tripId, stops] of Object.entries(tripStopMap)) {
-        // Sort by sequence
-        stops.sort((a, b) => a.seq - b.seq);
+    // Trips that pass through stopA and depart after userTime
+    for (const dep of getDeparturesAfter(timetable, stopA, userTime)) {
+        const stops = getTripStopTimes(timetable, dep.key);
+        const stopAInfo = stops[dep.index];
 
-        // Find stopA in this trip
-        const stopAIndex = stops.findIndex(s => s.stop_id === stopA);
-        if (stopAIndex === -1) continue;
-
-        const stopAInfo = stops[stopAIndex];
-        if (stopAInfo.dep <= userTime) continue; // Trip leaves before userTime
+        if (!canBoard(stopAInfo)) {
+            recordSkip(skipLog, 'pickup', stopA, dep.trip_id);
+            continue;
+        }
 
-        // All stops after stopA are reachable
-        for (let i = stopAIndex + 1; i < stops.length; i++) {
+        // All later stops that allow drop-off are reachable
+        for (let i = dep.index + 1; i < stops.length; i++) {
             const destStop = stops[i];
             const destStopId = destStop.stop_id;
 
+            if (!canAlight(destStop)) {
+                recordSkip(skipLog, 'drop_off', destStopId, dep.trip_id);
+                continue;
+            }
+
             // Keep earliest arrival to each stop
-            if (!reachableStops[destStopId] || destStop.arr < reachableStops[destStopId].arrival) {
+            if (!reachableStops[destStopId] || destStop.arrival < timeToSeconds(reachableStops[destStopId].arrival)) {
                 reachableStops[destStopId] = {
                     stop_id: destStopId,
-                    arrival: destStop.arr,
-                    departure_from_A: stopAInfo.dep,
-                    trip_id: tripId,
-                    route_id: tripRouteMap[tripId].route_id,
-                    headsign: tripRouteMap[tripId].trip_headsign
+                    arrival: destStop.arrival_time,
+                    departure_from_A: stopAInfo.departure_time,
+                    trip_id: dep.trip_id,
+                    route_id: tripRouteMap[dep.trip_id].route_id,
+                    headsign: tripRouteMap[dep.trip_id].trip_headsign
                 };
             }
         }
@@ -334,69 +170,55 @@ function getReachableStops(stopA, userTime, preloadedData) {
 }
 
 /**
- * Find direct routes from start stop to any target stop (no transfers)
+ * Collect trips leaving fromStopId after afterTime that later call at one of targetStops
+ * (no boarding where pickup_type=1, no alighting where drop_off_type=1)
  */
-function findDirectRoutes(startStopId, afterTime, targetStops, preloadedData) {
-    const { validTripIds, tripRouteMap, stopTimeLines, stHeaders } = preloadedData;
-
-    const tripIdx = stHeaders.indexOf('trip_id');
-    const stopIdx = stHeaders.indexOf('stop_id');
-    const seqIdx = stHeaders.indexOf('stop_sequence');
-    const arrIdx = stHeaders.indexOf('arrival_time');
-    const depIdx = stHeaders.indexOf('departure_time');
-
-    const candidateStopIds = new Set(targetStops.map(s => s.stop_id));
-    const tripStops = {};
-
-    for (let i = 1; i < stopTimeLines.length; i++) {
-        const line = stopTimeLines[i];
-        const parts = line.split('","');
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
-
-        const tId = parts[tripIdx];
-        if (!validTripIds.has(tId)) continue;
-
-        const sId = parts[stopIdx];
-
-        if (sId === startStopId || candidateStopIds.has(sId)) {
-            if (!tripStops[tId]) tripStops[tId] = {};
-            tripStops[tId][sId] = {
-                seq: parseInt(parts[seqIdx], 10),
-                dep: parts[depIdx],
-                arr: parts[arrIdx]
-            };
-        }
-    }
+function findTripsToTargets(fromStopId, afterTime, targetStops, preloadedData, skipLog = null) {
+    const { tripRouteMap, timetable } = preloadedData;
 
-    // Find trips with start -> target
+    const targetsById = new Map(targetStops.map(s => [s.stop_id, s]));
     const matches = [];
 
-    for (const [tId, stops] of Object.entries(tripStops)) {
-        if (stops[startStopId]) {
-            const startInfo = stops[startStopId];
-
-            // Must depart after specified time
-            if (startInfo.dep <= afterTime) continue;
-
-            // Check each target stop
-            for (const targetStop of targetStops) {
-                const targetStopId = targetStop.stop_id;
-                if (stops[targetStopId] && startInfo.seq < stops[targetStopId].seq) {
-                    matches.push({
-                        trip_id: tId,
-                        departure_time: startInfo.dep,
-                        arrival_time: stops[targetStopId].arr,
-                        route_id: tripRouteMap[tId].route_id,
-                        headsign: tripRouteMap[tId].trip_headsign,
-                        target_stop_id: targetStopId,
-                        target_stop: targetStop
-                    });
-                }
+    for (const dep of getDeparturesAfter(timetable, fromStopId, afterTime)) {
+        const stops = getTripStopTimes(timetable, dep.key);
+        const fromInfo = stops[dep.index];
+
+        if (!canBoard(fromInfo)) {
+            recordSkip(skipLog, 'pickup', fromStopId, dep.trip_id);
+            continue;
+        }
+
+        for (let i = dep.index + 1; i < stops.length; i++) {
+            const targetStop = targetsById.get(stops[i].stop_id);
+            if (!targetStop) continue;
+
+            if (!canAlight(stops[i])) {
+                recordSkip(skipLog, 'drop_off', targetStop.stop_id, dep.trip_id);
+                continue;
             }
+
+            matches.push({
+                from_stop_id: fromStopId,
+                trip_id: dep.trip_id,
+                departure_time: fromInfo.departure_time,
+                arrival_time: stops[i].arrival_time,
+                route_id: tripRouteMap[dep.trip_id].route_id,
+                headsign: tripRouteMap[dep.trip_id].trip_headsign,
+                target_stop_id: targetStop.stop_id,
+                target_stop: targetStop
+            });
         }
     }
 
+    return matches;
+}
+
+/**
+ * Find direct routes from start stop to any target stop (no transfers)
+ */
+function findDirectRoutes(startStopId, afterTime, targetStops, preloadedData, skipLog = null) {
+    const matches = findTripsToTargets(startStopId, afterTime, targetStops, preloadedData, skipLog);
+
     // Return all matches sorted by arrival time and distance to destination
     if (matches.length === 0) return [];
 
@@ -406,289 +228,310 @@ function findDirectRoutes(startStopId, afterTime, targetStops, preloadedData) {
         const distB = b.target_stop.distance;
         if (distA !== distB) return distA - distB;
         // Then by arrival time
-        return a.arrival_time.localeCompare(b.arrival_time);
+        return timeToSeconds(a.arrival_time) - timeToSeconds(b.arrival_time);
     });
 
     return matches;
 }
 
 /**
- * Find best direct trip from intermediate stop to any target stop after transfer time (LEG 2)
+ * Find best direct trip to any target stop after arriving at an intermediate stop (LEG 2)
+ * Boards at the intermediate stop or a transfers.txt partner stop once the minimum
+ * transfer time has passed; returns null if no transfer is allowed there.
  */
-function findConnectionFromIntermediate(intermediateStopId, afterTime, targetStops, preloadedData) {
-    const { validTripIds, tripRouteMap, stopTimeLines, stHeaders } = preloadedData;
-
-    const tripIdx = stHeaders.indexOf('trip_id');
-    const stopIdx = stHeaders.indexOf('stop_id');
-    const seqIdx = stHeaders.indexOf('stop_sequence');
-    const arrIdx = stHeaders.indexOf('arrival_time');
-    const depIdx = stHeaders.indexOf('departure_time');
-
-    const candidateStopIds = new Set(targetStops.map(s => s.stop_id));
-    const tripStops = {};
-
-    for (let i = 1; i < stopTimeLines.length; i++) {
-        const line = stopTimeLines[i];
-        const parts = line.split('","');
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
-
-        const tId = parts[tripIdx];
-        if (!validTripIds.has(tId)) continue;
-
-        const sId = parts[stopIdx];
-
-        if (sId === intermediateStopId || candidateStopIds.has(sId)) {
-            if (!tripStops[tId]) tripStops[tId] = {};
-            tripStops[tId][sId] = {
-                seq: parseInt(parts[seqIdx], 10),
-                dep: parts[depIdx],
-                arr: parts[arrIdx]
-            };
-        }
-    }
+function findConnectionFromIntermediate(intermediateStopId, arrivalTime, targetStops, preloadedData, skipLog = null) {
+    let best = null;
 
-    // Find trips with intermediate -> target
-    const matches = [];
+    for (const option of getTransferOptions(preloadedData.transferRules, intermediateStopId)) {
+        const readyTime = secondsToTime(timeToSeconds(arrivalTime) + option.seconds);
+        const matches = findTripsToTargets(option.stop_id, readyTime, targetStops, preloadedData, skipLog);
 
-    for (const [tId, stops] of Object.entries(tripStops)) {
-        if (stops[intermediateStopId]) {
-            const intermediateInfo = stops[intermediateStopId];
-
-            // Must depart after transfer time
-            if (intermediateInfo.dep <= afterTime) continue;
-
-            // Check each target stop
-            for (const targetStop of targetStops) {
-                const targetStopId = targetStop.stop_id;
-                if (stops[targetStopId] && intermediateInfo.seq < stops[targetStopId].seq) {
-                    matches.push({
-                        trip_id: tId,
-                        departure_time: intermediateInfo.dep,
-                        arrival_time: stops[targetStopId].arr,
-                        route_id: tripRouteMap[tId].route_id,
-                        headsign: tripRouteMap[tId].trip_headsign,
-                        target_stop_id: targetStopId,
-                        target_stop: targetStop
-                    });
-                }
-            }
+        // Departures come in time order, so the first match is the earliest connection
+        if (matches.length > 0 && (!best || timeToSeconds(matches[0].departure_time) < timeToSeconds(best.departure_time))) {
+            best = matches[0];
         }
     }
 
-    // Return earliest connection
-    if (matches.length === 0) return null;
-
-    matches.sort((a, b) => a.departure_time.localeCompare(b.departure_time));
-    return matches[0];
+    return best;
 }
 
 /**
- * Main function to find route with single transfer
+ * Best route from one stop: the best-scoring direct trip if there is one,
+ * otherwise the best-scoring single-transfer route
+ * @returns {Object|null} - { direct?, leg1, transfer?, leg2?, totalTime, ranking }, or null
  */
-async function main() {
-    const args = process.argv.slice(2);
-
-    if (args.length < 2) {
-        console.log("Usage: node find_transit_with_transfer.js <STOP_ID> <PLACE_NAME> [HH:MM:SS] [route_type]");
-        console.log("\nExamples:");
-        console.log("  node find_transit_with_transfer.js 227102 'Dubai Mall'");
-        console.log("  node find_transit_with_transfer.js 227102 'Dubai Mall' 08:00:00");
-        console.log("  node find_transit_with_transfer.js 227102 'Dubai Mall' 08:00:00 1");
-        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
-        process.exit(1);
-    }
-
-    const stopA = args[0];
-    const placeName = args[1];
-    const userTime = args[2] || getCurrentTime();
-    const routeType = args[3] || null;
-
-    const todayDate = getYYYYMMDD();
-    const dayName = getDayName();
+function findBestRoute(startStopInfo, afterTime, targetStops, preloadedData, allStops, skipLog, weights = DEFAULT_WEIGHTS) {
+    // STEP 4: Check for direct routes first (no transfers)
+    progress(`\n[4/6] Checking for direct routes...`);
+    const startStop = startStopInfo.stop_id;
+    const directRoutes = findDirectRoutes(startStop, afterTime, targetStops, preloadedData, skipLog);
+
+    let bestRoute = null;
+
+    if (directRoutes.length > 0) {
+        progress(`  ✓ Found ${directRoutes.length} direct route(s)`);
+
+        // Get the best direct route (ties go to the one closest to the destination)
+        const best = pickBestItinerary(directRoutes, match => ({
+            startTime: afterTime,
+            legs: [{ departure: match.departure_time, arrival: match.arrival_time, trip_id: match.trip_id }],
+            egressWalkKm: match.target_stop.distance
+        }), weights);
+        const bestDirect = best.candidate;
+
+        // Get route type for display
+        const route = preloadedData.routes.find(r => r.route_id === bestDirect.route_id);
+
+        bestRoute = {
+            direct: true,
+            leg1: {
+                from: startStopInfo,
+                to: bestDirect.target_stop,
+                departure: bestDirect.departure_time,
+                arrival: bestDirect.arrival_time,
+                route_id: bestDirect.route_id,
+                headsign: bestDirect.headsign,
+                trip_id: bestDirect.trip_id,
+                route_type: route ? route.route_type : null
+            },
+            totalTime: best.criteria.time,
+            ranking: { score: best.score, criteria: best.criteria }
+        };
+
+        progress(`  ✓ Best direct route: ${bestDirect.route_id} (${formatCriteria(best.criteria)}, score ${best.score})`);
+        progress(`  ✓ Skipping transfer search (direct route available)`);
+    } else {
+        progress(`  ✗ No direct routes found`);
+
+        // STEP 5: Find all reachable intermediate stops from the start stop (only if no direct route)
+        progress(`\n[5/6] Finding reachable stops for transfer routes...`);
+        const reachableStops = getReachableStops(startStop, afterTime, preloadedData, skipLog);
+        progress(`  ✓ Found ${reachableStops.length} reachable stops from ${startStop}`);
+
+        let intermediateStopsToCheck = [];
+
+        if (reachableStops.length === 0) {
+            progress(`  ✗ No trips depart from stop ${startStop} after ${afterTime}`);
+        } else {
+            // Sort by arrival time (check nearest ones first)
+            reachableStops.sort((a, b) => timeToSeconds(a.arrival) - timeToSeconds(b.arrival));
 
-    console.log(`\nFinding route from stop ${stopA} to "${placeName}"...`);
-    console.log(`Date: ${dayName} (${todayDate}), Departure after: ${userTime}`);
-    if (routeType) {
-        const types = { '0': 'Tram', '1': 'Metro', '2': 'Rail', '3': 'Bus', '4': 'Ferry' };
-        console.log(`Route type filter: ${types[routeType] || routeType}`);
-    }
+            // Limit to first N intermediate stops for performance
+            intermediateStopsToCheck = reachableStops.slice(0, MAX_INTERMEDIATE_STOPS);
+            progress(`  ✓ Checking top ${intermediateStopsToCheck.length} intermediate stops for connections...`);
 
-    try {
-        // STEP 1: Geocode destination
-        console.log(`\n[1/5] Geocoding destination "${placeName}"...`);
-        const placeLocation = await getLatLngFromPlace(placeName);
-        console.log(`  ✓ ${placeLocation.formatted_address}`);
-        console.log(`  ✓ Coordinates: ${placeLocation.lat}, ${placeLocation.lng}`);
+            // STEP 6: For each intermediate stop, check if it can reach destination
+            progress(`\n[6/6] Searching for transfer connections to destination...`);
 
-        // STEP 2: Find nearest stops to destination
-        console.log(`\n[2/5] Finding stops near destination...`);
-        const targetStops = findNearestStops(placeLocation.lat, placeLocation.lng, MAX_DESTINATIONS_NEAR_PLACE);
-        console.log(`  ✓ Found ${targetStops.length} stops near destination`);
-        targetStops.slice(0, 3).forEach((stop, idx) => {
-            console.log(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${stop.distance.toFixed(2)} km`);
-        });
+            for (let i = 0; i < intermediateStopsToCheck.length; i++) {
+                const intermediate = intermediateStopsToCheck[i];
 
-        // STEP 3: Preload transit data
-        console.log(`\n[3/5] Loading transit data...`);
-        const preloadedData = preloadTransitData(dayName, todayDate, routeType);
+                if ((i + 1) % 10 === 0 || i === 0) {
+                    progress(`  Checking intermediate stop ${i + 1}/${intermediateStopsToCheck.length}...`);
+                }
 
-        const allStops = loadFile('stops.txt');
-        const stopAInfo = allStops.find(s => s.stop_id === stopA);
+                // Find connection from intermediate to any target stop (after the transfer time)
+                const leg2 = findConnectionFromIntermediate(
+                    intermediate.stop_id,
+                    intermediate.arrival,
+                    targetStops,
+                    preloadedData,
+                    skipLog
+                );
+
+                if (leg2) {
+                    const intermediateStopInfo = allStops.find(s => s.stop_id === intermediate.stop_id);
+
+                    // Get route types for display
+                    const route1 = preloadedData.routes.find(r => r.route_id === intermediate.route_id);
+                    const route2 = preloadedData.routes.find(r => r.route_id === leg2.route_id);
+
+                    const candidate = {
+                        leg1: {
+                            from: startStopInfo,
+                            to: intermediateStopInfo,
+                            departure: intermediate.departure_from_A,
+                            arrival: intermediate.arrival,
+                            route_id: intermediate.route_id,
+                            headsign: intermediate.headsign,
+                            trip_id: intermediate.trip_id,
+                            route_type: route1 ? route1.route_type : null
+                        },
+                        transfer: {
+                            stop: intermediateStopInfo,
+                            arrival: intermediate.arrival,
+                            next_departure: leg2.departure_time,
+                            wait_time: timeDifferenceMinutes(intermediate.arrival, leg2.departure_time)
+                        },
+                        leg2: {
+                            from: allStops.find(s => s.stop_id === leg2.from_stop_id),
+                            to: leg2.target_stop,
+                            departure: leg2.departure_time,
+                            arrival: leg2.arrival_time,
+                            route_id: leg2.route_id,
+                            headsign: leg2.headsign,
+                            trip_id: leg2.trip_id,
+                            route_type: route2 ? route2.route_type : null
+                        }
+                    };
+                    const ranking = scoreRoute(candidate, afterTime, 0, weights);
 
-        // STEP 4: Check for direct routes first (no transfers)
-        console.log(`\n[4/6] Checking for direct routes...`);
-        const directRoutes = findDirectRoutes(stopA, userTime, targetStops, preloadedData);
+                    if (!bestRoute || ranking.score < bestRoute.ranking.score) {
+                        bestRoute = { ...candidate, totalTime: ranking.criteria.time, ranking };
+                        progress(`  ✓ Found route via ${intermediateStopInfo.stop_name} (${formatCriteria(ranking.criteria)}, score ${ranking.score})`);
+                    }
+                }
+            }
+        }
+    }
 
-        let bestRoute = null;
-        let bestTotalTime = Infinity;
+    return bestRoute;
+}
 
-        if (directRoutes.length > 0) {
-            console.log(`  ✓ Found ${directRoutes.length} direct route(s)`);
+/**
+ * Best route from the stops near a place origin, leaving each one once the
+ * walk there is done; routes are scored from userTime, walk included
+ * @returns {Object|null} - Best route with its `walk`, or null
+ */
+function findBestRouteFromAccessStops(origin, userTime, targetStops, preloadedData, allStops, skipLog, weights = DEFAULT_WEIGHTS) {
+    let bestRoute = null;
 
-            // Get the best direct route (closest to destination)
-            const bestDirect = directRoutes[0];
-            const totalMinutes = timeDifferenceMinutes(bestDirect.departure_time, bestDirect.arrival_time);
+    for (const accessStop of origin.accessStops) {
+        const startTime = secondsToTime(timeToSeconds(userTime) + accessStop.walkMinutes * 60);
+        progress(`\n  From ${accessStop.stop_name} (${accessStop.walkMinutes} min walk, departing after ${startTime}):`);
 
-            // Get route type for display
-            const route = preloadedData.routes.find(r => r.route_id === bestDirect.route_id);
+        const route = findBestRoute(accessStop, startTime, targetStops, preloadedData, allStops, skipLog, weights);
+        if (!route) continue;
 
+        const ranking = scoreRoute(route, userTime, accessStop.walkMinutes, weights);
+        if (!bestRoute || ranking.score < bestRoute.ranking.score) {
             bestRoute = {
-                direct: true,
-                leg1: {
-                    from: stopAInfo,
-                    to: bestDirect.target_stop,
-                    departure: bestDirect.departure_time,
-                    arrival: bestDirect.arrival_time,
-                    route_id: bestDirect.route_id,
-                    headsign: bestDirect.headsign,
-                    trip_id: bestDirect.trip_id,
-                    route_type: route ? route.route_type : null
+                ...route,
+                walk: {
+                    from: origin.info,
+                    to: accessStop,
+                    distance: accessStop.distance,
+                    time: accessStop.walkMinutes
                 },
-                totalTime: totalMinutes
+                totalTime: ranking.criteria.time,
+                ranking
             };
-            bestTotalTime = totalMinutes;
+        }
+    }
 
-            console.log(`  ✓ Best direct route: ${bestDirect.route_id} (${totalMinutes} min, ${bestDirect.target_stop.distance.toFixed(2)} km to destination)`);
-            console.log(`  ✓ Skipping transfer search (direct route available)`);
-        } else {
-            console.log(`  ✗ No direct routes found`);
+    return bestRoute;
+}
 
-            // STEP 5: Find all reachable intermediate stops from stopA (only if no direct route)
-            console.log(`\n[5/6] Finding reachable stops for transfer routes...`);
-            const reachableStops = getReachableStops(stopA, userTime, preloadedData);
-            console.log(`  ✓ Found ${reachableStops.length} reachable stops from ${stopA}`);
+/**
+ * The best route in the --json schema
+ * @param {Object} route - { walk?, leg1, leg2?, ranking } from findBestRoute or the walkable-stop search
+ * @param {string|null} walkDeparture - When the walk starts (the query time from a place origin)
+ */
+function routeJson(route, walkDeparture) {
+    const rides = route.leg2 ? [route.leg1, route.leg2] : [route.leg1];
+    const legs = rides.map(transitLegJson);
+    if (route.walk) {
+        legs.unshift(walkLegJson(route.walk, walkDeparture));
+    }
+    const finalStop = rides[rides.length - 1].to;
+    return itineraryJson(legs, { finalStop, finalWalkKm: finalStop.distance, ranking: route.ranking });
+}
 
-            let intermediateStopsToCheck = [];
+/**
+ * Plan a trip from an origin to a place with at most one transfer
+ * @param {Object} options - The shared options of lib/query.js, plus:
+ * @param {string} options.origin - stop_id, "lat,lng" or place name
+ * @param {string} options.destination - Place name
+ * @param {string|number} [options.routeType] - Only ride routes of this route_type
+ * @returns {Promise<Object>} - Itinerary document (lib/itinerary_json.js) with the best route, if any
+ */
+function findWithTransfer(options) {
+    return withProgress(options.log, async () => {
+        const { origin: originArg, destination: placeName } = options;
+        const routeType = options.routeType !== undefined && options.routeType !== null ? String(options.routeType) : null;
+        if (!originArg || !placeName) {
+            throw new QueryError('An origin and a destination are required');
+        }
+        const { todayDate, dayName, userTime, weights } = resolveQuery(options);
+
+        progress(`\nFinding route from ${originArg} to "${placeName}"...`);
+        progress(`Date: ${dayName} (${todayDate}), Departure after: ${userTime}`);
+        progress(`Ranking weights: ${formatWeights(weights)}`);
+        if (routeType) {
+            const types = { '0': 'Tram', '1': 'Metro', '2': 'Rail', '3': 'Bus', '4': 'Ferry' };
+            progress(`Route type filter: ${types[routeType] || routeType}`);
+        }
 
-            if (reachableStops.length === 0) {
-                if (!bestRoute) {
-                    console.log(`\n✗ No trips depart from stop ${stopA} after ${userTime}`);
-                    process.exit(0);
-                }
-            } else {
-                // Sort by arrival time (check nearest ones first)
-                reachableStops.sort((a, b) => a.arrival.localeCompare(b.arrival));
+        // Origin: a stop, or a place/coordinate reached by walking to one of its nearest stops
+        const origin = await resolveOrigin(originArg, { maxStops: MAX_ACCESS_STOPS, maxWalkKm: MAX_ACCESS_WALK_KM });
+        const stopA = origin.stop_id;
+        if (origin.type === 'place') {
+            progress(`  ✓ Origin: ${origin.name}`);
+            if (origin.source !== 'coordinates') {
+                progress(`  ✓ Coordinates: ${origin.lat}, ${origin.lng}`);
+            }
+        }
 
-                // Limit to first N intermediate stops for performance
-                intermediateStopsToCheck = reachableStops.slice(0, MAX_INTERMEDIATE_STOPS);
-                console.log(`  ✓ Checking top ${intermediateStopsToCheck.length} intermediate stops for connections...`);
+        // STEP 1: Geocode destination
+        progress(`\n[1/5] Geocoding destination "${placeName}"...`);
+        const placeLocation = await geocode(placeName);
+        progress(`  ✓ ${placeLocation.formatted_address}`);
+        progress(`  ✓ Coordinates: ${placeLocation.lat}, ${placeLocation.lng}`);
 
-                // STEP 6: For each intermediate stop, check if it can reach destination
-                console.log(`\n[6/6] Searching for transfer connections to destination...`);
+        // STEP 2: Find nearest stops to destination
+        progress(`\n[2/5] Finding stops near destination...`);
+        const targetStops = walkingDistances(placeLocation.lat, placeLocation.lng,
+            findNearestStops(placeLocation.lat, placeLocation.lng, MAX_DESTINATIONS_NEAR_PLACE));
+        if (targetStops.length === 0) {
+            throw new QueryError(`No stop within a ${DEFAULT_MAX_WALK_KM} km walk of ${placeLocation.formatted_address}`);
+        }
+        progress(`  ✓ Found ${targetStops.length} stops near destination`);
+        targetStops.slice(0, 3).forEach((stop, idx) => {
+            progress(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${stop.distance.toFixed(2)} km`);
+        });
 
-                for (let i = 0; i < intermediateStopsToCheck.length; i++) {
-                    const intermediate = intermediateStopsToCheck[i];
+        // STEP 3: Preload transit data
+        progress(`\n[3/5] Loading transit data...`);
+        const preloadedData = preloadTransitData(dayName, todayDate, routeType);
 
-                    if ((i + 1) % 10 === 0 || i === 0) {
-                        console.log(`  Checking intermediate stop ${i + 1}/${intermediateStopsToCheck.length}...`);
-                    }
+        const allStops = loadStops();
+        const skipLog = createSkipLog();
+        let bestRoute = null;
 
-                    // Calculate minimum time at intermediate stop (arrival + transfer buffer)
-                    const transferTime = addMinutesToTime(intermediate.arrival, TRANSFER_TIME_MINUTES);
-
-                    // Find connection from intermediate to any target stop
-                    const leg2 = findConnectionFromIntermediate(
-                        intermediate.stop_id,
-                        transferTime,
-                        targetStops,
-                        preloadedData
-                    );
-
-                    if (leg2) {
-                        // Calculate total journey time
-                        const totalMinutes = timeDifferenceMinutes(intermediate.departure_from_A, leg2.arrival_time);
-
-                        if (totalMinutes < bestTotalTime) {
-                            const intermediateStopInfo = allStops.find(s => s.stop_id === intermediate.stop_id);
-
-                            bestTotalTime = totalMinutes;
-                            // Get route types for display
-                            const route1 = preloadedData.routes.find(r => r.route_id === intermediate.route_id);
-                            const route2 = preloadedData.routes.find(r => r.route_id === leg2.route_id);
-
-                            bestRoute = {
-                                leg1: {
-                                    from: stopAInfo,
-                                    to: intermediateStopInfo,
-                                    departure: intermediate.departure_from_A,
-                                    arrival: intermediate.arrival,
-                                    route_id: intermediate.route_id,
-                                    headsign: intermediate.headsign,
-                                    trip_id: intermediate.trip_id,
-                                    route_type: route1 ? route1.route_type : null
-                                },
-                                transfer: {
-                                    stop: intermediateStopInfo,
-                                    arrival: intermediate.arrival,
-                                    next_departure: leg2.departure_time,
-                                    wait_time: timeDifferenceMinutes(intermediate.arrival, leg2.departure_time)
-                                },
-                                leg2: {
-                                    from: intermediateStopInfo,
-                                    to: leg2.target_stop,
-                                    departure: leg2.departure_time,
-                                    arrival: leg2.arrival_time,
-                                    route_id: leg2.route_id,
-                                    headsign: leg2.headsign,
-                                    trip_id: leg2.trip_id,
-                                    route_type: route2 ? route2.route_type : null
-                                },
-                                totalTime: totalMinutes
-                            };
-
-                            console.log(`  ✓ Found route via ${intermediateStopInfo.stop_name} (${totalMinutes} min total)`);
-                        }
-                    }
-                }
-            }
+        if (stopA) {
+            bestRoute = findBestRoute(origin.stop, userTime, targetStops, preloadedData, allStops, skipLog, weights);
 
             // If no route found, try nearby walkable stops
             if (!bestRoute) {
-                console.log(`\n  No direct route found. Checking nearby walkable stops...`);
+                progress(`\n  No direct route found. Checking nearby walkable stops...`);
+                const stopAInfo = origin.stop;
 
-                const nearbyStops = findNearestStops(
-                    parseFloat(stopAInfo.stop_lat),
-                    parseFloat(stopAInfo.stop_lon),
-                    20  // Check top 20 nearest stops
-                ).filter(s => s.stop_id !== stopA && s.distance <= 0.5); // Within 500m
+                const nearbyStops = walkingDistancesFromStop(stopAInfo, findStopsWithin(
+                    stopAInfo.stop_lat,
+                    stopAInfo.stop_lon,
+                    0.5, // Within 500m
+                    { maxResults: 20 } // Check top 20 nearest stops
+                ).filter(s => s.stop_id !== stopA), { maxKm: 0.5 });
 
                 if (nearbyStops.length > 0) {
-                    console.log(`  Found ${nearbyStops.length} walkable stops near ${stopA} (within 500m)`);
+                    progress(`  Found ${nearbyStops.length} walkable stops near ${stopA} (within 500m)`);
                     nearbyStops.slice(0, 3).forEach((stop, idx) => {
                         const distDisplay = stop.distance < 1
                             ? `${(stop.distance * 1000).toFixed(0)}m`
                             : `${stop.distance.toFixed(2)}km`;
-                        console.log(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${distDisplay}`);
+                        progress(`     ${idx + 1}. ${stop.stop_name} (${stop.stop_id}) - ${distDisplay}`);
                     });
 
-                    console.log(`\n  Searching for routes from nearby stops...`);
+                    progress(`\n  Searching for routes from nearby stops...`);
 
                     for (const nearbyStop of nearbyStops) {
-                        console.log(`  Trying ${nearbyStop.stop_name}...`);
+                        // Board once the walk there is done
+                        const walkTime = Math.ceil(nearbyStop.distance * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+                        const startTime = secondsToTime(timeToSeconds(userTime) + walkTime * 60);
+                        progress(`  Trying ${nearbyStop.stop_name} (${walkTime} min walk, departing after ${startTime})...`);
 
                         // Get reachable stops from this nearby stop
-                        const reachableFromNearby = getReachableStops(nearbyStop.stop_id, userTime, preloadedData);
+                        const reachableFromNearby = getReachableStops(nearbyStop.stop_id, startTime, preloadedData, skipLog);
 
                         if (reachableFromNearby.length === 0) continue;
 
@@ -696,64 +539,60 @@ async function main() {
                         const intermediateStopsNearby = reachableFromNearby.slice(0, MAX_INTERMEDIATE_STOPS);
 
                         for (const intermediate of intermediateStopsNearby) {
-                            const transferTime = addMinutesToTime(intermediate.arrival, TRANSFER_TIME_MINUTES);
                             const leg2 = findConnectionFromIntermediate(
                                 intermediate.stop_id,
-                                transferTime,
+                                intermediate.arrival,
                                 targetStops,
-                                preloadedData
+                                preloadedData,
+                                skipLog
                             );
 
                             if (leg2) {
-                                const totalMinutes = timeDifferenceMinutes(intermediate.departure_from_A, leg2.arrival_time);
-                                const walkTime = Math.ceil(nearbyStop.distance * 1000 / 80); // 80m/min
-                                const totalWithWalk = totalMinutes + walkTime;
-
-                                if (totalWithWalk < bestTotalTime) {
-                                    const intermediateStopInfo = allStops.find(s => s.stop_id === intermediate.stop_id);
-
-                                    // Get route types for display
-                                    const route1 = preloadedData.routes.find(r => r.route_id === intermediate.route_id);
-                                    const route2 = preloadedData.routes.find(r => r.route_id === leg2.route_id);
-
-                                    bestTotalTime = totalWithWalk;
-                                    bestRoute = {
-                                        walk: {
-                                            from: stopAInfo,
-                                            to: nearbyStop,
-                                            distance: nearbyStop.distance,
-                                            time: walkTime
-                                        },
-                                        leg1: {
-                                            from: nearbyStop,
-                                            to: intermediateStopInfo,
-                                            departure: intermediate.departure_from_A,
-                                            arrival: intermediate.arrival,
-                                            route_id: intermediate.route_id,
-                                            headsign: intermediate.headsign,
-                                            trip_id: intermediate.trip_id,
-                                            route_type: route1 ? route1.route_type : null
-                                        },
-                                        transfer: {
-                                            stop: intermediateStopInfo,
-                                            arrival: intermediate.arrival,
-                                            next_departure: leg2.departure_time,
-                                            wait_time: timeDifferenceMinutes(intermediate.arrival, leg2.departure_time)
-                                        },
-                                        leg2: {
-                                            from: intermediateStopInfo,
-                                            to: leg2.target_stop,
-                                            departure: leg2.departure_time,
-                                            arrival: leg2.arrival_time,
-                                            route_id: leg2.route_id,
-                                            headsign: leg2.headsign,
-                                            trip_id: leg2.trip_id,
-                                            route_type: route2 ? route2.route_type : null
-                                        },
-                                        totalTime: totalWithWalk
-                                    };
-
-                                    console.log(`    ✓ Found route via ${nearbyStop.stop_name} (${totalWithWalk} min total including walk)`);
+                                const intermediateStopInfo = allStops.find(s => s.stop_id === intermediate.stop_id);
+
+                                // Get route types for display
+                                const route1 = preloadedData.routes.find(r => r.route_id === intermediate.route_id);
+                                const route2 = preloadedData.routes.find(r => r.route_id === leg2.route_id);
+
+                                const candidate = {
+                                    walk: {
+                                        from: stopAInfo,
+                                        to: nearbyStop,
+                                        distance: nearbyStop.distance,
+                                        time: walkTime
+                                    },
+                                    leg1: {
+                                        from: nearbyStop,
+                                        to: intermediateStopInfo,
+                                        departure: intermediate.departure_from_A,
+                                        arrival: intermediate.arrival,
+                                        route_id: intermediate.route_id,
+                                        headsign: intermediate.headsign,
+                                        trip_id: intermediate.trip_id,
+                                        route_type: route1 ? route1.route_type : null
+                                    },
+                                    transfer: {
+                                        stop: intermediateStopInfo,
+                                        arrival: intermediate.arrival,
+                                        next_departure: leg2.departure_time,
+                                        wait_time: timeDifferenceMinutes(intermediate.arrival, leg2.departure_time)
+                                    },
+                                    leg2: {
+                                        from: allStops.find(s => s.stop_id === leg2.from_stop_id),
+                                        to: leg2.target_stop,
+                                        departure: leg2.departure_time,
+                                        arrival: leg2.arrival_time,
+                                        route_id: leg2.route_id,
+                                        headsign: leg2.headsign,
+                                        trip_id: leg2.trip_id,
+                                        route_type: route2 ? route2.route_type : null
+                                    }
+                                };
+                                const ranking = scoreRoute(candidate, userTime, walkTime, weights);
+
+                                if (!bestRoute || ranking.score < bestRoute.ranking.score) {
+                                    bestRoute = { ...candidate, totalTime: ranking.criteria.time, ranking };
+                                    progress(`    ✓ Found route via ${nearbyStop.stop_name} (${formatCriteria(ranking.criteria)}, score ${ranking.score})`);
                                     break; // Found a route, stop checking this nearby stop
                                 }
                             }
@@ -763,6 +602,151 @@ async function main() {
                     }
                 }
             }
+        } else {
+            progress(`\n[4/6] Searching from ${origin.accessStops.length} stop(s) within ${MAX_ACCESS_WALK_KM * 1000}m of the origin...`);
+            bestRoute = findBestRouteFromAccessStops(origin, userTime, targetStops, preloadedData, allStops, skipLog, weights);
+        }
+
+        logSkipped(skipLog);
+
+        return addLegGeometry(resultJson('find_transit_with_transfer', {
+            origin: origin.info,
+            destination: { name: placeLocation.formatted_address, lat: placeLocation.lat, lng: placeLocation.lng },
+            date: todayDate,
+            time: userTime,
+            weights
+        }, bestRoute ? [routeJson(bestRoute, origin.type === 'place' ? userTime : null)] : []), preloadedData.timetable);
+    });
+}
+
+/**
+ * Print a ride as a block of the route
+ * @param {Object} leg - Ride leg of the itinerary
+ * @param {string} title - e.g. "┌─ LEG 1: Bus 13"
+ * @param {string} margin - Prefix of the block's lines
+ */
+function printRide(leg, title, margin) {
+    console.log(title);
+    console.log(`${margin}From: ${describeLocation(leg.from)}`);
+    console.log(`${margin}To: ${describeLocation(leg.to)}`);
+    console.log(`${margin}Headsign: ${leg.headsign}`);
+    console.log(`${margin}Departure: ${leg.departure}`);
+    console.log(`${margin}Arrival: ${leg.arrival}`);
+    console.log(`${margin}Duration: ${leg.durationMinutes} minutes`);
+}
+
+/**
+ * Print the best route
+ * @param {Object} itinerary - From findWithTransfer
+ * @param {string} placeName - The destination as the user gave it
+ */
+function printItinerary(itinerary, placeName) {
+    const walk = itinerary.legs[0].mode === 'WALK' ? itinerary.legs[0] : null;
+    const rides = itinerary.legs.filter(leg => leg.mode !== 'WALK');
+    const [leg1, leg2] = rides;
+    const rideType = leg => getTransitTypeName(leg.route.type);
+    const ranking = itinerary.ranking;
+
+    if (!leg2) {
+        if (walk) {
+            console.log(`\n✓ Best route found - walk + DIRECT (no transfers):`);
+        } else {
+            console.log(`\n✓ Best route found - DIRECT (no transfers):`);
+        }
+    } else if (walk) {
+        console.log(`\n✓ Best route found with walk + 1 transfer:`);
+    } else {
+        console.log(`\n✓ Best route found with 1 transfer:`);
+    }
+    console.log(`  Total journey time: ${ranking.criteria.time} minutes`);
+
+    if (walk) {
+        printWalk(walk);
+    }
+
+    const opening = walk ? '├─' : '\n┌─';
+    if (!leg2) {
+        // Direct route - only LEG 1
+        printRide(leg1, `${opening} ${rideType(leg1)} ${leg1.route.route_id}`, '│  ');
+        console.log(`└─`);
+    } else {
+        printRide(leg1, `${opening} LEG 1: ${rideType(leg1)} ${leg1.route.route_id}`, '│  ');
+
+        // TRANSFER
+        console.log(`│`);
+        console.log(`├─ TRANSFER at ${leg1.to.name}`);
+        const transferWalk = itinerary.legs[itinerary.legs.indexOf(leg2) - 1];
+        if (transferWalk.mode === 'WALK') {
+            console.log(`│  Walk: ${(transferWalk.distanceKm * 1000).toFixed(0)}m to ${describeLocation(leg2.from)} (${transferWalk.durationMinutes} min)`);
+        }
+        console.log(`│  Wait time: ${timeDifferenceMinutes(leg1.arrival, leg2.departure)} minutes`);
+        console.log(`│  Next departure: ${leg2.departure}`);
+
+        console.log(`│`);
+        printRide(leg2, `└─ LEG 2: ${rideType(leg2)} ${leg2.route.route_id}`, '   ');
+    }
+
+    console.log(`\n   Final distance to ${placeName}: ${itinerary.finalWalkKm.toFixed(2)} km`);
+
+    if (walk) {
+        console.log(`\n   Note: Includes ${walk.durationMinutes} min walk from ${walk.from.name} to ${walk.to.name}`);
+    }
+    console.log(`   Ranking: ${formatCriteria(ranking.criteria)} (score ${ranking.score})`);
+}
+
+/**
+ * Main function to find route with single transfer
+ */
+async function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['_', 'date', 'timezone', ...WEIGHT_OPTIONS],
+        boolean: ['json']
+    });
+    const args = argv._;
+    if (argv.json) {
+        enableJsonMode();
+    }
+
+    let weights;
+    try {
+        weights = resolveWeights(argv);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (args.length < 2) {
+        console.log("Usage: node find_transit_with_transfer.js [--date YYYY-MM-DD] [--timezone ZONE] [--profile FILE] [--weight-<criterion> N] [--json] <ORIGIN> <PLACE_NAME> [HH:MM:SS] [route_type]");
+        console.log("\nORIGIN is a stop ID, a \"lat,lng\" pair or a place name.");
+        console.log("Ranking criteria: time, walk, wait, transfers, final-walk (--weight-walk 3, ... or a JSON --profile)");
+        console.log("--json: print the route as JSON on stdout, progress on stderr");
+        console.log("\nExamples:");
+        console.log("  node find_transit_with_transfer.js 227102 'Dubai Mall'");
+        console.log("  node find_transit_with_transfer.js 'Al Rigga' 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_with_transfer.js 227102 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_with_transfer.js --date 2026-03-30 227102 'Dubai Mall' 08:00:00");
+        console.log("  node find_transit_with_transfer.js 227102 'Dubai Mall' 08:00:00 1");
+        console.log("\nRoute types: 0=Tram, 1=Metro, 2=Rail, 3=Bus, 4=Ferry");
+        process.exit(1);
+    }
+
+    const placeName = args[1];
+
+    try {
+        const plan = await findWithTransfer({
+            origin: args[0],
+            destination: placeName,
+            date: argv.date,
+            time: args[2],
+            timezone: argv.timezone,
+            routeType: args[3] || null,
+            weights,
+            log: console.log
+        });
+
+        if (argv.json) {
+            printJson(plan);
+            return;
         }
 
         // Display results
@@ -770,91 +754,10 @@ async function main() {
         console.log(`RESULTS`);
         console.log(`${'='.repeat(70)}`);
 
-        if (bestRoute) {
-            const hasWalk = !!bestRoute.walk;
-            const isDirect = !!bestRoute.direct;
-
-            if (isDirect) {
-                console.log(`\n✓ Best route found - DIRECT (no transfers):`);
-                console.log(`  Total journey time: ${bestRoute.totalTime} minutes`);
-
-                // Direct route - only LEG 1
-                const leg1Type = getTransitTypeName(bestRoute.leg1.route_type);
-                console.log(`\n┌─ ${leg1Type} ${bestRoute.leg1.route_id}`);
-                console.log(`│  From: ${bestRoute.leg1.from.stop_name} (${bestRoute.leg1.from.stop_id})`);
-                console.log(`│  To: ${bestRoute.leg1.to.stop_name} (${bestRoute.leg1.to.stop_id})`);
-                console.log(`│  Headsign: ${bestRoute.leg1.headsign}`);
-                console.log(`│  Departure: ${bestRoute.leg1.departure}`);
-                console.log(`│  Arrival: ${bestRoute.leg1.arrival}`);
-                const leg1Duration = timeDifferenceMinutes(bestRoute.leg1.departure, bestRoute.leg1.arrival);
-                console.log(`│  Duration: ${leg1Duration} minutes`);
-                console.log(`└─`);
-
-                console.log(`\n   Final distance to ${placeName}: ${bestRoute.leg1.to.distance.toFixed(2)} km`);
-            } else {
-                // Route with transfer
-                if (hasWalk) {
-                    console.log(`\n✓ Best route found with walk + 1 transfer:`);
-                } else {
-                    console.log(`\n✓ Best route found with 1 transfer:`);
-                }
-                console.log(`  Total journey time: ${bestRoute.totalTime} minutes`);
-
-                // WALK (if applicable)
-                if (hasWalk) {
-                    const distDisplay = bestRoute.walk.distance < 1
-                        ? `${(bestRoute.walk.distance * 1000).toFixed(0)} meters`
-                        : `${bestRoute.walk.distance.toFixed(2)} km`;
-                    console.log(`\n┌─ WALK`);
-                    console.log(`│  From: ${bestRoute.walk.from.stop_name} (${bestRoute.walk.from.stop_id})`);
-                    console.log(`│  To: ${bestRoute.walk.to.stop_name} (${bestRoute.walk.to.stop_id})`);
-                    console.log(`│  Distance: ${distDisplay}`);
-                    console.log(`│  Walking time: ~${bestRoute.walk.time} minutes`);
-                    console.log(`│`);
-                }
-
-                // LEG 1
-                const leg1Type = getTransitTypeName(bestRoute.leg1.route_type);
-                if (hasWalk) {
-                    console.log(`├─ LEG 1: ${leg1Type} ${bestRoute.leg1.route_id}`);
-                } else {
-                    console.log(`\n┌─ LEG 1: ${leg1Type} ${bestRoute.leg1.route_id}`);
-                }
-                console.log(`│  From: ${bestRoute.leg1.from.stop_name} (${bestRoute.leg1.from.stop_id})`);
-                console.log(`│  To: ${bestRoute.leg1.to.stop_name} (${bestRoute.leg1.to.stop_id})`);
-                console.log(`│  Headsign: ${bestRoute.leg1.headsign}`);
-                console.log(`│  Departure: ${bestRoute.leg1.departure}`);
-                console.log(`│  Arrival: ${bestRoute.leg1.arrival}`);
-                const leg1Duration = timeDifferenceMinutes(bestRoute.leg1.departure, bestRoute.leg1.arrival);
-                console.log(`│  Duration: ${leg1Duration} minutes`);
-
-                // TRANSFER
-                console.log(`│`);
-                console.log(`├─ TRANSFER at ${bestRoute.transfer.stop.stop_name}`);
-                console.log(`│  Wait time: ${bestRoute.transfer.wait_time} minutes`);
-                console.log(`│  Next departure: ${bestRoute.transfer.next_departure}`);
-
-                // LEG 2
-                const leg2Type = getTransitTypeName(bestRoute.leg2.route_type);
-                console.log(`│`);
-                console.log(`└─ LEG 2: ${leg2Type} ${bestRoute.leg2.route_id}`);
-                console.log(`   From: ${bestRoute.leg2.from.stop_name} (${bestRoute.leg2.from.stop_id})`);
-                console.log(`   To: ${bestRoute.leg2.to.stop_name} (${bestRoute.leg2.to.stop_id})`);
-                console.log(`   Headsign: ${bestRoute.leg2.headsign}`);
-                console.log(`   Departure: ${bestRoute.leg2.departure}`);
-                console.log(`   Arrival: ${bestRoute.leg2.arrival}`);
-                const leg2Duration = timeDifferenceMinutes(bestRoute.leg2.departure, bestRoute.leg2.arrival);
-                console.log(`   Duration: ${leg2Duration} minutes`);
-
-                console.log(`\n   Final distance to ${placeName}: ${bestRoute.leg2.to.distance.toFixed(2)} km`);
-
-                if (hasWalk) {
-                    console.log(`\n   Note: Includes ${bestRoute.walk.time} min walk from ${bestRoute.walk.from.stop_name} to ${bestRoute.walk.to.stop_name}`);
-                }
-            }
-
+        if (plan.itineraries.length > 0) {
+            printItinerary(plan.itineraries[0], placeName);
         } else {
-            console.log(`\n✗ No route found from stop ${stopA} to ${placeName}`);
+            console.log(`\n✗ No route found from ${describeLocation(plan.query.origin)} to ${placeName}`);
             console.log(`\nThis could mean:`);
             console.log(`  - No connecting routes exist between reachable stops and destination`);
             console.log(`  - Try a different departure time`);
@@ -869,5 +772,8 @@ async function main() {
     }
 }
 
-main();
+module.exports = { findWithTransfer };
 
+if (require.main === module) {
+    main();
+}
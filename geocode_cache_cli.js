@@ -0,0 +1,119 @@
+/**
+ * Geocode Cache Command
+ *
+ * Inspect and maintain the disk cache of online geocoder answers
+ * (lib/geocode_cache.js) shared by the finder scripts and otp_cli.js.
+ *
+ * Usage:
+ *   node geocode_cache_cli.js list
+ *   node geocode_cache_cli.js purge [--expired] [QUERY]
+ *   node geocode_cache_cli.js seed <QUERY> <LAT> <LNG> [ADDRESS]
+ *   node geocode_cache_cli.js seed --file <places.csv>
+ *
+ * purge without arguments empties the cache; --expired keeps live entries.
+ * Seeded entries never expire. The seed file is a CSV with the columns
+ * query,lat,lng,address (address optional).
+ *
+ * Examples:
+ *   node geocode_cache_cli.js seed "Dubai Mall" 25.1972 55.2797 "The Dubai Mall"
+ *   node geocode_cache_cli.js purge --expired
+ */
+
+const fs = require('fs');
+const minimist = require('minimist');
+const { parseCSV } = require('./lib/gtfs_feed');
+const { normalizeName } = require('./lib/geocoder');
+const { CACHE_FILE, putCached, listCached, purgeCached } = require('./lib/geocode_cache');
+
+function printUsage() {
+    console.log('Usage: node geocode_cache_cli.js list');
+    console.log('       node geocode_cache_cli.js purge [--expired] [QUERY]');
+    console.log('       node geocode_cache_cli.js seed <QUERY> <LAT> <LNG> [ADDRESS]');
+    console.log('       node geocode_cache_cli.js seed --file <places.csv>');
+    console.log(`\nCache file: ${CACHE_FILE}`);
+}
+
+function listEntries() {
+    const entries = listCached();
+    if (entries.length === 0) {
+        console.log(`Geocode cache is empty (${CACHE_FILE})`);
+        return;
+    }
+
+    console.log(`${entries.length} cached quer${entries.length === 1 ? 'y' : 'ies'} in ${CACHE_FILE}:\n`);
+    for (const entry of entries) {
+        const status = entry.expired ? 'expired' : (entry.result ? 'hit' : 'miss');
+        const answer = entry.result
+            ? `${entry.result.lat}, ${entry.result.lng}  ${entry.result.formatted_address}`
+            : 'no results';
+        const expires = entry.expires_at ? `expires ${entry.expires_at.slice(0, 10)}` : 'never expires';
+        console.log(`  [${status}] "${entry.query}" -> ${answer}`);
+        console.log(`         ${entry.provider || 'unknown'}, cached ${entry.cached_at.slice(0, 10)}, ${expires}`);
+    }
+}
+
+/**
+ * Validate and store one seeded place
+ * @returns {Promise<boolean>} - false when the coordinates are invalid
+ */
+async function seedEntry(query, latValue, lngValue, address) {
+    const lat = parseFloat(latValue);
+    const lng = parseFloat(lngValue);
+    if (!query || Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        console.error(`Skipping "${query || ''}": expected a query, latitude and longitude`);
+        return false;
+    }
+
+    const result = { lat, lng, formatted_address: address || query, source: 'seed' };
+    await putCached(normalizeName(query), query, result, { provider: 'seed', ttlMs: null });
+    console.log(`  ✓ "${query}" -> ${lat}, ${lng}`);
+    return true;
+}
+
+async function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['_', 'file'],
+        boolean: ['expired', 'help'],
+        alias: { h: 'help' }
+    });
+    const [command, ...args] = argv._;
+
+    if (argv.help || !command) {
+        printUsage();
+        process.exit(argv.help ? 0 : 1);
+    }
+
+    if (command === 'list') {
+        listEntries();
+    } else if (command === 'purge') {
+        const options = { expiredOnly: argv.expired };
+        if (args.length > 0) {
+            options.key = normalizeName(args.join(' '));
+        }
+        const removed = await purgeCached(options);
+        console.log(`Removed ${removed} entr${removed === 1 ? 'y' : 'ies'} from ${CACHE_FILE}`);
+    } else if (command === 'seed') {
+        let ok = true;
+        if (argv.file) {
+            if (!fs.existsSync(argv.file)) {
+                console.error(`File not found: ${argv.file}`);
+                process.exit(1);
+            }
+            for (const row of parseCSV(fs.readFileSync(argv.file, 'utf8'))) {
+                ok = await seedEntry(row.query, row.lat, row.lng, row.address) && ok;
+            }
+        } else if (args.length >= 3) {
+            ok = await seedEntry(args[0], args[1], args[2], args.slice(3).join(' '));
+        } else {
+            printUsage();
+            process.exit(1);
+        }
+        process.exit(ok ? 0 : 1);
+    } else {
+        console.error(`Unknown command "${command}", expected list, purge or seed`);
+        printUsage();
+        process.exit(1);
+    }
+}
+
+main();
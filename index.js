@@ -0,0 +1,49 @@
+/**
+ * Transit Finders as a Library
+ *
+ * The searches behind the finder scripts, for code that wants itineraries
+ * rather than console output:
+ *
+ *   const { planToPlace } = require('./index');
+ *   const plan = await planToPlace({ origin: '227102', destination: 'Dubai Mall', time: '08:00' });
+ *   plan.itineraries[0].arrival;
+ *
+ * Each function takes one options object (the shared ones are in lib/query.js:
+ * date, time, timezone, weights, limit, log) and resolves to the document
+ * --json prints (lib/itinerary_json.js). Invalid options and places no
+ * geocoder finds reject with a QueryError (lib/query_error.js), other
+ * failures with an Error. Searches are silent unless options.log is given,
+ * e.g. { log: console.log } for the CLI's progress lines.
+ *
+ *   planToPlace       find_transit_combined.js: best itinerary, BFS or RAPTOR, arrive-by
+ *   bfsPlan           find_transit_bfs.js: fewest transfers first, up to 2
+ *   findWithTransfer  find_transit_with_transfer.js: direct or one transfer
+ *   nextDeparture     find_next_transit.js: next direct trips to a stop or place
+ *
+ * stopDepartures (lib/departures.js) lists the next departures at a stop; it
+ * resolves to { stop, date, time, departures } instead. inspectTrip
+ * (lib/trips.js) resolves to one trip's stops and block neighbours, and
+ * routeTimetable (lib/route_timetable.js) to a route's stop-by-trip matrices.
+ */
+
+const { planToPlace } = require('./find_transit_combined');
+const { bfsPlan } = require('./find_transit_bfs');
+const { findWithTransfer } = require('./find_transit_with_transfer');
+const { nextDeparture } = require('./find_next_transit');
+const { stopDepartures } = require('./lib/departures');
+const { inspectTrip } = require('./lib/trips');
+const { routeTimetable } = require('./lib/route_timetable');
+const { SCHEMA } = require('./lib/itinerary_json');
+const { QueryError } = require('./lib/query_error');
+
+module.exports = {
+    SCHEMA,
+    QueryError,
+    planToPlace,
+    bfsPlan,
+    findWithTransfer,
+    nextDeparture,
+    stopDepartures,
+    inspectTrip,
+    routeTimetable
+};
@@ -0,0 +1,125 @@
+/**
+ * Stop Departures
+ *
+ * The next trips leaving a stop across all of its routes, as a departure
+ * board lists them. Trips that do not pick up at the stop (pickup_type=1)
+ * are left out, as are trips that end there.
+ *
+ * A stop is given by stop_id or stop_code. For a station (location_type=1)
+ * or one of its platforms, the board covers every platform of the station;
+ * each departure carries the stop_id it leaves from.
+ */
+
+const { loadStops, getStopMap, preloadTransitData } = require('./gtfs_feed');
+const { canBoard, timeDifferenceMinutes, getDeparturesAfter, getTripStopTimes } = require('./timetable');
+const { placeJson, routeJson } = require('./itinerary_json');
+const { resolveQuery } = require('./query');
+const { progress, withProgress } = require('./progress');
+const { QueryError } = require('./query_error');
+
+const DEFAULT_DEPARTURES = 10;
+
+/**
+ * Find a stop by stop_id, or by stop_code (case-insensitive)
+ * @returns {Object|null}
+ */
+function findStop(value) {
+    const stop = getStopMap().get(String(value));
+    if (stop) return stop;
+
+    const code = String(value).toLowerCase();
+    return loadStops().find(s => s.stop_code && s.stop_code.toLowerCase() === code) || null;
+}
+
+/**
+ * The stops a board covers: the platforms of a station, or the stop itself
+ * @param {Object} stop - From findStop
+ * @returns {{station: Object, platforms: Array<Object>}} - station is the stop itself when it has none
+ */
+function boardStops(stop) {
+    const station = stop.parent_station ? getStopMap().get(stop.parent_station) || stop : stop;
+    const platforms = loadStops().filter(s =>
+        s.parent_station === station.stop_id && (s.location_type === null || s.location_type === 0));
+    return { station, platforms: platforms.length > 0 ? platforms : [stop] };
+}
+
+/**
+ * Whether a route passes the --route filter: its route_short_name or route_id
+ */
+function matchesRoute(route, filter) {
+    const wanted = String(filter).toLowerCase();
+    return route.route_id.toLowerCase() === wanted ||
+        (route.short_name !== null && route.short_name.toLowerCase() === wanted);
+}
+
+/**
+ * Next departures at a stop
+ * @param {Object} options - The shared options of lib/query.js, plus:
+ * @param {string} options.stop - stop_id or stop_code
+ * @param {string|number} [options.routeType] - Only list routes of this route_type
+ * @param {string} [options.route] - Only list this route (route_short_name or route_id)
+ * @param {number} [options.limit=10] - Number of departures
+ * @returns {Promise<Object>} - { stop, platforms, date, time, departures: [{ departure, minutes,
+ *   stop_id, route, trip_id, headsign }] }, departures in time order; stop is the station for a
+ *   platform, platforms the stops the departures leave from, places and route as in lib/itinerary_json.js
+ */
+function stopDepartures(options) {
+    return withProgress(options.log, async () => {
+        const stop = findStop(options.stop);
+        if (!stop) {
+            throw new QueryError(`Unknown stop "${options.stop}", expected a stop_id or stop_code`);
+        }
+        const routeType = options.routeType !== undefined && options.routeType !== null ? String(options.routeType) : null;
+        const { todayDate, dayName, userTime, limit } = resolveQuery({
+            ...options,
+            limit: options.limit !== undefined ? options.limit : DEFAULT_DEPARTURES
+        });
+        const { station, platforms } = boardStops(stop);
+
+        progress(`Departures from ${station.stop_name} (${station.stop_id}) after ${userTime} on ${dayName} (${todayDate})...`);
+        if (platforms.length > 1 || platforms[0] !== station) {
+            progress(`  Platforms: ${platforms.map(p => p.stop_id).join(', ')}`);
+        }
+        const { timetable } = preloadTransitData(dayName, todayDate, routeType);
+
+        // The next `limit` departures of each platform, then the earliest of them all
+        const departures = [];
+        for (const platform of platforms) {
+            let found = 0;
+            for (const dep of getDeparturesAfter(timetable, platform.stop_id, userTime)) {
+                const stopTime = getTripStopTimes(timetable, dep.key)[dep.index];
+                if (!canBoard(stopTime)) continue;
+
+                const trip = timetable.tripRouteMap[dep.trip_id];
+                const route = routeJson(trip.route_id);
+                if (options.route && !matchesRoute(route, options.route)) continue;
+
+                departures.push({
+                    seconds: dep.departure,
+                    departure: stopTime.departure_time,
+                    minutes: timeDifferenceMinutes(userTime, stopTime.departure_time),
+                    stop_id: stopTime.stop_id,
+                    route,
+                    trip_id: dep.trip_id,
+                    headsign: trip.trip_headsign || null
+                });
+                if (++found === limit) break;
+            }
+        }
+        departures.sort((a, b) => a.seconds - b.seconds);
+
+        return {
+            stop: placeJson(station),
+            platforms: platforms.map(placeJson),
+            date: String(todayDate).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3'),
+            time: userTime,
+            departures: departures.slice(0, limit).map(({ seconds, ...departure }) => departure)
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_DEPARTURES,
+    findStop,
+    stopDepartures
+};
@@ -0,0 +1,95 @@
+/**
+ * Stop-to-Stop Footpaths
+ *
+ * data/footpaths.txt, written by build_footpaths.js, links every pair of
+ * stops within a walking radius with the walk between them:
+ *
+ *   from_stop_id,to_stop_id,distance_m,walk_seconds
+ *
+ * Walks follow the OSM footpath graph when one was built (lib/walk_router.js)
+ * and are straight lines otherwise. preloadTransitData adds them to the
+ * transfer rules (lib/transfers.js), so every planner can leave a vehicle at
+ * one stop and walk to board at another mid-journey, not only where
+ * transfers.txt pairs the stops.
+ */
+
+const { loadStops, loadFootpaths, getStopMap } = require('./gtfs_feed');
+const { calculateDistance, findStopsWithin } = require('./stop_index');
+const { DEFAULT_WALKING_SPEED_M_PER_MIN, loadWalkGraph, walkingDistancesFromStop } = require('./walk_router');
+
+const DEFAULT_RADIUS_KM = 0.4;
+
+let footpathIndex = null;
+
+/**
+ * Footpaths between all boardable stops within a radius, both directions
+ * @param {Object} [options]
+ * @param {number} [options.radiusKm=0.4] - Longest walk
+ * @param {number} [options.walkingSpeed=80] - Walking speed in meters per minute
+ * @returns {{footpaths: Array<Object>, network: boolean}} - footpaths.txt rows, and whether
+ *   they follow the walking graph
+ */
+function buildFootpaths(options = {}) {
+    const radiusKm = options.radiusKm || DEFAULT_RADIUS_KM;
+    const walkingSpeed = options.walkingSpeed || DEFAULT_WALKING_SPEED_M_PER_MIN;
+
+    // Stations (location_type 1) and entrances are not boarded
+    const boardable = s => !s.location_type;
+    const stops = loadStops().filter(s => s.stop_lat !== null && s.stop_lon !== null && boardable(s));
+
+    const footpaths = [];
+    for (const stop of stops) {
+        const nearby = findStopsWithin(stop.stop_lat, stop.stop_lon, radiusKm)
+            .filter(s => s.stop_id !== stop.stop_id && boardable(s));
+
+        for (const s of walkingDistancesFromStop(stop, nearby, { maxKm: radiusKm })) {
+            const meters = Math.round(s.distance * 1000);
+            footpaths.push({
+                from_stop_id: stop.stop_id,
+                to_stop_id: s.stop_id,
+                distance_m: meters,
+                walk_seconds: Math.ceil(meters / walkingSpeed * 60)
+            });
+        }
+    }
+    return { footpaths, network: loadWalkGraph() !== null };
+}
+
+/**
+ * The footpaths.txt walk between two stops
+ * @returns {Object|null} - { from_stop_id, to_stop_id, distance_m, walk_seconds }
+ */
+function getFootpath(fromStopId, toStopId) {
+    if (!footpathIndex) {
+        footpathIndex = new Map(loadFootpaths().map(fp => [`${fp.from_stop_id}>${fp.to_stop_id}`, fp]));
+    }
+    return footpathIndex.get(`${fromStopId}>${toStopId}`) || null;
+}
+
+/**
+ * The walk between two stops of a transfer: the footpath when there is one,
+ * a straight line otherwise (transfers.txt partners without a footpath)
+ * @returns {Object|null} - { from, to, distance (km), time (minutes) } for walkLegJson,
+ *   null when either stop is not in the feed
+ */
+function transferWalk(fromStopId, toStopId, walkingSpeed = DEFAULT_WALKING_SPEED_M_PER_MIN) {
+    const stopMap = getStopMap();
+    const from = stopMap.get(fromStopId);
+    const to = stopMap.get(toStopId);
+    if (!from || !to) return null;
+
+    const footpath = getFootpath(fromStopId, toStopId);
+    if (footpath) {
+        return { from, to, distance: footpath.distance_m / 1000, time: Math.ceil(footpath.walk_seconds / 60) };
+    }
+    if (from.stop_lat === null || to.stop_lat === null) return null;
+    const distance = calculateDistance(from.stop_lat, from.stop_lon, to.stop_lat, to.stop_lon);
+    return { from, to, distance, time: Math.ceil(distance * 1000 / walkingSpeed) };
+}
+
+module.exports = {
+    DEFAULT_RADIUS_KM,
+    buildFootpaths,
+    getFootpath,
+    transferWalk
+};
@@ -0,0 +1,181 @@
+/**
+ * Geocode Cache
+ *
+ * Disk-backed cache of online geocoder answers, shared by every process that
+ * geocodes (finder scripts, otp_cli.js, the benchmark's hundreds of runs), so
+ * a place costs one Google request per TTL instead of one per run.
+ *
+ * Entries are keyed by the normalised query (see normalizeName in
+ * lib/geocoder.js). A null result is a negative entry: the provider answered
+ * ZERO_RESULTS, and asking again before it expires would waste quota.
+ * Seeded entries never expire.
+ *
+ * Writers hold a lock file beside the cache while they read, change and
+ * rewrite it, so concurrent processes add entries without dropping each
+ * other's. A lock left by a process that died is taken over once stale.
+ *
+ * File: data/geocode_cache.json, or the GEOCODE_CACHE_FILE path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./gtfs_feed');
+
+const CACHE_FILE = process.env.GEOCODE_CACHE_FILE || path.join(DATA_DIR, 'geocode_cache.json');
+const DAY_MS = 24 * 3600 * 1000;
+const DEFAULT_TTL_MS = 30 * DAY_MS; // Found places rarely move
+const NEGATIVE_TTL_MS = 1 * DAY_MS; // Retry unknown places sooner in case of a typo fixed upstream
+const LOCK_STALE_MS = 5000; // A rewrite takes milliseconds; a lock this old was left behind
+const LOCK_RETRY_MS = 10;
+
+/**
+ * Read all entries (an unreadable or missing file is an empty cache)
+ * @returns {Object} - key -> { query, result, provider, cached_at, expires_at }
+ */
+function readEntries(file = CACHE_FILE) {
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+    } catch (e) {
+        console.error(`Ignoring unreadable geocode cache ${file}: ${e.message}`);
+        return {};
+    }
+}
+
+/**
+ * Write all entries (through a temporary file, so concurrent readers never see half a file)
+ */
+function writeEntries(entries, file = CACHE_FILE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, entries }, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read, change and rewrite the entries while holding the cache's lock file.
+ * Waiting for the lock yields to the event loop, so a server keeps answering.
+ * @param {Function} update - Called with the entries to change in place; returns whether to write
+ * @returns {Promise<Object>} - The entries
+ */
+async function updateEntries(update, file = CACHE_FILE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const lockFile = `${file}.lock`;
+    for (;;) {
+        try {
+            fs.closeSync(fs.openSync(lockFile, 'wx'));
+            break;
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+        try {
+            if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+                fs.unlinkSync(lockFile);
+                continue;
+            }
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            continue; // Released meanwhile
+        }
+        await sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+        const entries = readEntries(file);
+        if (update(entries)) {
+            writeEntries(entries, file);
+        }
+        return entries;
+    } finally {
+        fs.rmSync(lockFile, { force: true });
+    }
+}
+
+function isExpired(entry, now = Date.now()) {
+    return entry.expires_at !== null && Date.parse(entry.expires_at) <= now;
+}
+
+/**
+ * Look up a cached answer
+ * @param {string} key - Normalised query
+ * @returns {Object|undefined} - The entry (entry.result is null for a negative entry), or undefined on a miss
+ */
+function getCached(key, file = CACHE_FILE) {
+    const entry = readEntries(file)[key];
+    return entry && !isExpired(entry) ? entry : undefined;
+}
+
+/**
+ * Store an answer
+ * @param {string} key - Normalised query
+ * @param {string} query - Query as the user typed it
+ * @param {Object|null} result - Geocoder result, or null for ZERO_RESULTS
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider that answered
+ * @param {number|null} [options.ttlMs] - Lifetime (default: 30 days, 1 day for null; null = never expires)
+ * @returns {Promise<Object>} - The entry
+ */
+async function putCached(key, query, result, options = {}, file = CACHE_FILE) {
+    const ttlMs = options.ttlMs !== undefined ? options.ttlMs : (result ? DEFAULT_TTL_MS : NEGATIVE_TTL_MS);
+    const now = Date.now();
+
+    const entry = {
+        query,
+        result,
+        provider: options.provider || null,
+        cached_at: new Date(now).toISOString(),
+        expires_at: ttlMs === null ? null : new Date(now + ttlMs).toISOString()
+    };
+    await updateEntries(entries => {
+        entries[key] = entry;
+        return true;
+    }, file);
+    return entry;
+}
+
+/**
+ * All entries with their key and whether they expired, oldest first
+ */
+function listCached(file = CACHE_FILE) {
+    const now = Date.now();
+    return Object.entries(readEntries(file))
+        .map(([key, entry]) => ({ key, ...entry, expired: isExpired(entry, now) }))
+        .sort((a, b) => a.cached_at.localeCompare(b.cached_at));
+}
+
+/**
+ * Remove entries
+ * @param {Object} [options]
+ * @param {string} [options.key] - Only this normalised query
+ * @param {boolean} [options.expiredOnly] - Only expired entries
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function purgeCached(options = {}, file = CACHE_FILE) {
+    const now = Date.now();
+    let removed = 0;
+
+    await updateEntries(entries => {
+        for (const [key, entry] of Object.entries(entries)) {
+            if (options.key !== undefined && key !== options.key) continue;
+            if (options.expiredOnly && !isExpired(entry, now)) continue;
+            delete entries[key];
+            removed++;
+        }
+        return removed > 0;
+    }, file);
+    return removed;
+}
+
+module.exports = {
+    CACHE_FILE,
+    DEFAULT_TTL_MS,
+    NEGATIVE_TTL_MS,
+    getCached,
+    putCached,
+    listCached,
+    purgeCached
+};
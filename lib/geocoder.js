@@ -0,0 +1,332 @@
+/**
+ * Geocoder
+ *
+ * Resolves a place name to coordinates through pluggable providers, tried in
+ * order until one answers:
+ *
+ * - local: offline fuzzy match against stops.txt (stop_name, stop_code and
+ *   the Arabic stop names in translations.txt) and a user-maintained
+ *   landmarks file (data/landmarks.txt, or the LANDMARKS_FILE path)
+ * - google: Google Maps Geocoding API, used only when GOOGLE_MAPS_API_KEY is set
+ *
+ * The GEOCODER environment variable picks the providers and their order
+ * (default "local,google"); GEOCODER=local keeps CI and offline machines
+ * off the network.
+ *
+ * Every provider is { isAvailable(), geocode(place), cacheable? } where
+ * geocode resolves to { lat, lng, formatted_address, source } or null when it
+ * has no match. Answers of cacheable (online) providers go through the disk
+ * cache in lib/geocode_cache.js, misses included; GEOCODE_CACHE=off bypasses it.
+ *
+ * Landmarks file (CSV, aliases separated by ";"):
+ *   name,lat,lng,aliases
+ *   Dubai Mall,25.1972,55.2797,The Dubai Mall;دبي مول
+ *   DXB Terminal 3,25.2486,55.3645,DXB T3;Airport T3
+ */
+
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const { DATA_DIR, parseCSV, loadStops, loadTranslations } = require('./gtfs_feed');
+const { getCached, putCached } = require('./geocode_cache');
+const { QueryError } = require('./query_error');
+
+const DEFAULT_PROVIDERS = 'local,google';
+const LANDMARKS_FILE = process.env.LANDMARKS_FILE || path.join(DATA_DIR, 'landmarks.txt');
+const MIN_MATCH_SCORE = 0.6; // Weaker local matches count as "no match" so the next provider is tried
+const GOOGLE_TIMEOUT_MS = 10000; // A stalled request fails instead of hanging the finder
+
+/**
+ * Normalize a name for matching: case, Latin diacritics, Arabic diacritics
+ * and letter variants (أ/إ/آ -> ا, ى -> ي, ة -> ه), punctuation
+ */
+function normalizeName(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u064b-\u0652\u0670\u0640]/g, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ى/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Dice coefficient of the character bigrams of two normalized names (0..1)
+ */
+function bigramSimilarity(a, b) {
+    if (a.length < 2 || b.length < 2) return a === b ? 1 : 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            shared++;
+        }
+    }
+    return 2 * shared / (a.length + b.length - 2);
+}
+
+/**
+ * Score how well a query matches a candidate name (0..1)
+ * Exact names score 1; names containing every query word score 0.75-1
+ * (higher when fewer extra words); anything else falls back to bigram similarity.
+ */
+function matchScore(query, name) {
+    if (query.normalized === name.normalized) return 1;
+
+    const containsAll = query.tokens.every(token =>
+        name.tokens.some(word => word === token || (token.length >= 3 && word.startsWith(token)))
+    );
+    if (containsAll) {
+        return 0.75 + 0.25 * query.tokens.length / name.tokens.length;
+    }
+    return 0.9 * bigramSimilarity(query.normalized, name.normalized);
+}
+
+function toMatchName(text) {
+    const normalized = normalizeName(text);
+    return { normalized, tokens: normalized.split(' ').filter(Boolean) };
+}
+
+/**
+ * Load the landmarks file; missing file means no landmarks
+ * @returns {Array<{name: string, lat: number, lng: number, aliases: Array<string>}>}
+ */
+function loadLandmarks(file = LANDMARKS_FILE) {
+    if (!fs.existsSync(file)) return [];
+
+    const landmarks = [];
+    for (const row of parseCSV(fs.readFileSync(file, 'utf8'))) {
+        const lat = parseFloat(row.lat);
+        const lng = parseFloat(row.lng);
+        if (!row.name || Number.isNaN(lat) || Number.isNaN(lng)) {
+            console.error(`Skipping landmark "${row.name || ''}" in ${path.basename(file)}: name, lat and lng are required`);
+            continue;
+        }
+        const aliases = (row.aliases || '').split(';').map(a => a.trim()).filter(Boolean);
+        landmarks.push({ name: row.name, lat, lng, aliases });
+    }
+    return landmarks;
+}
+
+let localIndex = null;
+
+/**
+ * Build (once) the list of local places with every name they can be matched by
+ * @returns {Array<{result: Object, names: Array<Object>, priority: number}>}
+ */
+function getLocalIndex() {
+    if (localIndex) return localIndex;
+
+    // Arabic (and any other) stop_name translations, by stop_id or by the original name
+    const translationsById = new Map();
+    const translationsByName = new Map();
+    for (const t of loadTranslations()) {
+        if (t.table_name !== 'stops' || t.field_name !== 'stop_name') continue;
+        const byKey = t.record_id ? translationsById : translationsByName;
+        const key = t.record_id || t.field_value;
+        if (!key) continue;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(t.translation);
+    }
+
+    localIndex = [];
+
+    for (const landmark of loadLandmarks()) {
+        localIndex.push({
+            result: { lat: landmark.lat, lng: landmark.lng, formatted_address: landmark.name, source: 'landmark' },
+            names: [landmark.name, ...landmark.aliases].map(toMatchName),
+            priority: 0
+        });
+    }
+
+    for (const stop of loadStops()) {
+        if (stop.stop_lat === null || stop.stop_lon === null) continue;
+        const names = [stop.stop_name, stop.stop_code,
+            ...(translationsById.get(stop.stop_id) || []),
+            ...(translationsByName.get(stop.stop_name) || [])];
+        localIndex.push({
+            result: {
+                lat: stop.stop_lat,
+                lng: stop.stop_lon,
+                formatted_address: `${stop.stop_name} (${stop.stop_id})`,
+                source: 'stop',
+                stop_id: stop.stop_id
+            },
+            names: names.filter(Boolean).map(toMatchName),
+            priority: 1
+        });
+    }
+
+    return localIndex;
+}
+
+/**
+ * Best local matches for a place, best first
+ * @param {string} place - Place name, stop code or Arabic stop name
+ * @param {number} [limit=5] - Number of matches to return
+ * @returns {Array<Object>} - Results with their match score
+ */
+function searchLocal(place, limit = 5) {
+    const query = toMatchName(place);
+    if (query.tokens.length === 0) return [];
+
+    const matches = [];
+    for (const entry of getLocalIndex()) {
+        const score = Math.max(...entry.names.map(name => matchScore(query, name)));
+        if (score >= MIN_MATCH_SCORE) {
+            matches.push({ entry, score });
+        }
+    }
+
+    // Best score first; landmarks win ties over stops
+    matches.sort((a, b) => b.score - a.score || a.entry.priority - b.entry.priority);
+    return matches.slice(0, limit).map(m => ({ ...m.entry.result, score: Number(m.score.toFixed(3)) }));
+}
+
+const localProvider = {
+    isAvailable: () => true,
+    geocode: async place => searchLocal(place, 1)[0] || null
+};
+
+function getGoogleApiKey() {
+    const key = process.env.GOOGLE_MAPS_API_KEY;
+    return key && key !== 'YOUR_API_KEY_HERE' ? key : null;
+}
+
+const googleProvider = {
+    cacheable: true,
+    isAvailable: () => getGoogleApiKey() !== null,
+    geocode(place) {
+        return new Promise((resolve, reject) => {
+            const encodedPlace = encodeURIComponent(place);
+            const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedPlace}&key=${getGoogleApiKey()}`;
+
+            const req = https.get(url, (res) => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    res.resume();
+                    reject(new Error(`Geocoding failed: HTTP ${res.statusCode}`));
+                    return;
+                }
+                let data = '';
+                res.on('data', (chunk) => { data += chunk; });
+                res.on('end', () => {
+                    try {
+                        const response = JSON.parse(data);
+                        if (response.status === 'OK' && response.results.length > 0) {
+                            const location = response.results[0].geometry.location;
+                            resolve({
+                                lat: location.lat,
+                                lng: location.lng,
+                                formatted_address: response.results[0].formatted_address,
+                                source: 'google'
+                            });
+                        } else if (response.status === 'ZERO_RESULTS') {
+                            resolve(null);
+                        } else {
+                            reject(new Error(`Geocoding failed: ${response.status}`));
+                        }
+                    } catch (error) {
+                        reject(new Error(`Failed to parse response: ${error.message}`));
+                    }
+                });
+            });
+            req.setTimeout(GOOGLE_TIMEOUT_MS, () => {
+                req.destroy(new Error(`no answer within ${GOOGLE_TIMEOUT_MS / 1000} s`));
+            });
+            req.on('error', (error) => {
+                reject(new Error(`Network error: ${error.message}`));
+            });
+        });
+    }
+};
+
+const providers = new Map([
+    ['local', localProvider],
+    ['google', googleProvider]
+]);
+
+/**
+ * Add or replace a geocoding provider
+ * @param {string} name - Name used in GEOCODER / options.providers
+ * @param {{isAvailable: Function, geocode: Function, cacheable?: boolean}} provider
+ */
+function registerProvider(name, provider) {
+    providers.set(name, provider);
+}
+
+/**
+ * Provider names to try, in order (GEOCODER environment variable or the default)
+ */
+function getProviderNames() {
+    return (process.env.GEOCODER || DEFAULT_PROVIDERS).split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Ask a cacheable provider, answering from the disk cache when possible
+ * (a cached miss answers null without a request)
+ */
+async function geocodeCached(name, provider, place) {
+    const key = normalizeName(place);
+    const cached = getCached(key);
+    if (cached) {
+        return cached.result ? { ...cached.result, cached: true } : null;
+    }
+
+    const result = await provider.geocode(place);
+    await putCached(key, place, result, { provider: name });
+    return result;
+}
+
+/**
+ * Resolve a place to coordinates with the first provider that finds it
+ * @param {string} place - Place name
+ * @param {Object} [options]
+ * @param {Array<string>} [options.providers] - Provider names in order (default: GEOCODER or local,google)
+ * @param {boolean} [options.cache=true] - Use the disk cache for online providers (GEOCODE_CACHE=off disables it)
+ * @returns {Promise<{lat: number, lng: number, formatted_address: string, source: string}>}
+ */
+async function geocode(place, options = {}) {
+    const names = options.providers || getProviderNames();
+    const useCache = options.cache !== false && process.env.GEOCODE_CACHE !== 'off';
+    const tried = [];
+
+    for (const name of names) {
+        const provider = providers.get(name);
+        if (!provider) {
+            throw new Error(`Unknown geocoder "${name}", expected one of: ${[...providers.keys()].join(', ')}`);
+        }
+        if (!provider.isAvailable()) continue;
+
+        tried.push(name);
+        const result = provider.cacheable && useCache
+            ? await geocodeCached(name, provider, place)
+            : await provider.geocode(place);
+        if (result) return result;
+    }
+
+    if (tried.length === 0) {
+        throw new Error(`Geocoding failed: no geocoder available for "${place}" (GOOGLE_MAPS_API_KEY is not set)`);
+    }
+    throw new QueryError(`Geocoding failed: no match for "${place}" (tried ${tried.join(', ')})`);
+}
+
+module.exports = {
+    normalizeName,
+    loadLandmarks,
+    searchLocal,
+    registerProvider,
+    getProviderNames,
+    geocode
+};
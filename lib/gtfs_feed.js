@@ -0,0 +1,570 @@
+/**
+ * GTFS Feed Loader
+ *
+ * Shared loader for the RTA GTFS text files in data/. Every finder script
+ * requires this module instead of carrying its own parseCSV/loadFile copy,
+ * so parsing fixes reach all planners at once.
+ *
+ * Tables are returned as typed objects: ids stay strings (they are compared
+ * against command-line arguments), numeric columns become numbers and empty
+ * numeric values become null. Dates stay YYYYMMDD integers and times stay
+ * HH:MM:SS strings.
+ *
+ * "Today" and "now" are resolved in the agency timezone (agency.txt), not
+ * the host clock, so a server running in UTC still plans on Dubai's date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SECONDS_PER_DAY, timeToSeconds, buildTimetable } = require('./timetable');
+const { buildTransferRules, addFootpathTransfers } = require('./transfers');
+const { progress } = require('./progress');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Used when agency.txt does not name a timezone
+const DEFAULT_TIMEZONE = 'Asia/Dubai';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Tomorrow's trips starting before this hour are indexed after today's (the first services of the morning)
+const NEXT_DAY_HOURS = 6;
+
+// Standard GTFS tables and the file each one is read from
+const TABLES = {
+    agency: 'agency.txt',
+    stops: 'stops.txt',
+    routes: 'routes.txt',
+    trips: 'trips.txt',
+    stop_times: 'stop_times.txt',
+    calendar: 'calendar.txt',
+    calendar_dates: 'calendar_dates.txt',
+    fare_attributes: 'fare_attributes.txt',
+    fare_rules: 'fare_rules.txt',
+    shapes: 'shapes.txt',
+    frequencies: 'frequencies.txt',
+    transfers: 'transfers.txt',
+    feed_info: 'feed_info.txt',
+    translations: 'translations.txt',
+    // Not GTFS: stop-to-stop walks written by build_footpaths.js (lib/footpaths.js)
+    footpaths: 'footpaths.txt'
+};
+
+// Columns converted to integers / floats. Everything else stays a string.
+const INT_COLUMNS = new Set([
+    'route_type', 'location_type', 'wheelchair_boarding', 'direction_id',
+    'wheelchair_accessible', 'bikes_allowed', 'stop_sequence', 'pickup_type',
+    'drop_off_type', 'timepoint', 'continuous_pickup', 'continuous_drop_off',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+    'start_date', 'end_date', 'date', 'exception_type', 'transfer_type',
+    'min_transfer_time', 'shape_pt_sequence', 'headway_secs', 'exact_times',
+    'payment_method', 'transfer_duration', 'distance_m', 'walk_seconds'
+]);
+const FLOAT_COLUMNS = new Set([
+    'stop_lat', 'stop_lon', 'shape_pt_lat', 'shape_pt_lon', 'shape_dist_traveled', 'price'
+]);
+
+// Typed tables are cached per process; stop_times is never cached because it is filtered per day
+const tableCache = new Map();
+
+// Preloaded days kept by a long-running process (see keepTransitData); off for one-shot scripts
+const transitDataCache = new Map();
+let transitDataCacheSize = 0;
+
+/**
+ * Walk CSV content row by row (RFC 4180: quoted fields may contain commas,
+ * escaped "" quotes and line breaks). A leading UTF-8 BOM is ignored.
+ * @param {string} content - Raw file content
+ * @param {Function} onRow - Called with (values[], rowIndex); row 0 is the header
+ */
+function forEachCSVRow(content, onRow) {
+    let pos = content.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    const length = content.length;
+    let rowIndex = 0;
+    let values = [];
+    let current = '';
+    let inQuote = false;
+
+    const endRow = () => {
+        values.push(current);
+        current = '';
+        // Skip blank lines
+        if (values.length > 1 || values[0] !== '') {
+            onRow(values, rowIndex++);
+        }
+        values = [];
+    };
+
+    while (pos < length) {
+        const char = content[pos];
+        if (inQuote) {
+            if (char === '"') {
+                if (content[pos + 1] === '"') {
+                    current += '"';
+                    pos++;
+                } else {
+                    inQuote = false;
+                }
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuote = true;
+        } else if (char === ',') {
+            values.push(current);
+            current = '';
+        } else if (char === '\n') {
+            endRow();
+        } else if (char !== '\r') {
+            current += char;
+        }
+        pos++;
+    }
+    if (current !== '' || values.length > 0) {
+        endRow();
+    }
+}
+
+/**
+ * Parse CSV content into an array of objects keyed by header (all values strings)
+ * @param {string} content - Raw file content
+ * @returns {Array<Object>}
+ */
+function parseCSV(content) {
+    const data = [];
+    let headers = null;
+
+    forEachCSVRow(content, (values, rowIndex) => {
+        if (rowIndex === 0) {
+            headers = values.map(h => h.trim());
+            return;
+        }
+        const entry = {};
+        headers.forEach((h, idx) => {
+            entry[h] = values[idx] !== undefined ? values[idx].trim() : '';
+        });
+        data.push(entry);
+    });
+
+    return data;
+}
+
+/**
+ * Load a file from data/ as raw string rows
+ * @param {string} filename - File name, e.g. 'stops.txt'
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Do not report a missing file (optional GTFS tables)
+ * @returns {Array<Object>}
+ */
+function loadFile(filename, options = {}) {
+    const filePath = path.join(DATA_DIR, filename);
+    if (!fs.existsSync(filePath)) {
+        if (!options.optional) {
+            console.error(`File not found: ${filename}`);
+        }
+        return [];
+    }
+    return parseCSV(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Convert a raw column value to its GTFS type
+ */
+function typeValue(column, value) {
+    if (INT_COLUMNS.has(column)) {
+        return value === '' ? null : parseInt(value, 10);
+    }
+    if (FLOAT_COLUMNS.has(column)) {
+        return value === '' ? null : parseFloat(value);
+    }
+    return value;
+}
+
+/**
+ * Load a standard GTFS table as typed objects
+ * @param {string} tableName - Table name, e.g. 'stops' or 'stop_times'
+ * @param {Object} [options]
+ * @param {Function} [options.filter] - Keep only rows for which filter(row) is true
+ * @param {boolean} [options.optional=false] - Do not report a missing file
+ * @returns {Array<Object>}
+ */
+function loadTable(tableName, options = {}) {
+    const filename = TABLES[tableName];
+    if (!filename) {
+        throw new Error(`Unknown GTFS table: ${tableName}`);
+    }
+
+    const filePath = path.join(DATA_DIR, filename);
+    if (!fs.existsSync(filePath)) {
+        if (!options.optional) {
+            console.error(`File not found: ${filename}`);
+        }
+        return [];
+    }
+
+    const rows = [];
+    let headers = null;
+
+    forEachCSVRow(fs.readFileSync(filePath, 'utf8'), (values, rowIndex) => {
+        if (rowIndex === 0) {
+            headers = values.map(h => h.trim());
+            return;
+        }
+        const row = {};
+        for (let i = 0; i < headers.length; i++) {
+            const raw = values[i] !== undefined ? values[i].trim() : '';
+            row[headers[i]] = typeValue(headers[i], raw);
+        }
+        if (!options.filter || options.filter(row)) {
+            rows.push(row);
+        }
+    });
+
+    return rows;
+}
+
+/**
+ * Load a table once per process
+ */
+function cachedTable(tableName, optional) {
+    if (!tableCache.has(tableName)) {
+        tableCache.set(tableName, loadTable(tableName, { optional }));
+    }
+    return tableCache.get(tableName);
+}
+
+function loadAgency() { return cachedTable('agency', true); }
+function loadStops() { return cachedTable('stops', false); }
+function loadRoutes() { return cachedTable('routes', false); }
+function loadTrips() { return cachedTable('trips', false); }
+function loadCalendar() { return cachedTable('calendar', false); }
+function loadCalendarDates() { return cachedTable('calendar_dates', true); }
+function loadTransfers() { return cachedTable('transfers', true); }
+function loadTranslations() { return cachedTable('translations', true); }
+function loadShapes() { return cachedTable('shapes', true); }
+function loadFootpaths() { return cachedTable('footpaths', true); }
+
+/**
+ * Load stop_times, optionally restricted to a set of trips
+ * @param {Set<string>} [tripIds] - Keep only rows of these trips
+ * @returns {Array<Object>} - Typed stop_times rows
+ */
+function loadStopTimes(tripIds) {
+    return loadTable('stop_times', tripIds ? { filter: st => tripIds.has(st.trip_id) } : {});
+}
+
+/**
+ * Map of stop_id -> stop
+ */
+function getStopMap() {
+    if (!tableCache.has('stopMap')) {
+        tableCache.set('stopMap', new Map(loadStops().map(s => [s.stop_id, s])));
+    }
+    return tableCache.get('stopMap');
+}
+
+/**
+ * Timezone the feed's times are expressed in: agency_timezone from agency.txt,
+ * or Asia/Dubai when the feed does not say
+ */
+function getAgencyTimezone() {
+    const agency = loadAgency().find(a => a.agency_timezone);
+    return agency ? agency.agency_timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Check that a value is an IANA timezone name the runtime knows, e.g. 'Asia/Dubai'
+ */
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @returns {{year: number, month: number, day: number, time: string}} - time is HH:MM:SS
+ */
+function getZonedParts(timeZone, instant = new Date()) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        hourCycle: 'h23'
+    });
+    for (const part of formatter.formatToParts(instant)) {
+        parts[part.type] = part.value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        time: `${parts.hour}:${parts.minute}:${parts.second}`
+    };
+}
+
+/**
+ * Today's date in a timezone, as a calendar Date for getDayName/getYYYYMMDD
+ * @param {string} [timeZone] - IANA timezone (default: the agency timezone)
+ */
+function getServiceDate(timeZone = getAgencyTimezone()) {
+    const { year, month, day } = getZonedParts(timeZone);
+    return new Date(year, month - 1, day);
+}
+
+function getDayName(date = getServiceDate()) {
+    return DAY_NAMES[date.getDay()];
+}
+
+/**
+ * Current time in a timezone
+ * @param {string} [timeZone] - IANA timezone (default: the agency timezone)
+ * @returns {string} - HH:MM:SS
+ */
+function getCurrentTime(timeZone = getAgencyTimezone()) {
+    return getZonedParts(timeZone).time;
+}
+
+function getYYYYMMDD(date = getServiceDate()) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return parseInt(`${y}${m}${d}`, 10);
+}
+
+/**
+ * Parse a --date option value
+ * @param {string} value - Date in YYYY-MM-DD format
+ * @returns {Date|null} - The date, or null if the value is not a valid calendar date
+ */
+function parseDateArg(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null; // e.g. 2026-02-30
+    }
+    return date;
+}
+
+/**
+ * Get the service day before a date
+ * @param {number} todayDate - Date in YYYYMMDD format
+ * @returns {{dayName: string, date: number}} - Weekday name and YYYYMMDD date of the previous day
+ */
+function getPreviousDay(todayDate) {
+    const year = Math.floor(todayDate / 10000);
+    const month = Math.floor(todayDate / 100) % 100;
+    const day = todayDate % 100;
+    const previous = new Date(year, month - 1, day - 1);
+    return { dayName: getDayName(previous), date: getYYYYMMDD(previous) };
+}
+
+/**
+ * Get the service day after a date
+ * @param {number} todayDate - Date in YYYYMMDD format
+ * @returns {{dayName: string, date: number}} - Weekday name and YYYYMMDD date of the next day
+ */
+function getNextDay(todayDate) {
+    const year = Math.floor(todayDate / 10000);
+    const month = Math.floor(todayDate / 100) % 100;
+    const day = todayDate % 100;
+    const next = new Date(year, month - 1, day + 1);
+    return { dayName: getDayName(next), date: getYYYYMMDD(next) };
+}
+
+/**
+ * Get service IDs running on a day: calendar.txt weekday flags and date range,
+ * then calendar_dates.txt exceptions for that date (1 = added, 2 = removed)
+ * @param {string} dayName - Day of week, e.g. 'monday'
+ * @param {number} todayDate - Date in YYYYMMDD format
+ * @returns {Set<string>}
+ */
+function getActiveServices(dayName, todayDate) {
+    const activeServices = new Set(
+        loadCalendar()
+            .filter(c => c[dayName] === 1 && todayDate >= c.start_date && todayDate <= c.end_date)
+            .map(c => c.service_id)
+    );
+
+    for (const exception of loadCalendarDates()) {
+        if (exception.date !== todayDate) continue;
+
+        if (exception.exception_type === 1) {
+            activeServices.add(exception.service_id);
+        } else if (exception.exception_type === 2) {
+            activeServices.delete(exception.service_id);
+        }
+    }
+
+    return activeServices;
+}
+
+/**
+ * Preload all transit data once for efficiency
+ *
+ * The timetable covers today's service day plus yesterday's trips still
+ * running after midnight (GTFS times of 24:00:00 and later), so queries
+ * shortly after midnight see them, and tomorrow's trips starting in its
+ * first NEXT_DAY_HOURS, so late queries see the first departures after
+ * midnight.
+ *
+ * @param {string} dayName - Day of week
+ * @param {number} todayDate - Date in YYYYMMDD format
+ * @param {string|null} routeType - Optional route type filter
+ * @returns {Object} - { routes, activeServices, validTripIds, tripRouteMap, timetable, transferRules }
+ *   (validTripIds and activeServices are today's; tripRouteMap also holds yesterday's and
+ *   tomorrow's trips)
+ */
+function preloadTransitData(dayName, todayDate, routeType) {
+    const cacheKey = `${todayDate}:${routeType || ''}`;
+    if (transitDataCache.has(cacheKey)) {
+        progress(`  ✓ Using transit data already loaded for ${todayDate}`);
+        return transitDataCache.get(cacheKey);
+    }
+
+    progress(`  Preloading transit data...`);
+
+    // 1. Load Routes
+    const routes = loadRoutes();
+    const targetRouteIds = new Set(
+        routes
+            .filter(r => !routeType || String(r.route_type) === String(routeType))
+            .map(r => r.route_id)
+    );
+
+    // 2. Active services for the day
+    const activeServices = getActiveServices(dayName, todayDate);
+
+    const yesterday = getPreviousDay(todayDate);
+    const yesterdayServices = getActiveServices(yesterday.dayName, yesterday.date);
+    const tomorrow = getNextDay(todayDate);
+    const tomorrowServices = getActiveServices(tomorrow.dayName, tomorrow.date);
+
+    // 3. Load Trips
+    const routeTrips = loadTrips().filter(t => targetRouteIds.has(t.route_id));
+    const validTrips = routeTrips.filter(t => activeServices.has(t.service_id));
+    const validTripIds = new Set(validTrips.map(t => t.trip_id));
+    const yesterdayTripIds = new Set(
+        routeTrips.filter(t => yesterdayServices.has(t.service_id)).map(t => t.trip_id)
+    );
+    const tomorrowTripIds = new Set(
+        routeTrips.filter(t => tomorrowServices.has(t.service_id)).map(t => t.trip_id)
+    );
+
+    const tripRouteMap = {};
+    routeTrips.forEach(t => {
+        if (validTripIds.has(t.trip_id) || yesterdayTripIds.has(t.trip_id) || tomorrowTripIds.has(t.trip_id)) {
+            tripRouteMap[t.trip_id] = t;
+        }
+    });
+
+    // 4. Load Stop Times (ONCE, only for valid trips) and index them for the day
+    const loadedStopTimes = loadStopTimes(new Set([...validTripIds, ...yesterdayTripIds, ...tomorrowTripIds]));
+    const stopTimes = loadedStopTimes.filter(st => validTripIds.has(st.trip_id));
+    const yesterdayStopTimes = loadedStopTimes.filter(st =>
+        yesterdayTripIds.has(st.trip_id) && timeToSeconds(st.departure_time) >= SECONDS_PER_DAY
+    );
+
+    // Tomorrow's trips are kept whole when their first departure is early enough
+    const tripStarts = new Map();
+    for (const st of loadedStopTimes) {
+        if (!tomorrowTripIds.has(st.trip_id)) continue;
+        const departure = timeToSeconds(st.departure_time);
+        if (!tripStarts.has(st.trip_id) || departure < tripStarts.get(st.trip_id)) {
+            tripStarts.set(st.trip_id, departure);
+        }
+    }
+    const tomorrowStopTimes = loadedStopTimes.filter(st =>
+        tomorrowTripIds.has(st.trip_id) && tripStarts.get(st.trip_id) < NEXT_DAY_HOURS * 3600
+    );
+    const timetable = buildTimetable(stopTimes, tripRouteMap, yesterdayStopTimes, tomorrowStopTimes);
+
+    progress(`  ✓ Loaded ${validTripIds.size} valid trips and ${stopTimes.length} stop times`);
+    if (yesterdayStopTimes.length > 0) {
+        progress(`  ✓ Added ${yesterdayStopTimes.length} stop times after midnight from ${yesterday.dayName}'s service`);
+    }
+    if (tomorrowStopTimes.length > 0) {
+        progress(`  ✓ Added ${tomorrowStopTimes.length} stop times before ${String(NEXT_DAY_HOURS).padStart(2, '0')}:00 from ${tomorrow.dayName}'s service`);
+    }
+    progress(`  ✓ Indexed departures at ${timetable.tripsByStop.size} stops`);
+
+    // 5. Transfer rules (transfers.txt) used when changing vehicles, plus the walks of footpaths.txt
+    const footpaths = loadFootpaths();
+    const transferRules = addFootpathTransfers(buildTransferRules(loadTransfers()), footpaths);
+    if (footpaths.length > 0) {
+        progress(`  ✓ Added ${footpaths.length} stop-to-stop footpaths as walking transfers`);
+    }
+
+    const data = {
+        routes,
+        activeServices,
+        validTripIds,
+        tripRouteMap,
+        timetable,
+        transferRules
+    };
+
+    if (transitDataCacheSize > 0) {
+        // Drop the least recently loaded day (Map keeps insertion order)
+        if (transitDataCache.size >= transitDataCacheSize) {
+            transitDataCache.delete(transitDataCache.keys().next().value);
+        }
+        transitDataCache.set(cacheKey, data);
+    }
+    return data;
+}
+
+/**
+ * Keep preloaded transit data in memory, so later queries for the same day
+ * and route type skip preloadTransitData's multi-second load (transit_server.js)
+ * @param {number} [maxEntries=4] - Days (per route type filter) to keep; 0 turns the cache off
+ */
+function keepTransitData(maxEntries = 4) {
+    transitDataCacheSize = maxEntries;
+    while (transitDataCache.size > maxEntries) {
+        transitDataCache.delete(transitDataCache.keys().next().value);
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    DAY_NAMES,
+    DEFAULT_TIMEZONE,
+    TABLES,
+    forEachCSVRow,
+    parseCSV,
+    loadFile,
+    loadTable,
+    loadAgency,
+    loadStops,
+    loadRoutes,
+    loadTrips,
+    loadCalendar,
+    loadCalendarDates,
+    loadTransfers,
+    loadTranslations,
+    loadShapes,
+    loadFootpaths,
+    loadStopTimes,
+    getStopMap,
+    getAgencyTimezone,
+    isValidTimezone,
+    getZonedParts,
+    getServiceDate,
+    getDayName,
+    getCurrentTime,
+    getYYYYMMDD,
+    parseDateArg,
+    getPreviousDay,
+    getNextDay,
+    getActiveServices,
+    preloadTransitData,
+    keepTransitData
+};
@@ -0,0 +1,110 @@
+/**
+ * Itinerary GeoJSON
+ *
+ * The --geojson output of find_transit_combined.js and otp_cli.js: an
+ * itinerary document (lib/itinerary_json.js) as one GeoJSON FeatureCollection,
+ * to open in QGIS or geojson.io.
+ *
+ * - A LineString per leg: the leg's geometry (shapes.txt for the GTFS
+ *   finders, legGeometry for OTP), or a straight line between its ends
+ * - A LineString for the straight-line walk from the last stop to the
+ *   destination, when the finder leaves it out of the legs
+ * - A Point for the origin and one for the destination
+ *
+ * Features carry their itinerary and leg number (1-based) and the leg's
+ * times and names as properties, plus simplestyle stroke/marker colours.
+ */
+
+// simplestyle-spec colours per leg mode
+const MODE_COLORS = {
+    WALK: '#808080',
+    BUS: '#0e70b8',
+    SUBWAY: '#e21836',
+    TRAM: '#f7a400',
+    RAIL: '#6f2e90',
+    FERRY: '#009ad8'
+};
+const DEFAULT_COLOR = '#333333';
+
+function hasPosition(place) {
+    return place && typeof place.lat === 'number' && typeof place.lng === 'number';
+}
+
+function straightLine(from, to) {
+    if (!hasPosition(from) || !hasPosition(to)) return null;
+    return { type: 'LineString', coordinates: [[from.lng, from.lat], [to.lng, to.lat]] };
+}
+
+function legFeature(leg, itineraryNumber, legNumber) {
+    const properties = {
+        itinerary: itineraryNumber,
+        leg: legNumber,
+        mode: leg.mode,
+        from: leg.from ? leg.from.name : null,
+        to: leg.to ? leg.to.name : null,
+        departure: leg.departure,
+        arrival: leg.arrival,
+        durationMinutes: leg.durationMinutes
+    };
+    if (leg.mode === 'WALK') {
+        properties.distanceKm = leg.distanceKm;
+    } else {
+        properties.route = leg.route ? leg.route.short_name || leg.route.long_name || leg.route.route_id : null;
+        properties.trip_id = leg.trip_id;
+        properties.headsign = leg.headsign;
+    }
+    properties.stroke = MODE_COLORS[leg.mode] || DEFAULT_COLOR;
+    properties['stroke-width'] = leg.mode === 'WALK' ? 2 : 4;
+
+    return { type: 'Feature', geometry: leg.geometry || straightLine(leg.from, leg.to), properties };
+}
+
+function placeFeature(place, role, color) {
+    return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [place.lng, place.lat] },
+        properties: { role, name: place.name, stop_id: place.stop_id, 'marker-color': color }
+    };
+}
+
+/**
+ * Itinerary document as a GeoJSON FeatureCollection
+ * @param {Object} document - From resultJson (lib/itinerary_json.js)
+ * @returns {Object}
+ */
+function itineraryGeoJson(document) {
+    const features = [];
+    document.itineraries.forEach((itinerary, i) => {
+        itinerary.legs.forEach((leg, j) => {
+            features.push(legFeature(leg, i + 1, j + 1));
+        });
+
+        // The walk to the destination is not a leg for the GTFS finders
+        const lastLeg = itinerary.legs[itinerary.legs.length - 1];
+        if (itinerary.finalWalkKm > 0 && lastLeg && lastLeg.mode !== 'WALK') {
+            features.push(legFeature({
+                mode: 'WALK',
+                from: itinerary.finalStop,
+                to: document.query.destination,
+                departure: itinerary.arrival,
+                arrival: null,
+                durationMinutes: null,
+                distanceKm: itinerary.finalWalkKm
+            }, i + 1, itinerary.legs.length + 1));
+        }
+    });
+
+    const { origin, destination } = document.query;
+    if (hasPosition(origin)) features.push(placeFeature(origin, 'origin', '#2e7d32'));
+    if (hasPosition(destination)) features.push(placeFeature(destination, 'destination', '#c62828'));
+
+    return {
+        type: 'FeatureCollection',
+        properties: { schema: document.schema, finder: document.finder, date: document.query.date, time: document.query.time },
+        features
+    };
+}
+
+module.exports = {
+    itineraryGeoJson
+};
@@ -0,0 +1,243 @@
+/**
+ * Itinerary JSON
+ *
+ * The --json output shared by the finder scripts and otp_cli.js. The answer
+ * is printed to stdout as one JSON document; progress logs go to stderr, so
+ * `node find_transit_bfs.js --json ... > plan.json` captures only the answer.
+ *
+ * {
+ *   "schema": "itinerary/1",
+ *   "finder": "find_transit_bfs",
+ *   "query": { "origin": Place, "destination": Place, "date": "2025-06-02",
+ *              "time": "08:00:00", "arriveBy": false, "weights": {...} },
+ *   "itineraries": [ Itinerary, ... ]      // best first, [] when none is found
+ * }
+ *
+ * Itinerary:
+ *   departure, arrival   "HH:MM:SS" of the first and last vehicle (service-day
+ *                        times, so past midnight they exceed 24:00:00)
+ *   durationMinutes      The walk to the first stop plus first departure to last
+ *                        arrival (the "Total journey time" of the text output)
+ *   transfers            Vehicle changes
+ *   walkMinutes          Minutes of the WALK legs
+ *   legs                 Leg, in travel order; a WALK leg joins rides at different stops
+ *   finalStop            Place where the rider leaves transit
+ *   finalWalkKm          Distance from finalStop to the destination (straight-line; for
+ *                        OTP the walked WALK legs after the last ride)
+ *   ranking              { score, criteria } from lib/itinerary_score.js (null for OTP)
+ *
+ * Leg:
+ *   mode                 WALK, or the vehicle: BUS, SUBWAY, TRAM, RAIL, FERRY, ...
+ *   from, to             Place
+ *   departure, arrival   "HH:MM:SS" (null for walks whose start the finder leaves open)
+ *   durationMinutes
+ *   distanceKm           Walks only
+ *   route                Vehicles only: { route_id, short_name, long_name, type }
+ *   trip_id, headsign    Vehicles only
+ *   geometry             Vehicles only: GeoJSON LineString of the ride, cut from shapes.txt
+ *                        (lib/shapes.js; null when unknown). OTP gives every leg one.
+ *
+ * Place: { stop_id, name, lat, lng } (stop_id is null for a place or coordinate)
+ */
+
+const { getStopMap, loadRoutes } = require('./gtfs_feed');
+const { timeToSeconds, secondsToTime, timeDifferenceMinutes } = require('./timetable');
+const { transferWalk } = require('./footpaths');
+
+const SCHEMA = 'itinerary/1';
+
+// GTFS route_type -> mode, named as OTP names them
+const MODES = {
+    0: 'TRAM',
+    1: 'SUBWAY',
+    2: 'RAIL',
+    3: 'BUS',
+    4: 'FERRY',
+    5: 'CABLE_CAR',
+    6: 'GONDOLA',
+    7: 'FUNICULAR'
+};
+
+/**
+ * Send console.log to stderr, leaving stdout to printJson
+ */
+function enableJsonMode() {
+    console.log = console.error;
+}
+
+/**
+ * Print a JSON document to stdout
+ */
+function printJson(document) {
+    process.stdout.write(JSON.stringify(document, null, 2) + '\n');
+}
+
+/**
+ * Place for a stop_id, a stop or a stop-like origin (see lib/origin.js)
+ * @param {string|Object|null} stop
+ * @returns {Object|null} - { stop_id, name, lat, lng }
+ */
+function placeJson(stop) {
+    if (stop === null || stop === undefined) return null;
+    if (typeof stop !== 'object') {
+        stop = getStopMap().get(String(stop)) || { stop_id: String(stop) };
+    }
+    return {
+        stop_id: stop.stop_id || null,
+        name: stop.stop_name || stop.name || null,
+        lat: stop.stop_lat !== undefined ? stop.stop_lat : (stop.lat !== undefined ? stop.lat : null),
+        lng: stop.stop_lon !== undefined ? stop.stop_lon : (stop.lng !== undefined ? stop.lng : null)
+    };
+}
+
+let routeMap = null;
+
+/**
+ * Route of a ride leg
+ * @param {string} routeId
+ * @returns {Object} - { route_id, short_name, long_name, type }
+ */
+function routeJson(routeId) {
+    if (!routeMap) {
+        routeMap = new Map(loadRoutes().map(r => [r.route_id, r]));
+    }
+    const route = routeMap.get(routeId) || { route_id: routeId };
+    return {
+        route_id: route.route_id,
+        short_name: route.route_short_name || null,
+        long_name: route.route_long_name || null,
+        type: route.route_type !== undefined ? route.route_type : null
+    };
+}
+
+/**
+ * Leg for a vehicle ride
+ * @param {Object} leg - { from, to, departure, arrival, trip_id, route_id, headsign } with stop_ids
+ */
+function transitLegJson(leg) {
+    const route = routeJson(leg.route_id);
+    return {
+        mode: MODES[route.type] || 'TRANSIT',
+        from: placeJson(leg.from),
+        to: placeJson(leg.to),
+        departure: leg.departure,
+        arrival: leg.arrival,
+        durationMinutes: timeDifferenceMinutes(leg.departure, leg.arrival),
+        route,
+        trip_id: leg.trip_id || null,
+        headsign: leg.headsign || null
+    };
+}
+
+/**
+ * Leg for a walk
+ * @param {Object} walk - { from, to, distance (km), time (minutes) }, from/to as for placeJson
+ * @param {string} [departure] - When the walk starts, if the finder fixes it
+ */
+function walkLegJson(walk, departure = null) {
+    return {
+        mode: 'WALK',
+        from: placeJson(walk.from),
+        to: placeJson(walk.to),
+        departure,
+        arrival: departure ? secondsToTime(timeToSeconds(departure) + walk.time * 60) : null,
+        durationMinutes: walk.time,
+        distanceKm: Number(walk.distance.toFixed(3))
+    };
+}
+
+/**
+ * The legs with a WALK leg between consecutive rides at different stops
+ * (transfers.txt partners and footpaths.txt walks), leaving when the first
+ * ride arrives. Stops unknown to the feed (OTP's) are left as they are.
+ */
+function withTransferWalks(legs) {
+    const walked = [];
+    legs.forEach((leg, i) => {
+        const previous = legs[i - 1];
+        if (previous && previous.mode !== 'WALK' && leg.mode !== 'WALK' &&
+            previous.to && leg.from && previous.to.stop_id !== leg.from.stop_id) {
+            const walk = transferWalk(previous.to.stop_id, leg.from.stop_id);
+            if (walk) walked.push(walkLegJson(walk, previous.arrival));
+        }
+        walked.push(leg);
+    });
+    return walked;
+}
+
+/**
+ * Itinerary from its legs
+ * @param {Array<Object>} legs - From transitLegJson and walkLegJson, in travel order
+ *   (walks between rides are added)
+ * @param {Object} [options]
+ * @param {string|Object} [options.finalStop] - Defaults to where the last leg ends
+ * @param {number} [options.finalWalkKm=0]
+ * @param {{score: number, criteria: Object}} [options.ranking] - From scoreItinerary
+ */
+function itineraryJson(legs, { finalStop, finalWalkKm = 0, ranking = null } = {}) {
+    legs = withTransferWalks(legs);
+    const rides = legs.filter(leg => leg.mode !== 'WALK');
+    const walks = legs.filter(leg => leg.mode === 'WALK');
+    const walkMinutes = walks.reduce((sum, leg) => sum + leg.durationMinutes, 0);
+
+    let transfers = 0;
+    rides.forEach((leg, i) => {
+        // Consecutive legs of one trip are one ride
+        if (i > 0 && (!leg.trip_id || leg.trip_id !== rides[i - 1].trip_id)) transfers++;
+    });
+
+    const departure = rides.length > 0 ? rides[0].departure : null;
+    const arrival = rides.length > 0 ? rides[rides.length - 1].arrival : null;
+    // Walks between rides happen while waiting for the next one; only the access walk adds time
+    const firstRide = legs.findIndex(leg => leg.mode !== 'WALK');
+    const accessMinutes = legs.slice(0, firstRide === -1 ? legs.length : firstRide)
+        .reduce((sum, leg) => sum + leg.durationMinutes, 0);
+    const rideMinutes = rides.length > 0 ? timeDifferenceMinutes(departure, arrival) : 0;
+
+    return {
+        departure,
+        arrival,
+        durationMinutes: accessMinutes + rideMinutes,
+        transfers,
+        walkMinutes,
+        legs,
+        finalStop: finalStop !== undefined ? placeJson(finalStop) : (legs.length > 0 ? legs[legs.length - 1].to : null),
+        finalWalkKm: Number(finalWalkKm.toFixed(3)),
+        ranking
+    };
+}
+
+/**
+ * The document --json prints
+ * @param {string} finder - Script name, e.g. 'find_transit_bfs'
+ * @param {Object} query - { origin, destination, date, time, arriveBy, weights }; origin
+ *   and destination as for placeJson, date as YYYYMMDD or YYYY-MM-DD
+ * @param {Array<Object>} itineraries - From itineraryJson, best first
+ */
+function resultJson(finder, query, itineraries) {
+    return {
+        schema: SCHEMA,
+        finder,
+        query: {
+            ...query,
+            origin: placeJson(query.origin),
+            destination: placeJson(query.destination),
+            date: String(query.date).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3'),
+            arriveBy: !!query.arriveBy
+        },
+        itineraries
+    };
+}
+
+module.exports = {
+    SCHEMA,
+    MODES,
+    enableJsonMode,
+    printJson,
+    placeJson,
+    routeJson,
+    transitLegJson,
+    walkLegJson,
+    itineraryJson,
+    resultJson
+};
@@ -0,0 +1,312 @@
+/**
+ * Itinerary Scoring
+ *
+ * One ranking model for every GTFS finder, so their answers are comparable.
+ * An itinerary is scored as a weighted sum of its criteria; lower is better:
+ *
+ * - time:      minutes from the query time to arrival at the destination,
+ *              including the walks and the wait for the first vehicle; for
+ *              an arrive-by query, from leaving the origin to the arrival
+ *              time asked for, so the latest departure scores best
+ * - walk:      walking minutes (to the first stop, between the stops of a
+ *              transfer, and from the last stop)
+ * - wait:      minutes spent waiting at the first stop and at transfers
+ *              (arrive-by: also at the destination, before the time asked for)
+ * - transfers: number of vehicle changes
+ * - finalWalk: walk from the last stop to the destination, in km
+ *
+ * Walking and waiting also count in time, so their weights are the extra
+ * cost of a minute spent that way. Weights come from the defaults, then a
+ * profile file (--profile, JSON with the criteria as keys), then the
+ * --weight-<criterion> flags.
+ *
+ * Profile file:
+ *   { "walk": 3, "transfers": 20 }
+ *
+ * pickTopItineraries keeps the best K distinct itineraries for --limit.
+ * Itineraries taking the same rides (route, boarding stop and departure)
+ * are near-duplicates even when their trip_ids differ or they alight at a
+ * different stop near the destination; only the best-scoring one is kept.
+ */
+
+const fs = require('fs');
+const { timeToSeconds } = require('./timetable');
+const { DEFAULT_WALKING_SPEED_M_PER_MIN } = require('./walk_router');
+const { transferWalk } = require('./footpaths');
+const { QueryError } = require('./query_error');
+
+const DEFAULT_WEIGHTS = {
+    time: 1,
+    walk: 1, // A walking minute costs two riding minutes
+    wait: 0.5,
+    transfers: 10, // A vehicle change costs ten minutes
+    finalWalk: 0 // Already counted in time and walk; raise it to prefer stops close to the destination
+};
+
+// CLI flag -> criterion
+const WEIGHT_FLAGS = {
+    'weight-time': 'time',
+    'weight-walk': 'walk',
+    'weight-wait': 'wait',
+    'weight-transfers': 'transfers',
+    'weight-final-walk': 'finalWalk'
+};
+
+function parseWeight(value, source) {
+    const weight = Number(value);
+    if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(weight) || weight < 0) {
+        throw new QueryError(`Invalid ${source} "${value}", expected a number >= 0`);
+    }
+    return weight;
+}
+
+/**
+ * Read a profile file
+ * @param {string} file - JSON file mapping criteria to weights
+ * @returns {Object} - The weights it sets
+ */
+function loadProfile(file) {
+    if (!fs.existsSync(file)) {
+        throw new QueryError(`Profile not found: ${file}`);
+    }
+
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new QueryError(`Unreadable profile ${file}: ${e.message}`);
+    }
+
+    return checkWeights(profile, file);
+}
+
+/**
+ * Check weights given as an object of criteria
+ * @param {Object} values - Criterion -> weight (any subset of the criteria)
+ * @param {string} source - Where they come from, for errors
+ * @returns {Object} - The weights as numbers
+ */
+function checkWeights(values, source) {
+    const weights = {};
+    for (const [criterion, value] of Object.entries(values)) {
+        if (!(criterion in DEFAULT_WEIGHTS)) {
+            throw new QueryError(`Unknown criterion "${criterion}" in ${source}, expected one of: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`);
+        }
+        weights[criterion] = parseWeight(value, `${criterion} weight in ${source}`);
+    }
+    return weights;
+}
+
+/**
+ * Weights for a run: defaults, then --profile, then --weight-* flags
+ * @param {Object} argv - Parsed minimist arguments (list WEIGHT_OPTIONS as strings)
+ * @returns {Object} - Complete weights
+ */
+function resolveWeights(argv) {
+    const weights = { ...DEFAULT_WEIGHTS };
+
+    if (argv.profile) {
+        Object.assign(weights, loadProfile(argv.profile));
+    }
+    for (const [flag, criterion] of Object.entries(WEIGHT_FLAGS)) {
+        if (argv[flag] !== undefined) {
+            weights[criterion] = parseWeight(argv[flag], `--${flag}`);
+        }
+    }
+
+    return weights;
+}
+
+/**
+ * Complete weights from some of them, e.g. { walk: 3 } (the finder functions' weights option)
+ * @param {Object} [weights] - Criterion -> weight; missing criteria keep their default
+ * @returns {Object} - Complete weights
+ */
+function mergeWeights(weights = {}) {
+    return { ...DEFAULT_WEIGHTS, ...checkWeights(weights, 'weights') };
+}
+
+function stopIdOf(stop) {
+    return stop && typeof stop === 'object' ? stop.stop_id : stop;
+}
+
+/**
+ * The transferWalk from one leg's stop to the next one's, null at the same stop
+ */
+function walkBetweenLegs(previous, leg) {
+    const fromStopId = stopIdOf(previous.to);
+    const toStopId = stopIdOf(leg.from);
+    if (!fromStopId || !toStopId || fromStopId === toStopId) return null;
+    return transferWalk(fromStopId, toStopId);
+}
+
+/**
+ * Measure an itinerary against the criteria
+ * @param {Object} itinerary
+ * @param {string} itinerary.startTime - When the rider leaves the origin (the query time)
+ * @param {string} [itinerary.arriveBy] - Arrival time asked for by an arrive-by query; time runs
+ *   up to it and arriving earlier is waiting
+ * @param {Array<Object>} itinerary.legs - Transit legs with departure/arrival (HH:MM:SS) and trip_id, in order;
+ *   from/to (stop_ids or stops) where a transfer changes stops, walked as itineraryJson does
+ * @param {number} [itinerary.accessWalkMinutes=0] - Walk from the origin to the first stop
+ * @param {number} [itinerary.egressWalkKm=0] - Walk from the last stop to the destination
+ * @param {number} [itinerary.egressWalkMinutes] - Defaults to egressWalkKm at 80 m/min
+ * @returns {{time: number, walk: number, wait: number, transfers: number, finalWalk: number}}
+ */
+function itineraryCriteria(itinerary) {
+    const legs = itinerary.legs || [];
+    const accessWalkMinutes = itinerary.accessWalkMinutes || 0;
+    const egressWalkKm = itinerary.egressWalkKm || 0;
+    const egressWalkMinutes = itinerary.egressWalkMinutes !== undefined
+        ? itinerary.egressWalkMinutes
+        : Math.ceil(egressWalkKm * 1000 / DEFAULT_WALKING_SPEED_M_PER_MIN);
+
+    const startSeconds = timeToSeconds(itinerary.startTime);
+    let waitSeconds = 0;
+    let endSeconds = startSeconds + accessWalkMinutes * 60;
+
+    let transferWalkMinutes = 0;
+    let transfers = 0;
+
+    legs.forEach((leg, i) => {
+        // Consecutive legs of the same trip are one ride (a BFS path may split it)
+        if (i > 0 && (!leg.trip_id || leg.trip_id !== legs[i - 1].trip_id)) {
+            transfers++;
+        }
+        const walk = i > 0 ? walkBetweenLegs(legs[i - 1], leg) : null;
+        if (walk) {
+            transferWalkMinutes += walk.time;
+            endSeconds += walk.time * 60;
+        }
+        waitSeconds += Math.max(0, timeToSeconds(leg.departure) - endSeconds);
+        endSeconds = timeToSeconds(leg.arrival);
+    });
+    endSeconds += egressWalkMinutes * 60;
+    if (itinerary.arriveBy) {
+        const deadlineSeconds = timeToSeconds(itinerary.arriveBy);
+        waitSeconds += Math.max(0, deadlineSeconds - endSeconds);
+        endSeconds = Math.max(endSeconds, deadlineSeconds);
+    }
+
+    return {
+        time: Math.round((endSeconds - startSeconds) / 60),
+        walk: accessWalkMinutes + transferWalkMinutes + egressWalkMinutes,
+        wait: Math.round(waitSeconds / 60),
+        transfers,
+        finalWalk: Number(egressWalkKm.toFixed(3))
+    };
+}
+
+/**
+ * Score an itinerary (lower is better)
+ * @param {Object} itinerary - See itineraryCriteria
+ * @param {Object} [weights] - From resolveWeights (default: DEFAULT_WEIGHTS)
+ * @returns {{score: number, criteria: Object}}
+ */
+function scoreItinerary(itinerary, weights = DEFAULT_WEIGHTS) {
+    const criteria = itineraryCriteria(itinerary);
+    let score = 0;
+    for (const criterion of Object.keys(DEFAULT_WEIGHTS)) {
+        score += weights[criterion] * criteria[criterion];
+    }
+    return { score: Number(score.toFixed(2)), criteria };
+}
+
+/**
+ * Key shared by near-duplicate itineraries: their rides as route, boarding
+ * stop and departure, in order (consecutive legs of one trip are one ride)
+ * @param {Array<Object>} legs - Transit legs with route_id, from, departure and trip_id
+ * @returns {string}
+ */
+function itinerarySignature(legs) {
+    const rides = [];
+    (legs || []).forEach((leg, i) => {
+        if (i > 0 && leg.trip_id && leg.trip_id === legs[i - 1].trip_id) return;
+        rides.push(`${leg.route_id}@${leg.from}@${leg.departure}`);
+    });
+    return rides.join('>');
+}
+
+/**
+ * Lowest-scoring distinct candidates, best first (the earlier one on a tie,
+ * so callers can order by preference)
+ * @param {Array} candidates - Candidates in any shape
+ * @param {Function} toItinerary - Maps a candidate to an itinerary (see itineraryCriteria);
+ *   its legs also need route_id and from for itinerarySignature
+ * @param {Object} [weights] - From resolveWeights (default: DEFAULT_WEIGHTS)
+ * @param {number} [limit=1] - Number of itineraries to keep
+ * @returns {Array<{candidate: *, score: number, criteria: Object}>}
+ */
+function pickTopItineraries(candidates, toItinerary, weights = DEFAULT_WEIGHTS, limit = 1) {
+    const ranked = candidates.map((candidate, index) => {
+        const itinerary = toItinerary(candidate);
+        const { score, criteria } = scoreItinerary(itinerary, weights);
+        return { candidate, score, criteria, index, signature: itinerarySignature(itinerary.legs) };
+    }).sort((a, b) => a.score - b.score || a.index - b.index);
+
+    const seen = new Set();
+    const top = [];
+    for (const { candidate, score, criteria, signature } of ranked) {
+        if (top.length >= limit) break;
+        if (seen.has(signature)) continue;
+        seen.add(signature);
+        top.push({ candidate, score, criteria });
+    }
+    return top;
+}
+
+/**
+ * Lowest-scoring candidate (the earlier one on a tie, so callers can order by preference)
+ * @param {Array} candidates - Candidates in any shape
+ * @param {Function} toItinerary - Maps a candidate to an itinerary (see itineraryCriteria)
+ * @param {Object} [weights] - From resolveWeights (default: DEFAULT_WEIGHTS)
+ * @returns {{candidate: *, score: number, criteria: Object}|null} - null for no candidates
+ */
+function pickBestItinerary(candidates, toItinerary, weights = DEFAULT_WEIGHTS) {
+    return pickTopItineraries(candidates, toItinerary, weights, 1)[0] || null;
+}
+
+/**
+ * Parse the --limit flag of a finder
+ * @returns {number} - Number of itineraries to show (1 without the flag)
+ * @throws {QueryError} - When the value is not a positive integer
+ */
+function parseLimit(value) {
+    if (value === undefined) return 1;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new QueryError(`Invalid --limit "${value}", expected a positive integer`);
+    }
+    return limit;
+}
+
+/**
+ * One-line summary of criteria, e.g. "42 min (9 walking, 6 waiting), 1 transfer, final walk 0.35 km"
+ */
+function formatCriteria(criteria) {
+    return `${criteria.time} min (${criteria.walk} walking, ${criteria.wait} waiting), ` +
+        `${criteria.transfers} transfer${criteria.transfers === 1 ? '' : 's'}, final walk ${criteria.finalWalk.toFixed(2)} km`;
+}
+
+/**
+ * One-line summary of weights, e.g. "time 1, walk 1, wait 0.5, transfers 10, finalWalk 0"
+ */
+function formatWeights(weights) {
+    return Object.keys(DEFAULT_WEIGHTS).map(criterion => `${criterion} ${weights[criterion]}`).join(', ');
+}
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    WEIGHT_OPTIONS: ['profile', ...Object.keys(WEIGHT_FLAGS)],
+    loadProfile,
+    resolveWeights,
+    mergeWeights,
+    itineraryCriteria,
+    scoreItinerary,
+    itinerarySignature,
+    pickTopItineraries,
+    pickBestItinerary,
+    parseLimit,
+    formatCriteria,
+    formatWeights
+};
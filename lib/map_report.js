@@ -0,0 +1,237 @@
+/**
+ * Journey Map Report
+ *
+ * The --html output of find_transit_bfs.js and find_transit_combined.js: one
+ * self-contained HTML page with an SVG map of a planned journey, for seeing
+ * why a search chose (or missed) a route. No tiles, scripts or fonts are
+ * fetched, so the file opens offline.
+ *
+ * The map shows, over a basemap of the feed's stops (grey dots):
+ * - the origin and destination
+ * - the candidate stops the search started from and aimed at, with their
+ *   straight-line distance (options.candidates of the finders)
+ * - the walks, dashed
+ * - the transit legs along their geometry, in route_color
+ * and a legend listing each leg. The first itinerary is drawn on top; the
+ * others are fainter.
+ *
+ * The projection is equirectangular around the middle latitude, which is
+ * true enough at city scale.
+ */
+
+const { loadStops, loadRoutes } = require('./gtfs_feed');
+const { placeJson } = require('./itinerary_json');
+
+const WIDTH = 960;
+const HEIGHT = 640;
+const MARGIN = 40;
+const WALK_COLOR = '#555555';
+const DEFAULT_ROUTE_COLOR = '#0e70b8';
+
+/**
+ * Candidate stops of a search, for document.candidates
+ * @param {Array<Object>} originStops - Stops near the origin, with distance (km)
+ * @param {Array<Object>} destinationStops - Stops near the destination, with distance (km)
+ * @returns {{origin: Array<Object>, destination: Array<Object>}} - Places with distanceKm
+ */
+function candidatesJson(originStops, destinationStops) {
+    const stopJson = stop => ({ ...placeJson(stop), distanceKm: Number(stop.distance.toFixed(3)) });
+    return { origin: originStops.map(stopJson), destination: destinationStops.map(stopJson) };
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function hasPosition(place) {
+    return place && typeof place.lat === 'number' && typeof place.lng === 'number';
+}
+
+/**
+ * Projection fitting a set of [lng, lat] positions into the SVG
+ * @returns {Function} - ([lng, lat]) => [x, y]
+ */
+function fitProjection(positions) {
+    const lngs = positions.map(p => p[0]);
+    const lats = positions.map(p => p[1]);
+    const minLng = Math.min(...lngs);
+    const maxLng = Math.max(...lngs);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const cosLat = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+    // Degrees of longitude are shorter than degrees of latitude away from the equator
+    const spanX = Math.max((maxLng - minLng) * cosLat, 1e-4);
+    const spanY = Math.max(maxLat - minLat, 1e-4);
+    const scale = Math.min((WIDTH - 2 * MARGIN) / spanX, (HEIGHT - 2 * MARGIN) / spanY);
+    const offsetX = (WIDTH - spanX * scale) / 2;
+    const offsetY = (HEIGHT - spanY * scale) / 2;
+
+    return ([lng, lat]) => [
+        Number((offsetX + (lng - minLng) * cosLat * scale).toFixed(1)),
+        Number((HEIGHT - offsetY - (lat - minLat) * scale).toFixed(1))
+    ];
+}
+
+function legPositions(leg) {
+    if (leg.geometry && leg.geometry.coordinates.length >= 2) return leg.geometry.coordinates;
+    if (hasPosition(leg.from) && hasPosition(leg.to)) return [[leg.from.lng, leg.from.lat], [leg.to.lng, leg.to.lat]];
+    return [];
+}
+
+/**
+ * The legs to draw for an itinerary, with the walk to the destination the
+ * GTFS finders leave out of the legs
+ */
+function drawnLegs(itinerary, destination) {
+    const legs = [...itinerary.legs];
+    const last = legs[legs.length - 1];
+    if (itinerary.finalWalkKm > 0 && last && last.mode !== 'WALK') {
+        legs.push({ mode: 'WALK', from: itinerary.finalStop, to: destination, distanceKm: itinerary.finalWalkKm, final: true });
+    }
+    return legs;
+}
+
+function routeColor(leg, routeColors) {
+    const color = leg.route && routeColors.get(leg.route.route_id);
+    return color ? `#${color}` : DEFAULT_ROUTE_COLOR;
+}
+
+function legLabel(leg) {
+    if (leg.mode === 'WALK') {
+        const distance = leg.distanceKm !== undefined && leg.distanceKm !== null ? ` ${(leg.distanceKm * 1000).toFixed(0)} m` : '';
+        return `Walk${distance} to ${leg.to ? leg.to.name : 'destination'}`;
+    }
+    const route = leg.route ? leg.route.short_name || leg.route.long_name || leg.route.route_id : '';
+    return `${leg.mode} ${route} ${leg.from.name} → ${leg.to.name}`;
+}
+
+function legTimes(leg) {
+    if (leg.departure && leg.arrival) return `${leg.departure.slice(0, 5)}–${leg.arrival.slice(0, 5)}`;
+    return leg.durationMinutes ? `${leg.durationMinutes} min` : '';
+}
+
+/**
+ * Self-contained HTML page with the map of an itinerary document
+ * @param {Object} document - From a finder (lib/itinerary_json.js), with candidates
+ *   ({ origin, destination } stops with distanceKm) when the finder was asked for them
+ * @returns {string}
+ */
+function mapReportHtml(document) {
+    const { origin, destination } = document.query;
+    const candidates = document.candidates || { origin: [], destination: [] };
+    const routeColors = new Map(loadRoutes().map(r => [r.route_id, r.route_color]));
+    const itineraries = document.itineraries.map(itinerary => drawnLegs(itinerary, destination));
+
+    // Fit the map to what the search looked at
+    const focus = [];
+    for (const place of [origin, destination, ...candidates.origin, ...candidates.destination]) {
+        if (hasPosition(place)) focus.push([place.lng, place.lat]);
+    }
+    for (const legs of itineraries) {
+        for (const leg of legs) focus.push(...legPositions(leg));
+    }
+    if (focus.length === 0) {
+        throw new Error('Nothing to draw: the origin, destination and stops have no coordinates');
+    }
+    const project = fitProjection(focus);
+    const inView = ([x, y]) => x >= 0 && x <= WIDTH && y >= 0 && y <= HEIGHT;
+
+    const svg = [];
+    svg.push(`<rect width="${WIDTH}" height="${HEIGHT}" fill="#f6f4ef"/>`);
+
+    // Basemap: every stop of the feed in view
+    const basemap = loadStops()
+        .filter(s => s.stop_lat !== null && s.stop_lon !== null)
+        .map(s => project([s.stop_lon, s.stop_lat]))
+        .filter(inView);
+    svg.push(`<g fill="#c8c4bb">${basemap.map(([x, y]) => `<circle cx="${x}" cy="${y}" r="2"/>`).join('')}</g>`);
+
+    // Later itineraries first, so the best one is drawn on top
+    for (let i = itineraries.length - 1; i >= 0; i--) {
+        const opacity = i === 0 ? 1 : 0.35;
+        for (const leg of itineraries[i]) {
+            const points = legPositions(leg).map(project).map(([x, y]) => `${x},${y}`).join(' ');
+            if (!points) continue;
+            if (leg.mode === 'WALK') {
+                svg.push(`<polyline points="${points}" fill="none" stroke="${WALK_COLOR}" stroke-width="2" stroke-dasharray="6 4" opacity="${opacity}"/>`);
+            } else {
+                svg.push(`<polyline points="${points}" fill="none" stroke="${routeColor(leg, routeColors)}" stroke-width="${i === 0 ? 5 : 3}" stroke-linejoin="round" stroke-linecap="round" opacity="${opacity}"/>`);
+            }
+        }
+    }
+
+    // Candidate stops with their distance to the origin or destination
+    const drawCandidates = (stops, color) => {
+        for (const stop of stops.filter(hasPosition)) {
+            const [x, y] = project([stop.lng, stop.lat]);
+            svg.push(`<circle cx="${x}" cy="${y}" r="5" fill="#ffffff" stroke="${color}" stroke-width="2"><title>${escapeHtml(`${stop.name} (${stop.stop_id}) ${stop.distanceKm} km`)}</title></circle>`);
+            svg.push(`<text x="${x + 8}" y="${y + 4}" font-size="10" fill="#333">${escapeHtml(`${stop.name} · ${(stop.distanceKm * 1000).toFixed(0)} m`)}</text>`);
+        }
+    };
+    drawCandidates(candidates.origin, '#2e7d32');
+    drawCandidates(candidates.destination, '#c62828');
+
+    for (const [place, color, label] of [[origin, '#2e7d32', 'Origin'], [destination, '#c62828', 'Destination']]) {
+        if (!hasPosition(place)) continue;
+        const [x, y] = project([place.lng, place.lat]);
+        svg.push(`<circle cx="${x}" cy="${y}" r="9" fill="${color}" stroke="#ffffff" stroke-width="3"><title>${escapeHtml(`${label}: ${place.name}`)}</title></circle>`);
+        svg.push(`<text x="${x + 12}" y="${y - 10}" font-size="13" font-weight="bold" fill="${color}">${escapeHtml(place.name || label)}</text>`);
+    }
+
+    // Legend: each leg of each itinerary
+    const legend = [];
+    itineraries.forEach((legs, i) => {
+        const itinerary = document.itineraries[i];
+        legend.push(`<h3>Option ${i + 1}: ${escapeHtml(itinerary.departure || '')} → ${escapeHtml(itinerary.arrival || '')}, ${itinerary.durationMinutes} min, ${itinerary.transfers} transfer(s)</h3>`);
+        legend.push('<ol>');
+        for (const leg of legs) {
+            const color = leg.mode === 'WALK' ? WALK_COLOR : routeColor(leg, routeColors);
+            const swatch = leg.mode === 'WALK'
+                ? `<span class="swatch walk" style="border-color:${color}"></span>`
+                : `<span class="swatch" style="background:${color}"></span>`;
+            legend.push(`<li>${swatch}${escapeHtml(legLabel(leg))} <span class="times">${escapeHtml(legTimes(leg))}</span></li>`);
+        }
+        legend.push('</ol>');
+    });
+    if (itineraries.length === 0) {
+        legend.push('<p>No route found. The candidate stops are the ones the search started from and aimed at.</p>');
+    }
+
+    const title = `${origin && origin.name ? origin.name : 'Origin'} → ${destination && destination.name ? destination.name : 'Destination'}`;
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>',
+        '  body { font-family: sans-serif; margin: 1.5em; color: #222; }',
+        '  svg { border: 1px solid #bbb; max-width: 100%; height: auto; }',
+        '  .swatch { display: inline-block; width: 1.6em; height: 0.5em; margin-right: 0.5em; vertical-align: middle; }',
+        '  .swatch.walk { height: 0; border-top: 2px dashed; }',
+        '  .times { color: #666; }',
+        '  .key span { margin-right: 1.5em; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<p>${escapeHtml(document.finder)}, ${escapeHtml(document.query.date)} ${escapeHtml(document.query.time)}${document.query.arriveBy ? ' (arrive by)' : ''}</p>`,
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="${WIDTH}" height="${HEIGHT}">`,
+        ...svg,
+        '</svg>',
+        '<p class="key"><span>● origin / destination</span><span>○ candidate stops (green: near the origin, red: near the destination)</span><span>· other stops</span></p>',
+        ...legend,
+        '</body>',
+        '</html>'
+    ].join('\n') + '\n';
+}
+
+module.exports = {
+    candidatesJson,
+    mapReportHtml
+};
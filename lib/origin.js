@@ -0,0 +1,113 @@
+/**
+ * Trip Origin
+ *
+ * The place finders accept the origin as a stop_id, a "lat,lng" pair or a
+ * place name. A stop starts the search directly. A coordinate or place
+ * starts with a walk to one of its nearest stops (access), which counts
+ * toward the journey time like the walk from the final stop does.
+ */
+
+const { loadStops, getStopMap } = require('./gtfs_feed');
+const { geocode } = require('./geocoder');
+const { sourcesNearCoordinate } = require('./raptor');
+const { DEFAULT_WALKING_SPEED_M_PER_MIN } = require('./walk_router');
+const { QueryError } = require('./query_error');
+
+const DEFAULT_MAX_ACCESS_STOPS = 5;
+const DEFAULT_MAX_ACCESS_WALK_KM = 1.0;
+
+/**
+ * Parse a "lat,lng" origin
+ * @returns {{lat: number, lng: number}|null} - null unless the value is a valid coordinate pair
+ */
+function parseLatLng(value) {
+    const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value));
+    if (!match) return null;
+
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+/**
+ * Nearest stops to walk to from a coordinate, closest first
+ * @param {Object} [options]
+ * @param {number} [options.maxStops=5] - Number of stops to consider
+ * @param {number} [options.maxWalkKm=1.0] - Maximum access walk
+ * @param {number} [options.walkingSpeed=80] - Walking speed in meters per minute
+ * @returns {Array<Object>} - Stops with distance (km) and walkMinutes
+ */
+function findAccessStops(lat, lng, options = {}) {
+    const walkingSpeed = options.walkingSpeed || DEFAULT_WALKING_SPEED_M_PER_MIN;
+    const stopMap = getStopMap();
+
+    return sourcesNearCoordinate(lat, lng, {
+        maxStops: options.maxStops || DEFAULT_MAX_ACCESS_STOPS,
+        maxWalkKm: options.maxWalkKm || DEFAULT_MAX_ACCESS_WALK_KM,
+        walkingSpeed
+    }).map(source => ({
+        ...stopMap.get(source.stop_id),
+        distance: source.distance,
+        walkMinutes: Math.ceil(source.distance * 1000 / walkingSpeed)
+    }));
+}
+
+/**
+ * Resolve the origin argument of a finder script
+ * @param {string} value - stop_id, "lat,lng" or place name
+ * @param {Object} [options] - Access options, see findAccessStops
+ * @returns {Promise<Object>} - { type: 'stop', stop_id, stop } for a stop, or
+ *   { type: 'place', stop_id: null, name, source, lat, lng, accessStops } otherwise
+ *   (source is 'coordinates' or the geocoder that found the place);
+ *   both carry `info`, a stop-like { stop_id, stop_name, stop_lat, stop_lon } for display
+ * @throws {QueryError} - For a number that is neither a stop_id nor a stop_code, e.g. a
+ *   mistyped stop_id, rather than geocoding it to some other place
+ */
+async function resolveOrigin(value, options = {}) {
+    const stop = getStopMap().get(String(value));
+    if (stop) {
+        return { type: 'stop', stop_id: stop.stop_id, stop, info: stop };
+    }
+    if (/^\s*\d+\s*$/.test(String(value)) && !loadStops().some(s => s.stop_code === String(value).trim())) {
+        throw new QueryError(`Unknown stop "${String(value).trim()}": no stop_id or stop_code in stops.txt matches`);
+    }
+
+    let location = parseLatLng(value);
+    let name;
+    let source = 'coordinates';
+    if (location) {
+        name = `${location.lat}, ${location.lng}`;
+    } else {
+        location = await geocode(value);
+        name = location.formatted_address;
+        source = location.source;
+    }
+
+    return {
+        type: 'place',
+        stop_id: null,
+        name,
+        source,
+        lat: location.lat,
+        lng: location.lng,
+        accessStops: findAccessStops(location.lat, location.lng, options),
+        info: { stop_id: null, stop_name: name, stop_lat: location.lat, stop_lon: location.lng }
+    };
+}
+
+/**
+ * Display name of a stop or place origin: "Name (stop_id)", or just the name for a place
+ * @param {Object} info - A stop-like `info`, or a place of the --json schema ({ stop_id, name })
+ */
+function describeLocation(info) {
+    const name = info.stop_name || info.name;
+    return info.stop_id ? `${name} (${info.stop_id})` : name;
+}
+
+module.exports = {
+    parseLatLng,
+    findAccessStops,
+    resolveOrigin,
+    describeLocation
+};
@@ -0,0 +1,293 @@
+/**
+ * OSM PBF Reader
+ *
+ * Streams the nodes and ways of an .osm.pbf extract (the format OTP reads,
+ * e.g. united_arab_emirates.osm.pbf) without loading the file into memory:
+ * blob by blob, each zlib-inflated and decoded as protobuf by hand, so no
+ * package is needed. Relations, metadata and LZMA/ZSTD blobs are skipped.
+ *
+ * File layout (https://wiki.openstreetmap.org/wiki/PBF_Format):
+ *   [4-byte big-endian size][BlobHeader][Blob], repeated
+ *   Blob.zlib_data or Blob.raw -> PrimitiveBlock: stringtable, primitivegroups,
+ *   granularity and lat/lon offsets; groups hold Node, DenseNodes or Way.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const BYTES = 2;
+const FIXED32 = 5;
+
+/**
+ * Read a varint at reader.pos. Values up to 2^53 stay exact: OSM ids fit.
+ */
+function readVarint(reader) {
+    const buf = reader.buf;
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+        byte = buf[reader.pos++];
+        result += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+    } while (byte >= 0x80);
+    return result;
+}
+
+/**
+ * Zigzag-decode a sint64 (exact within ±2^53)
+ */
+function zigzag(value) {
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+}
+
+/**
+ * Read a plain int64 varint. Negative values are ten-byte two's complement,
+ * so the bytes are gathered as a BigInt and read back signed.
+ */
+function readInt64(reader) {
+    const buf = reader.buf;
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+        byte = buf[reader.pos++];
+        result |= BigInt(byte & 0x7f) << shift;
+        shift += 7n;
+    } while (byte >= 0x80);
+    return Number(BigInt.asIntN(64, result));
+}
+
+/**
+ * Call fn(field, wireType, reader) for each field of a message in buf[start, end).
+ * For BYTES fields reader.end marks the end of the value, which fn may read
+ * or leave; the walk continues after it either way.
+ */
+function forEachField(buf, start, end, fn) {
+    const reader = { buf, pos: start, end };
+    while (reader.pos < end) {
+        const key = readVarint(reader);
+        const field = Math.floor(key / 8);
+        const wireType = key & 7;
+        let next;
+        switch (wireType) {
+            case VARINT: {
+                const valueStart = reader.pos;
+                readVarint(reader);
+                next = reader.pos;
+                reader.pos = valueStart;
+                reader.end = next;
+                break;
+            }
+            case FIXED64:
+                next = reader.pos + 8;
+                reader.end = next;
+                break;
+            case BYTES: {
+                const length = readVarint(reader);
+                next = reader.pos + length;
+                reader.end = next;
+                break;
+            }
+            case FIXED32:
+                next = reader.pos + 4;
+                reader.end = next;
+                break;
+            default:
+                throw new Error(`Unsupported protobuf wire type ${wireType} in OSM PBF`);
+        }
+        fn(field, wireType, reader);
+        reader.pos = next;
+    }
+}
+
+/**
+ * Packed varints of a BYTES field, optionally zigzag- and delta-decoded
+ */
+function readPacked(reader, { signed = false, delta = false } = {}) {
+    const values = [];
+    let previous = 0;
+    while (reader.pos < reader.end) {
+        let value = readVarint(reader);
+        if (signed) value = zigzag(value);
+        if (delta) {
+            value += previous;
+            previous = value;
+        }
+        values.push(value);
+    }
+    return values;
+}
+
+function readString(reader) {
+    return reader.buf.toString('utf8', reader.pos, reader.end);
+}
+
+/**
+ * Decode a Blob into its PrimitiveBlock bytes
+ * @returns {Buffer|null} - null for compressions this reader does not handle
+ */
+function blobData(blob) {
+    let raw = null;
+    let zlibData = null;
+    forEachField(blob, 0, blob.length, (field, wireType, reader) => {
+        if (field === 1) raw = reader.buf.subarray(reader.pos, reader.end);
+        if (field === 3) zlibData = reader.buf.subarray(reader.pos, reader.end);
+    });
+    if (raw) return raw;
+    if (zlibData) return zlib.inflateSync(zlibData);
+    return null;
+}
+
+function tagsOf(keys, vals, strings) {
+    const tags = {};
+    for (let i = 0; i < keys.length; i++) {
+        tags[strings[keys[i]]] = strings[vals[i]];
+    }
+    return tags;
+}
+
+/**
+ * Decode one PrimitiveBlock and hand its entities to the handlers
+ */
+function readPrimitiveBlock(block, handlers) {
+    const strings = [];
+    const groups = [];
+    let granularity = 100;
+    let latOffset = 0;
+    let lonOffset = 0;
+
+    forEachField(block, 0, block.length, (field, wireType, reader) => {
+        if (field === 1) {
+            forEachField(reader.buf, reader.pos, reader.end, (f, w, r) => {
+                if (f === 1) strings.push(readString(r));
+            });
+        } else if (field === 2) {
+            groups.push([reader.pos, reader.end]);
+        } else if (field === 17) {
+            granularity = readVarint(reader);
+        } else if (field === 19) {
+            latOffset = readInt64(reader);
+        } else if (field === 20) {
+            lonOffset = readInt64(reader);
+        }
+    });
+
+    const toDegrees = (offset, value) => 1e-9 * (offset + granularity * value);
+
+    for (const [start, end] of groups) {
+        forEachField(block, start, end, (field, wireType, reader) => {
+            if (field === 1 && handlers.node) {
+                // Node: id, keys, vals, info, lat, lon
+                let id = 0;
+                let lat = 0;
+                let lon = 0;
+                let keys = [];
+                let vals = [];
+                forEachField(reader.buf, reader.pos, reader.end, (f, w, r) => {
+                    if (f === 1) id = zigzag(readVarint(r));
+                    else if (f === 2) keys = readPacked(r);
+                    else if (f === 3) vals = readPacked(r);
+                    else if (f === 8) lat = zigzag(readVarint(r));
+                    else if (f === 9) lon = zigzag(readVarint(r));
+                });
+                handlers.node(id, toDegrees(latOffset, lat), toDegrees(lonOffset, lon), tagsOf(keys, vals, strings));
+            } else if (field === 2 && handlers.node) {
+                // DenseNodes: delta-coded ids and coordinates, tags as key/value runs ending in 0
+                let ids = [];
+                let lats = [];
+                let lons = [];
+                let keysVals = [];
+                forEachField(reader.buf, reader.pos, reader.end, (f, w, r) => {
+                    if (f === 1) ids = readPacked(r, { signed: true, delta: true });
+                    else if (f === 8) lats = readPacked(r, { signed: true, delta: true });
+                    else if (f === 9) lons = readPacked(r, { signed: true, delta: true });
+                    else if (f === 10) keysVals = readPacked(r);
+                });
+                let kv = 0;
+                for (let i = 0; i < ids.length; i++) {
+                    const tags = {};
+                    while (kv < keysVals.length && keysVals[kv] !== 0) {
+                        tags[strings[keysVals[kv]]] = strings[keysVals[kv + 1]];
+                        kv += 2;
+                    }
+                    kv++;
+                    handlers.node(ids[i], toDegrees(latOffset, lats[i]), toDegrees(lonOffset, lons[i]), tags);
+                }
+            } else if (field === 3 && handlers.way) {
+                // Way: id, keys, vals, info, refs (delta-coded)
+                let id = 0;
+                let keys = [];
+                let vals = [];
+                let refs = [];
+                forEachField(reader.buf, reader.pos, reader.end, (f, w, r) => {
+                    if (f === 1) id = readVarint(r);
+                    else if (f === 2) keys = readPacked(r);
+                    else if (f === 3) vals = readPacked(r);
+                    else if (f === 8) refs = readPacked(r, { signed: true, delta: true });
+                });
+                handlers.way({ id, tags: tagsOf(keys, vals, strings), refs });
+            }
+        });
+    }
+}
+
+/**
+ * Stream the nodes and ways of an .osm.pbf file
+ * @param {string} file - Path to the .osm.pbf
+ * @param {Object} handlers
+ * @param {Function} [handlers.node] - (id, lat, lng, tags)
+ * @param {Function} [handlers.way] - ({ id, tags, refs })
+ * @returns {{blocks: number, skipped: number}} - Data blocks read, and those skipped for their compression
+ * @throws {Error} - For a missing or malformed file
+ */
+function readOsmPbf(file, handlers) {
+    const fd = fs.openSync(file, 'r');
+    const size = fs.fstatSync(fd).size;
+    let position = 0;
+    let blocks = 0;
+    let skipped = 0;
+
+    const read = length => {
+        const buf = Buffer.alloc(length);
+        const bytes = fs.readSync(fd, buf, 0, length, position);
+        if (bytes !== length) {
+            throw new Error(`Truncated OSM PBF file ${file} at byte ${position}`);
+        }
+        position += length;
+        return buf;
+    };
+
+    try {
+        while (position < size) {
+            const headerLength = read(4).readUInt32BE(0);
+            const header = read(headerLength);
+            let type = null;
+            let dataSize = 0;
+            forEachField(header, 0, header.length, (field, wireType, reader) => {
+                if (field === 1) type = readString(reader);
+                if (field === 3) dataSize = readVarint(reader);
+            });
+
+            const blob = read(dataSize);
+            if (type !== 'OSMData') continue;
+            const block = blobData(blob);
+            if (!block) {
+                skipped++;
+                continue;
+            }
+            readPrimitiveBlock(block, handlers);
+            blocks++;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return { blocks, skipped };
+}
+
+module.exports = {
+    readOsmPbf
+};
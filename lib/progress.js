@@ -0,0 +1,38 @@
+/**
+ * Progress Logging
+ *
+ * The searches report what they are doing ("Loading transit data...",
+ * "Found route with 1 transfer") through progress(). Run from a CLI, that is
+ * console.log. The finder functions (index.js) run their search inside
+ * withProgress(options.log), so a caller gets the lines through its own
+ * function or, by default, not at all. The logger follows the call across
+ * awaits, so concurrent searches keep theirs apart.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const loggers = new AsyncLocalStorage();
+
+function silent() {}
+
+/**
+ * Report progress to the logger of the current search (console.log outside one)
+ */
+function progress(...args) {
+    (loggers.getStore() || console.log)(...args);
+}
+
+/**
+ * Run a search with a progress logger
+ * @param {Function} [log] - Receives progress() arguments (default: discard them)
+ * @param {Function} fn - The search; may be async
+ * @returns {*} - What fn returns
+ */
+function withProgress(log, fn) {
+    return loggers.run(log || silent, fn);
+}
+
+module.exports = {
+    progress,
+    withProgress
+};
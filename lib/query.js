@@ -0,0 +1,75 @@
+/**
+ * Finder Query
+ *
+ * The options every finder function (index.js) takes, checked and completed
+ * the way the CLIs complete their flags: no date means today and no time
+ * means now, both on the agency's clock unless a timezone is given.
+ *
+ * {
+ *   date:     'YYYY-MM-DD' (default: today)
+ *   time:     'HH:MM:SS' or 'HH:MM' (default: now)
+ *   timezone: IANA zone for today/now (default: agency_timezone)
+ *   weights:  ranking weights, e.g. { walk: 3 } (lib/itinerary_score.js)
+ *   limit:    number of itineraries (default: 1)
+ *   log:      receives the progress lines (default: none, see lib/progress.js)
+ * }
+ */
+
+const {
+    getAgencyTimezone,
+    isValidTimezone,
+    getServiceDate,
+    getDayName,
+    getCurrentTime,
+    getYYYYMMDD,
+    parseDateArg
+} = require('./gtfs_feed');
+const { mergeWeights, parseLimit } = require('./itinerary_score');
+const { QueryError } = require('./query_error');
+
+/**
+ * Check a time option
+ * @returns {string|null} - HH:MM:SS, or null if the value is not a time
+ */
+function parseTimeArg(value) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value));
+    if (!match || Number(match[2]) > 59 || Number(match[3] || 0) > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+}
+
+/**
+ * Check and complete the shared options of a finder function
+ * @param {Object} options - See the module comment
+ * @returns {{timeZone: string, serviceDate: Date, todayDate: number, dayName: string,
+ *   userTime: string, weights: Object, limit: number}}
+ * @throws {QueryError} - For an invalid timezone, date, time, weight or limit
+ */
+function resolveQuery(options = {}) {
+    const timeZone = options.timezone || getAgencyTimezone();
+    if (!isValidTimezone(timeZone)) {
+        throw new QueryError(`Invalid --timezone "${timeZone}", expected an IANA zone such as Asia/Dubai`);
+    }
+    const serviceDate = options.date ? parseDateArg(options.date) : getServiceDate(timeZone);
+    if (!serviceDate) {
+        throw new QueryError(`Invalid --date "${options.date}", expected YYYY-MM-DD`);
+    }
+    const userTime = options.time ? parseTimeArg(options.time) : getCurrentTime(timeZone);
+    if (!userTime) {
+        throw new QueryError(`Invalid time "${options.time}", expected HH:MM:SS`);
+    }
+
+    return {
+        timeZone,
+        serviceDate,
+        todayDate: getYYYYMMDD(serviceDate),
+        dayName: getDayName(serviceDate),
+        userTime,
+        weights: mergeWeights(options.weights),
+        limit: parseLimit(options.limit)
+    };
+}
+
+module.exports = {
+    parseTimeArg,
+    resolveQuery
+};
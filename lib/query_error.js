@@ -0,0 +1,17 @@
+/**
+ * Query Error
+ *
+ * An error in what was asked rather than in answering it: a malformed date
+ * or weight, an unknown stop or route, a place no geocoder finds. The CLIs
+ * print it like any other error; transit_server.js answers it with 400 and
+ * everything else (a broken feed, an unreachable geocoder) with 500.
+ */
+
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+    }
+}
+
+module.exports = { QueryError };
@@ -0,0 +1,517 @@
+/**
+ * RAPTOR Earliest-Arrival Planner
+ *
+ * Round-based public transit routing (Delling, Pajor, Werneck, "Round-Based
+ * Public Transit Routing", 2012) over one service day's timetable.
+ *
+ * Round k scans every route pattern serving a stop improved in round k-1, so
+ * after round k the labels hold the earliest arrival using at most k trips
+ * (k-1 transfers). Collecting the best destination arrival of each round
+ * gives the Pareto set of (arrival time, number of transfers) journeys.
+ *
+ * Sources and targets carry walking times in seconds, so the same search
+ * runs from a single stop, from a stop plus its walkable neighbours, or from
+ * a coordinate (see sourcesNearCoordinate).
+ *
+ * Between rounds, riders change vehicles following transfers.txt: the
+ * minimum time at the same stop, walks to partner stops, and no boarding
+ * where a transfer is forbidden.
+ *
+ * Patterns also keep each stop's pickup_type/drop_off_type, so riders never
+ * board where pickup is not allowed or alight where drop-off is not allowed.
+ *
+ * raptorSearchArriveBy runs the same rounds backwards from the targets: after
+ * round k the labels hold the latest departure from a stop that still reaches
+ * the destination by the deadline using at most k trips.
+ */
+
+const { timeToSeconds, secondsToTime, canBoard, canAlight, recordSkip } = require('./timetable');
+const { DEFAULT_TRANSFER_SECONDS, getTransferOptions, getTransferOptionsInto } = require('./transfers');
+const { findStopsWithin } = require('./stop_index');
+const { DEFAULT_WALKING_SPEED_M_PER_MIN, walkingDistances } = require('./walk_router');
+
+const DEFAULT_MAX_TRANSFERS = 5;
+
+/**
+ * Group the timetable's trips into route patterns (trips of a route calling
+ * at the same stop sequence with the same pickup/drop-off rules). Built once
+ * per timetable and cached on it.
+ * @returns {Object} - { patterns: [{ route_id, stops, boarding, alighting, trips }], patternsByStop: Map(stop_id -> [{ pattern, index }]) }
+ */
+function getRoutePatterns(timetable) {
+    if (timetable.raptorPatterns) {
+        return timetable.raptorPatterns;
+    }
+
+    const patternsByKey = new Map();
+    for (const tripStops of timetable.stopTimesByTrip.values()) {
+        if (tripStops.length < 2) continue;
+
+        const tripId = tripStops[0].trip_id;
+        const routeId = timetable.tripRouteMap[tripId].route_id;
+        const stopIds = tripStops.map(st => st.stop_id);
+        const boarding = tripStops.map(canBoard);
+        const alighting = tripStops.map(canAlight);
+        const rules = tripStops.map((st, i) => (boarding[i] ? '' : 'p') + (alighting[i] ? '' : 'd'));
+        const key = `${routeId}|${stopIds.join(',')}|${rules.join(',')}`;
+
+        let pattern = patternsByKey.get(key);
+        if (!pattern) {
+            pattern = { route_id: routeId, stops: stopIds, boarding, alighting, trips: [] };
+            patternsByKey.set(key, pattern);
+        }
+        pattern.trips.push({
+            trip_id: tripId,
+            arrivals: tripStops.map(st => st.arrival),
+            departures: tripStops.map(st => st.departure)
+        });
+    }
+
+    const patterns = [...patternsByKey.values()];
+    const patternsByStop = new Map();
+    for (const pattern of patterns) {
+        pattern.trips.sort((a, b) => a.departures[0] - b.departures[0]);
+        pattern.stops.forEach((stopId, index) => {
+            let served = patternsByStop.get(stopId);
+            if (!served) {
+                served = [];
+                patternsByStop.set(stopId, served);
+            }
+            served.push({ pattern, index });
+        });
+    }
+
+    timetable.raptorPatterns = { patterns, patternsByStop };
+    return timetable.raptorPatterns;
+}
+
+/**
+ * Earliest trip of a pattern departing stop index strictly after readyTime
+ * (the finder scripts treat a departure at the query time as missed)
+ */
+function earliestTrip(pattern, index, readyTime) {
+    for (const trip of pattern.trips) {
+        if (trip.departures[index] > readyTime) {
+            return trip;
+        }
+    }
+    return null;
+}
+
+/**
+ * Latest trip of a pattern arriving at stop index no later than latestArrival
+ */
+function latestTrip(pattern, index, latestArrival) {
+    for (let t = pattern.trips.length - 1; t >= 0; t--) {
+        if (pattern.trips[t].arrivals[index] <= latestArrival) {
+            return pattern.trips[t];
+        }
+    }
+    return null;
+}
+
+/**
+ * Build source stops for a search starting at a coordinate, with walking
+ * distances over the OSM footpath graph when one was built (lib/walk_router.js)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} [options]
+ * @param {number} [options.maxWalkKm=0.5] - Maximum walk to a boarding stop
+ * @param {number} [options.maxStops=20] - Number of nearest stops to consider
+ * @param {number} [options.walkingSpeed=80] - Walking speed in meters per minute
+ * @returns {Array<{stop_id: string, walkSeconds: number, distance: number}>}
+ */
+function sourcesNearCoordinate(lat, lng, options = {}) {
+    const maxWalkKm = options.maxWalkKm !== undefined ? options.maxWalkKm : 0.5;
+    const maxStops = options.maxStops || 20;
+    const walkingSpeed = options.walkingSpeed || DEFAULT_WALKING_SPEED_M_PER_MIN;
+
+    const nearby = findStopsWithin(lat, lng, maxWalkKm)
+        .map(stop => ({ stop_id: stop.stop_id, distance: stop.distance }));
+    return walkingDistances(lat, lng, nearby, { maxKm: maxWalkKm })
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, maxStops)
+        .map(s => ({ ...s, walkSeconds: Math.ceil(s.distance * 1000 / walkingSpeed * 60) }));
+}
+
+/**
+ * Rebuild the legs of the journey that reaches stopId in round k
+ */
+function reconstructPath(labels, ready, k, stopId) {
+    const path = [];
+    let current = stopId;
+
+    for (let round = k; round > 0; round--) {
+        const leg = labels[round].get(current).leg;
+        path.unshift(leg);
+        // The boarding stop may have been reached by a transfer from another stop
+        current = ready[round - 1].get(leg.from).alightStop;
+    }
+
+    return { path, startStop: current };
+}
+
+/**
+ * Run RAPTOR and return the Pareto set of (arrival, transfers) journeys
+ * @param {Object} timetable - Timetable index from preloadTransitData
+ * @param {Array<{stop_id: string, walkSeconds?: number}>} sources - Boarding stops and the walk to reach them
+ * @param {Map<string, number>} targets - Target stop_id -> walking seconds from the stop to the destination
+ * @param {string} departureTime - Earliest departure in HH:MM:SS format
+ * @param {Object} [options]
+ * @param {number} [options.maxTransfers=5] - Maximum number of transfers
+ * @param {Map} [options.transferRules] - Rules from buildTransferRules (default: none, fallback time everywhere)
+ * @param {number} [options.fallbackTransferSeconds=300] - Minimum time to change vehicles without a rule
+ * @param {Map} [options.skipLog] - Collects trips left out for pickup_type/drop_off_type (see createSkipLog)
+ * @returns {Array<Object>} - Journeys ordered by transfers, each with
+ *   { path, startStop, finalStop, finalTime, numTransfers, accessSeconds, egressSeconds, arrival }
+ *   where path legs match bfsSearch ({ from, to, departure, arrival, trip_id, route_id, headsign })
+ *   and arrival is the time at the destination including the final walk
+ */
+function raptorSearch(timetable, sources, targets, departureTime, options = {}) {
+    const maxTransfers = options.maxTransfers !== undefined ? options.maxTransfers : DEFAULT_MAX_TRANSFERS;
+    const transferRules = options.transferRules || new Map();
+    const fallbackTransferSeconds = options.fallbackTransferSeconds !== undefined
+        ? options.fallbackTransferSeconds
+        : DEFAULT_TRANSFER_SECONDS;
+    const skipLog = options.skipLog || null;
+    const { patternsByStop } = getRoutePatterns(timetable);
+    const startSeconds = timeToSeconds(departureTime);
+
+    // bestArrival: earliest arrival at a stop over all rounds (local pruning)
+    // labels[k]: stop_id -> how the stop was reached in round k
+    // ready[k]: stop_id -> { time, alightStop }: earliest boarding after round k and where the rider got off
+    const bestArrival = new Map();
+    const labels = [new Map()];
+    const ready = [new Map()];
+    let marked = new Set();
+
+    for (const source of sources) {
+        const time = startSeconds + (source.walkSeconds || 0);
+        if (!bestArrival.has(source.stop_id) || time < bestArrival.get(source.stop_id)) {
+            bestArrival.set(source.stop_id, time);
+            labels[0].set(source.stop_id, { walkSeconds: source.walkSeconds || 0 });
+            ready[0].set(source.stop_id, { time, alightStop: source.stop_id });
+            marked.add(source.stop_id);
+        }
+    }
+
+    const journeys = [];
+    let bestTargetArrival = Infinity;
+
+    // A source that is itself a target needs no trip at all
+    for (const [stopId, time] of bestArrival) {
+        if (targets.has(stopId) && time + targets.get(stopId) < bestTargetArrival) {
+            bestTargetArrival = time + targets.get(stopId);
+            journeys[0] = {
+                path: [],
+                startStop: stopId,
+                finalStop: stopId,
+                finalTime: secondsToTime(time),
+                numTransfers: 0,
+                accessSeconds: labels[0].get(stopId).walkSeconds,
+                egressSeconds: targets.get(stopId),
+                arrival: secondsToTime(bestTargetArrival)
+            };
+        }
+    }
+
+    for (let k = 1; k <= maxTransfers + 1 && marked.size > 0; k++) {
+        labels[k] = new Map();
+        ready[k] = new Map();
+
+        // Collect patterns serving marked stops, remembering the earliest marked index
+        const queue = new Map();
+        for (const stopId of marked) {
+            for (const { pattern, index } of patternsByStop.get(stopId) || []) {
+                if (!queue.has(pattern) || index < queue.get(pattern)) {
+                    queue.set(pattern, index);
+                }
+            }
+        }
+
+        const improved = new Set();
+
+        for (const [pattern, startIndex] of queue) {
+            let trip = null;
+            let boardIndex = -1;
+
+            for (let i = startIndex; i < pattern.stops.length; i++) {
+                const stopId = pattern.stops[i];
+
+                // Alight here if it improves the stop (and cannot beat a known target arrival)
+                if (trip) {
+                    const arrival = trip.arrivals[i];
+                    const best = bestArrival.has(stopId) ? bestArrival.get(stopId) : Infinity;
+                    const improves = arrival < best && arrival < bestTargetArrival;
+                    if (improves && !pattern.alighting[i]) {
+                        recordSkip(skipLog, 'drop_off', stopId, trip.trip_id);
+                    } else if (improves) {
+                        const tripInfo = timetable.tripRouteMap[trip.trip_id];
+                        bestArrival.set(stopId, arrival);
+                        labels[k].set(stopId, {
+                            leg: {
+                                from: pattern.stops[boardIndex],
+                                to: stopId,
+                                departure: secondsToTime(trip.departures[boardIndex]),
+                                arrival: secondsToTime(arrival),
+                                trip_id: trip.trip_id,
+                                route_id: tripInfo.route_id,
+                                headsign: tripInfo.trip_headsign
+                            }
+                        });
+                        improved.add(stopId);
+                    }
+                }
+
+                // Board (or switch to) an earlier trip of this pattern
+                const readyLabel = ready[k - 1].get(stopId);
+                if (readyLabel && (!trip || readyLabel.time < trip.departures[i])) {
+                    const candidate = earliestTrip(pattern, i, readyLabel.time);
+                    if (candidate && !pattern.boarding[i]) {
+                        if (i < pattern.stops.length - 1) {
+                            recordSkip(skipLog, 'pickup', stopId, candidate.trip_id);
+                        }
+                    } else if (candidate && (!trip || candidate.departures[i] < trip.departures[i])) {
+                        trip = candidate;
+                        boardIndex = i;
+                    }
+                }
+            }
+        }
+
+        // Change vehicles: same stop or transfers.txt partner stops, after the minimum transfer time
+        for (const stopId of improved) {
+            for (const option of getTransferOptions(transferRules, stopId, fallbackTransferSeconds)) {
+                const time = bestArrival.get(stopId) + option.seconds;
+                const current = ready[k].get(option.stop_id);
+                if (!current || time < current.time) {
+                    ready[k].set(option.stop_id, { time, alightStop: stopId });
+                }
+            }
+        }
+        marked = new Set(ready[k].keys());
+
+        // Best destination arrival using k trips
+        let roundBest = null;
+        for (const stopId of improved) {
+            if (!targets.has(stopId)) continue;
+            const arrival = bestArrival.get(stopId) + targets.get(stopId);
+            if (arrival < bestTargetArrival && (!roundBest || arrival < roundBest.arrival)) {
+                roundBest = { stopId, arrival };
+            }
+        }
+
+        if (roundBest) {
+            bestTargetArrival = roundBest.arrival;
+            const { path, startStop } = reconstructPath(labels, ready, k, roundBest.stopId);
+            journeys.push({
+                path,
+                startStop,
+                finalStop: roundBest.stopId,
+                finalTime: path[path.length - 1].arrival,
+                numTransfers: k - 1,
+                accessSeconds: labels[0].get(startStop).walkSeconds,
+                egressSeconds: targets.get(roundBest.stopId),
+                arrival: secondsToTime(roundBest.arrival)
+            });
+        }
+    }
+
+    // Later journeys arrive strictly earlier; drop the no-trip journey if a direct trip beats it
+    return journeys.filter((journey, i) =>
+        !journeys.slice(i + 1).some(other => other.numTransfers <= journey.numTransfers)
+    );
+}
+
+/**
+ * Rebuild the legs of the arrive-by journey that leaves stopId in round k
+ */
+function reconstructReversePath(labels, ready, k, stopId) {
+    const path = [];
+    let current = stopId;
+
+    for (let round = k; round > 0; round--) {
+        const leg = labels[round].get(current).leg;
+        path.push(leg);
+        // The next boarding stop may be a transfer away from where the rider gets off
+        current = ready[round - 1].get(leg.to).boardStop;
+    }
+
+    return { path, finalStop: current };
+}
+
+/**
+ * Run RAPTOR backwards from the targets and return the Pareto set of
+ * (latest departure, transfers) journeys that arrive by the deadline
+ * @param {Object} timetable - Timetable index from preloadTransitData
+ * @param {Array<{stop_id: string, walkSeconds?: number}>} sources - Boarding stops and the walk to reach them
+ * @param {Map<string, number>} targets - Target stop_id -> walking seconds from the stop to the destination
+ * @param {string} arrivalTime - Latest arrival at the destination in HH:MM:SS format
+ * @param {Object} [options] - Same as raptorSearch
+ * @returns {Array<Object>} - Journeys ordered by transfers, shaped like raptorSearch's,
+ *   plus departure: the time to leave the origin including the access walk
+ */
+function raptorSearchArriveBy(timetable, sources, targets, arrivalTime, options = {}) {
+    const maxTransfers = options.maxTransfers !== undefined ? options.maxTransfers : DEFAULT_MAX_TRANSFERS;
+    const transferRules = options.transferRules || new Map();
+    const fallbackTransferSeconds = options.fallbackTransferSeconds !== undefined
+        ? options.fallbackTransferSeconds
+        : DEFAULT_TRANSFER_SECONDS;
+    const skipLog = options.skipLog || null;
+    const { patternsByStop } = getRoutePatterns(timetable);
+    const deadline = timeToSeconds(arrivalTime);
+    const accessSeconds = new Map(sources.map(source => [source.stop_id, source.walkSeconds || 0]));
+
+    // bestDeparture: latest departure from a stop over all rounds (local pruning)
+    // labels[k]: stop_id -> the trip boarded there in round k
+    // ready[k]: stop_id -> { time, boardStop }: latest arrival before round k's trip and where the rider boards it
+    const bestDeparture = new Map();
+    const labels = [new Map()];
+    const ready = [new Map()];
+    let marked = new Set();
+
+    for (const [stopId, egressSeconds] of targets) {
+        const time = deadline - egressSeconds;
+        bestDeparture.set(stopId, time);
+        ready[0].set(stopId, { time, boardStop: stopId });
+        marked.add(stopId);
+    }
+
+    const journeys = [];
+    let bestSourceDeparture = -Infinity;
+
+    // A source that is itself a target needs no trip at all
+    for (const [stopId, time] of bestDeparture) {
+        if (accessSeconds.has(stopId) && time - accessSeconds.get(stopId) > bestSourceDeparture) {
+            bestSourceDeparture = time - accessSeconds.get(stopId);
+            journeys[0] = {
+                path: [],
+                startStop: stopId,
+                finalStop: stopId,
+                finalTime: secondsToTime(time),
+                numTransfers: 0,
+                accessSeconds: accessSeconds.get(stopId),
+                egressSeconds: targets.get(stopId),
+                arrival: arrivalTime,
+                departure: secondsToTime(bestSourceDeparture)
+            };
+        }
+    }
+
+    for (let k = 1; k <= maxTransfers + 1 && marked.size > 0; k++) {
+        labels[k] = new Map();
+        ready[k] = new Map();
+
+        // Collect patterns serving marked stops, remembering the latest marked index
+        const queue = new Map();
+        for (const stopId of marked) {
+            for (const { pattern, index } of patternsByStop.get(stopId) || []) {
+                if (!queue.has(pattern) || index > queue.get(pattern)) {
+                    queue.set(pattern, index);
+                }
+            }
+        }
+
+        const improved = new Set();
+
+        for (const [pattern, startIndex] of queue) {
+            let trip = null;
+            let alightIndex = -1;
+
+            for (let i = startIndex; i >= 0; i--) {
+                const stopId = pattern.stops[i];
+
+                // Board here if it leaves later (and could still beat a known departure from the origin)
+                if (trip) {
+                    const departure = trip.departures[i];
+                    const best = bestDeparture.has(stopId) ? bestDeparture.get(stopId) : -Infinity;
+                    const improves = departure > best && departure > bestSourceDeparture;
+                    if (improves && !pattern.boarding[i]) {
+                        recordSkip(skipLog, 'pickup', stopId, trip.trip_id);
+                    } else if (improves) {
+                        const tripInfo = timetable.tripRouteMap[trip.trip_id];
+                        bestDeparture.set(stopId, departure);
+                        labels[k].set(stopId, {
+                            leg: {
+                                from: stopId,
+                                to: pattern.stops[alightIndex],
+                                departure: secondsToTime(departure),
+                                arrival: secondsToTime(trip.arrivals[alightIndex]),
+                                trip_id: trip.trip_id,
+                                route_id: tripInfo.route_id,
+                                headsign: tripInfo.trip_headsign
+                            }
+                        });
+                        improved.add(stopId);
+                    }
+                }
+
+                // Alight from (or switch to) a later trip of this pattern
+                const readyLabel = ready[k - 1].get(stopId);
+                if (readyLabel && (!trip || readyLabel.time > trip.arrivals[i])) {
+                    const candidate = latestTrip(pattern, i, readyLabel.time);
+                    if (candidate && !pattern.alighting[i]) {
+                        if (i > 0) {
+                            recordSkip(skipLog, 'drop_off', stopId, candidate.trip_id);
+                        }
+                    } else if (candidate && (!trip || candidate.arrivals[i] > trip.arrivals[i])) {
+                        trip = candidate;
+                        alightIndex = i;
+                    }
+                }
+            }
+        }
+
+        // Change vehicles: arrive at the same stop or a transfers.txt partner in time to board.
+        // The forward search boards strictly after the transfer time, hence the extra second.
+        for (const stopId of improved) {
+            for (const option of getTransferOptionsInto(transferRules, stopId, fallbackTransferSeconds)) {
+                const time = bestDeparture.get(stopId) - option.seconds - 1;
+                const current = ready[k].get(option.stop_id);
+                if (!current || time > current.time) {
+                    ready[k].set(option.stop_id, { time, boardStop: stopId });
+                }
+            }
+        }
+        marked = new Set(ready[k].keys());
+
+        // Latest departure from the origin using k trips
+        let roundBest = null;
+        for (const stopId of improved) {
+            if (!accessSeconds.has(stopId)) continue;
+            const departure = bestDeparture.get(stopId) - accessSeconds.get(stopId);
+            if (departure > bestSourceDeparture && (!roundBest || departure > roundBest.departure)) {
+                roundBest = { stopId, departure };
+            }
+        }
+
+        if (roundBest) {
+            bestSourceDeparture = roundBest.departure;
+            const { path, finalStop } = reconstructReversePath(labels, ready, k, roundBest.stopId);
+            const finalTime = path[path.length - 1].arrival;
+            journeys.push({
+                path,
+                startStop: roundBest.stopId,
+                finalStop,
+                finalTime,
+                numTransfers: k - 1,
+                accessSeconds: accessSeconds.get(roundBest.stopId),
+                egressSeconds: targets.get(finalStop),
+                arrival: secondsToTime(timeToSeconds(finalTime) + targets.get(finalStop)),
+                departure: secondsToTime(roundBest.departure)
+            });
+        }
+    }
+
+    // Later journeys leave strictly later; drop the no-trip journey if a direct trip beats it
+    return journeys.filter((journey, i) =>
+        !journeys.slice(i + 1).some(other => other.numTransfers <= journey.numTransfers)
+    );
+}
+
+module.exports = {
+    getRoutePatterns,
+    sourcesNearCoordinate,
+    raptorSearch,
+    raptorSearchArriveBy
+};
@@ -0,0 +1,332 @@
+/**
+ * Route Timetable
+ *
+ * A route's trips on one service day as printed timetables show them: for
+ * each direction_id, a matrix with a row per stop and a column per trip,
+ * trips in departure order. Rendered as CSV, Markdown or HTML.
+ *
+ * Rows are the stops of all the direction's stop patterns, merged in travel
+ * order. Timepoints are the stops given with times on a printed timetable:
+ * those with timepoint=1 when the feed has the column, otherwise the first
+ * and last stop of each trip and the stops where a run of repeated
+ * stop_headsigns ends (RTA's stop_headsign names the next timepoint, so the
+ * stops in between repeat it).
+ */
+
+const { loadTrips, loadStopTimes, getActiveServices } = require('./gtfs_feed');
+const { timeToSeconds } = require('./timetable');
+const { placeJson, routeJson } = require('./itinerary_json');
+const { resolveQuery } = require('./query');
+const { findRoutes } = require('./trips');
+const { progress, withProgress } = require('./progress');
+const { QueryError } = require('./query_error');
+
+const FORMATS = ['csv', 'md', 'html'];
+
+/**
+ * Which stops of a trip are timepoints
+ * @param {Array<Object>} stopTimes - The trip's stop_times in stop_sequence order
+ * @returns {Array<boolean>}
+ */
+function detectTimepoints(stopTimes) {
+    if (stopTimes.some(st => st.timepoint !== null && st.timepoint !== undefined)) {
+        return stopTimes.map(st => st.timepoint === 1);
+    }
+    // Without stop_headsigns there is nothing to tell the stops apart
+    if (stopTimes.every(st => !st.stop_headsign)) {
+        return stopTimes.map(() => true);
+    }
+    const last = stopTimes.length - 1;
+    return stopTimes.map((st, i) =>
+        i === 0 || i === last || st.stop_headsign !== stopTimes[i + 1].stop_headsign);
+}
+
+/**
+ * Row keys of a trip: stop_id, with the visit number for stops a loop passes twice
+ */
+function rowKeys(stopTimes) {
+    const visits = new Map();
+    return stopTimes.map(st => {
+        const visit = (visits.get(st.stop_id) || 0) + 1;
+        visits.set(st.stop_id, visit);
+        return visit === 1 ? st.stop_id : `${st.stop_id}#${visit}`;
+    });
+}
+
+/**
+ * Merge the stop patterns of a direction into one row order. Stops missing
+ * from the longest pattern go after the stop they follow in their own.
+ * @param {Array<Array<string>>} patterns - Row keys of each trip
+ * @returns {Array<string>}
+ */
+function mergePatterns(patterns) {
+    const sorted = [...patterns].sort((a, b) => b.length - a.length);
+    const order = [...sorted[0]];
+    for (const pattern of sorted.slice(1)) {
+        let previous = -1;
+        for (const key of pattern) {
+            const index = order.indexOf(key);
+            if (index === -1) {
+                order.splice(previous + 1, 0, key);
+                previous++;
+            } else {
+                previous = index;
+            }
+        }
+    }
+    return order;
+}
+
+/**
+ * Timetable matrix of one direction
+ * @param {Array<Object>} trips - The direction's trips
+ * @param {Map<string, Array<Object>>} byTrip - trip_id -> stop_times in stop_sequence order
+ */
+function directionTimetable(directionId, trips, byTrip) {
+    const rows = trips.map(trip => {
+        const stopTimes = byTrip.get(trip.trip_id);
+        return { trip, stopTimes, keys: rowKeys(stopTimes), timepoints: detectTimepoints(stopTimes) };
+    });
+    rows.sort((a, b) => timeToSeconds(a.stopTimes[0].departure_time) - timeToSeconds(b.stopTimes[0].departure_time));
+
+    const order = mergePatterns(rows.map(r => r.keys));
+    const rowIndex = new Map(order.map((key, i) => [key, i]));
+    const timepoints = order.map(() => false);
+
+    const tripColumns = rows.map(({ trip, stopTimes, keys, timepoints: tripTimepoints }) => {
+        const times = order.map(() => null);
+        stopTimes.forEach((st, i) => {
+            const row = rowIndex.get(keys[i]);
+            // A trip's last stop shows when it arrives, the others when it leaves
+            times[row] = i === stopTimes.length - 1 ? st.arrival_time : st.departure_time;
+            if (tripTimepoints[i]) timepoints[row] = true;
+        });
+        return {
+            trip_id: trip.trip_id,
+            short_name: trip.trip_short_name || null,
+            headsign: trip.trip_headsign || null,
+            service_id: trip.service_id,
+            times
+        };
+    });
+
+    // The headsign most of the direction's trips show
+    const headsignCounts = new Map();
+    for (const { trip } of rows) {
+        if (trip.trip_headsign) headsignCounts.set(trip.trip_headsign, (headsignCounts.get(trip.trip_headsign) || 0) + 1);
+    }
+    const headsign = [...headsignCounts.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name)[0] || null;
+
+    return {
+        direction_id: directionId,
+        headsign,
+        stops: order.map((key, i) => ({ ...placeJson(key.split('#')[0]), timepoint: timepoints[i] })),
+        trips: tripColumns
+    };
+}
+
+/**
+ * Timetable of a route for a service day
+ * @param {Object} options - date and timezone as in lib/query.js, plus:
+ * @param {string} options.route - route_short_name or route_id
+ * @param {number} [options.directionId] - Only this direction_id
+ * @returns {Promise<Object>} - { date, route, directions: [{ direction_id, headsign, stops, trips }] };
+ *   stops are places with a timepoint flag, trips have trip_id, short_name, headsign,
+ *   service_id and times ("HH:MM:SS" or null per stop)
+ * @throws {QueryError} - For an unknown or ambiguous route, or one not running on the date
+ */
+function routeTimetable(options) {
+    return withProgress(options.log, async () => {
+        if (!options.route) {
+            throw new QueryError('A route (route_short_name or route_id) is required');
+        }
+        const routes = findRoutes(options.route);
+        if (routes.length === 0) {
+            throw new QueryError(`Unknown route "${options.route}", expected a route_short_name or route_id`);
+        }
+        if (routes.length > 1) {
+            throw new QueryError(`Route "${options.route}" matches routes ${routes.map(r => r.route_id).join(', ')}, give a route_id`);
+        }
+        const route = routes[0];
+        const { todayDate, dayName } = resolveQuery(options);
+        const date = String(todayDate).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+        const directionId = options.directionId !== undefined && options.directionId !== null ? Number(options.directionId) : null;
+
+        progress(`Timetable of route ${route.route_short_name || route.route_id} on ${dayName} (${todayDate})...`);
+        const activeServices = getActiveServices(dayName, todayDate);
+        const trips = loadTrips().filter(t =>
+            t.route_id === route.route_id && activeServices.has(t.service_id) &&
+            (directionId === null || t.direction_id === directionId));
+        if (trips.length === 0) {
+            throw new QueryError(`Route ${options.route} has no trips on ${date}${directionId !== null ? ` in direction ${directionId}` : ''}`);
+        }
+
+        const byTrip = new Map();
+        for (const st of loadStopTimes(new Set(trips.map(t => t.trip_id)))) {
+            if (!byTrip.has(st.trip_id)) byTrip.set(st.trip_id, []);
+            byTrip.get(st.trip_id).push(st);
+        }
+        for (const stopTimes of byTrip.values()) {
+            stopTimes.sort((a, b) => a.stop_sequence - b.stop_sequence);
+        }
+
+        // direction_id is optional in GTFS; trips without one form their own table
+        const byDirection = new Map();
+        for (const trip of trips) {
+            if (!byTrip.has(trip.trip_id)) continue;
+            const direction = trip.direction_id !== undefined ? trip.direction_id : null;
+            if (!byDirection.has(direction)) byDirection.set(direction, []);
+            byDirection.get(direction).push(trip);
+        }
+        const directions = [...byDirection.keys()]
+            .sort((a, b) => (a === null ? Infinity : a) - (b === null ? Infinity : b))
+            .map(direction => directionTimetable(direction, byDirection.get(direction), byTrip));
+        progress(`  ✓ ${trips.length} trips in ${directions.length} direction(s)`);
+
+        return { date, route: routeJson(route.route_id), directions };
+    });
+}
+
+/**
+ * The rows and columns a rendering prints
+ * @param {Object} direction - From routeTimetable
+ * @param {boolean} allStops - Every stop, or only the timepoints
+ * @returns {{stops: Array<Object>, trips: Array<{label: string, times: Array<string|null>}>}} - times as HH:MM
+ */
+function timetableCells(direction, allStops) {
+    const rows = direction.stops.map((stop, i) => i).filter(i => allStops || direction.stops[i].timepoint);
+    return {
+        stops: rows.map(i => direction.stops[i]),
+        trips: direction.trips.map(trip => ({
+            label: trip.short_name || trip.trip_id,
+            times: rows.map(i => trip.times[i] ? trip.times[i].slice(0, 5) : null)
+        }))
+    };
+}
+
+function directionTitle(direction) {
+    const name = direction.direction_id !== null ? `Direction ${direction.direction_id}` : 'No direction';
+    return direction.headsign ? `${name}: ${direction.headsign}` : name;
+}
+
+function routeTitle(timetable) {
+    const { route } = timetable;
+    const name = route.short_name || route.route_id;
+    return route.long_name ? `Route ${name}: ${route.long_name}` : `Route ${name}`;
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV: one table per direction, separated by a blank line
+ */
+function timetableCsv(timetable, allStops) {
+    return timetable.directions.map(direction => {
+        const { stops, trips } = timetableCells(direction, allStops);
+        const lines = [['direction_id', 'stop_id', 'stop_name', 'timepoint', ...trips.map(t => t.label)]];
+        stops.forEach((stop, row) => {
+            lines.push([direction.direction_id, stop.stop_id, stop.name, stop.timepoint ? 1 : 0,
+                ...trips.map(t => t.times[row])]);
+        });
+        return lines.map(line => line.map(csvField).join(',')).join('\n');
+    }).join('\n\n') + '\n';
+}
+
+function markdownCell(value) {
+    return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Markdown: a heading and a table per direction; timepoints in bold when every stop is shown
+ */
+function timetableMarkdown(timetable, allStops) {
+    const lines = [`# ${routeTitle(timetable)}`, '', `Service day ${timetable.date}`];
+    for (const direction of timetable.directions) {
+        const { stops, trips } = timetableCells(direction, allStops);
+        lines.push('', `## ${directionTitle(direction)}`, '');
+        lines.push(`| Stop | ${trips.map(t => markdownCell(t.label)).join(' | ')} |`);
+        lines.push(`| :--- | ${trips.map(() => ':---:').join(' | ')} |`);
+        stops.forEach((stop, row) => {
+            const name = markdownCell(stop.name || stop.stop_id);
+            const label = allStops && stop.timepoint ? `**${name}**` : name;
+            lines.push(`| ${label} | ${trips.map(t => t.times[row] || '-').join(' | ')} |`);
+        });
+    }
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML: a standalone page with a table per direction, styled for printing
+ */
+function timetableHtml(timetable, allStops) {
+    const title = escapeHtml(routeTitle(timetable));
+    const lines = [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${title}</title>`,
+        '<style>',
+        '  body { font-family: sans-serif; margin: 1.5em; }',
+        '  table { border-collapse: collapse; font-size: 0.8em; margin-bottom: 2em; }',
+        '  th, td { border: 1px solid #999; padding: 0.2em 0.4em; text-align: center; white-space: nowrap; }',
+        '  th.stop, td.stop { text-align: left; }',
+        '  tr.timepoint td { font-weight: bold; }',
+        '  @media print { h2 { page-break-before: always; } h2:first-of-type { page-break-before: auto; } }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<h1>${title}</h1>`,
+        `<p>Service day ${escapeHtml(timetable.date)}</p>`
+    ];
+    for (const direction of timetable.directions) {
+        const { stops, trips } = timetableCells(direction, allStops);
+        lines.push(`<h2>${escapeHtml(directionTitle(direction))}</h2>`);
+        lines.push('<table>');
+        lines.push(`<tr><th class="stop">Stop</th>${trips.map(t => `<th>${escapeHtml(t.label)}</th>`).join('')}</tr>`);
+        stops.forEach((stop, row) => {
+            const rowClass = allStops && stop.timepoint ? ' class="timepoint"' : '';
+            const cells = trips.map(t => `<td>${t.times[row] || '&ndash;'}</td>`).join('');
+            lines.push(`<tr${rowClass}><td class="stop">${escapeHtml(stop.name || stop.stop_id)}</td>${cells}</tr>`);
+        });
+        lines.push('</table>');
+    }
+    lines.push('</body>', '</html>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a timetable from routeTimetable
+ * @param {Object} timetable
+ * @param {string} format - csv, md or html
+ * @param {Object} [options]
+ * @param {boolean} [options.allStops=false] - Every stop instead of the timepoints only
+ * @returns {string}
+ */
+function formatTimetable(timetable, format, { allStops = false } = {}) {
+    switch (format) {
+        case 'csv': return timetableCsv(timetable, allStops);
+        case 'md': return timetableMarkdown(timetable, allStops);
+        case 'html': return timetableHtml(timetable, allStops);
+        default:
+            throw new QueryError(`Unknown format "${format}", expected one of: ${FORMATS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    detectTimepoints,
+    routeTimetable,
+    formatTimetable
+};
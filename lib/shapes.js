@@ -0,0 +1,163 @@
+/**
+ * Shape Geometry
+ *
+ * The line a vehicle follows between two stops, from shapes.txt: the trip's
+ * shape cut at the board and alight stops' shape_dist_traveled, with the cut
+ * points interpolated inside the shape segment they fall in.
+ *
+ * Feeds without shape_dist_traveled are cut at the shape points nearest the
+ * stops instead, and trips without a shape get straight lines between the
+ * stops they serve. Geometries are GeoJSON LineStrings ([lng, lat]).
+ */
+
+const { loadShapes, getStopMap } = require('./gtfs_feed');
+const { YESTERDAY_SUFFIX, TOMORROW_SUFFIX, getTripStopTimes } = require('./timetable');
+
+let shapeMap = null;
+
+/**
+ * Points of a shape in shape_pt_sequence order
+ * @returns {Array<{lat: number, lng: number, dist: number|null}>|null}
+ */
+function getShapePoints(shapeId) {
+    if (!shapeMap) {
+        shapeMap = new Map();
+        for (const pt of loadShapes()) {
+            if (!shapeMap.has(pt.shape_id)) shapeMap.set(pt.shape_id, []);
+            shapeMap.get(pt.shape_id).push(pt);
+        }
+        for (const [id, points] of shapeMap) {
+            points.sort((a, b) => a.shape_pt_sequence - b.shape_pt_sequence);
+            shapeMap.set(id, points.map(pt => ({
+                lat: pt.shape_pt_lat,
+                lng: pt.shape_pt_lon,
+                dist: pt.shape_dist_traveled !== undefined ? pt.shape_dist_traveled : null
+            })));
+        }
+    }
+    return shapeMap.get(shapeId) || null;
+}
+
+function position(lat, lng) {
+    return [Number(lng.toFixed(6)), Number(lat.toFixed(6))];
+}
+
+/**
+ * The point of a shape at a shape_dist_traveled
+ */
+function pointAtDistance(points, dist) {
+    if (dist <= points[0].dist) return points[0];
+    for (let i = 1; i < points.length; i++) {
+        if (dist <= points[i].dist) {
+            const a = points[i - 1];
+            const b = points[i];
+            const t = b.dist > a.dist ? (dist - a.dist) / (b.dist - a.dist) : 0;
+            return { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t, dist };
+        }
+    }
+    return points[points.length - 1];
+}
+
+/**
+ * Shape between two shape_dist_traveled values
+ */
+function cutByDistance(points, fromDist, toDist) {
+    const start = pointAtDistance(points, fromDist);
+    const end = pointAtDistance(points, toDist);
+    const inside = points.filter(pt => pt.dist > fromDist && pt.dist < toDist);
+    return [start, ...inside, end].map(pt => position(pt.lat, pt.lng));
+}
+
+/**
+ * Index of the shape point nearest a stop, searching from `from` on
+ * (planar distance is enough to pick among points a few hundred metres apart)
+ */
+function nearestPointIndex(points, stop, from = 0) {
+    let best = from;
+    let bestDistance = Infinity;
+    for (let i = from; i < points.length; i++) {
+        const dLat = points[i].lat - stop.stop_lat;
+        const dLng = points[i].lng - stop.stop_lon;
+        const distance = dLat * dLat + dLng * dLng;
+        if (distance < bestDistance) {
+            best = i;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Geometry of a ride on a trip from one of its stops to a later one
+ * @param {Object} trip - trips.txt row (for shape_id)
+ * @param {Array<Object>} stopTimes - The trip's stop_times in stop_sequence order
+ * @param {number} boardIndex - Index of the board stop in stopTimes
+ * @param {number} alightIndex - Index of the alight stop in stopTimes
+ * @returns {Object|null} - GeoJSON LineString, null when the stops have no coordinates
+ */
+function rideGeometry(trip, stopTimes, boardIndex, alightIndex) {
+    const stopMap = getStopMap();
+    const board = stopTimes[boardIndex];
+    const alight = stopTimes[alightIndex];
+    const points = trip && trip.shape_id ? getShapePoints(trip.shape_id) : null;
+
+    if (points && points.length >= 2) {
+        const hasDistances = points.every(pt => pt.dist !== null) &&
+            typeof board.shape_dist_traveled === 'number' && typeof alight.shape_dist_traveled === 'number';
+        if (hasDistances) {
+            return { type: 'LineString', coordinates: cutByDistance(points, board.shape_dist_traveled, alight.shape_dist_traveled) };
+        }
+
+        const boardStop = stopMap.get(board.stop_id);
+        const alightStop = stopMap.get(alight.stop_id);
+        if (boardStop && alightStop && boardStop.stop_lat !== null && alightStop.stop_lat !== null) {
+            const start = nearestPointIndex(points, boardStop);
+            const end = nearestPointIndex(points, alightStop, start);
+            if (end > start) {
+                return { type: 'LineString', coordinates: points.slice(start, end + 1).map(pt => position(pt.lat, pt.lng)) };
+            }
+        }
+    }
+
+    // No usable shape: straight lines through the stops served
+    const coordinates = stopTimes.slice(boardIndex, alightIndex + 1)
+        .map(st => stopMap.get(st.stop_id))
+        .filter(stop => stop && stop.stop_lat !== null && stop.stop_lon !== null)
+        .map(stop => position(stop.stop_lat, stop.stop_lon));
+    return coordinates.length >= 2 ? { type: 'LineString', coordinates } : null;
+}
+
+/**
+ * Give the ride legs of an itinerary document their geometry
+ * @param {Object} document - From resultJson (lib/itinerary_json.js); changed in place
+ * @param {Object} timetable - The timetable index the finder searched (preloadTransitData)
+ * @returns {Object} - The document
+ */
+function addLegGeometry(document, timetable) {
+    for (const itinerary of document.itineraries) {
+        for (const leg of itinerary.legs) {
+            if (leg.mode === 'WALK' || !leg.trip_id) continue;
+
+            leg.geometry = null;
+            // Today's run of the trip, yesterday's still running after midnight, or tomorrow's early one
+            for (const key of [leg.trip_id, leg.trip_id + YESTERDAY_SUFFIX, leg.trip_id + TOMORROW_SUFFIX]) {
+                const stopTimes = getTripStopTimes(timetable, key);
+                const boardIndex = stopTimes.findIndex(st =>
+                    st.stop_id === leg.from.stop_id && st.departure_time === leg.departure);
+                if (boardIndex === -1) continue;
+                const alightIndex = stopTimes.findIndex((st, i) => i > boardIndex && st.stop_id === leg.to.stop_id);
+                if (alightIndex === -1) continue;
+
+                leg.geometry = rideGeometry(timetable.tripRouteMap[leg.trip_id], stopTimes, boardIndex, alightIndex);
+                break;
+            }
+        }
+    }
+    return document;
+}
+
+module.exports = {
+    getShapePoints,
+    rideGeometry,
+    addLegGeometry
+};
@@ -0,0 +1,180 @@
+/**
+ * Stop Spatial Index
+ *
+ * Nearest-stop and radius queries over stops.txt without measuring the
+ * distance to every stop: stops are bucketed once per process in a grid of
+ * CELL_DEGREES cells, and a query only looks at the cells around the point,
+ * ring by ring outwards, until no unvisited cell can hold a closer stop.
+ *
+ * Used by every finder for the stops near the destination and the walkable
+ * stops near a starting stop, by sourcesNearCoordinate (lib/raptor.js) for
+ * the stops near an origin, and by build_footpaths.js.
+ *
+ * Distances are straight lines (Haversine, km); lib/walk_router.js turns
+ * them into walks.
+ */
+
+const { loadStops } = require('./gtfs_feed');
+
+const CELL_DEGREES = 0.01; // About 1.1 km north-south, 1 km east-west in Dubai
+const KM_PER_DEGREE = 111.195; // Per degree of latitude, at the Haversine radius
+
+let stopIndex = null;
+
+/**
+ * Calculate distance between two coordinates using Haversine formula (km)
+ */
+function calculateDistance(lat1, lng1, lat2, lng2) {
+    const R = 6371; // Earth's radius in kilometers
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+}
+
+function cellKey(row, col) {
+    return `${row}:${col}`;
+}
+
+/**
+ * The grid of stops with coordinates, built on first use
+ * @returns {Object} - { cells: Map(key -> [stop]), stops, minRow, maxRow, minCol, maxCol, maxAbsLat }
+ */
+function getStopIndex() {
+    if (stopIndex) return stopIndex;
+
+    const stops = loadStops().filter(s => s.stop_lat !== null && s.stop_lon !== null);
+    const cells = new Map();
+    let minRow = Infinity;
+    let maxRow = -Infinity;
+    let minCol = Infinity;
+    let maxCol = -Infinity;
+    let maxAbsLat = 0;
+    for (const stop of stops) {
+        const row = Math.floor(stop.stop_lat / CELL_DEGREES);
+        const col = Math.floor(stop.stop_lon / CELL_DEGREES);
+        const key = cellKey(row, col);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(stop);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+        maxAbsLat = Math.max(maxAbsLat, Math.abs(stop.stop_lat));
+    }
+
+    stopIndex = { cells, stops, minRow, maxRow, minCol, maxCol, maxAbsLat };
+    return stopIndex;
+}
+
+function withDistance(stop, lat, lng) {
+    return { ...stop, distance: calculateDistance(lat, lng, stop.stop_lat, stop.stop_lon) };
+}
+
+/**
+ * Every stop, closest first (points far outside the grid)
+ */
+function scanAll(index, lat, lng) {
+    return index.stops.map(stop => withDistance(stop, lat, lng)).sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * The k stops nearest a point, closest first
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} [maxResults=10] - k
+ * @param {Object} [options]
+ * @param {number} [options.maxKm] - Leave out stops further away
+ * @returns {Array<Object>} - Copies of the stops with distance (km)
+ */
+function findNearestStops(lat, lng, maxResults = 10, options = {}) {
+    const index = getStopIndex();
+    const maxKm = options.maxKm !== undefined ? options.maxKm : Infinity;
+    if (index.stops.length === 0 || maxResults <= 0) return [];
+
+    const row = Math.floor(lat / CELL_DEGREES);
+    const col = Math.floor(lng / CELL_DEGREES);
+    // Width of a cell where it is narrowest, so each ring outwards is at least this much further away
+    const ringKm = CELL_DEGREES * KM_PER_DEGREE * Math.cos(Math.min(89, Math.max(index.maxAbsLat, Math.abs(lat))) * Math.PI / 180);
+    const rings = Math.max(row - index.minRow, index.maxRow - row, col - index.minCol, index.maxCol - col);
+
+    // A query far from every stop would walk more empty cells than there are stops
+    const gap = Math.max(0, index.minRow - row, row - index.maxRow, index.minCol - col, col - index.maxCol);
+    if ((2 * gap + 1) ** 2 > index.stops.length) {
+        return scanAll(index, lat, lng).filter(s => s.distance <= maxKm).slice(0, maxResults);
+    }
+
+    const found = [];
+    for (let ring = 0; ring <= rings; ring++) {
+        // Stops in unvisited rings are at least this far away
+        const nearestUnvisitedKm = ring === 0 ? 0 : (ring - 1) * ringKm;
+        if (nearestUnvisitedKm > maxKm) break;
+        if (found.length >= maxResults) {
+            found.sort((a, b) => a.distance - b.distance);
+            if (found[maxResults - 1].distance <= nearestUnvisitedKm) break;
+        }
+
+        for (let r = row - ring; r <= row + ring; r++) {
+            const step = (r === row - ring || r === row + ring) ? 1 : 2 * ring;
+            for (let c = col - ring; c <= col + ring; c += Math.max(step, 1)) {
+                for (const stop of index.cells.get(cellKey(r, c)) || []) {
+                    found.push(withDistance(stop, lat, lng));
+                }
+            }
+        }
+    }
+
+    return found
+        .filter(s => s.distance <= maxKm)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, maxResults);
+}
+
+/**
+ * The stops within a radius of a point, closest first. A walk is never
+ * shorter than the straight line, so these are all the candidates for
+ * walkingDistances (lib/walk_router.js) with the radius as its limit.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} radiusKm
+ * @param {Object} [options]
+ * @param {number} [options.maxResults] - Keep only the nearest ones
+ * @returns {Array<Object>} - Copies of the stops with distance (km)
+ */
+function findStopsWithin(lat, lng, radiusKm, options = {}) {
+    const index = getStopIndex();
+    const dLat = radiusKm / KM_PER_DEGREE;
+    const dLng = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(Math.min(89, Math.abs(lat) + dLat) * Math.PI / 180), 0.01));
+    const minRow = Math.max(Math.floor((lat - dLat) / CELL_DEGREES), index.minRow);
+    const maxRow = Math.min(Math.floor((lat + dLat) / CELL_DEGREES), index.maxRow);
+    const minCol = Math.max(Math.floor((lng - dLng) / CELL_DEGREES), index.minCol);
+    const maxCol = Math.min(Math.floor((lng + dLng) / CELL_DEGREES), index.maxCol);
+
+    let within;
+    if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > index.cells.size) {
+        // A radius covering most of the feed: every cell would be visited anyway
+        within = scanAll(index, lat, lng).filter(s => s.distance <= radiusKm);
+    } else {
+        within = [];
+        for (let r = minRow; r <= maxRow; r++) {
+            for (let c = minCol; c <= maxCol; c++) {
+                for (const stop of index.cells.get(cellKey(r, c)) || []) {
+                    const candidate = withDistance(stop, lat, lng);
+                    if (candidate.distance <= radiusKm) within.push(candidate);
+                }
+            }
+        }
+        within.sort((a, b) => a.distance - b.distance);
+    }
+    return options.maxResults !== undefined ? within.slice(0, options.maxResults) : within;
+}
+
+module.exports = {
+    calculateDistance,
+    getStopIndex,
+    findNearestStops,
+    findStopsWithin
+};
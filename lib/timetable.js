@@ -0,0 +1,323 @@
+/**
+ * Timetable Index
+ *
+ * Indexes a service day's stop_times so planners can answer
+ * "departures from stop X after time T" without rescanning stop_times.txt.
+ *
+ * Times are seconds since the start of the queried service day. GTFS lists
+ * trips running past midnight as 24:xx:xx/25:xx:xx on the day they start, so
+ * yesterday's trips still running after midnight are shifted back 24 hours
+ * and indexed next to today's: a 00:30 query sees yesterday's 24:45 bus as
+ * departing at 00:45. Likewise tomorrow's early trips are shifted forward
+ * 24 hours, so a 23:50 query sees tomorrow's 05:10 metro as 29:10.
+ *
+ * - stopTimesByTrip: trip key -> stop_times of the trip, ordered by stop_sequence
+ *   (the key is the trip_id, or trip_id + YESTERDAY_SUFFIX / TOMORROW_SUFFIX for
+ *   yesterday's or tomorrow's run)
+ * - tripsByStop: stop_id -> [{ trip_id, key, index, departure }], ordered by departure
+ *   (index points into stopTimesByTrip, departure is in seconds)
+ *
+ * Indexed stop_times carry numeric `arrival`/`departure` seconds next to
+ * their HH:MM:SS strings; yesterday's and tomorrow's rows are copies with
+ * shifted strings.
+ *
+ * Connections respect pickup_type/drop_off_type: a rider never boards where
+ * pickup_type is 1 or alights where drop_off_type is 1 (express and airport
+ * routes). Callers can pass a skip log to report the candidates left out.
+ */
+
+const { progress } = require('./progress');
+
+const SECONDS_PER_DAY = 24 * 3600;
+const YESTERDAY_SUFFIX = '@yesterday';
+const TOMORROW_SUFFIX = '@tomorrow';
+
+// How skipped candidates are described in search explanations
+const SKIP_REASONS = {
+    pickup: 'no boarding (pickup_type=1) at',
+    drop_off: 'no alighting (drop_off_type=1) at'
+};
+
+/**
+ * Convert an HH:MM:SS time string to seconds (hours may exceed 23)
+ */
+function timeToSeconds(timeStr) {
+    const [h, m, s] = timeStr.split(':').map(Number);
+    return h * 3600 + m * 60 + (s || 0);
+}
+
+/**
+ * Convert seconds to an HH:MM:SS time string (24:00:00 and later stay GTFS-style)
+ */
+function secondsToTime(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+/**
+ * Calculate time difference in minutes between two HH:MM:SS times
+ */
+function timeDifferenceMinutes(time1, time2) {
+    return Math.round((timeToSeconds(time2) - timeToSeconds(time1)) / 60);
+}
+
+/**
+ * Whether riders may board at a stop_time (pickup_type 1 = no pickup)
+ */
+function canBoard(stopTime) {
+    return stopTime.pickup_type !== 1;
+}
+
+/**
+ * Whether riders may alight at a stop_time (drop_off_type 1 = no drop-off)
+ */
+function canAlight(stopTime) {
+    return stopTime.drop_off_type !== 1;
+}
+
+/**
+ * Create a log of candidates skipped because of pickup_type/drop_off_type
+ * @returns {Map<string, {reason: string, stop_id: string, trips: Set<string>}>}
+ */
+function createSkipLog() {
+    return new Map();
+}
+
+/**
+ * Record a skipped boarding ('pickup') or alighting ('drop_off') in a skip log
+ * @param {Map|null} skipLog - Log from createSkipLog, or null to record nothing
+ */
+function recordSkip(skipLog, reason, stopId, tripId) {
+    if (!skipLog) return;
+    const key = `${reason}:${stopId}`;
+    let entry = skipLog.get(key);
+    if (!entry) {
+        entry = { reason, stop_id: stopId, trips: new Set() };
+        skipLog.set(key, entry);
+    }
+    entry.trips.add(tripId);
+}
+
+/**
+ * Print the candidates a search skipped for pickup_type/drop_off_type
+ * @param {Map} skipLog - Log from createSkipLog
+ * @param {string} [indent='  '] - Line prefix
+ * @param {number} [maxStops=5] - Stops listed before the rest are summarized
+ */
+function logSkipped(skipLog, indent = '  ', maxStops = 5) {
+    if (!skipLog || skipLog.size === 0) return;
+
+    const entries = [...skipLog.values()];
+    const total = entries.reduce((sum, entry) => sum + entry.trips.size, 0);
+    progress(`${indent}⊘ Skipped ${total} candidate(s) at stops that do not allow it:`);
+
+    for (const entry of entries.slice(0, maxStops)) {
+        const trips = [...entry.trips];
+        const shown = trips.slice(0, 3).join(', ') + (trips.length > 3 ? ` +${trips.length - 3} more` : '');
+        progress(`${indent}   ${SKIP_REASONS[entry.reason]} ${entry.stop_id}: trip ${shown}`);
+    }
+    if (entries.length > maxStops) {
+        progress(`${indent}   ...and ${entries.length - maxStops} more stop(s)`);
+    }
+}
+
+/**
+ * Build the timetable index for a service day
+ * @param {Array<Object>} stopTimes - Typed stop_times rows of the day's valid trips
+ * @param {Object} tripRouteMap - trip_id -> trip (today's and yesterday's trips)
+ * @param {Array<Object>} [yesterdayStopTimes] - Rows of yesterday's trips departing at or after 24:00:00
+ * @param {Array<Object>} [tomorrowStopTimes] - Rows of tomorrow's early trips
+ * @returns {Object} - { stopTimesByTrip, tripsByStop, tripRouteMap }
+ */
+function buildTimetable(stopTimes, tripRouteMap, yesterdayStopTimes = [], tomorrowStopTimes = []) {
+    const stopTimesByTrip = new Map();
+    const addStopTime = (key, st) => {
+        let tripStops = stopTimesByTrip.get(key);
+        if (!tripStops) {
+            tripStops = [];
+            stopTimesByTrip.set(key, tripStops);
+        }
+        tripStops.push(st);
+    };
+
+    for (const st of stopTimes) {
+        st.arrival = timeToSeconds(st.arrival_time);
+        st.departure = timeToSeconds(st.departure_time);
+        addStopTime(st.trip_id, st);
+    }
+
+    const addShifted = (rows, suffix, offset) => {
+        for (const st of rows) {
+            const departure = timeToSeconds(st.departure_time) + offset;
+            if (departure < 0) continue;
+            // Arriving before midnight but leaving after it: the run starts here, nobody rides to it
+            const shiftedArrival = timeToSeconds(st.arrival_time) + offset;
+            const arrival = shiftedArrival < 0 ? departure : shiftedArrival;
+
+            addStopTime(st.trip_id + suffix, {
+                ...st,
+                arrival_time: secondsToTime(arrival),
+                departure_time: secondsToTime(departure),
+                arrival,
+                departure
+            });
+        }
+    };
+    addShifted(yesterdayStopTimes, YESTERDAY_SUFFIX, -SECONDS_PER_DAY);
+    addShifted(tomorrowStopTimes, TOMORROW_SUFFIX, SECONDS_PER_DAY);
+
+    const tripsByStop = new Map();
+    for (const [key, tripStops] of stopTimesByTrip) {
+        tripStops.sort((a, b) => a.stop_sequence - b.stop_sequence);
+
+        tripStops.forEach((st, index) => {
+            let departures = tripsByStop.get(st.stop_id);
+            if (!departures) {
+                departures = [];
+                tripsByStop.set(st.stop_id, departures);
+            }
+            departures.push({ trip_id: st.trip_id, key, index, departure: st.departure });
+        });
+    }
+
+    for (const departures of tripsByStop.values()) {
+        departures.sort((a, b) => a.departure - b.departure);
+    }
+
+    return { stopTimesByTrip, tripsByStop, tripRouteMap };
+}
+
+/**
+ * Get the ordered stop_times of a trip
+ * @param {Object} timetable - Timetable index
+ * @param {string} key - Trip key from a tripsByStop entry (the trip_id for today's trips)
+ * @returns {Array<Object>} - Empty when the trip does not run on the indexed days
+ */
+function getTripStopTimes(timetable, key) {
+    return timetable.stopTimesByTrip.get(key) || [];
+}
+
+/**
+ * Get trips departing from a stop strictly after a time, in departure order
+ * (trips ending at the stop are left out; boarding rules are applied by the callers)
+ * @param {Object} timetable - Timetable index
+ * @param {string} stopId - Stop ID
+ * @param {string} afterTime - Time in HH:MM:SS format
+ * @returns {Array<{trip_id: string, key: string, index: number, departure: number}>}
+ */
+function getDeparturesAfter(timetable, stopId, afterTime) {
+    const departures = timetable.tripsByStop.get(stopId);
+    if (!departures) return [];
+
+    // Binary search for the first departure after afterTime
+    const after = timeToSeconds(afterTime);
+    let lo = 0;
+    let hi = departures.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (departures[mid].departure <= after) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return departures.slice(lo)
+        .filter(dep => dep.index < timetable.stopTimesByTrip.get(dep.key).length - 1);
+}
+
+/**
+ * Get every trip that can be ridden from fromStopId to toStopId, in departure order
+ * Returns array of { trip_id, departure_time, arrival_time, route_id, headsign }
+ * @param {Map} [skipLog] - Collects trips left out for pickup_type/drop_off_type
+ */
+function getTripsBetween(timetable, fromStopId, toStopId, skipLog = null) {
+    const trips = [];
+
+    for (const dep of timetable.tripsByStop.get(fromStopId) || []) {
+        const stops = timetable.stopTimesByTrip.get(dep.key);
+        const trip = timetable.tripRouteMap[dep.trip_id];
+
+        for (let i = dep.index + 1; i < stops.length; i++) {
+            if (stops[i].stop_id === toStopId) {
+                if (!canBoard(stops[dep.index])) {
+                    recordSkip(skipLog, 'pickup', fromStopId, dep.trip_id);
+                    break;
+                }
+                if (!canAlight(stops[i])) {
+                    recordSkip(skipLog, 'drop_off', toStopId, dep.trip_id);
+                    break;
+                }
+                trips.push({
+                    trip_id: dep.trip_id,
+                    departure_time: stops[dep.index].departure_time,
+                    arrival_time: stops[i].arrival_time,
+                    route_id: trip.route_id,
+                    headsign: trip.trip_headsign
+                });
+                break;
+            }
+        }
+    }
+
+    return trips;
+}
+
+/**
+ * Get all direct connections from a stop after a given time
+ * Returns array of { from_stop_id, stop_id, arrival_time, departure_time, trip_id, route_id, headsign }
+ * @param {Map} [skipLog] - Collects trips left out for pickup_type/drop_off_type
+ */
+function getDirectConnections(timetable, stopId, afterTime, skipLog = null) {
+    const connections = [];
+
+    for (const dep of getDeparturesAfter(timetable, stopId, afterTime)) {
+        const stops = timetable.stopTimesByTrip.get(dep.key);
+        const trip = timetable.tripRouteMap[dep.trip_id];
+        const stopInfo = stops[dep.index];
+
+        if (!canBoard(stopInfo)) {
+            recordSkip(skipLog, 'pickup', stopId, dep.trip_id);
+            continue;
+        }
+
+        // Every later stop that allows drop-off is reachable
+        for (let i = dep.index + 1; i < stops.length; i++) {
+            if (!canAlight(stops[i])) {
+                recordSkip(skipLog, 'drop_off', stops[i].stop_id, dep.trip_id);
+                continue;
+            }
+            connections.push({
+                from_stop_id: stopId,
+                stop_id: stops[i].stop_id,
+                arrival_time: stops[i].arrival_time,
+                departure_time: stopInfo.departure_time,
+                trip_id: dep.trip_id,
+                route_id: trip.route_id,
+                headsign: trip.trip_headsign
+            });
+        }
+    }
+
+    return connections;
+}
+
+module.exports = {
+    SECONDS_PER_DAY,
+    YESTERDAY_SUFFIX,
+    TOMORROW_SUFFIX,
+    timeToSeconds,
+    secondsToTime,
+    timeDifferenceMinutes,
+    canBoard,
+    canAlight,
+    createSkipLog,
+    recordSkip,
+    logSkipped,
+    buildTimetable,
+    getTripStopTimes,
+    getDeparturesAfter,
+    getTripsBetween,
+    getDirectConnections
+};
@@ -0,0 +1,177 @@
+/**
+ * Transfer Rules
+ *
+ * Minimum transfer times from transfers.txt, keyed by stop pair. A pair with
+ * the same from/to stop governs changing vehicles at that stop; a pair of
+ * different stops is a transfer the agency expects riders to walk.
+ *
+ * transfer_type: 0 = recommended (fallback time), 1 = timed (no buffer),
+ * 2 = min_transfer_time seconds, 3 = not possible.
+ *
+ * Rows restricted to particular routes or trips are not used: the planners
+ * only decide transfers per stop.
+ *
+ * The walks of footpaths.txt (lib/footpaths.js) join the rules as transfers
+ * between different stops, for pairs transfers.txt does not mention.
+ */
+
+const DEFAULT_TRANSFER_SECONDS = 5 * 60; // Used when transfers.txt has no rule for the stop pair
+const FOOTPATH_BUFFER_SECONDS = 2 * 60; // Added to a footpath's walk: finding the stop and the vehicle's door
+
+/**
+ * Index transfers.txt rows by stop pair
+ * @param {Array<Object>} transfers - Typed transfers.txt rows
+ * @returns {Map<string, Map<string, Object>>} - from_stop_id -> (to_stop_id -> rule)
+ */
+function buildTransferRules(transfers) {
+    const rules = new Map();
+
+    for (const rule of transfers) {
+        if (rule.from_route_id || rule.to_route_id || rule.from_trip_id || rule.to_trip_id) continue;
+        if (!rule.from_stop_id || !rule.to_stop_id) continue;
+
+        let fromRules = rules.get(rule.from_stop_id);
+        if (!fromRules) {
+            fromRules = new Map();
+            rules.set(rule.from_stop_id, fromRules);
+        }
+        fromRules.set(rule.to_stop_id, rule);
+    }
+
+    return rules;
+}
+
+/**
+ * Add footpaths.txt walks as transfers between different stops. The transfer
+ * takes the walk plus a buffer for finding the stop and boarding. A
+ * transfers.txt rule for the same pair wins, including one forbidding the
+ * transfer.
+ * @param {Map} rules - From buildTransferRules; changed in place
+ * @param {Array<Object>} footpaths - Typed footpaths.txt rows
+ * @param {number} [bufferSeconds=120] - Added to each walk
+ * @returns {Map} - The rules
+ */
+function addFootpathTransfers(rules, footpaths, bufferSeconds = FOOTPATH_BUFFER_SECONDS) {
+    for (const footpath of footpaths) {
+        if (footpath.from_stop_id === footpath.to_stop_id) continue;
+
+        let fromRules = rules.get(footpath.from_stop_id);
+        if (!fromRules) {
+            fromRules = new Map();
+            rules.set(footpath.from_stop_id, fromRules);
+        }
+        if (fromRules.has(footpath.to_stop_id)) continue;
+        fromRules.set(footpath.to_stop_id, {
+            from_stop_id: footpath.from_stop_id,
+            to_stop_id: footpath.to_stop_id,
+            transfer_type: 2,
+            min_transfer_time: footpath.walk_seconds + bufferSeconds,
+            footpath: true
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Seconds a transfer rule requires, or null when the transfer is forbidden
+ */
+function ruleSeconds(rule, fallbackSeconds) {
+    switch (rule.transfer_type) {
+        case 1:
+            return 0;
+        case 2:
+            return rule.min_transfer_time !== null ? rule.min_transfer_time : fallbackSeconds;
+        case 3:
+            return null;
+        default:
+            return fallbackSeconds;
+    }
+}
+
+/**
+ * Minimum time to transfer between two stops
+ * @param {Map} rules - Rules from buildTransferRules
+ * @param {string} fromStopId - Stop where the rider alights
+ * @param {string} toStopId - Stop where the rider boards
+ * @param {number} [fallbackSeconds=300] - Time used when no rule exists
+ * @returns {number|null} - Seconds, or null when transfer_type 3 forbids it
+ */
+function getTransferSeconds(rules, fromStopId, toStopId, fallbackSeconds = DEFAULT_TRANSFER_SECONDS) {
+    const fromRules = rules.get(fromStopId);
+    const rule = fromRules && fromRules.get(toStopId);
+    return rule ? ruleSeconds(rule, fallbackSeconds) : fallbackSeconds;
+}
+
+/**
+ * Stops a rider can board from after alighting at stopId
+ * (the same stop unless forbidden, plus every allowed transfers.txt partner stop)
+ * @returns {Array<{stop_id: string, seconds: number}>}
+ */
+function getTransferOptions(rules, stopId, fallbackSeconds = DEFAULT_TRANSFER_SECONDS) {
+    const options = [];
+
+    const sameStopSeconds = getTransferSeconds(rules, stopId, stopId, fallbackSeconds);
+    if (sameStopSeconds !== null) {
+        options.push({ stop_id: stopId, seconds: sameStopSeconds });
+    }
+
+    for (const [toStopId, rule] of rules.get(stopId) || []) {
+        if (toStopId === stopId) continue;
+        const seconds = ruleSeconds(rule, fallbackSeconds);
+        if (seconds !== null) {
+            options.push({ stop_id: toStopId, seconds });
+        }
+    }
+
+    return options;
+}
+
+const rulesIntoStop = new WeakMap();
+
+/**
+ * Stops a rider can alight at to board at stopId (the reverse of getTransferOptions,
+ * used by arrive-by searches that walk the journey backwards)
+ * @returns {Array<{stop_id: string, seconds: number}>}
+ */
+function getTransferOptionsInto(rules, stopId, fallbackSeconds = DEFAULT_TRANSFER_SECONDS) {
+    // to_stop_id -> [from_stop_id], built once per rules map
+    let fromStops = rulesIntoStop.get(rules);
+    if (!fromStops) {
+        fromStops = new Map();
+        for (const [fromStopId, fromRules] of rules) {
+            for (const toStopId of fromRules.keys()) {
+                if (toStopId === fromStopId) continue;
+                if (!fromStops.has(toStopId)) fromStops.set(toStopId, []);
+                fromStops.get(toStopId).push(fromStopId);
+            }
+        }
+        rulesIntoStop.set(rules, fromStops);
+    }
+
+    const options = [];
+
+    const sameStopSeconds = getTransferSeconds(rules, stopId, stopId, fallbackSeconds);
+    if (sameStopSeconds !== null) {
+        options.push({ stop_id: stopId, seconds: sameStopSeconds });
+    }
+
+    for (const fromStopId of fromStops.get(stopId) || []) {
+        const seconds = ruleSeconds(rules.get(fromStopId).get(stopId), fallbackSeconds);
+        if (seconds !== null) {
+            options.push({ stop_id: fromStopId, seconds });
+        }
+    }
+
+    return options;
+}
+
+module.exports = {
+    DEFAULT_TRANSFER_SECONDS,
+    FOOTPATH_BUFFER_SECONDS,
+    buildTransferRules,
+    addFootpathTransfers,
+    getTransferSeconds,
+    getTransferOptions,
+    getTransferOptionsInto
+};
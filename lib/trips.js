@@ -0,0 +1,197 @@
+/**
+ * Trip Inspector
+ *
+ * One trip as the feed describes it: its stops in stop_sequence order with
+ * arrival and departure times, pickup/drop-off rules and shape_dist_traveled,
+ * and the trips before and after it on the same vehicle (block_id).
+ *
+ * A trip is found by trip_id, or by route and time: the first trip of the
+ * route running on the date that leaves its first stop at or after the time.
+ */
+
+const { loadRoutes, loadTrips, loadStopTimes, getActiveServices } = require('./gtfs_feed');
+const { timeToSeconds, timeDifferenceMinutes } = require('./timetable');
+const { placeJson, routeJson } = require('./itinerary_json');
+const { resolveQuery } = require('./query');
+const { progress, withProgress } = require('./progress');
+const { QueryError } = require('./query_error');
+
+// pickup_type / drop_off_type values
+const BOARDING_RULES = {
+    0: 'regular',
+    1: 'none',
+    2: 'phone agency',
+    3: 'ask driver'
+};
+
+/**
+ * Routes whose route_id or route_short_name is the value (case-insensitive)
+ */
+function findRoutes(value) {
+    const wanted = String(value).toLowerCase();
+    return loadRoutes().filter(r =>
+        r.route_id.toLowerCase() === wanted || (r.route_short_name || '').toLowerCase() === wanted);
+}
+
+/**
+ * Ordered stop_times of several trips
+ * @param {Set<string>} tripIds
+ * @returns {Map<string, Array<Object>>} - trip_id -> stop_times in stop_sequence order
+ */
+function stopTimesByTrip(tripIds) {
+    const byTrip = new Map();
+    for (const st of loadStopTimes(tripIds)) {
+        if (!byTrip.has(st.trip_id)) byTrip.set(st.trip_id, []);
+        byTrip.get(st.trip_id).push(st);
+    }
+    for (const stopTimes of byTrip.values()) {
+        stopTimes.sort((a, b) => a.stop_sequence - b.stop_sequence);
+    }
+    return byTrip;
+}
+
+/**
+ * The trip of a route leaving its first stop at or after a time
+ * @param {Array<Object>} routeTrips - Trips of the route running on the date
+ * @returns {Object|null}
+ */
+function tripAtTime(routeTrips, time) {
+    const byTrip = stopTimesByTrip(new Set(routeTrips.map(t => t.trip_id)));
+    const after = timeToSeconds(time);
+    let best = null;
+    let bestDeparture = Infinity;
+    for (const trip of routeTrips) {
+        const stopTimes = byTrip.get(trip.trip_id);
+        if (!stopTimes || stopTimes.length === 0) continue;
+        const departure = timeToSeconds(stopTimes[0].departure_time);
+        if (departure >= after && departure < bestDeparture) {
+            best = trip;
+            bestDeparture = departure;
+        }
+    }
+    return best;
+}
+
+/**
+ * Summary of a trip next to the inspected one in its block
+ */
+function blockTripJson(trip, stopTimes, layoverMinutes) {
+    const first = stopTimes[0];
+    const last = stopTimes[stopTimes.length - 1];
+    return {
+        trip_id: trip.trip_id,
+        route: routeJson(trip.route_id),
+        headsign: trip.trip_headsign || null,
+        from: placeJson(first.stop_id),
+        to: placeJson(last.stop_id),
+        departure: first.departure_time,
+        arrival: last.arrival_time,
+        layoverMinutes
+    };
+}
+
+/**
+ * Look up a trip with its stops and block neighbours
+ * @param {Object} options - date and timezone as in lib/query.js, plus:
+ * @param {string} [options.tripId] - The trip
+ * @param {string} [options.route] - Or a route (route_short_name or route_id) ...
+ * @param {string} [options.time] - ... and the time it leaves its first stop (default: now)
+ * @param {number} [options.directionId] - With route: only trips in this direction_id
+ * @returns {Promise<Object>} - { date, trip, stops, block: { previous, next } }; see the README
+ * @throws {QueryError} - For an unknown trip or route, or when no trip of the route is left
+ */
+function inspectTrip(options) {
+    return withProgress(options.log, async () => {
+        const { todayDate, dayName, userTime } = resolveQuery(options);
+        const activeServices = getActiveServices(dayName, todayDate);
+        const trips = loadTrips();
+
+        let trip;
+        if (options.tripId) {
+            trip = trips.find(t => t.trip_id === String(options.tripId));
+            if (!trip) {
+                throw new QueryError(`Unknown trip "${options.tripId}"`);
+            }
+        } else if (options.route) {
+            const routeIds = new Set(findRoutes(options.route).map(r => r.route_id));
+            if (routeIds.size === 0) {
+                throw new QueryError(`Unknown route "${options.route}", expected a route_short_name or route_id`);
+            }
+            const directionId = options.directionId !== undefined && options.directionId !== null ? Number(options.directionId) : null;
+            const routeTrips = trips.filter(t =>
+                routeIds.has(t.route_id) && activeServices.has(t.service_id) &&
+                (directionId === null || t.direction_id === directionId));
+            progress(`Looking for the first trip of route ${options.route} leaving after ${userTime} on ${dayName} (${todayDate})...`);
+            trip = tripAtTime(routeTrips, userTime);
+            if (!trip) {
+                throw new QueryError(`No trip of route ${options.route} leaves after ${userTime} on ${todayDate}`);
+            }
+        } else {
+            throw new QueryError('A trip_id, or a route and a time, is required');
+        }
+
+        // The block's trips on the same service day: this trip's service, and
+        // the other services running that day when it runs too
+        const runsOnDate = activeServices.has(trip.service_id);
+        const blockTrips = trip.block_id
+            ? trips.filter(t => t.block_id === trip.block_id &&
+                (t.service_id === trip.service_id || (runsOnDate && activeServices.has(t.service_id))))
+            : [trip];
+        const byTrip = stopTimesByTrip(new Set(blockTrips.map(t => t.trip_id)));
+        const stopTimes = byTrip.get(trip.trip_id) || [];
+
+        const block = { previous: null, next: null };
+        if (trip.block_id && stopTimes.length > 0) {
+            const ordered = blockTrips
+                .filter(t => (byTrip.get(t.trip_id) || []).length > 0)
+                .sort((a, b) => timeToSeconds(byTrip.get(a.trip_id)[0].departure_time) -
+                    timeToSeconds(byTrip.get(b.trip_id)[0].departure_time));
+            const index = ordered.findIndex(t => t.trip_id === trip.trip_id);
+            const start = stopTimes[0].departure_time;
+            const end = stopTimes[stopTimes.length - 1].arrival_time;
+
+            if (index > 0) {
+                const previous = ordered[index - 1];
+                const previousStops = byTrip.get(previous.trip_id);
+                block.previous = blockTripJson(previous, previousStops,
+                    timeDifferenceMinutes(previousStops[previousStops.length - 1].arrival_time, start));
+            }
+            if (index < ordered.length - 1) {
+                const next = ordered[index + 1];
+                const nextStops = byTrip.get(next.trip_id);
+                block.next = blockTripJson(next, nextStops, timeDifferenceMinutes(end, nextStops[0].departure_time));
+            }
+        }
+
+        return {
+            date: String(todayDate).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3'),
+            trip: {
+                trip_id: trip.trip_id,
+                route: routeJson(trip.route_id),
+                headsign: trip.trip_headsign || null,
+                direction_id: trip.direction_id,
+                service_id: trip.service_id,
+                runsOnDate,
+                block_id: trip.block_id || null,
+                shape_id: trip.shape_id || null
+            },
+            stops: stopTimes.map(st => ({
+                stop_sequence: st.stop_sequence,
+                stop: placeJson(st.stop_id),
+                arrival: st.arrival_time,
+                departure: st.departure_time,
+                pickup_type: st.pickup_type || 0,
+                drop_off_type: st.drop_off_type || 0,
+                shape_dist_traveled: st.shape_dist_traveled,
+                stop_headsign: st.stop_headsign || null
+            })),
+            block
+        };
+    });
+}
+
+module.exports = {
+    BOARDING_RULES,
+    findRoutes,
+    inspectTrip
+};
@@ -0,0 +1,264 @@
+/**
+ * Walking Router
+ *
+ * Network walking distances over the pedestrian graph build_walk_graph.js
+ * extracts from the OSM extract OTP uses, instead of straight lines: in Dubai
+ * a stop 200 m away across Sheikh Zayed Road can be a 2 km walk.
+ *
+ * A point joins the graph at its nearest node (the snap distance is walked
+ * in a straight line), then Dijkstra runs outwards up to the walk limit.
+ * Stops join it where the build linked them. The stop-to-stop walks the
+ * planners transfer on are precomputed from here into data/footpaths.txt
+ * by build_footpaths.js (lib/footpaths.js).
+ *
+ * Without a graph file (or with WALK_GRAPH=off), and for points too far from
+ * any walkable way to join it, every function falls back to the straight-line
+ * distances the callers pass in, so the finders work unchanged where no graph
+ * was built. Inside the graph a stop that cannot be walked to is left out.
+ *
+ * File: data/walk_graph.json, or the WALK_GRAPH_FILE path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, getStopMap } = require('./gtfs_feed');
+const { calculateDistance } = require('./stop_index');
+const { progress } = require('./progress');
+
+const GRAPH_FILE = process.env.WALK_GRAPH_FILE || path.join(DATA_DIR, 'walk_graph.json');
+const DEFAULT_WALKING_SPEED_M_PER_MIN = 80; // Every walk the planners time, unless told otherwise
+const DEFAULT_MAX_WALK_KM = 3.0; // Dijkstra stops here; stops further away are not walkable
+const MAX_SNAP_KM = 0.5; // Points further from any graph node are outside the graph
+const GRID_DEGREES = 0.005; // Snapping grid cell, about 500 m
+
+let graph; // undefined: not loaded yet, null: no graph
+
+function gridKey(lat, lng) {
+    return `${Math.floor(lat / GRID_DEGREES)}:${Math.floor(lng / GRID_DEGREES)}`;
+}
+
+/**
+ * Index graph nodes by grid cell for snapping
+ */
+function buildGrid(lat, lng) {
+    const grid = new Map();
+    for (let i = 0; i < lat.length; i++) {
+        const key = gridKey(lat[i], lng[i]);
+        let cell = grid.get(key);
+        if (!cell) {
+            cell = [];
+            grid.set(key, cell);
+        }
+        cell.push(i);
+    }
+    return grid;
+}
+
+/**
+ * The pedestrian graph, loaded once per process
+ * @returns {Object|null} - { lat, lng, offsets, targets, lengths, stops, grid }, null without a graph file
+ */
+function loadWalkGraph() {
+    if (graph !== undefined) return graph;
+    graph = null;
+    if (process.env.WALK_GRAPH === 'off' || !fs.existsSync(GRAPH_FILE)) {
+        return graph;
+    }
+
+    const data = JSON.parse(fs.readFileSync(GRAPH_FILE, 'utf8'));
+    graph = {
+        ...data,
+        offsets: Uint32Array.from(data.offsets),
+        targets: Uint32Array.from(data.targets),
+        lengths: Float32Array.from(data.lengths),
+        grid: buildGrid(data.lat, data.lng)
+    };
+    progress(`  ✓ Walking distances over the OSM footpath graph (${data.lat.length} nodes, ${path.basename(GRAPH_FILE)})`);
+    return graph;
+}
+
+/**
+ * Nearest graph node to a point
+ * @returns {{node: number, meters: number}|null} - null when no node is within MAX_SNAP_KM
+ */
+function snapToGraph(g, lat, lng) {
+    const row = Math.floor(lat / GRID_DEGREES);
+    const col = Math.floor(lng / GRID_DEGREES);
+    const reach = Math.ceil(MAX_SNAP_KM / 111 / GRID_DEGREES) + 1;
+    let best = null;
+    let bestKm = MAX_SNAP_KM;
+
+    // Rings of cells outwards; a ring further out than the best match cannot beat it
+    for (let ring = 0; ring <= reach; ring++) {
+        if (best && (ring - 1) * GRID_DEGREES * 111 * Math.cos(lat * Math.PI / 180) > bestKm) break;
+        for (let r = row - ring; r <= row + ring; r++) {
+            for (let c = col - ring; c <= col + ring; c++) {
+                if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+                for (const node of g.grid.get(`${r}:${c}`) || []) {
+                    const km = calculateDistance(lat, lng, g.lat[node], g.lng[node]);
+                    if (km <= bestKm) {
+                        best = node;
+                        bestKm = km;
+                    }
+                }
+            }
+        }
+    }
+    return best === null ? null : { node: best, meters: bestKm * 1000 };
+}
+
+/**
+ * Where a stop joins the graph: precomputed by the build, or snapped now
+ */
+function snapStop(g, stop) {
+    const snapped = g.stops[stop.stop_id];
+    if (snapped) return { node: snapped[0], meters: snapped[1] };
+    // Callers may pass { stop_id, distance } only
+    const row = stop.stop_lat !== undefined ? stop : getStopMap().get(stop.stop_id);
+    if (!row || row.stop_lat === null || row.stop_lon === null) return null;
+    return snapToGraph(g, row.stop_lat, row.stop_lon);
+}
+
+/**
+ * Shortest walks from one node, up to a limit
+ * @returns {Float64Array} - Metres per node, Infinity beyond the limit
+ */
+function shortestWalks(g, source, sourceMeters, maxMeters) {
+    const dist = new Float64Array(g.lat.length).fill(Infinity);
+    dist[source] = sourceMeters;
+
+    // Binary min-heap of [meters, node]
+    const heap = [[sourceMeters, source]];
+    const push = item => {
+        heap.push(item);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    while (heap.length > 0) {
+        const [meters, node] = pop();
+        if (meters > dist[node]) continue;
+        for (let e = g.offsets[node]; e < g.offsets[node + 1]; e++) {
+            const next = g.targets[e];
+            const candidate = meters + g.lengths[e];
+            if (candidate < dist[next] && candidate <= maxMeters) {
+                dist[next] = candidate;
+                push([candidate, next]);
+            }
+        }
+    }
+    return dist;
+}
+
+function maxWalkKm(options) {
+    return options.maxKm !== undefined ? options.maxKm : DEFAULT_MAX_WALK_KM;
+}
+
+/**
+ * The stops within the longest walk in a straight line, for walks off the graph
+ */
+function withinStraightLine(stops, options) {
+    const maxKm = maxWalkKm(options);
+    return stops.filter(stop => stop.distance <= maxKm);
+}
+
+/**
+ * Walks from where a point joins the graph to stops, closest first
+ */
+function walksFrom(g, origin, stops, options) {
+    const maxMeters = maxWalkKm(options) * 1000;
+    const dist = shortestWalks(g, origin.node, origin.meters, maxMeters);
+
+    const walked = [];
+    for (const stop of stops) {
+        const snapped = snapStop(g, stop);
+        if (!snapped) continue;
+        const meters = dist[snapped.node] + snapped.meters;
+        if (meters <= maxMeters) {
+            walked.push({ ...stop, distance: meters / 1000 });
+        }
+    }
+    return walked.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Walking distances from a point to stops, closest first
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Array<Object>} stops - Stops with their straight-line distance (km)
+ * @param {Object} [options]
+ * @param {number} [options.maxKm=3] - Stops not reached within this walk are left out
+ * @returns {Array<Object>} - Copies of the stops with distance set to the walk (km); empty when
+ *   none is reached. Without a graph, or for a point outside it, the stops as given that are
+ *   within maxKm in a straight line.
+ */
+function walkingDistances(lat, lng, stops, options = {}) {
+    const g = loadWalkGraph();
+    const origin = g && stops.length > 0 ? snapToGraph(g, lat, lng) : null;
+    return origin ? walksFrom(g, origin, stops, options) : withinStraightLine(stops, options);
+}
+
+/**
+ * Walking distances from a stop to nearby stops, closest first
+ * @param {Object} stop - The stop walked from (stops.txt row)
+ * @param {Array<Object>} stops - Stops with their straight-line distance (km)
+ * @param {Object} [options]
+ * @param {number} [options.maxKm=3] - Stops not reached within this walk are left out
+ * @returns {Array<Object>} - As walkingDistances, from where the build linked the stop
+ */
+function walkingDistancesFromStop(stop, stops, options = {}) {
+    const g = loadWalkGraph();
+    const origin = g && stops.length > 0 ? snapStop(g, stop) : null;
+    return origin ? walksFrom(g, origin, stops, options) : withinStraightLine(stops, options);
+}
+
+/**
+ * Where each stop joins the graph, for the graph file
+ * @param {Object} g - Graph under construction ({ lat, lng, offsets, targets, lengths, grid })
+ * @param {Array<Object>} stops - stops.txt rows
+ * @returns {Object} - stop_id -> [node, snap metres]; stops too far from a walkable way are left out
+ */
+function linkStops(g, stops) {
+    const linked = {};
+    for (const stop of stops) {
+        if (stop.stop_lat === null || stop.stop_lon === null) continue;
+        const snap = snapToGraph(g, stop.stop_lat, stop.stop_lon);
+        if (snap) linked[stop.stop_id] = [snap.node, Math.round(snap.meters * 10) / 10];
+    }
+    return linked;
+}
+
+module.exports = {
+    GRAPH_FILE,
+    DEFAULT_WALKING_SPEED_M_PER_MIN,
+    DEFAULT_MAX_WALK_KM,
+    buildGrid,
+    loadWalkGraph,
+    walkingDistances,
+    walkingDistancesFromStop,
+    linkStops
+};
@@ -1,5 +1,4 @@
-const fs = require('fs');
-const path = require('path');
+const { loadStops } = require('./lib/gtfs_feed');
 
 const otpUrl = 'http://localhost:8080/otp/routers/default/index/graphql';
 const dubaiMallCoords = { lat: 25.1972295, lng: 55.279747 };
@@ -12,27 +11,6 @@ const stopsToCheck = [
     "Mamzar, Beach 8"
 ];
 
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        const parts = line.split('","');
-        if (parts.length > 0) parts[0] = parts[0].replace(/^"/, '');
-        if (parts.length > 0) parts[parts.length - 1] = parts[parts.length - 1].replace(/"$/, '');
-
-        if (parts.length >= 4) {
-            data.push({
-                name: parts[1],
-                lat: parseFloat(parts[2]),
-                lon: parseFloat(parts[3])
-            });
-        }
-    }
-    return data;
-}
-
 async function getItineraries(from, to) {
     const query = `
     {
@@ -77,9 +55,7 @@ function formatDuration(seconds) {
 }
 
 async function main() {
-    const stopsPath = path.join(__dirname, 'data', 'stops.txt');
-    const content = fs.readFileSync(stopsPath, 'utf8');
-    const allStops = parseCSV(content);
+    const allStops = loadStops().map(s => ({ name: s.stop_name, lat: s.stop_lat, lon: s.stop_lon }));
 
     console.log(`🔍 Checking optimality for ${stopsToCheck.length} stops...\n`);
 
@@ -1,11 +1,15 @@
-require('dotenv').config();
+require('dotenv').config({ quiet: true }); // Keep stdout for the --json answer
 const minimist = require('minimist');
-const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+const { getAgencyTimezone, isValidTimezone, getZonedParts } = require('./lib/gtfs_feed');
+const { geocode } = require('./lib/geocoder');
+const { secondsToTime, timeToSeconds, SECONDS_PER_DAY } = require('./lib/timetable');
+const { enableJsonMode, printJson, itineraryJson, resultJson } = require('./lib/itinerary_json');
+const { itineraryGeoJson } = require('./lib/itinerary_geojson');
 const otpUrl = 'http://localhost:8080/otp/routers/default/index/graphql';
 
 const args = minimist(process.argv.slice(2), {
-    string: ['time', 'date', 'from', 'to'],
-    boolean: ['verbose', 'short', 'help'],
+    string: ['time', 'date', 'from', 'to', 'timezone'],
+    boolean: ['verbose', 'short', 'help', 'arrive-by', 'json', 'geojson'],
     alias: { t: 'time', d: 'date', v: 'verbose', s: 'short', h: 'help' },
     default: {
         'walk-dist': 3000,
@@ -13,6 +17,9 @@ const args = minimist(process.argv.slice(2), {
         limit: 3
     }
 });
+if (args.json || args.geojson) {
+    enableJsonMode();
+}
 
 if (args.help || (!args.from && !args._[0]) || (!args.to && !args._[1])) {
     console.log(`
@@ -21,8 +28,12 @@ Usage: node otp_cli.js [options] "Origin" "Destination"
 Options:
   --time, -t <HH:mm>       Departure time (default: current time)
   --date, -d <YYYY-MM-DD>  Departure date (default: today)
+  --arrive-by              Treat --time as the latest arrival time (latest departure that arrives in time)
+  --timezone <zone>        Timezone for today/now (default: agency_timezone, Asia/Dubai)
   --verbose, -v            Show detailed itinerary (stops, wait times)
   --short, -s              Show only summary (duration, modes)
+  --json                   Print the itineraries as JSON on stdout (lib/itinerary_json.js), progress on stderr
+  --geojson                Print the itineraries as GeoJSON on stdout (lib/itinerary_geojson.js), from OTP's legGeometry
   --limit <n>              Number of itineraries to show (default: 3)
   --walk-dist <meters>     Max walking distance (default: 3000m)
   --walk-reluctance <val>  Penalty for walking (default: 5)
@@ -30,7 +41,10 @@ Options:
 Examples:
   node otp_cli.js "Dubai Mall" "Al Nasr Leisureland"
   node otp_cli.js --time 23:00 "Burj Khalifa" "Mall of the Emirates"
+  node otp_cli.js --arrive-by --time 09:00 "Union Metro Station" "Dubai Mall"
   node otp_cli.js --verbose "Union Metro Station" "Airport Terminal 1"
+  node otp_cli.js --json "Dubai Mall" "Al Nasr Leisureland" > plan.json
+  node otp_cli.js --geojson "Dubai Mall" "Al Nasr Leisureland" > plan.geojson
 `);
     process.exit(0);
 }
@@ -38,27 +52,20 @@ Examples:
 const originName = args.from || args._[0];
 const destName = args.to || args._[1];
 
-// Helper: Get current date/time if not provided
-const now = new Date();
-const queryDate = args.date || now.toISOString().split('T')[0];
-const queryTime = args.time ? (args.time.length === 5 ? args.time + ':00' : args.time) : now.toTimeString().split(' ')[0];
+// Helper: Get current date/time if not provided, on the agency's clock rather than the host's
+const timeZone = args.timezone || getAgencyTimezone();
+if (!isValidTimezone(timeZone)) {
+    console.error(`Invalid --timezone "${timeZone}", expected an IANA zone such as Asia/Dubai`);
+    process.exit(1);
+}
+const now = getZonedParts(timeZone);
+const today = `${now.year}-${String(now.month).padStart(2, '0')}-${String(now.day).padStart(2, '0')}`;
+const queryDate = args.date || today;
+const queryTime = args.time ? (args.time.length === 5 ? args.time + ':00' : args.time) : now.time;
 
-async function geocode(place) {
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(place)}&key=${apiKey}`;
-    try {
-        const response = await fetch(url);
-        const data = await response.json();
-        if (data.status !== 'OK' || !data.results || data.results.length === 0) {
-            throw new Error(`Geocoding failed for "${place}": ${data.status}`);
-        }
-        return {
-            name: data.results[0].formatted_address,
-            lat: data.results[0].geometry.location.lat,
-            lng: data.results[0].geometry.location.lng
-        };
-    } catch (e) {
-        throw new Error(`Geocoding error: ${e.message}`);
-    }
+async function resolvePlace(place) {
+    const result = await geocode(place);
+    return { name: result.formatted_address, lat: result.lat, lng: result.lng };
 }
 
 async function getRoute(from, to) {
@@ -69,6 +76,7 @@ async function getRoute(from, to) {
         to: { lat: ${to.lat}, lon: ${to.lng} }
         date: "${queryDate}"
         time: "${queryTime}"
+        arriveBy: ${args['arrive-by']}
         transportModes: [{ mode: TRANSIT }, { mode: WALK }]
         maxWalkDistance: ${args['walk-dist']}
         walkReluctance: ${args['walk-reluctance']}
@@ -85,9 +93,12 @@ async function getRoute(from, to) {
             startTime
             endTime
             distance
-            from { name }
-            to { name }
-            route { shortName longName }
+            headsign
+            from { name lat lon stop { gtfsId } }
+            to { name lat lon stop { gtfsId } }
+            route { gtfsId shortName longName type }
+            trip { gtfsId }
+            legGeometry { points }
           }
         }
       }
@@ -117,24 +128,122 @@ function formatDuration(seconds) {
 }
 
 function formatTime(ms) {
-    return new Date(ms).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    return new Date(ms).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone });
+}
+
+/**
+ * Service-day time (HH:MM:SS, past 24:00:00 after midnight) of an OTP timestamp
+ */
+function serviceTime(ms) {
+    const parts = getZonedParts(timeZone, new Date(ms));
+    const [year, month, day] = queryDate.split('-').map(Number);
+    const days = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day) - Date.UTC(year, month - 1, day)) / 86400000);
+    return secondsToTime(timeToSeconds(parts.time) + days * SECONDS_PER_DAY);
+}
+
+// OTP ids are feed-scoped ("1:227102"); the GTFS finders use the bare id
+function gtfsId(id) {
+    return id ? id.slice(id.indexOf(':') + 1) : null;
+}
+
+/**
+ * GeoJSON LineString of an encoded polyline (OTP's legGeometry, precision 5)
+ */
+function decodePolyline(encoded) {
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+    const nextValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+    while (index < encoded.length) {
+        lat += nextValue();
+        lng += nextValue();
+        coordinates.push([lng / 1e5, lat / 1e5]);
+    }
+    return { type: 'LineString', coordinates };
+}
+
+function otpPlace(place) {
+    return { stop_id: place.stop ? gtfsId(place.stop.gtfsId) : null, name: place.name, lat: place.lat, lng: place.lon };
+}
+
+/**
+ * An OTP itinerary in the --json schema
+ */
+function itineraryToJson(itinerary) {
+    const legs = itinerary.legs.map(leg => {
+        const json = {
+            mode: leg.mode,
+            from: otpPlace(leg.from),
+            to: otpPlace(leg.to),
+            departure: serviceTime(leg.startTime),
+            arrival: serviceTime(leg.endTime),
+            durationMinutes: Math.round((leg.endTime - leg.startTime) / 60000)
+        };
+        if (leg.mode === 'WALK') {
+            json.distanceKm = Number((leg.distance / 1000).toFixed(3));
+        } else {
+            json.route = leg.route
+                ? { route_id: gtfsId(leg.route.gtfsId), short_name: leg.route.shortName || null, long_name: leg.route.longName || null, type: leg.route.type }
+                : null;
+            json.trip_id = leg.trip ? gtfsId(leg.trip.gtfsId) : null;
+            json.headsign = leg.headsign || null;
+        }
+        json.geometry = leg.legGeometry && leg.legGeometry.points ? decodePolyline(leg.legGeometry.points) : null;
+        return json;
+    });
+
+    // The walk after the last ride is a leg of its own here, walked rather than straight-line
+    let lastRide = legs.length - 1;
+    while (lastRide >= 0 && legs[lastRide].mode === 'WALK') lastRide--;
+    const egress = legs.slice(lastRide + 1);
+    return itineraryJson(legs, {
+        finalStop: lastRide >= 0 ? legs[lastRide].to : null,
+        finalWalkKm: egress.reduce((sum, leg) => sum + leg.distanceKm, 0)
+    });
 }
 
 async function main() {
     try {
-        console.log(`\n🔍 Planning trip for ${queryDate} at ${queryTime}...`);
+        if (args['arrive-by']) {
+            console.log(`\n🔍 Planning trip for ${queryDate}, arriving by ${queryTime}...`);
+        } else {
+            console.log(`\n🔍 Planning trip for ${queryDate} at ${queryTime}...`);
+        }
 
         console.log(`📍 Origin: "${originName}"`);
-        const originCoords = await geocode(originName);
+        const originCoords = await resolvePlace(originName);
         console.log(`   -> Resolved: ${originCoords.name} (${originCoords.lat.toFixed(4)}, ${originCoords.lng.toFixed(4)})`);
 
         console.log(`📍 Dest:   "${destName}"`);
-        const destCoords = await geocode(destName);
+        const destCoords = await resolvePlace(destName);
         console.log(`   -> Resolved: ${destCoords.name} (${destCoords.lat.toFixed(4)}, ${destCoords.lng.toFixed(4)})`);
 
         console.log(`\n🚀 Fetching routes...`);
         const itineraries = await getRoute(originCoords, destCoords);
 
+        if (args.json || args.geojson) {
+            const plan = resultJson('otp_cli', {
+                origin: originCoords,
+                destination: destCoords,
+                date: queryDate,
+                time: queryTime,
+                arriveBy: args['arrive-by']
+            }, (itineraries || []).map(itineraryToJson));
+            printJson(args.geojson ? itineraryGeoJson(plan) : plan);
+            return;
+        }
+
         if (!itineraries || itineraries.length === 0) {
             console.log('❌ No route found.');
             return;
@@ -168,6 +277,7 @@ async function main() {
 
     } catch (error) {
         console.error('❌ Error:', error.message);
+        process.exit(1);
     }
 }
 
@@ -1,17 +1,8 @@
 require('dotenv').config();
-const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+const { getAgencyTimezone } = require('./lib/gtfs_feed');
+const { geocode } = require('./lib/geocoder');
 const otpUrl = 'http://localhost:8080/otp/routers/default/index/graphql';
 
-async function geocode(place) {
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(place)}&key=${apiKey}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    if (data.status !== 'OK' || !data.results || data.results.length === 0) {
-        throw new Error(`Geocoding failed for "${place}": ${data.status}`);
-    }
-    return data.results[0].geometry.location;
-}
-
 async function getRoute(from, to) {
     const query = `
     {
@@ -60,7 +51,7 @@ function formatDuration(seconds) {
 }
 
 function formatTime(ms) {
-    return new Date(ms).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    return new Date(ms).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: getAgencyTimezone() });
 }
 
 async function main() {
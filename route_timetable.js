@@ -0,0 +1,86 @@
+/**
+ * Route Timetable Export
+ *
+ * Writes a route's timetable for one service day, a stop-by-trip matrix per
+ * direction_id, as CSV, Markdown or HTML for printing. Only timepoints are
+ * listed unless --all-stops is given (see lib/route_timetable.js for how
+ * they are detected).
+ *
+ * The timetable comes from routeTimetable (lib/route_timetable.js, also in
+ * index.js). Without --output it is printed to stdout and the logs go to
+ * stderr; --json prints the matrix itself as JSON.
+ *
+ * Usage:
+ *   node route_timetable.js [--date YYYY-MM-DD] [--timezone ZONE] [--format csv|md|html] [--direction 0|1] [--all-stops] [--output FILE] [--json] <ROUTE>
+ *
+ * Examples:
+ *   node route_timetable.js 13D
+ *   node route_timetable.js --date 2025-06-02 --format html --output 13D.html 13D
+ *   node route_timetable.js --format csv --direction 1 --all-stops MRed2 > mred2_1.csv
+ */
+
+const fs = require('fs');
+const minimist = require('minimist');
+const { printJson } = require('./lib/itinerary_json');
+const { FORMATS, routeTimetable, formatTimetable } = require('./lib/route_timetable');
+
+const DEFAULT_FORMAT = 'md';
+
+async function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['_', 'date', 'timezone', 'format', 'direction', 'output'],
+        boolean: ['all-stops', 'json']
+    });
+    const args = argv._;
+
+    if (args.length < 1) {
+        console.log("Usage: node route_timetable.js [--date YYYY-MM-DD] [--timezone ZONE] [--format csv|md|html] [--direction 0|1] [--all-stops] [--output FILE] [--json] <ROUTE>");
+        console.log("\nROUTE is a route_short_name or route_id.");
+        console.log("\nExamples:");
+        console.log("  node route_timetable.js 13D");
+        console.log("  node route_timetable.js --date 2025-06-02 --format html --output 13D.html 13D");
+        console.log("  node route_timetable.js --format csv --direction 1 --all-stops MRed2 > mred2_1.csv");
+        console.log(`\n--format: ${FORMATS.join(', ')} (default: ${DEFAULT_FORMAT})`);
+        console.log("--all-stops: list every stop, not only the timepoints");
+        process.exit(1);
+    }
+
+    const format = argv.format || DEFAULT_FORMAT;
+    if (!FORMATS.includes(format)) {
+        console.error(`Invalid --format "${format}", expected one of: ${FORMATS.join(', ')}`);
+        process.exit(1);
+    }
+    // stdout carries the timetable unless it goes to a file
+    const log = argv.output ? console.log : console.error;
+
+    let timetable;
+    try {
+        timetable = await routeTimetable({
+            route: args[0],
+            directionId: argv.direction,
+            date: argv.date,
+            timezone: argv.timezone,
+            log
+        });
+    } catch (error) {
+        console.error(`\n✗ Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (argv.json) {
+        printJson(timetable);
+        return;
+    }
+
+    const output = formatTimetable(timetable, format, { allStops: argv['all-stops'] });
+    if (argv.output) {
+        fs.writeFileSync(argv.output, output);
+        console.log(`  ✓ Timetable written to ${argv.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,81 @@
+/**
+ * Checks for the GTFS CSV parser (forEachCSVRow and parseCSV in
+ * lib/gtfs_feed.js) on inline content
+ *
+ * Usage:
+ *   node test_csv.js
+ */
+
+const assert = require('assert');
+const { forEachCSVRow, parseCSV } = require('./lib/gtfs_feed');
+
+let failed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`✗ ${name}\n    ${error.message}`);
+    }
+}
+
+function rows(content) {
+    const all = [];
+    forEachCSVRow(content, (values, rowIndex) => all.push([rowIndex, values]));
+    return all;
+}
+
+check('plain rows, header first', () => {
+    assert.deepStrictEqual(rows('stop_id,stop_name\n1,Union\n2,Deira\n'), [
+        [0, ['stop_id', 'stop_name']],
+        [1, ['1', 'Union']],
+        [2, ['2', 'Deira']]
+    ]);
+});
+
+check('quoted fields keep commas, escaped quotes and line breaks', () => {
+    assert.deepStrictEqual(rows('a,b,c\n"Mall, Gate 1","Say ""hi""","two\nlines"\n'), [
+        [0, ['a', 'b', 'c']],
+        [1, ['Mall, Gate 1', 'Say "hi"', 'two\nlines']]
+    ]);
+});
+
+check('CRLF line ends, a BOM, blank lines and no final newline', () => {
+    assert.deepStrictEqual(rows('\uFEFFa,b\r\n\r\n1,2\r\n\n3,4'), [
+        [0, ['a', 'b']],
+        [1, ['1', '2']],
+        [2, ['3', '4']]
+    ]);
+});
+
+check('empty fields are kept, including a trailing one', () => {
+    assert.deepStrictEqual(rows('a,b,c\n,x,\n'), [
+        [0, ['a', 'b', 'c']],
+        [1, ['', 'x', '']]
+    ]);
+});
+
+check('parseCSV keys rows by the trimmed header and trims values', () => {
+    assert.deepStrictEqual(parseCSV('\uFEFF stop_id , stop_name\n 13001 , "Al Karama, Bus Stn 1 "\n'), [
+        { stop_id: '13001', stop_name: 'Al Karama, Bus Stn 1' }
+    ]);
+});
+
+check('parseCSV fills missing trailing columns with empty strings', () => {
+    assert.deepStrictEqual(parseCSV('trip_id,route_id,trip_headsign\nT1,R1\n'), [
+        { trip_id: 'T1', route_id: 'R1', trip_headsign: '' }
+    ]);
+});
+
+check('parseCSV of a header alone or of nothing', () => {
+    assert.deepStrictEqual(parseCSV('stop_id,stop_name\n'), []);
+    assert.deepStrictEqual(parseCSV(''), []);
+});
+
+if (failed > 0) {
+    console.log(`\n${failed} check(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll CSV parser checks passed');
@@ -0,0 +1,223 @@
+/**
+ * Checks for the OSM PBF reader (lib/osm_pbf.js) on small files encoded in
+ * code: dense and plain nodes, ways, zlib and raw blobs, and blocks whose
+ * lat/lon offsets are non-zero, negative ones included
+ *
+ * Usage:
+ *   node test_osm_pbf.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readOsmPbf } = require('./lib/osm_pbf');
+
+let failed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`✗ ${name}\n    ${error.message}`);
+    }
+}
+
+// Protobuf encoding, the reverse of what lib/osm_pbf.js reads
+
+/**
+ * A varint; negative values as ten-byte two's complement, as int64 fields are
+ */
+function varint(value) {
+    let v = BigInt.asUintN(64, BigInt(value));
+    const bytes = [];
+    while (v >= 0x80n) {
+        bytes.push(Number(v & 0x7fn) | 0x80);
+        v >>= 7n;
+    }
+    bytes.push(Number(v));
+    return Buffer.from(bytes);
+}
+
+function sint(value) {
+    return value >= 0 ? 2 * value : -2 * value - 1;
+}
+
+function varintField(field, value) {
+    return Buffer.concat([varint(field * 8), varint(value)]);
+}
+
+function bytesField(field, payload) {
+    const buf = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+    return Buffer.concat([varint(field * 8 + 2), varint(buf.length), buf]);
+}
+
+function packed(field, values, { signed = false, delta = false } = {}) {
+    let previous = 0;
+    const encoded = values.map(value => {
+        const v = delta ? value - previous : value;
+        previous = value;
+        return varint(signed ? sint(v) : v);
+    });
+    return bytesField(field, Buffer.concat(encoded));
+}
+
+/**
+ * A PrimitiveBlock of the given groups
+ */
+function primitiveBlock(strings, groups, { granularity, latOffset, lonOffset } = {}) {
+    const parts = [bytesField(1, Buffer.concat(['', ...strings].map(s => bytesField(1, s))))];
+    for (const group of groups) parts.push(bytesField(2, Buffer.concat(group)));
+    if (granularity !== undefined) parts.push(varintField(17, granularity));
+    if (latOffset !== undefined) parts.push(varintField(19, latOffset));
+    if (lonOffset !== undefined) parts.push(varintField(20, lonOffset));
+    return Buffer.concat(parts);
+}
+
+/**
+ * One file block: size, BlobHeader and Blob
+ * @param {string} compression - 'zlib', 'raw' or 'lzma' (not read)
+ */
+function fileBlock(type, data, compression = 'zlib') {
+    let blob;
+    if (compression === 'raw') blob = bytesField(1, data);
+    else if (compression === 'zlib') blob = Buffer.concat([varintField(2, data.length), bytesField(3, zlib.deflateSync(data))]);
+    else blob = Buffer.concat([varintField(2, data.length), bytesField(4, data)]);
+    const header = Buffer.concat([bytesField(1, type), varintField(3, blob.length)]);
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(header.length);
+    return Buffer.concat([size, header, blob]);
+}
+
+/**
+ * Coordinate in units of granularity nanodegrees past the offset
+ */
+function units(degrees, offset, granularity) {
+    return Math.round((degrees * 1e9 - offset) / granularity);
+}
+
+let fileCount = 0;
+
+/**
+ * Write the blocks to a temporary file and read it back
+ */
+function readBlocks(blocks) {
+    const file = path.join(os.tmpdir(), `test_osm_pbf_${process.pid}_${fileCount++}.osm.pbf`);
+    fs.writeFileSync(file, Buffer.concat(blocks));
+    const nodes = [];
+    const ways = [];
+    try {
+        const stats = readOsmPbf(file, {
+            node: (id, lat, lng, tags) => nodes.push({ id, lat, lng, tags }),
+            way: way => ways.push(way)
+        });
+        return { stats, nodes, ways };
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+}
+
+function assertCoordinates(nodes, expected) {
+    assert.strictEqual(nodes.length, expected.length);
+    nodes.forEach((node, i) => {
+        const [id, lat, lng] = expected[i];
+        assert.strictEqual(node.id, id);
+        assert.ok(Math.abs(node.lat - lat) < 1e-9, `node ${id} lat ${node.lat}, expected ${lat}`);
+        assert.ok(Math.abs(node.lng - lng) < 1e-9, `node ${id} lng ${node.lng}, expected ${lng}`);
+    });
+}
+
+const POINTS = [[101, 25.2048, 55.2708], [102, 25.1972, 55.2744], [150, 25.0657, 55.1713]];
+const header = fileBlock('OSMHeader', bytesField(4, 'OsmSchema-V0.6'));
+
+function denseBlock(options, strings = ['highway', 'crossing']) {
+    const { granularity = 100, latOffset = 0, lonOffset = 0 } = options;
+    const dense = Buffer.concat([
+        packed(1, POINTS.map(p => p[0]), { signed: true, delta: true }),
+        packed(8, POINTS.map(p => units(p[1], latOffset, granularity)), { signed: true, delta: true }),
+        packed(9, POINTS.map(p => units(p[2], lonOffset, granularity)), { signed: true, delta: true }),
+        // Node 101 untagged, 102 highway=crossing, 150 untagged
+        packed(10, [0, 1, 2, 0, 0])
+    ]);
+    return primitiveBlock(strings, [[bytesField(2, dense)]], options);
+}
+
+check('dense nodes with no offsets', () => {
+    const { stats, nodes } = readBlocks([header, fileBlock('OSMData', denseBlock({}))]);
+    assert.deepStrictEqual(stats, { blocks: 1, skipped: 0 });
+    assertCoordinates(nodes, POINTS);
+    assert.deepStrictEqual(nodes.map(n => n.tags), [{}, { highway: 'crossing' }, {}]);
+});
+
+check('dense nodes past a negative lat_offset and a positive lon_offset', () => {
+    const options = { latOffset: -2000000000, lonOffset: 3500000000 };
+    const { nodes } = readBlocks([fileBlock('OSMData', denseBlock(options))]);
+    assertCoordinates(nodes, POINTS);
+});
+
+check('offsets beyond 32 bits and a coarser granularity', () => {
+    const options = { granularity: 1000, latOffset: -30000000000, lonOffset: -60000000000 };
+    const expected = POINTS.map(([id, lat, lng]) => [
+        id,
+        1e-9 * (options.latOffset + 1000 * units(lat, options.latOffset, 1000)),
+        1e-9 * (options.lonOffset + 1000 * units(lng, options.lonOffset, 1000))
+    ]);
+    const { nodes } = readBlocks([fileBlock('OSMData', denseBlock(options))]);
+    assertCoordinates(nodes, expected);
+    nodes.forEach((node, i) => assert.ok(Math.abs(node.lat - POINTS[i][1]) < 1e-6));
+});
+
+check('plain nodes and ways in a raw blob, with offsets', () => {
+    const options = { latOffset: -1500000000, lonOffset: 250000000 };
+    const strings = ['highway', 'footway', 'name', 'Marina Walk'];
+    const node = Buffer.concat([
+        varintField(1, sint(7)),
+        packed(2, [3]),
+        packed(3, [4]),
+        varintField(8, sint(units(25.08, options.latOffset, 100))),
+        varintField(9, sint(units(55.14, options.lonOffset, 100)))
+    ]);
+    const way = Buffer.concat([
+        varintField(1, 9001),
+        packed(2, [1]),
+        packed(3, [2]),
+        packed(8, [101, 102, 7, 150], { signed: true, delta: true })
+    ]);
+    const block = primitiveBlock(strings, [[bytesField(1, node)], [bytesField(3, way)]], options);
+    const { stats, nodes, ways } = readBlocks([header, fileBlock('OSMData', block, 'raw')]);
+    assert.deepStrictEqual(stats, { blocks: 1, skipped: 0 });
+    assertCoordinates(nodes, [[7, 25.08, 55.14]]);
+    assert.deepStrictEqual(nodes[0].tags, { name: 'Marina Walk' });
+    assert.deepStrictEqual(ways, [{ id: 9001, tags: { highway: 'footway' }, refs: [101, 102, 7, 150] }]);
+});
+
+check('each block keeps its own offsets', () => {
+    const { nodes } = readBlocks([
+        fileBlock('OSMData', denseBlock({ latOffset: -2000000000 })),
+        fileBlock('OSMData', denseBlock({ lonOffset: 1000000000 }))
+    ]);
+    assertCoordinates(nodes, [...POINTS, ...POINTS]);
+});
+
+check('blobs in other compressions are counted as skipped', () => {
+    const { stats, nodes } = readBlocks([
+        fileBlock('OSMData', denseBlock({}), 'lzma'),
+        fileBlock('OSMData', denseBlock({}))
+    ]);
+    assert.deepStrictEqual(stats, { blocks: 1, skipped: 1 });
+    assert.strictEqual(nodes.length, POINTS.length);
+});
+
+check('a truncated file is an error', () => {
+    const whole = fileBlock('OSMData', denseBlock({}));
+    assert.throws(() => readBlocks([whole.subarray(0, whole.length - 5)]), /Truncated OSM PBF file/);
+});
+
+if (failed > 0) {
+    console.log(`\n${failed} check(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll OSM PBF checks passed');
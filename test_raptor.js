@@ -0,0 +1,154 @@
+/**
+ * Checks for the RAPTOR planner (lib/raptor.js) on a small timetable built
+ * in code, so they run without the GTFS feed
+ *
+ * Usage:
+ *   node test_raptor.js
+ *
+ *   A 08:00 -> B 08:05 -> C 08:10     route R1 (again at 08:30, 08:35, 08:40)
+ *   C 08:20 -> D 08:40                route R2 (again at 08:50, 09:10)
+ *   A 08:02 -> D 09:30                route R3, slow but direct
+ *   A 08:01 -> D 08:15                route R4, no pickup at A
+ *   E 08:25 -> D 08:35                route R5, a walk from C
+ */
+
+const assert = require('assert');
+const { buildTimetable } = require('./lib/timetable');
+const { buildTransferRules } = require('./lib/transfers');
+const { raptorSearch, raptorSearchArriveBy } = require('./lib/raptor');
+
+let failed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`✗ ${name}\n    ${error.message}`);
+    }
+}
+
+const TRIPS = [
+    ['T1', 'R1', [['A', '08:00:00'], ['B', '08:05:00'], ['C', '08:10:00']]],
+    ['T2', 'R1', [['A', '08:30:00'], ['B', '08:35:00'], ['C', '08:40:00']]],
+    ['T3', 'R2', [['C', '08:20:00'], ['D', '08:40:00']]],
+    ['T4', 'R2', [['C', '08:50:00'], ['D', '09:10:00']]],
+    ['T5', 'R3', [['A', '08:02:00'], ['D', '09:30:00']]],
+    ['T6', 'R4', [['A', '08:01:00', 1], ['D', '08:15:00']]],
+    ['T7', 'R5', [['E', '08:25:00'], ['D', '08:35:00']]]
+];
+
+/**
+ * A fresh timetable of TRIPS (buildTimetable changes its rows)
+ */
+function fixtureTimetable() {
+    const stopTimes = [];
+    const tripRouteMap = {};
+    for (const [tripId, routeId, calls] of TRIPS) {
+        tripRouteMap[tripId] = { trip_id: tripId, route_id: routeId, trip_headsign: calls[calls.length - 1][0] };
+        calls.forEach(([stopId, time, pickupType = 0], i) => {
+            stopTimes.push({
+                trip_id: tripId,
+                stop_id: stopId,
+                stop_sequence: i + 1,
+                arrival_time: time,
+                departure_time: time,
+                pickup_type: pickupType,
+                drop_off_type: 0
+            });
+        });
+    }
+    return buildTimetable(stopTimes, tripRouteMap);
+}
+
+function rides(journey) {
+    return journey.path.map(leg => `${leg.trip_id}:${leg.from}>${leg.to}`).join(' ');
+}
+
+const noWalks = new Map([['D', 0]]);
+
+check('forward: Pareto set of the direct trip and the faster one-transfer journey', () => {
+    const journeys = raptorSearch(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '07:55:00');
+    assert.deepStrictEqual(journeys.map(j => [j.numTransfers, j.arrival, rides(j)]), [
+        [0, '09:30:00', 'T5:A>D'],
+        [1, '08:40:00', 'T1:A>C T3:C>D']
+    ]);
+});
+
+check('forward: no boarding where pickup_type is 1', () => {
+    const journeys = raptorSearch(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '07:55:00');
+    assert.ok(journeys.every(j => j.path.every(leg => leg.trip_id !== 'T6')));
+});
+
+check('forward: the transfer time decides which trip is caught', () => {
+    // 11 minutes at C misses T3 (08:20) after T1 arrives at 08:10
+    const journeys = raptorSearch(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '07:55:00', {
+        fallbackTransferSeconds: 11 * 60
+    });
+    assert.strictEqual(journeys[journeys.length - 1].arrival, '09:10:00');
+});
+
+check('forward: access and egress walks count in the arrival', () => {
+    const journeys = raptorSearch(fixtureTimetable(), [{ stop_id: 'A', walkSeconds: 120 }], new Map([['D', 300]]), '07:55:00');
+    const best = journeys[journeys.length - 1];
+    assert.strictEqual(best.arrival, '08:45:00');
+    assert.strictEqual(best.accessSeconds, 120);
+    assert.strictEqual(best.egressSeconds, 300);
+    // Leaving at 07:59 the walk to A misses T1 (08:00) but not T5 (08:02)
+    const late = raptorSearch(fixtureTimetable(), [{ stop_id: 'A', walkSeconds: 120 }], noWalks, '07:59:00');
+    assert.deepStrictEqual(late.map(rides), ['T5:A>D', 'T2:A>C T4:C>D']);
+});
+
+check('forward: transfer_type 3 forbids changing at a stop', () => {
+    const transferRules = buildTransferRules([{ from_stop_id: 'C', to_stop_id: 'C', transfer_type: 3, min_transfer_time: null }]);
+    const journeys = raptorSearch(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '07:55:00', { transferRules });
+    assert.deepStrictEqual(journeys.map(rides), ['T5:A>D']);
+});
+
+check('forward: a walk to a partner stop is a transfer', () => {
+    const transferRules = buildTransferRules([
+        { from_stop_id: 'C', to_stop_id: 'C', transfer_type: 3, min_transfer_time: null },
+        { from_stop_id: 'C', to_stop_id: 'E', transfer_type: 2, min_transfer_time: 600 }
+    ]);
+    const journeys = raptorSearch(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '07:55:00', { transferRules });
+    assert.deepStrictEqual(journeys.map(j => [j.arrival, rides(j)]), [
+        ['09:30:00', 'T5:A>D'],
+        ['08:35:00', 'T1:A>C T7:E>D']
+    ]);
+});
+
+check('forward: no journey after the last trip', () => {
+    assert.deepStrictEqual(raptorSearch(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '09:00:00'), []);
+});
+
+check('arrive-by: the latest departure that still arrives by the deadline', () => {
+    const journeys = raptorSearchArriveBy(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '09:15:00');
+    assert.deepStrictEqual(journeys.map(j => [j.numTransfers, j.departure, j.arrival, rides(j)]), [
+        [1, '08:30:00', '09:10:00', 'T2:A>C T4:C>D']
+    ]);
+});
+
+check('arrive-by: a later deadline lets the direct trip in, leaving earlier', () => {
+    const journeys = raptorSearchArriveBy(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '09:30:00');
+    assert.deepStrictEqual(journeys.map(j => [j.numTransfers, j.departure]), [[0, '08:02:00'], [1, '08:30:00']]);
+    const direct = raptorSearchArriveBy(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '09:30:00', { maxTransfers: 0 });
+    assert.deepStrictEqual(direct.map(j => [j.departure, rides(j)]), [['08:02:00', 'T5:A>D']]);
+});
+
+check('arrive-by: walks move the departure and the arrival', () => {
+    const journeys = raptorSearchArriveBy(fixtureTimetable(), [{ stop_id: 'A', walkSeconds: 180 }], new Map([['D', 240]]), '09:15:00');
+    assert.deepStrictEqual(journeys.map(j => [j.departure, j.arrival, rides(j)]), [
+        ['08:27:00', '09:14:00', 'T2:A>C T4:C>D']
+    ]);
+});
+
+check('arrive-by: nothing arrives before the first trip', () => {
+    assert.deepStrictEqual(raptorSearchArriveBy(fixtureTimetable(), [{ stop_id: 'A' }], noWalks, '08:30:00'), []);
+});
+
+if (failed > 0) {
+    console.log(`\n${failed} check(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll RAPTOR checks passed');
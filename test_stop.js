@@ -8,72 +8,21 @@
  *   node test_stop.js 13502
  */
 
-const { exec } = require('child_process');
 const fs = require('fs');
-const path = require('path');
+const { loadStops } = require('./lib/gtfs_feed');
+const { bfsPlan, findWithTransfer } = require('./index');
 
-const DATA_DIR = path.join(__dirname, 'data');
-
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-    
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        
-        const values = [];
-        let current = '';
-        let inQuote = false;
-        
-        for (let j = 0; j < line.length; j++) {
-            const char = line[j];
-            if (char === '"') {
-                inQuote = !inQuote;
-            } else if (char === ',' && !inQuote) {
-                values.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current);
-        
-        const entry = {};
-        headers.forEach((h, idx) => {
-            entry[h] = values[idx] ? values[idx].replace(/^"|"$/g, '') : '';
-        });
-        data.push(entry);
+async function runFinder(finder, stopId, destination) {
+    const startTime = Date.now();
+    try {
+        const plan = await finder({ origin: stopId, destination });
+        return { success: true, executionTime: Date.now() - startTime, plan };
+    } catch (error) {
+        return { success: false, executionTime: Date.now() - startTime, error: error.message };
     }
-    return data;
-}
-
-function loadFile(filename) {
-    const filePath = path.join(DATA_DIR, filename);
-    return parseCSV(fs.readFileSync(filePath, 'utf8'));
 }
 
-function runScript(scriptPath, stopId, destination) {
-    return new Promise((resolve) => {
-        const startTime = Date.now();
-        const command = `node ${scriptPath} ${stopId} "${destination}"`;
-        
-        exec(command, { maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
-            const endTime = Date.now();
-            const executionTime = endTime - startTime;
-            
-            if (error) {
-                resolve({ success: false, executionTime, error: error.message, output: stdout });
-                return;
-            }
-            
-            resolve({ success: true, executionTime, output: stdout, stderr });
-        });
-    });
-}
-
-function parseOutput(output) {
+function parseOutput(plan) {
     const result = {
         routeFound: false,
         journeyTime: null,
@@ -84,40 +33,19 @@ function parseOutput(output) {
         isDirect: false
     };
     
-    if (output.includes('✓ Route found') || output.includes('✓ Best route found')) {
-        result.routeFound = true;
-    } else if (output.includes('✗ No route found') || output.includes('✗ No path found')) {
+    const itinerary = plan.itineraries[0];
+    if (!itinerary) {
         return result;
     }
     
-    const journeyTimeMatch = output.match(/Total journey time: (\d+) minutes/);
-    if (journeyTimeMatch) {
-        result.journeyTime = parseInt(journeyTimeMatch[1], 10);
-    }
-    
-    // Match patterns like "1 transfer(s)", "with 1 transfer:", "with walk + 1 transfer:"
-    const transferMatch = output.match(/(\d+) transfer\(s?\)|with (?:walk \+ )?(\d+) transfer/);
-    if (transferMatch) {
-        result.numTransfers = parseInt(transferMatch[1] || transferMatch[2], 10);
-    } else if (output.includes('DIRECT (no transfers)') || output.includes('no transfers')) {
-        result.numTransfers = 0;
-        result.isDirect = true;
-    }
-    
-    const legMatches = output.match(/LEG \d+:/g);
-    if (legMatches) {
-        result.numLegs = legMatches.length;
-    } else if (result.isDirect && result.routeFound) {
-        // Direct routes have 1 leg but may not have "LEG 1:" prefix
-        result.numLegs = 1;
-    }
-    
-    const distanceMatch = output.match(/Final distance to [^:]+: ([\d.]+) km/);
-    if (distanceMatch) {
-        result.distance = parseFloat(distanceMatch[1]);
-    }
-    
-    result.hasWalk = output.includes('WALK') || output.includes('walk');
+    const rides = itinerary.legs.filter(leg => leg.mode !== 'WALK');
+    result.routeFound = true;
+    result.journeyTime = itinerary.durationMinutes;
+    result.numTransfers = itinerary.transfers;
+    result.numLegs = rides.length;
+    result.distance = itinerary.finalWalkKm;
+    result.hasWalk = itinerary.legs.some(leg => leg.mode === 'WALK');
+    result.isDirect = rides.length > 0 && itinerary.transfers === 0;
     
     return result;
 }
@@ -135,21 +63,19 @@ async function main() {
     console.log(`Testing stop ${stopId} to ${destination}...\n`);
     
     // Get stop name
-    const stops = loadFile('stops.txt');
+    const stops = loadStops();
     const stopInfo = stops.find(s => s.stop_id === stopId);
     const stopName = stopInfo ? stopInfo.stop_name : 'Unknown';
     
     console.log(`Stop: ${stopName} (${stopId})\n`);
     
-    // Run both scripts in parallel
-    console.log('Running BFS and Transfer scripts in parallel...\n');
-    const [bfsResult, transferResult] = await Promise.all([
-        runScript('find_transit_bfs.js', stopId, destination),
-        runScript('find_transit_with_transfer.js', stopId, destination)
-    ]);
+    // Run both searches one after the other (they share the loaded feed)
+    console.log('Running BFS and Transfer searches...\n');
+    const bfsResult = await runFinder(bfsPlan, stopId, destination);
+    const transferResult = await runFinder(findWithTransfer, stopId, destination);
     
-    const bfsParsed = bfsResult.success ? parseOutput(bfsResult.output) : {};
-    const transferParsed = transferResult.success ? parseOutput(transferResult.output) : {};
+    const bfsParsed = bfsResult.success ? parseOutput(bfsResult.plan) : {};
+    const transferParsed = transferResult.success ? parseOutput(transferResult.plan) : {};
     
     console.log('Results:');
     console.log(`  BFS: ${bfsResult.executionTime}ms - Route: ${bfsParsed.routeFound ? 'Found' : 'Not Found'}`);
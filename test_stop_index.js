@@ -0,0 +1,119 @@
+/**
+ * Checks for the stop grid index (lib/stop_index.js): its nearest-stop and
+ * radius queries must match measuring every stop, inside the grid and for
+ * the far points and wide radii it answers by scanning all stops
+ *
+ * The index is built over generated stops instead of stops.txt.
+ *
+ * Usage:
+ *   node test_stop_index.js
+ */
+
+const assert = require('assert');
+const gtfsFeed = require('./lib/gtfs_feed');
+
+// Deterministic pseudo-random numbers in [0, 1)
+let seed = 42;
+function random() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+}
+
+// 600 stops over Dubai, a dense cluster around Union, and one without coordinates
+const STOPS = [];
+for (let i = 0; i < 600; i++) {
+    STOPS.push({ stop_id: `S${i}`, stop_lat: 24.9 + random() * 0.5, stop_lon: 55.0 + random() * 0.6 });
+}
+for (let i = 0; i < 40; i++) {
+    STOPS.push({ stop_id: `U${i}`, stop_lat: 25.266 + random() * 0.004, stop_lon: 55.314 + random() * 0.004 });
+}
+STOPS.push({ stop_id: 'NOWHERE', stop_lat: null, stop_lon: null });
+
+// stop_index reads loadStops when it is required
+gtfsFeed.loadStops = () => STOPS;
+const { calculateDistance, findNearestStops, findStopsWithin } = require('./lib/stop_index');
+
+let failed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`✗ ${name}\n    ${error.message}`);
+    }
+}
+
+function bruteForce(lat, lng) {
+    return STOPS
+        .filter(s => s.stop_lat !== null)
+        .map(s => ({ stop_id: s.stop_id, distance: calculateDistance(lat, lng, s.stop_lat, s.stop_lon) }))
+        .sort((a, b) => a.distance - b.distance);
+}
+
+// Distances, so stops tied at the same distance may come in either order
+function distances(stops) {
+    return stops.map(s => Number(s.distance.toFixed(9)));
+}
+
+function randomPoint(spread) {
+    return [25.15 + (random() - 0.5) * spread, 55.3 + (random() - 0.5) * spread];
+}
+
+check('nearest stops match measuring every stop', () => {
+    for (let q = 0; q < 300; q++) {
+        const [lat, lng] = randomPoint(q < 200 ? 0.6 : 3);
+        const k = 1 + Math.floor(random() * 25);
+        assert.deepStrictEqual(distances(findNearestStops(lat, lng, k)), distances(bruteForce(lat, lng).slice(0, k)), `k=${k} at ${lat},${lng}`);
+    }
+});
+
+check('nearest stops within maxKm', () => {
+    for (let q = 0; q < 100; q++) {
+        const [lat, lng] = randomPoint(0.6);
+        const maxKm = random() * 3;
+        const expected = bruteForce(lat, lng).filter(s => s.distance <= maxKm).slice(0, 10);
+        assert.deepStrictEqual(distances(findNearestStops(lat, lng, 10, { maxKm })), distances(expected), `maxKm=${maxKm} at ${lat},${lng}`);
+    }
+});
+
+check('stops within a radius match measuring every stop', () => {
+    for (let q = 0; q < 300; q++) {
+        const [lat, lng] = randomPoint(q < 200 ? 0.6 : 3);
+        const radiusKm = random() * (q % 3 === 0 ? 5 : 1);
+        const expected = bruteForce(lat, lng).filter(s => s.distance <= radiusKm);
+        assert.deepStrictEqual(distances(findStopsWithin(lat, lng, radiusKm)), distances(expected), `radius=${radiusKm} at ${lat},${lng}`);
+    }
+});
+
+check('a point far outside the grid scans every stop', () => {
+    const [lat, lng] = [28.5, 50.1];
+    assert.deepStrictEqual(distances(findNearestStops(lat, lng, 5)), distances(bruteForce(lat, lng).slice(0, 5)));
+    assert.deepStrictEqual(findNearestStops(lat, lng, 5, { maxKm: 10 }), []);
+});
+
+check('a radius covering the whole grid scans every stop', () => {
+    const within = findStopsWithin(25.2, 55.3, 200);
+    assert.strictEqual(within.length, STOPS.length - 1);
+    assert.deepStrictEqual(distances(within), distances(bruteForce(25.2, 55.3)));
+    assert.deepStrictEqual(distances(findStopsWithin(25.2, 55.3, 200, { maxResults: 3 })), distances(bruteForce(25.2, 55.3).slice(0, 3)));
+});
+
+check('results are copies with the distance, never the stops themselves', () => {
+    const [nearest] = findNearestStops(25.268, 55.316, 1);
+    assert.ok(nearest.stop_id.startsWith('U'));
+    assert.ok(!STOPS.includes(nearest));
+    assert.strictEqual(STOPS.find(s => s.stop_id === nearest.stop_id).distance, undefined);
+});
+
+check('nothing for k = 0 or a zero radius away from every stop', () => {
+    assert.deepStrictEqual(findNearestStops(25.2, 55.3, 0), []);
+    assert.deepStrictEqual(findStopsWithin(28.5, 50.1, 0), []);
+});
+
+if (failed > 0) {
+    console.log(`\n${failed} check(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll stop index checks passed');
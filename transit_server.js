@@ -0,0 +1,261 @@
+/**
+ * Journey Planning Server
+ *
+ * Serves the GTFS finders (index.js) over HTTP, so a web front end can call
+ * them the way otp_cli.js calls OTP's GraphQL endpoint. The feed is loaded
+ * and today's timetable preloaded once at startup; preloaded days stay in
+ * memory (keepTransitData in lib/gtfs_feed.js), so requests skip the
+ * multi-second preloadTransitData.
+ *
+ * Endpoints (GET, parameters in the query string, JSON answers):
+ *   /plan          from, to [, date, time, arriveBy, engine, routeType, limit, finder, weight-*]
+ *                  Itinerary document of lib/itinerary_json.js. finder is combined
+ *                  (default, planToPlace), bfs (bfsPlan, with maxTransfers) or transfer
+ *                  (findWithTransfer).
+ *   /departures    stop [, date, time, routeType, route, limit]
+ *                  Next departures at a stop or station (lib/departures.js); stop is
+ *                  a stop_id or stop_code, route a route_short_name or route_id
+ *   /stops/nearby  lat and lng, or place [, radius (km, default 0.5), limit (default 10)]
+ *                  Nearest stops, closest first, with walking time
+ *
+ * Errors answer { "error": message } with status 400 (bad parameter or no
+ * plan possible, e.g. an unknown stop or place), 404 (unknown endpoint),
+ * 405 (a method other than GET) or 500 (a failure of the server, e.g. a
+ * broken feed or an unreachable geocoder; the stack goes to its log).
+ *
+ * Usage:
+ *   node transit_server.js [--port 3000] [--host localhost] [--timezone ZONE]
+ *
+ * Examples:
+ *   node transit_server.js --port 8090
+ *   curl "http://localhost:3000/plan?from=227102&to=Dubai%20Mall&time=08:00:00&limit=3"
+ *   curl "http://localhost:3000/plan?from=25.2655,55.3175&to=Dubai%20Mall&arriveBy=true&time=09:00"
+ *   curl "http://localhost:3000/departures?stop=227102&limit=5"
+ *   curl "http://localhost:3000/stops/nearby?lat=25.2655&lng=55.3175&radius=0.3"
+ */
+
+const http = require('http');
+const minimist = require('minimist');
+const { loadStops, loadRoutes, loadTrips, preloadTransitData, keepTransitData } = require('./lib/gtfs_feed');
+const { geocode } = require('./lib/geocoder');
+const { parseLatLng, findAccessStops } = require('./lib/origin');
+const { placeJson } = require('./lib/itinerary_json');
+const { WEIGHT_OPTIONS, resolveWeights } = require('./lib/itinerary_score');
+const { resolveQuery } = require('./lib/query');
+const { planToPlace, bfsPlan, findWithTransfer, stopDepartures } = require('./index');
+const { QueryError } = require('./lib/query_error');
+
+// ===== CONFIGURATION =====
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = 'localhost';
+const DEFAULT_NEARBY_RADIUS_KM = 0.5;
+const DEFAULT_NEARBY_STOPS = 10;
+// =========================
+
+const FINDERS = {
+    combined: planToPlace,
+    bfs: bfsPlan,
+    transfer: findWithTransfer
+};
+
+/**
+ * Read a boolean query parameter: present without a value, "true" or "1"
+ */
+function flag(params, name) {
+    return params.has(name) && ['', 'true', '1'].includes(params.get(name));
+}
+
+/**
+ * The options every finder takes (lib/query.js) from the query string
+ */
+function queryOptions(params, defaults) {
+    const argv = {};
+    for (const option of WEIGHT_OPTIONS) {
+        // Profiles are files on the server; requests give the weights themselves
+        if (option !== 'profile' && params.has(option)) {
+            argv[option] = params.get(option);
+        }
+    }
+
+    const options = {
+        date: params.get('date') || undefined,
+        time: params.get('time') || undefined,
+        timezone: params.get('timezone') || defaults.timezone,
+        routeType: params.get('routeType') || null,
+        weights: resolveWeights(argv)
+    };
+    if (params.has('limit')) {
+        options.limit = params.get('limit');
+    }
+    return options;
+}
+
+function required(params, name) {
+    const value = params.get(name);
+    if (!value) {
+        throw new QueryError(`Missing "${name}" parameter`);
+    }
+    return value;
+}
+
+async function handlePlan(params, defaults) {
+    const finderName = params.get('finder') || 'combined';
+    const finder = FINDERS[finderName];
+    if (!finder) {
+        throw new QueryError(`Unknown finder "${finderName}", expected one of: ${Object.keys(FINDERS).join(', ')}`);
+    }
+
+    const options = {
+        ...queryOptions(params, defaults),
+        origin: required(params, 'from'),
+        destination: required(params, 'to'),
+        arriveBy: flag(params, 'arriveBy'),
+        engine: params.get('engine') || undefined
+    };
+    if (params.has('maxTransfers')) {
+        // Checked by bfsPlan, like limit by lib/query.js
+        options.maxTransfers = params.get('maxTransfers');
+    }
+    return finder(options);
+}
+
+async function handleDepartures(params, defaults) {
+    return stopDepartures({
+        ...queryOptions(params, defaults),
+        stop: required(params, 'stop'),
+        route: params.get('route') || undefined
+    });
+}
+
+async function handleNearbyStops(params) {
+    const radius = params.has('radius') ? Number(params.get('radius')) : DEFAULT_NEARBY_RADIUS_KM;
+    const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_NEARBY_STOPS;
+    if (!(radius > 0)) {
+        throw new QueryError(`Invalid radius "${params.get('radius')}", expected kilometres above 0`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new QueryError(`Invalid limit "${params.get('limit')}", expected a positive integer`);
+    }
+
+    let location;
+    if (params.has('lat') || params.has('lng')) {
+        location = parseLatLng(`${params.get('lat')},${params.get('lng')}`);
+        if (!location) {
+            throw new QueryError(`Invalid coordinates "${params.get('lat')},${params.get('lng')}"`);
+        }
+        location.name = null;
+    } else {
+        const place = await geocode(required(params, 'place'));
+        location = { lat: place.lat, lng: place.lng, name: place.formatted_address };
+    }
+
+    const stops = findAccessStops(location.lat, location.lng, { maxStops: limit, maxWalkKm: radius });
+    return {
+        location: placeJson(location),
+        stops: stops.map(stop => ({
+            ...placeJson(stop),
+            distanceKm: Number(stop.distance.toFixed(3)),
+            walkMinutes: stop.walkMinutes
+        }))
+    };
+}
+
+const ROUTES = {
+    '/plan': handlePlan,
+    '/departures': handleDepartures,
+    '/stops/nearby': handleNearbyStops
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Answer one request
+ * @param {Object} defaults - { timezone } applied when a request does not give one
+ */
+async function handleRequest(req, res, defaults) {
+    const startTime = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    const handler = ROUTES[url.pathname.replace(/\/+$/, '')];
+    let status = 200;
+
+    if (!handler) {
+        status = 404;
+        sendJson(res, status, { error: `Unknown endpoint ${url.pathname}, expected one of: ${Object.keys(ROUTES).join(', ')}` });
+    } else if (req.method !== 'GET') {
+        status = 405;
+        sendJson(res, status, { error: `${req.method} is not supported, use GET` });
+    } else {
+        try {
+            sendJson(res, status, await handler(url.searchParams, defaults));
+        } catch (error) {
+            // The request's fault (bad parameter, unknown stop or place) or ours
+            status = error instanceof QueryError ? 400 : 500;
+            if (status === 500) console.error(error.stack);
+            sendJson(res, status, { error: error.message });
+        }
+    }
+
+    console.log(`${req.method} ${req.url} -> ${status} (${Date.now() - startTime} ms)`);
+}
+
+function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['port', 'host', 'timezone'],
+        boolean: ['help'],
+        alias: { h: 'help', p: 'port' }
+    });
+
+    if (argv.help) {
+        console.log("Usage: node transit_server.js [--port 3000] [--host localhost] [--timezone ZONE]");
+        console.log("\nEndpoints:");
+        console.log("  GET /plan?from=227102&to=Dubai%20Mall&time=08:00:00");
+        console.log("  GET /departures?stop=227102&limit=5");
+        console.log("  GET /stops/nearby?lat=25.2655&lng=55.3175&radius=0.3");
+        process.exit(0);
+    }
+
+    const port = argv.port !== undefined ? Number(argv.port) : Number(process.env.PORT || DEFAULT_PORT);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`Invalid --port "${argv.port}", expected 0-65535`);
+        process.exit(1);
+    }
+    const defaults = { timezone: argv.timezone };
+
+    // Load the feed and today's timetable before taking requests
+    let today;
+    try {
+        today = resolveQuery({ timezone: argv.timezone });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    keepTransitData();
+    console.log('Loading the GTFS feed...');
+    const startTime = Date.now();
+    loadStops();
+    loadRoutes();
+    loadTrips();
+    preloadTransitData(today.dayName, today.todayDate, null);
+    console.log(`  ✓ Ready in ${Date.now() - startTime} ms`);
+
+    const server = http.createServer((req, res) => handleRequest(req, res, defaults));
+    server.on('error', error => {
+        console.error(`\n✗ Error: ${error.message}`);
+        process.exit(1);
+    });
+    server.listen(port, argv.host || DEFAULT_HOST, () => {
+        const address = server.address();
+        console.log(`\nJourney planner listening on http://${argv.host || DEFAULT_HOST}:${address.port}`);
+        console.log(`  /plan, /departures, /stops/nearby (see the top of transit_server.js)`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
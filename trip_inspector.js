@@ -0,0 +1,143 @@
+/**
+ * Trip Inspector
+ *
+ * Prints one trip stop by stop: arrival and departure times, pickup and
+ * drop-off rules, shape_dist_traveled, and the trips the same vehicle runs
+ * before and after it (block_id). The trip is given by trip_id, or by
+ * --route and the time it leaves its first stop.
+ *
+ * The lookup is inspectTrip (lib/trips.js, also in index.js).
+ * --json prints the trip as JSON on stdout, logs on stderr.
+ *
+ * Usage:
+ *   node trip_inspector.js [--date YYYY-MM-DD] [--timezone ZONE] [--json] <TRIP_ID>
+ *   node trip_inspector.js [--date YYYY-MM-DD] [--timezone ZONE] [--direction 0|1] [--json] --route <ROUTE> [HH:MM:SS]
+ *
+ * Examples:
+ *   node trip_inspector.js 99:1:18000:9900:WK
+ *   node trip_inspector.js --date 2025-06-02 --route 13D 08:00:00
+ *   node trip_inspector.js --route MRed2 --direction 1 17:30:00
+ */
+
+const minimist = require('minimist');
+const { enableJsonMode, printJson } = require('./lib/itinerary_json');
+const { BOARDING_RULES, inspectTrip } = require('./lib/trips');
+
+/**
+ * Get transit type name from route type code
+ */
+function getTransitTypeName(routeType) {
+    const types = {
+        '0': 'Tram',
+        '1': 'Metro',
+        '2': 'Rail',
+        '3': 'Bus',
+        '4': 'Ferry',
+        '5': 'Cable car',
+        '6': 'Gondola',
+        '7': 'Funicular'
+    };
+    return types[routeType] || 'Transit';
+}
+
+function describeRoute(route) {
+    const name = [route.short_name, route.long_name].filter(Boolean).join(' - ') || route.route_id;
+    return `${name} (route ${route.route_id}, ${getTransitTypeName(route.type)})`;
+}
+
+/**
+ * Print the trip before or after in the block
+ */
+function printBlockTrip(label, blockTrip) {
+    const layover = `${blockTrip.layoverMinutes} min layover`;
+    console.log(`  ${label}: ${blockTrip.trip_id} (${blockTrip.route.short_name || blockTrip.route.route_id} to ${blockTrip.headsign || blockTrip.to.name})`);
+    console.log(`    ${blockTrip.departure} ${blockTrip.from.name} → ${blockTrip.arrival} ${blockTrip.to.name}, ${layover}`);
+}
+
+function printTrip(inspection) {
+    const { trip, stops, block } = inspection;
+
+    console.log(`\n${'='.repeat(70)}`);
+    console.log(`TRIP ${trip.trip_id}`);
+    console.log(`${'='.repeat(70)}`);
+    console.log(`  Route: ${describeRoute(trip.route)}`);
+    console.log(`  Headsign: ${trip.headsign || '-'}`);
+    console.log(`  Direction: ${trip.direction_id !== null ? trip.direction_id : '-'}`);
+    console.log(`  Service: ${trip.service_id} (${trip.runsOnDate ? 'runs' : 'does not run'} on ${inspection.date})`);
+    console.log(`  Block: ${trip.block_id || '-'}`);
+    console.log(`  Shape: ${trip.shape_id || '-'}`);
+
+    const nameWidth = Math.max(4, ...stops.map(s => `${s.stop.name} (${s.stop.stop_id})`.length));
+    console.log(`\n  ${'#'.padStart(3)}  ${'Stop'.padEnd(nameWidth)}  Arrival   Departure  Pickup        Drop-off      Dist`);
+    for (const st of stops) {
+        const name = `${st.stop.name} (${st.stop.stop_id})`;
+        const pickup = BOARDING_RULES[st.pickup_type] || String(st.pickup_type);
+        const dropOff = BOARDING_RULES[st.drop_off_type] || String(st.drop_off_type);
+        const dist = st.shape_dist_traveled !== null ? String(st.shape_dist_traveled) : '-';
+        console.log(`  ${String(st.stop_sequence).padStart(3)}  ${name.padEnd(nameWidth)}  ${st.arrival}  ${st.departure}   ${pickup.padEnd(12)}  ${dropOff.padEnd(12)}  ${dist}`);
+    }
+
+    if (trip.block_id) {
+        console.log(`\nBlock ${trip.block_id}:`);
+        if (block.previous) {
+            printBlockTrip('← Previous', block.previous);
+        } else {
+            console.log(`  ← Previous: none, this is the block's first trip`);
+        }
+        if (block.next) {
+            printBlockTrip('→ Next', block.next);
+        } else {
+            console.log(`  → Next: none, this is the block's last trip`);
+        }
+    }
+
+    console.log(`\n${'='.repeat(70)}\n`);
+}
+
+async function main() {
+    const argv = minimist(process.argv.slice(2), {
+        string: ['_', 'date', 'timezone', 'route', 'direction'],
+        boolean: ['json']
+    });
+    const args = argv._;
+    if (argv.json) {
+        enableJsonMode();
+    }
+
+    if (!argv.route && args.length < 1) {
+        console.log("Usage: node trip_inspector.js [--date YYYY-MM-DD] [--timezone ZONE] [--json] <TRIP_ID>");
+        console.log("       node trip_inspector.js [--date YYYY-MM-DD] [--timezone ZONE] [--direction 0|1] [--json] --route <ROUTE> [HH:MM:SS]");
+        console.log("\nWith --route, the trip is the first one of the route leaving its first stop at or after the time (default: now).");
+        console.log("\nExamples:");
+        console.log("  node trip_inspector.js 99:1:18000:9900:WK");
+        console.log("  node trip_inspector.js --date 2025-06-02 --route 13D 08:00:00");
+        console.log("  node trip_inspector.js --route MRed2 --direction 1 17:30:00");
+        process.exit(1);
+    }
+
+    let inspection;
+    try {
+        inspection = await inspectTrip({
+            tripId: argv.route ? undefined : args[0],
+            route: argv.route,
+            time: argv.route ? args[0] : undefined,
+            directionId: argv.direction,
+            date: argv.date,
+            timezone: argv.timezone,
+            log: console.log
+        });
+    } catch (error) {
+        console.error(`\n✗ Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (argv.json) {
+        printJson(inspection);
+        return;
+    }
+    printTrip(inspection);
+}
+
+if (require.main === module) {
+    main();
+}